@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['userId']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -25,14 +22,15 @@ function getUserSocialLinks (userId, jar) {
       resolveWithFullResponse: true
     }
   })
-    .then(({ statusCode, body }) => {
+    .then((res) => {
+      const { statusCode, body } = res
       const { errors } = JSON.parse(body)
       if (statusCode === 200) {
         return JSON.parse(body)
       } else if (statusCode === 400) {
-        throw new Error(`${errors[0].message} | userId: ${userId}`)
+        throw RobloxAPIError.fromResponse(res, `${errors[0].message} | userId: ${userId}`)
       } else {
-        throw new Error(`An unknown error occurred with getUserSocialLinks() | [${statusCode}] userId: ${userId}`)
+        throw RobloxAPIError.fromResponse(res, `An unknown error occurred with getUserSocialLinks() | [${statusCode}] userId: ${userId}`)
       }
     })
 }
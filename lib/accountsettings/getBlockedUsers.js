@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const makeEventTracker = require('../util/makeEventTracker.js').func
-
-// Args
-exports.required = []
-exports.optional = ['count', 'apiUrl', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -70,14 +67,14 @@ async function getBlockedUsersAll (jar, apiUrl, count) {
       } catch (_) {
         // keep default message
       }
-      throw new Error(message)
+      throw RobloxAPIError.fromResponse(res, message)
     }
 
     let body
     try {
       body = JSON.parse(res.body) || {}
     } catch (err) {
-      throw new Error(`Failed to parse response: ${res.body}`)
+      throw RobloxAPIError.fromResponse(res, `Failed to parse response: ${res.body}`)
     }
 
     const data = body.data || body
@@ -107,5 +104,3 @@ exports.func = async function (args) {
   }
   return getBlockedUsersAll(jar, apiUrl, count)
 }
-
-
@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const makeEventTracker = require('../util/makeEventTracker.js').func
-
-// Args
-exports.required = ['userId']
-exports.optional = ['apiUrl', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -59,13 +56,13 @@ async function isBlocked (jar, userId, apiUrl) {
           try {
             json = JSON.parse(body)
           } catch (parseError) {
-            reject(new Error(`Failed to parse response: ${body}`))
+            reject(RobloxAPIError.fromResponse(res, `Failed to parse response: ${body}`))
             return
           }
 
           const known = json.errors && json.errors[0]
           const err = known && known.message || `HTTP ${res.statusCode}: Failed to check if user is blocked`
-          reject(new Error(err))
+          reject(RobloxAPIError.fromResponse(res, err))
         }
       })
       .catch(error => reject(error))
@@ -2,10 +2,7 @@
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
 const makeEventTracker = require('../util/makeEventTracker.js').func
-
-// Args
-exports.required = ['userId']
-exports.optional = ['apiUrl', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -61,12 +58,15 @@ async function unblock (jar, token, userId, apiUrl) {
           const errors = body.errors.map((e) => {
             return e.message
           })
-          throw new Error(`${res.statusCode} ${errors.join(', ')}`)
+          throw RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`)
         } else {
-          throw new Error(`${res.statusCode} ${res.body}`)
+          throw RobloxAPIError.fromResponse(res, `${res.statusCode} ${res.body}`)
         }
       } catch (err) {
-        throw new Error(`${res.statusCode} ${res.body}`)
+        if (err instanceof RobloxAPIError) {
+          throw err
+        }
+        throw RobloxAPIError.fromResponse(res, `${res.statusCode} ${res.body}`)
       }
     }
   } catch (error) {
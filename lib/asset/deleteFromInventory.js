@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-// Args
-exports.required = ['assetId']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -42,7 +39,7 @@ function deleteFromInventory (jar, assetId, xcsrf) {
           let error = 'An unknown error has occurred.'
           if (responseData && !responseData.isValid) {
             error = responseData.error
-            reject(new Error(error))
+            reject(RobloxAPIError.fromResponse(res, error))
           } else if (responseData && responseData.isValid) {
             resolve()
           }
@@ -51,7 +48,7 @@ function deleteFromInventory (jar, assetId, xcsrf) {
           if (responseData && responseData.errors) {
             error = responseData.errors.map((e) => e.message).join('\n')
           }
-          reject(new Error(error))
+          reject(RobloxAPIError.fromResponse(res, error))
         }
       })
       .catch(error => reject(error))
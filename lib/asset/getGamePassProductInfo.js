@@ -1,9 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const cache = require('../cache')
-
-// Args
-exports.required = ['gamepass']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -38,15 +36,15 @@ function getGamePassProductInfo (gamepass) {
               resolve(data)
             } else {
               const errors = Array.isArray(data.errors) ? data.errors.map((e) => e.message) : ['Unknown error']
-              reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+              reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
             }
           } else {
             // If not JSON, handle accordingly
-            reject(new Error('Expected JSON response but received content-type: ' + contentType))
+            reject(RobloxAPIError.fromResponse(res, 'Expected JSON response but received content-type: ' + contentType))
           }
         } catch (error) {
           // Handle JSON parsing errors
-          reject(new Error('Failed to parse JSON response: ' + error.message))
+          reject(RobloxAPIError.fromResponse(res, 'Failed to parse JSON response: ' + error.message))
         }
       })
       .catch(error => reject(error))
@@ -1,9 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const cache = require('../cache')
-
-// Args
-exports.required = ['asset']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -38,9 +36,9 @@ function getProductInfo (asset) {
             const errors = body.errors.map((e) => {
               return e.message
             })
-            reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
           } else {
-            reject(new Error(`${res.statusCode} ${res.body}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${res.body}`))
           }
         }
       })
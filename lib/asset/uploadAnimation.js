@@ -2,10 +2,7 @@
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken').func
 const configureItem = require('../develop/configureItem.js').func
-
-// Args
-exports.required = ['data']
-exports.optional = ['itemOptions', 'assetId', 'jar']
+const { RobloxAPIError, ValidationError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -63,7 +60,7 @@ function upload (data, itemOptions, assetId, jar, token) {
       '&groupId=' +
       (itemOptions.groupId || '')
   } else if (!assetId) {
-    throw new Error('ItemOptions is required for new assets.')
+    throw new ValidationError('ItemOptions is required for new assets.', { argument: 'itemOptions' })
   }
 
   return http(httpOpt)
@@ -88,7 +85,7 @@ function upload (data, itemOptions, assetId, jar, token) {
           return resultId
         }
       } else {
-        throw new Error('Animation upload failed, confirm that all item options, asset options, and upload data are valid.')
+        throw RobloxAPIError.fromResponse(res, 'Animation upload failed, confirm that all item options, asset options, and upload data are valid.')
       }
     })
 }
@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const getVerification = require('../util/getVerification.js').func
-
-// Args
-exports.required = ['name', 'assetType', 'file']
-exports.optional = ['groupId', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -61,16 +58,16 @@ function uploadItem (jar, file, name, assetType, groupId) {
           if (match) {
             const id = parseInt(match[0], 10)
             if (location.indexOf('/build/upload') === -1) {
-              reject(new Error('Unknown redirect: ' + location))
+              reject(RobloxAPIError.fromResponse(res, 'Unknown redirect: ' + location))
             }
             resolve(id)
           } else if (errMsg) {
-            reject(new Error('Upload error: ' + decodeURI(errMsg[1])))
+            reject(RobloxAPIError.fromResponse(res, 'Upload error: ' + decodeURI(errMsg[1])))
           } else {
-            reject(new Error('Match error. Original: ' + location))
+            reject(RobloxAPIError.fromResponse(res, 'Match error. Original: ' + location))
           }
         } else {
-          reject(new Error('Unknown upload error'))
+          reject(RobloxAPIError.fromResponse(res, 'Unknown upload error'))
         }
       })
     })
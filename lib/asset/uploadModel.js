@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken').func
-
-// Args
-exports.required = ['data']
-exports.optional = ['itemOptions', 'assetId', 'jar']
+const { RobloxAPIError, ValidationError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -61,7 +58,7 @@ function upload (data, itemOptions, assetId, jar, token) {
       '&groupId=' +
       (itemOptions.groupId || '')
   } else if (!assetId) {
-    throw new Error('ItemOptions is required for new assets.')
+    throw new ValidationError('ItemOptions is required for new assets.', { argument: 'itemOptions' })
   }
   return http(httpOpt)
     .then(function (res) {
@@ -71,11 +68,11 @@ function upload (data, itemOptions, assetId, jar, token) {
         try {
           parsed = JSON.parse(body)
         } catch (e) {
-          throw new Error('Could not parse JSON, returned body:' + body)
+          throw RobloxAPIError.fromResponse(res, 'Could not parse JSON, returned body:' + body)
         }
         return parsed
       } else {
-        throw new Error('Upload failed, confirm that all item options, asset options, and upload data are valid.')
+        throw RobloxAPIError.fromResponse(res, 'Upload failed, confirm that all item options, asset options, and upload data are valid.')
       }
     })
 }
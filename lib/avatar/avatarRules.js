@@ -1,6 +1,5 @@
 const http = require('../util/http.js').func
-
-exports.optional = ['option', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -32,7 +31,7 @@ exports.func = (args) => {
 
       return result
     } else {
-      throw new Error('Error fetching avatar rules')
+      throw RobloxAPIError.fromResponse(res, 'Error fetching avatar rules')
     }
   })
 }
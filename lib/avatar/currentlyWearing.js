@@ -1,6 +1,5 @@
 const http = require('../util/http.js').func
-
-exports.required = ['userId']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -26,7 +25,7 @@ exports.func = (args) => {
     if (res.statusCode === 200) {
       return JSON.parse(res.body)
     } else {
-      throw new Error('User does not exist')
+      throw RobloxAPIError.fromResponse(res, 'User does not exist')
     }
   })
 }
@@ -1,6 +1,5 @@
 const http = require('../util/http.js').func
-
-exports.required = ['userId']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -24,7 +23,7 @@ const getAvatar = (userId) => {
     if (res.statusCode === 200) {
       return JSON.parse(res.body)
     } else {
-      throw new Error('User does not exist')
+      throw RobloxAPIError.fromResponse(res, 'User does not exist')
     }
   })
 }
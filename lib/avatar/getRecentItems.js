@@ -1,6 +1,5 @@
 const http = require('../util/http.js').func
-
-exports.optional = ['listType', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -27,9 +26,9 @@ exports.func = (args) => {
     }
   }).then((res) => {
     if (res.statusCode === 401) {
-      throw new Error('You are not logged in')
+      throw RobloxAPIError.fromResponse(res, 'You are not logged in')
     } else if (res.statusCode === 400) {
-      throw new Error('Invalid list type')
+      throw RobloxAPIError.fromResponse(res, 'Invalid list type')
     } else {
       return JSON.parse(res.body)
     }
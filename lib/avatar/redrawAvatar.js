@@ -1,7 +1,6 @@
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -31,9 +30,9 @@ function redrawAvatar (jar, token) {
       if (res.statusCode === 200) {
         resolve()
       } else if (res.statusCode === 429) {
-        reject(new Error('Redraw avatar floodchecked'))
+        reject(RobloxAPIError.fromResponse(res, 'Redraw avatar floodchecked'))
       } else {
-        reject(new Error('Redraw avatar failed'))
+        reject(RobloxAPIError.fromResponse(res, 'Redraw avatar failed'))
       }
     }).catch(error => reject(error))
   })
@@ -1,8 +1,6 @@
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-exports.required = ['assetId']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -38,7 +36,7 @@ function removeAssetId (assetId, jar, xcsrf) {
           if (responseData && responseData.errors) {
             error = responseData.errors.map((e) => e.message).join('\n')
           }
-          reject(new Error(error))
+          reject(RobloxAPIError.fromResponse(res, error))
         } else {
           resolve()
         }
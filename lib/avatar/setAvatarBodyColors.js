@@ -1,8 +1,6 @@
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-exports.required = ['headColorId', 'torsoColorId', 'rightArmColorId', 'leftArmColorId', 'rightLegColorId', 'leftLegColorId']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -43,10 +41,10 @@ const nextFunction = (jar, token, headColorId, torsoColorId, rightArmColorId, le
   }).then((res) => {
     if (res.statusCode === 200) {
       if (!res.body.success) {
-        throw new Error(res.body)
+        throw RobloxAPIError.fromResponse(res, res.body)
       }
     } else {
-      throw new Error('Set body colors failed')
+      throw RobloxAPIError.fromResponse(res, 'Set body colors failed')
     }
   })
 }
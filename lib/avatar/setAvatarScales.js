@@ -1,8 +1,6 @@
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-exports.required = ['height', 'width', 'head']
-exports.optional = ['depth', 'proportion', 'bodyType', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -43,10 +41,10 @@ const nextFunction = (jar, token, height, width, head, depth, proportion, bodyTy
   }).then((res) => {
     if (res.statusCode === 200) {
       if (!res.body.success) {
-        throw new Error(res.body)
+        throw RobloxAPIError.fromResponse(res, res.body)
       }
     } else {
-      throw new Error('Set avatar scale failed')
+      throw RobloxAPIError.fromResponse(res, 'Set avatar scale failed')
     }
   })
 }
@@ -1,8 +1,6 @@
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-exports.required = ['avatarType']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -33,10 +31,10 @@ const nextFunction = (jar, token, avatarType) => {
   }).then((res) => {
     if (res.statusCode === 200) {
       if (!res.body.success) {
-        throw new Error(res.body)
+        throw RobloxAPIError.fromResponse(res, res.body)
       }
     } else {
-      throw new Error('Set avatar type failed')
+      throw RobloxAPIError.fromResponse(res, 'Set avatar type failed')
     }
   })
 }
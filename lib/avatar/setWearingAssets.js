@@ -1,8 +1,6 @@
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-exports.required = ['assetIds']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -33,10 +31,10 @@ const nextFunction = (jar, token, assetIds) => {
   }).then((res) => {
     if (res.statusCode === 200) {
       if (!res.body.success) {
-        throw new Error('Invalid assets: ' + res.body.invalidAssetIds.join(', '))
+        throw RobloxAPIError.fromResponse(res, 'Invalid assets: ' + res.body.invalidAssetIds.join(', '))
       }
     } else {
-      throw new Error('Wear assets failed')
+      throw RobloxAPIError.fromResponse(res, 'Wear assets failed')
     }
   })
 }
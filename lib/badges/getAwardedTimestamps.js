@@ -1,8 +1,6 @@
 // Includes
 const http = require('../util/http').func
-
-// Args
-exports.required = ['userId', 'badgeId']
+const { RobloxAPIError, ValidationError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -35,7 +33,7 @@ const getAwardedTimestamps = (userId, badgeId) => {
           if (responseData && responseData.errors) {
             error = responseData.errors.map((e) => e.message).join('\n')
           }
-          reject(new Error(error))
+          reject(RobloxAPIError.fromResponse(res, error))
         } else {
           resolve(responseData)
         }
@@ -45,7 +43,7 @@ const getAwardedTimestamps = (userId, badgeId) => {
 
 exports.func = async (args) => {
   if (isNaN(args.userId)) {
-    throw new Error('The provided User ID is not a number.')
+    throw new ValidationError('The provided User ID is not a number.', { argument: 'userId' })
   }
 
   return getAwardedTimestamps(args.userId, args.badgeId)
@@ -1,8 +1,6 @@
 // Includes
 const http = require('../util/http').func
-
-// Args
-exports.required = ['badgeId']
+const { RobloxAPIError, ValidationError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -30,14 +28,14 @@ const badgeInfo = async (id) => {
       json.updated = new Date(json.updated)
       return json
     } else {
-      throw new Error('Badge is invalid or does not exist.')
+      throw RobloxAPIError.fromResponse(res, 'Badge is invalid or does not exist.')
     }
   })
 }
 
 exports.func = async (args) => {
   if (isNaN(args.badgeId)) {
-    throw new Error('The provided Badge ID is not a number.')
+    throw new ValidationError('The provided Badge ID is not a number.', { argument: 'badgeId' })
   }
   return badgeInfo(args.badgeId)
 }
@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http').func
-
-// Args
-exports.required = ['universeId']
-exports.optional = ['limit', 'cursor', 'sortOrder']
+const { RobloxAPIError, ValidationError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -37,22 +34,22 @@ const gameBadges = async (id, limit, cursor, order) => {
       })
       return json.data
     } else {
-      throw new Error('The game is invalid or does not exist.')
+      throw RobloxAPIError.fromResponse(res, 'The game is invalid or does not exist.')
     }
   })
 }
 exports.func = async (args) => {
   if (isNaN(args.universeId)) {
-    throw new Error('The provided Universe ID is not a number.')
+    throw new ValidationError('The provided Universe ID is not a number.', { argument: 'universeId' })
   };
   if (args.limit) {
     if (![10, 25, 50, 100].includes(args.limit)) {
-      throw new Error('The allowed values are: 10, 25, 50 and 100.')
+      throw new ValidationError('The allowed values are: 10, 25, 50 and 100.', { argument: 'limit' })
     };
   };
   if (args.sortOrder) {
     if (args.sortOrder.toLowerCase() !== 'asc' && args.sortOrder.toLowerCase() !== 'desc') {
-      throw new Error('Invalid sort order type.')
+      throw new ValidationError('Invalid sort order type.', { argument: 'sortOrder' })
     }
   }
   const limit = args.limit || 10
@@ -1,10 +1,6 @@
 // Includes
 const getPageResults = require('../util/getPageResults.js').func
 
-// Args
-exports.required = ['userId']
-exports.optional = ['limit', 'sortOrder', 'jar']
-
 // Docs
 /**
  * ✅ Get the badges that a user has.
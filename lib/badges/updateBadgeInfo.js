@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-// Args
-exports.required = ['badgeId']
-exports.optional = ['name', 'description', 'enabled', 'jar']
+const { RobloxAPIError, ValidationError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -43,30 +40,30 @@ const updateInfo = (id, name, desc, enabled, xcrsf, jar) => {
     if (res.statusCode === 200) {
       return JSON.parse(res.body)
     } else if (res.statusCode === 400) {
-      throw new Error('Text moderated.')
+      throw RobloxAPIError.fromResponse(res, 'Text moderated.')
     } else if (res.statusCode === 401) {
-      throw new Error('Authorization has been denied for this request.')
+      throw RobloxAPIError.fromResponse(res, 'Authorization has been denied for this request.')
     } else if (res.statusCode === 403) {
-      throw new Error('Token Validation failed or you do not have permission to manage this badge.')
+      throw RobloxAPIError.fromResponse(res, 'Token Validation failed or you do not have permission to manage this badge.')
     } else if (res.statusCode === 404) {
-      throw new Error('Badge is invalid or does not exist.')
+      throw RobloxAPIError.fromResponse(res, 'Badge is invalid or does not exist.')
     }
   })
 }
 
 exports.func = async (args) => {
   if (isNaN(args.badgeId)) {
-    throw new Error('The provided Badge ID is not a number.')
+    throw new ValidationError('The provided Badge ID is not a number.', { argument: 'badgeId' })
   }
   if (args.name) {
-    if (typeof args.name !== 'string') throw new Error('The name must be a string.')
+    if (typeof args.name !== 'string') throw new ValidationError('The name must be a string.', { argument: 'name' })
   } else if (args.description) {
-    if (typeof args.description !== 'string') throw new Error('The description must be a string.')
+    if (typeof args.description !== 'string') throw new ValidationError('The description must be a string.', { argument: 'description' })
   }
 
   if (args.enabled) {
     if (typeof args.enabled !== 'boolean') {
-      throw new Error('Enabled must be a boolean.')
+      throw new ValidationError('Enabled must be a boolean.', { argument: 'enabled' })
     }
   }
 
@@ -1,13 +1,20 @@
 // Includes
 const levelOneCopy = require('../internal/levelOneCopy.js')
+const logger = require('../util/logger.js')
 
 // Define
 module.exports = function (cache, type, index, element) {
   if (cache[type]) {
+    const group = cache[type]
     if (element instanceof Object) {
       element = levelOneCopy(element)
     }
-    cache[type].items[index] = { item: element, time: Date.now() / 1000 }
+    // A store that can not be written to only costs the cached value, not the call that produced it
+    return Promise.resolve().then(function () {
+      return group.store.set(type + ':' + index, { item: element, time: Date.now() / 1000 }, group.permanent ? 0 : group.expire)
+    }).catch(function (err) {
+      logger.warn(`Could not cache ${type} ${index}: ${err.message}`, { error: err })
+    })
   } else {
     return 'Invalid type'
   }
@@ -1,7 +1,7 @@
 // Define
 module.exports = function (cache, type, index) {
   if (cache[type]) {
-    cache[type].items[index].time = null
+    return cache[type].store.delete(type + ':' + index)
   } else {
     return 'Invalid type'
   }
@@ -1,27 +1,42 @@
 // Includes
 const levelOneCopy = require('../internal/levelOneCopy.js')
+const logger = require('../util/logger.js')
+const metrics = require('../util/metrics.js')
 
 // Define
+const hits = metrics.counter('cache_hits_total', 'Lookups answered from the cache, by cache type.')
+const misses = metrics.counter('cache_misses_total', 'Lookups not found in the cache or expired, by cache type.')
+
+// Resolves with the cached item and whether it should be refreshed, or false if there is none.
 module.exports = function (cache, type, index) {
   if (cache[type]) {
     const group = cache[type]
-    const cached = group.items[index]
-    if (cached && cached.time) {
-      let passed
-      if (!group.permanent) {
-        passed = Date.now() / 1000 - cached.time
-        if (passed > group.expire) {
-          return false
+    return Promise.resolve().then(function () {
+      return group.store.get(type + ':' + index)
+    }).catch(function (err) {
+      // Treated as a miss, so the value is requested again
+      logger.warn(`Could not read ${type} ${index} from the cache: ${err.message}`, { error: err })
+    }).then(function (cached) {
+      if (cached && cached.time) {
+        let passed
+        if (!group.permanent) {
+          passed = Date.now() / 1000 - cached.time
+          if (passed > group.expire) {
+            misses.inc({ cache: type })
+            return false
+          }
         }
+        hits.inc({ cache: type })
+        let item = cached.item
+        if (item instanceof Object) {
+          item = levelOneCopy(item)
+        }
+        return [item, (group.refresh && ((group.refresh === true && true) || passed > group.refresh))]
+      } else {
+        misses.inc({ cache: type })
+        return false
       }
-      let item = cached.item
-      if (item instanceof Object) {
-        item = levelOneCopy(item)
-      }
-      return [item, (group.refresh && ((group.refresh === true && true) || passed > group.refresh))]
-    } else {
-      return false
-    }
+    })
   } else {
     return 'Invalid type'
   }
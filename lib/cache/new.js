@@ -1,3 +1,7 @@
+// Includes
+const settings = require('../../settings.json')
+const stores = require('./stores')
+
 // Define
 module.exports = function (types) {
   const cache = {}
@@ -6,7 +10,21 @@ module.exports = function (types) {
     const expireValue = type.expire
     const permanent = expireValue === true
     const expire = (permanent || expireValue === false ? 0 : expireValue)
-    cache[type.name] = { items: {}, expire, refresh: type.refresh, permanent }
+    const group = { expire, refresh: type.refresh, permanent }
+    let config
+    let store
+    // Created on first use, and again when the store configured in settings is replaced through setOptions
+    Object.defineProperty(group, 'store', {
+      get: function () {
+        const current = type.store !== undefined ? type.store : (settings.cache[type.name] || {}).store
+        if (!store || current !== config) {
+          config = current
+          store = stores.create(current, type.name)
+        }
+        return store
+      }
+    })
+    cache[type.name] = group
   }
   return cache
 }
@@ -0,0 +1,82 @@
+// Dependencies
+const fs = require('fs')
+const path = require('path')
+
+// Includes
+const json = require('./json.js')
+
+// Define
+// Entries without an expiry time were written by an older version, which kept none
+function expired (entry) {
+  return !entry || typeof entry.expires !== 'number' || (entry.expires > 0 && entry.expires <= Date.now())
+}
+
+// Keeps entries in memory and persists them to `<path>/<name>.json`, so they survive restarts. Writes are queued so
+// only one is in flight at a time, and replace the file atomically. Entries are kept with the time they expire at,
+// and expired ones are dropped when the file is loaded and before it is written.
+class FileStore {
+  constructor (config = {}) {
+    this.file = FileStore.getFile(config)
+    this.entries = {}
+    this.writing = Promise.resolve()
+    try {
+      this.entries = json.parse(fs.readFileSync(this.file, 'utf8'))
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err
+      }
+    }
+    this.prune()
+  }
+
+  // The file a store with `config` keeps its entries in
+  static getFile (config) {
+    if (!config.path) {
+      throw new Error('The file cache store needs a `path` to keep its files in')
+    }
+    return path.resolve(config.path, (config.name || 'cache') + '.json')
+  }
+
+  get (key) {
+    const entry = Object.prototype.hasOwnProperty.call(this.entries, key) ? this.entries[key] : undefined
+    return expired(entry) ? undefined : entry.value
+  }
+
+  set (key, value, ttl) {
+    this.entries[key] = { value, expires: ttl > 0 ? Date.now() + ttl * 1000 : 0 }
+    return this.save()
+  }
+
+  delete (key) {
+    delete this.entries[key]
+    return this.save()
+  }
+
+  clear () {
+    this.entries = {}
+    return this.save()
+  }
+
+  // Drops the entries that have expired
+  prune () {
+    for (const key of Object.keys(this.entries)) {
+      if (expired(this.entries[key])) {
+        delete this.entries[key]
+      }
+    }
+  }
+
+  save () {
+    this.prune()
+    const text = json.stringify(this.entries)
+    const temp = this.file + '.' + process.pid + '.tmp'
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true })
+      await fs.promises.writeFile(temp, text)
+      await fs.promises.rename(temp, this.file)
+    })
+    return this.writing
+  }
+}
+
+module.exports = FileStore
@@ -0,0 +1,49 @@
+// Includes
+const MemoryStore = require('./memory.js')
+const FileStore = require('./file.js')
+const RedisStore = require('./redis.js')
+
+// Define
+const types = {
+  memory: MemoryStore,
+  file: FileStore,
+  redis: RedisStore
+}
+// File stores by the file they keep their entries in
+const files = new Map()
+
+/**
+ * Create the store a cache type keeps its entries in. A store has `get(key)`, `set(key, value, ttl)` and
+ * `delete(key)`; any of them may return a promise. `ttl` is in seconds, 0 meaning the entry never expires. File stores
+ * are created once per file and shared by every cache and client configured to use it.
+ * @param {string|object} config - The name of a built-in store ("memory", "file" or "redis"), an object with its
+ * `type` and options, or a store to use as is.
+ * @param {string} name - The cache type the store is for.
+ * @returns {object} - The store.
+ */
+function create (config, name) {
+  if (config && typeof config.get === 'function' && typeof config.set === 'function') {
+    return config
+  }
+  const storeConfig = typeof config === 'string' ? { type: config } : Object.assign({}, config)
+  const Store = types[storeConfig.type || 'memory']
+  if (!Store) {
+    throw new Error(`Unknown cache store "${storeConfig.type}", expected one of: ${Object.keys(types).join(', ')}`)
+  }
+  const options = Object.assign({ name }, storeConfig)
+  if (Store !== FileStore) {
+    return new Store(options)
+  }
+  const file = FileStore.getFile(options)
+  if (!files.has(file)) {
+    files.set(file, new Store(options))
+  }
+  return files.get(file)
+}
+
+module.exports = {
+  create,
+  MemoryStore,
+  FileStore,
+  RedisStore
+}
@@ -0,0 +1,13 @@
+// Define
+// Stores outside the process hold entries as JSON; Dates are tagged so they come back as Dates.
+exports.stringify = function (value) {
+  return JSON.stringify(value, function (key, item) {
+    return this[key] instanceof Date ? { $date: item } : item
+  })
+}
+
+exports.parse = function (text) {
+  return JSON.parse(text, function (key, item) {
+    return item && typeof item === 'object' && typeof item.$date === 'string' ? new Date(item.$date) : item
+  })
+}
@@ -0,0 +1,50 @@
+// Includes
+const json = require('./json.js')
+
+// Define
+// Keeps entries in process, dropping the least recently used once `maxEntries` entries or `maxBytes` bytes (measured
+// as JSON) are held. A limit of 0 disables it.
+class MemoryStore {
+  constructor (config = {}) {
+    this.maxEntries = config.maxEntries === undefined ? 10000 : config.maxEntries
+    this.maxBytes = config.maxBytes || 0
+    this.entries = new Map()
+    this.bytes = 0
+  }
+
+  get (key) {
+    const entry = this.entries.get(key)
+    if (!entry) {
+      return undefined
+    }
+    // Move it to the back of the eviction order
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    return entry.value
+  }
+
+  set (key, value) {
+    this.delete(key)
+    const size = this.maxBytes > 0 ? Buffer.byteLength(json.stringify(value)) : 0
+    this.entries.set(key, { value, size })
+    this.bytes += size
+    while ((this.maxEntries > 0 && this.entries.size > this.maxEntries) || (this.maxBytes > 0 && this.bytes > this.maxBytes && this.entries.size > 1)) {
+      this.delete(this.entries.keys().next().value)
+    }
+  }
+
+  delete (key) {
+    const entry = this.entries.get(key)
+    if (entry) {
+      this.bytes -= entry.size
+      this.entries.delete(key)
+    }
+  }
+
+  clear () {
+    this.entries.clear()
+    this.bytes = 0
+  }
+}
+
+module.exports = MemoryStore
@@ -0,0 +1,37 @@
+// Includes
+const json = require('./json.js')
+
+// Define
+// Adapts a Redis client (ioredis, node-redis 4 or anything with promise returning `get`, `set`, `del` and
+// `setex`/`setEx`) so caches can be shared between processes. Keys are prefixed with `prefix` (default "noblox:").
+class RedisStore {
+  constructor (config = {}) {
+    const client = config.client
+    if (!client || typeof client.get !== 'function' || typeof client.set !== 'function') {
+      throw new Error('The redis cache store needs a `client` with get and set methods')
+    }
+    this.client = client
+    this.prefix = config.prefix === undefined ? 'noblox:' : config.prefix
+  }
+
+  async get (key) {
+    const text = await this.client.get(this.prefix + key)
+    return text === null || text === undefined ? undefined : json.parse(text)
+  }
+
+  set (key, value, ttl) {
+    const text = json.stringify(value)
+    const setex = this.client.setex || this.client.setEx
+    // Entries expire in Redis as well, so stale ones do not pile up
+    if (ttl > 0 && setex) {
+      return setex.call(this.client, this.prefix + key, Math.ceil(ttl), text)
+    }
+    return this.client.set(this.prefix + key, text)
+  }
+
+  delete (key) {
+    return this.client.del(this.prefix + key)
+  }
+}
+
+module.exports = RedisStore
@@ -1,17 +1,27 @@
 // Includes
 const addIf = require('./addIf.js')
 const options = require('../options.js')
+const tracing = require('../internal/tracing.js')
 
 // Define
 function wrap (type, index, func) {
   const cache = options.cache
   const group = cache[type]
   if (group.expire > 0 || group.permanent) {
-    return new Promise(function (resolve, reject) {
-      addIf(cache, type, index, {
-        done: resolve,
-        add: function (done) {
-          return func().then(done).catch(reject)
+    // Traced so a trace shows whether the value came from the cache, or from the requests under this span
+    return tracing.trace('cache ' + type, { attributes: { 'noblox.cache.type': type } }, function (span) {
+      let hit = true
+      return new Promise(function (resolve, reject) {
+        addIf(cache, type, index, {
+          done: resolve,
+          add: function (done) {
+            hit = false
+            return func().then(done).catch(reject)
+          }
+        }).catch(reject)
+      }).finally(function () {
+        if (span) {
+          span.setAttribute('noblox.cache.hit', hit)
         }
       })
     })
@@ -1,7 +1,5 @@
 const http = require('../util/http.js').func
-
-exports.required = ['conversationIds']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -33,7 +31,7 @@ exports.func = (args) => {
         const errors = body.errors.map((e) => {
           return e.message
         })
-        throw new Error(`${res.statusCode} ${errors.join(', ')}`)
+        throw RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`)
       }
     } else {
       let response = JSON.parse(res.body)
@@ -1,6 +1,5 @@
 const http = require('../util/http.js').func
-
-exports.optional = ['featureNames', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -27,7 +26,7 @@ exports.func = (args) => {
     }
   }).then((res) => {
     if (res.statusCode !== 200) {
-      throw new Error('You are not logged in')
+      throw RobloxAPIError.fromResponse(res, 'You are not logged in')
     } else {
       return JSON.parse(res.body)
     }
@@ -1,8 +1,6 @@
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-exports.required = ['conversationIds']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -33,10 +31,10 @@ const nextFunction = (jar, token, conversationIds) => {
   }).then((res) => {
     if (res.statusCode === 200) {
       if (!res.body.resultType === 'Success') {
-        throw new Error(res.body.statusMessage)
+        throw RobloxAPIError.fromResponse(res, res.body.statusMessage)
       }
     } else {
-      throw new Error('Mark as seen failed')
+      throw RobloxAPIError.fromResponse(res, 'Mark as seen failed')
     }
   })
 }
@@ -1,8 +1,5 @@
-const events = require('events')
-
 const onNotification = require('../client/onNotification.js').func
-
-exports.optional = ['jar']
+const EventStream = require('../internal/eventStream.js')
 
 // Docs
 /**
@@ -23,7 +20,7 @@ exports.optional = ['jar']
 
 exports.func = (args) => {
   const jar = args.jar
-  const newEvent = new events.EventEmitter()
+  const newEvent = new EventStream()
   const notifications = onNotification({ jar })
 
   notifications.on('data', (name, message) => {
@@ -49,5 +46,9 @@ exports.func = (args) => {
     notifications.emit('close', true)
   })
 
+  newEvent.on('close', () => {
+    notifications.emit('close', true)
+  })
+
   return newEvent
 }
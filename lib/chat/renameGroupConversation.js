@@ -1,8 +1,6 @@
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-exports.required = ['conversationId', 'title']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -37,12 +35,12 @@ function renameGroupConversation (conversationId, newTitle, jar, token) {
     return http(httpOpt).then((res) => {
       if (res.statusCode === 200) {
         if (!res.body.resultType === 'Success') {
-          reject(new Error(res.body.statusMessage))
+          reject(RobloxAPIError.fromResponse(res, res.body.statusMessage))
         } else {
           resolve(res.body)
         }
       } else {
-        reject(new Error('Rename group chat failed'))
+        reject(RobloxAPIError.fromResponse(res, 'Rename group chat failed'))
       }
     }).catch(error => reject(error))
   })
@@ -1,8 +1,6 @@
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-exports.required = ['conversationId', 'message']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -37,12 +35,12 @@ function sendChatMessage (conversationId, messageText, apiUrl, jar, token) {
     return http(httpOpt).then((res) => {
       if (res.statusCode === 200) {
         if (!res.body.resultType === 'Success') {
-          reject(new Error(res.body.statusMessage))
+          reject(RobloxAPIError.fromResponse(res, res.body.statusMessage))
         } else {
           resolve(res.body)
         }
       } else {
-        throw new Error('Send chat message failed')
+        throw RobloxAPIError.fromResponse(res, 'Send chat message failed')
       }
     }).catch(error => reject(error))
   })
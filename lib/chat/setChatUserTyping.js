@@ -1,8 +1,6 @@
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-exports.required = ['conversationId', 'isTyping']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -37,7 +35,7 @@ function setChatUserTyping (conversationId, isTyping, jar, token) {
     return http(httpOpt).then((res) => {
       if (res.statusCode === 200) {
         if (!res.body.resultType === 'Success') {
-          reject(new Error(res.body.statusMessage))
+          reject(RobloxAPIError.fromResponse(res, res.body.statusMessage))
         } else {
           resolve(res.body)
         }
@@ -46,7 +44,7 @@ function setChatUserTyping (conversationId, isTyping, jar, token) {
         if (res.body && res.body.errors) {
           error = res.body.errors.map((e) => e.message).join('\n')
         }
-        reject(new Error(error))
+        reject(RobloxAPIError.fromResponse(res, error))
       }
     }).catch(error => reject(error))
   })
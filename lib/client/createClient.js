@@ -0,0 +1,55 @@
+// Includes
+const options = require('../options.js')
+
+// Docs
+/**
+ * ✅ Create an independent client with its own cookie jar, cache and queue. Every function exported by noblox.js is
+ * available on the returned client and runs against that client's state, so several accounts can be used from one
+ * process without `setCookie` calls clobbering each other. The functions exported directly from noblox.js keep using
+ * the default client.
+ * @category Client
+ * @alias createClient
+ * @param {string=} cookie - The .ROBLOSECURITY cookie the client signs in with. It is not validated; use `client.setCookie` for that.
+ * @param {string=} apiKey - The Open Cloud API key the client uses.
+ * @param {object=} cache - Overrides for the `expire`, `refresh` and `store` values of the cache types in settings.json, keyed by type.
+ * @param {object=} proxy - Proxy settings applied to every request of the client, structured like the `proxy` block of settings.json.
+ * @param {(string|function)=} transport - The transport the client's requests are sent with, overriding `settings.transport`.
+ * @returns {NobloxClient}
+ * @example const noblox = require("noblox.js")
+ * const bot = noblox.createClient({ cookie: process.env.BOT_COOKIE })
+ * const other = noblox.createClient({ cookie: process.env.OTHER_COOKIE, cache: { Roles: { expire: 60 } } })
+ * await bot.setRank(1, 2, "Customer")
+ * const user = await other.getAuthenticatedUser()
+**/
+
+// Define
+exports.func = function (args) {
+  // Required lazily as index.js requires this module
+  const noblox = require('../index.js')
+  const context = options.create(args)
+  const client = { iterate: {} }
+
+  function bind (name, exported) {
+    const bound = function () {
+      return options.run(context, () => exported.apply(this, arguments))
+    }
+    return Object.defineProperty(bound, 'name', { value: name })
+  }
+
+  for (const name of Object.keys(noblox)) {
+    const exported = noblox[name]
+    if (typeof exported === 'function' && exported.prototype instanceof Error) {
+      // Error classes are shared so `instanceof` checks work with either
+      client[name] = exported
+    } else if (typeof exported === 'function') {
+      client[name] = bind(name, exported)
+    }
+  }
+  // Iterators keep the client they were created from while they are advanced
+  for (const name of Object.keys(noblox.iterate)) {
+    client.iterate[name] = bind(name, noblox.iterate[name])
+  }
+  client.options = context
+
+  return client
+}
@@ -1,21 +1,27 @@
 // Dependencies
-const signalR = require("@microsoft/signalr");
-const events = require("events");
-const WebSocket = require("ws");
-const { HttpsProxyAgent } = require("https-proxy-agent");
-const crypto = require("crypto"); // For shuffling cipher list
+const signalR = require('@microsoft/signalr')
+const WebSocket = require('ws')
+const { HttpsProxyAgent } = require('https-proxy-agent')
+const crypto = require('crypto') // For shuffling cipher list
 
 // Includes
-const getSession = require("../util/getSession.js").func;
-const proxyConfig = require("../util/proxyConfig.js");
-const settings = require("../../settings.json");
-
-// Args
-exports.optional = ["jar"];
+const getSession = require('../util/getSession.js').func
+const logger = require('../util/logger.js')
+const options = require('../options.js')
+const proxyConfig = require('../util/proxyConfig.js')
+const settings = require('../../settings.json')
+const EventStream = require('../internal/eventStream.js')
 
 // Docs
 /**
- * 🔐 An event for when you get a notification.
+ * 🔐 An event for when you get a notification. Every event listening for notifications of the same account shares one
+ * connection, which is closed once the last of them is closed.
+ *
+ * The connection goes through the states `connecting`, `connected`, `reconnecting` and `disconnected`, emitting `state`
+ * with the new and previous state (and the error, if it was lost) on every change; `state` also holds the current one.
+ * A lost connection, including one that went silent for `settings.event.notifications.heartbeatTimeout` ms, is
+ * reconnected with exponential backoff for as long as it is listened to, using the account's current cookie. `connect`
+ * is emitted once it is first connected, and `reconnecting` and `reconnected` when it is lost and back.
  * @category Client
  * @alias onNotification
  * @returns An EventEmitter that emits when you get a notification.
@@ -31,161 +37,303 @@ exports.optional = ["jar"];
  **/
 
 // Define
-exports.func = function (args) {
-  const max = settings.event.maxRetries;
-  const notifications = new events.EventEmitter();
+// The connection of each account, by a hash of its session, with the emitters subscribed to it
+const connections = new Map()
+// Connections being stopped, until they are
+const stopping = new Set()
 
-  async function connect() {
-    try {
-      if (typeof args.jar === "string") {
-        args.jar = { session: args.jar };
-      }
-      const session = getSession({ jar: args.jar });
-
-      // ** Proxy Configuration **
-      // Use the centralized proxy config if enabled and realtime-signalr is in the domain list.
-      // The proxy app handles the WebSocket upgrade and tunnels through Webshare.
-      const config = proxyConfig.getProxyConfig();
-      const signalrHost = "realtime-signalr.roblox.com";
-      const useProxy =
-        config.enabled &&
-        config.url &&
-        config.key &&
-        config.domains &&
-        config.domains.includes(signalrHost);
-
-      let proxyAgent;
-      if (useProxy) {
-        proxyAgent = new HttpsProxyAgent(config.url, {
-          headers: {
-            proxykey: config.key,
-            hostname: signalrHost,
-          },
-        });
-      } else {
-        // Fall back to legacy settings.event.proxyUrl if set
-        const legacyProxyUrl = settings.event.proxyUrl;
-        proxyAgent = legacyProxyUrl ? new HttpsProxyAgent(legacyProxyUrl) : undefined;
-      }
+function createConnection (session) {
+  // ** Proxy Configuration **
+  // Use the centralized proxy config if enabled and realtime-signalr is in the domain list.
+  // The proxy app handles the WebSocket upgrade and tunnels through Webshare.
+  const config = proxyConfig.getProxyConfig()
+  const signalrHost = 'realtime-signalr.roblox.com'
+  const useProxy =
+    config.enabled &&
+    config.url &&
+    config.key &&
+    config.domains &&
+    config.domains.includes(signalrHost)
 
-      // ** TLS Fingerprint Modification **
-      // Define a list of cipher suites
-      const cipherList = [
-        "ECDHE-ECDSA-AES256-GCM-SHA384",
-        "ECDHE-RSA-AES256-GCM-SHA384",
-        "ECDHE-ECDSA-CHACHA20-POLY1305",
-        "ECDHE-RSA-CHACHA20-POLY1305",
-        "ECDHE-ECDSA-AES128-GCM-SHA256",
-        "ECDHE-RSA-AES128-GCM-SHA256",
-      ];
-
-      // Shuffle the cipher list to randomize the order
-      function shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-          const j = Math.floor(Math.random() * (i + 1));
-          [array[i], array[j]] = [array[j], array[i]];
-        }
-        return array;
+  let proxyAgent
+  if (useProxy) {
+    proxyAgent = new HttpsProxyAgent(config.url, {
+      headers: {
+        proxykey: config.key,
+        hostname: signalrHost
       }
+    })
+  } else {
+    // Fall back to legacy settings.event.proxyUrl if set
+    const legacyProxyUrl = settings.event.proxyUrl
+    proxyAgent = legacyProxyUrl ? new HttpsProxyAgent(legacyProxyUrl) : undefined
+  }
 
-      const shuffledCiphers = shuffleArray([...cipherList]).join(":");
-
-      // Create a custom WebSocket factory
-      function webSocketFactory(url) {
-        return new WebSocket(url, {
-          // if the proxy agent is defined, use it
-          agent: proxyAgent,
-          // TLS options to modify the fingerprint
-          ciphers: shuffledCiphers,
-          ecdhCurve: "auto",
-          honorCipherOrder: true,
-          secureOptions:
-            crypto.constants.SSL_OP_NO_TLSv1 |
-            crypto.constants.SSL_OP_NO_TLSv1_1,
-          // Optional: You can add more TLS options here as needed
-        });
-      }
+  // ** TLS Fingerprint Modification **
+  // Define a list of cipher suites
+  const cipherList = [
+    'ECDHE-ECDSA-AES256-GCM-SHA384',
+    'ECDHE-RSA-AES256-GCM-SHA384',
+    'ECDHE-ECDSA-CHACHA20-POLY1305',
+    'ECDHE-RSA-CHACHA20-POLY1305',
+    'ECDHE-ECDSA-AES128-GCM-SHA256',
+    'ECDHE-RSA-AES128-GCM-SHA256'
+  ]
+
+  // Shuffle the cipher list to randomize the order
+  function shuffleArray (array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [array[i], array[j]] = [array[j], array[i]]
+    }
+    return array
+  }
+
+  const shuffledCiphers = shuffleArray([...cipherList]).join(':')
+
+  // Create a custom WebSocket factory
+  function webSocketFactory (url) {
+    return new WebSocket(url, {
+      // if the proxy agent is defined, use it
+      agent: proxyAgent,
+      // TLS options to modify the fingerprint
+      ciphers: shuffledCiphers,
+      ecdhCurve: 'auto',
+      honorCipherOrder: true,
+      secureOptions:
+        crypto.constants.SSL_OP_NO_TLSv1 |
+        crypto.constants.SSL_OP_NO_TLSv1_1
+      // Optional: You can add more TLS options here as needed
+    })
+  }
+
+  // ** SignalR Connection Setup **
+  return new signalR.HubConnectionBuilder()
+    .withUrl('https://realtime-signalr.roblox.com/userhub', {
+      transport: signalR.HttpTransportType.WebSockets,
+      skipNegotiation: true,
+      headers: {
+        Cookie: '.ROBLOSECURITY=' + session + ';'
+      },
+      webSocketFactory // Use the custom WebSocket factory
+    })
+    .configureLogging(signalR.LogLevel.Critical)
+    .build()
+}
+
+function getKey (session) {
+  return crypto.createHash('md5').update(session || '').digest('hex')
+}
+
+function broadcast (shared, name, ...args) {
+  for (const subscriber of shared.subscribers) {
+    // Errors only go to the subscribers listening for them, as emitting one to any other would throw
+    if (name !== 'error' || subscriber.listenerCount('error') > 0) {
+      subscriber.emit(name, ...args)
+    }
+  }
+}
+
+function setState (shared, state, error) {
+  const previous = shared.state
+  if (previous === state) {
+    return
+  }
+  shared.state = state
+  logger.info(`Notification connection ${state}`, { previous })
+  broadcast(shared, 'state', state, previous, error)
+}
+
+// Connects again after a delay doubling with every failed attempt, up to `maxReconnectDelay`. The delay is jittered so
+// connections lost together, such as those of every account on a server, do not all come back at once.
+function reconnect (shared, error) {
+  const options = settings.event.notifications
+  const delay = Math.min(options.maxReconnectDelay, options.reconnectDelay * Math.pow(2, shared.attempts))
+  const wait = Math.round(delay / 2 + Math.random() * delay / 2)
+  shared.attempts++
+  shared.connection = null
+  if (shared.state === 'connected') {
+    broadcast(shared, 'reconnecting', error)
+  }
+  setState(shared, 'reconnecting', error)
+  logger.warn(`Notification connection failed, reconnecting in ${wait} ms: ${error ? error.message : 'closed'}`, { error, attempts: shared.attempts })
+  shared.timer = setTimeout(connect, wait, shared)
+}
+
+// Moves `shared` to `key`, the key of its account's current cookie.
+function rekey (shared, key) {
+  logger.info('Notification connection re-authenticating with a new cookie')
+  if (connections.get(shared.key) === shared) {
+    connections.delete(shared.key)
+  }
+  shared.key = key
+  if (!connections.has(key)) {
+    connections.set(key, shared)
+  }
+}
+
+// Replaces the connection of `shared` with one signed in with the current cookie of its account.
+function replace (shared) {
+  const previous = shared.connection
+  clearTimeout(shared.timer)
+  shared.connection = null
+  if (shared.state === 'connected') {
+    broadcast(shared, 'reconnecting')
+  }
+  setState(shared, 'reconnecting')
+  if (previous) {
+    const stopped = previous.stop()
+    stopping.add(stopped)
+    stopped
+      .catch((err) => logger.warn('Failed to stop notification connection: ' + err.message, { error: err }))
+      .finally(() => stopping.delete(stopped))
+  }
+  connect(shared)
+}
+
+function connect (shared) {
+  let connection
+  try {
+    // Read again on every attempt, so a rotated cookie is picked up
+    const session = options.run(shared.context, () => getSession({ jar: shared.jar }))
+    const key = getKey(session)
+    if (key !== shared.key) {
+      rekey(shared, key)
+    }
+    connection = createConnection(session)
+  } catch (err) {
+    return reconnect(shared, err)
+  }
+  // SignalR closes connections the server has not pinged within this time, which are then reconnected
+  connection.serverTimeoutInMilliseconds = settings.event.notifications.heartbeatTimeout
+  shared.connection = connection
+
+  // ** Event Handling **
+  // Handle incoming notifications
+  connection.on('notification', (name, message) => {
+    try {
+      const parsedMessage = JSON.parse(message)
+      broadcast(shared, 'data', name, parsedMessage)
+    } catch (parseError) {
+      broadcast(shared, 'error', new Error('Failed to parse notification message: ' + parseError.message))
+    }
+  })
+
+  connection.onclose((error) => {
+    if (shared.stopping || shared.connection !== connection) {
+      return
+    }
+    reconnect(shared, error || new Error('Connection closed by the server'))
+  })
 
-      // ** SignalR Connection Setup **
-      const userNotificationConnection = new signalR.HubConnectionBuilder()
-        .withUrl("https://realtime-signalr.roblox.com/userhub", {
-          transport: signalR.HttpTransportType.WebSockets,
-          skipNegotiation: true,
-          headers: {
-            Cookie: ".ROBLOSECURITY=" + session + ";",
-          },
-          webSocketFactory, // Use the custom WebSocket factory
-        })
-        .configureLogging(signalR.LogLevel.Critical)
-        .withAutomaticReconnect()
-        .build();
-
-      // ** Event Handling **
-      notifications.on("close", async (internal) => {
-        if (internal) {
-          return;
-        }
-        await userNotificationConnection.stop();
-        notifications.emit("closed");
-      });
-
-      // Handle incoming notifications
-      userNotificationConnection.on("notification", (name, message) => {
-        try {
-          const parsedMessage = JSON.parse(message);
-          notifications.emit("data", name, parsedMessage);
-        } catch (parseError) {
-          notifications.emit(
-            "error",
-            new Error(
-              "Failed to parse notification message: " + parseError.message
-            )
-          );
-        }
-      });
-
-      // Handle connection events
-      userNotificationConnection.onreconnecting((error) => {
-        notifications.emit("reconnecting", error);
-      });
-
-      userNotificationConnection.onreconnected((connectionId) => {
-        notifications.emit("reconnected", connectionId);
-      });
-
-      userNotificationConnection.onclose((error) => {
-        notifications.emit("close", false);
-        if (error) {
-          notifications.emit(
-            "error",
-            new Error("Connection closed with error: " + error.message)
-          );
-        } else {
-          notifications.emit("closed");
-        }
-      });
-
-      // ** Start the connection **
-      try {
-        await userNotificationConnection.start();
-        notifications.emit("connect");
-      } catch (err) {
-        notifications.emit(
-          "error",
-          new Error("Failed to start connection: " + err.message)
-        );
+  // ** Start the connection **
+  connection.start()
+    .then(() => {
+      if (shared.stopping || shared.connection !== connection) {
+        return connection.stop()
       }
-    } catch (err) {
-      notifications.emit("error", err);
+      const reconnected = shared.connected
+      shared.connected = true
+      shared.attempts = 0
+      setState(shared, 'connected')
+      broadcast(shared, reconnected ? 'reconnected' : 'connect', connection.connectionId)
+    }, (err) => {
+      if (shared.stopping || shared.connection !== connection) {
+        return
+      }
+      if (!shared.connected && shared.attempts === 0) {
+        logger.error('Failed to start notification connection: ' + err.message, { error: err })
+        broadcast(shared, 'error', new Error('Failed to start connection: ' + err.message))
+      }
+      reconnect(shared, err)
+    })
+}
+
+// Returns the connection of the account `jar` belongs to, starting it if there is none yet.
+function getShared (jar) {
+  const key = getKey(getSession({ jar }))
+  // Without a jar the account is that of the client the call was made from
+  const context = options.current()
+  let shared = connections.get(key)
+  if (!shared) {
+    // The cookie of the account was rotated since its connection was opened, which is then signed in again with the new
+    // one rather than kept next to a second connection
+    shared = Array.from(connections.values()).find((candidate) => {
+      return !candidate.stopping && (jar ? candidate.jar === jar : !candidate.jar && candidate.context === context)
+    })
+    if (shared) {
+      rekey(shared, key)
+      replace(shared)
     }
   }
+  if (!shared) {
+    shared = { key, jar, context, subscribers: new Set(), state: 'connecting', connected: false, attempts: 0, stopping: false }
+    connections.set(key, shared)
+    connect(shared)
+  }
+  return shared
+}
 
+// Removes `subscriber` from its connection, stopping the connection if it was the last one.
+function release (shared, subscriber) {
+  if (shared.subscribers.size === 1 && shared.subscribers.has(subscriber)) {
+    setState(shared, 'disconnected')
+  }
+  if (!shared.subscribers.delete(subscriber) || shared.subscribers.size > 0) {
+    return Promise.resolve()
+  }
+  shared.stopping = true
+  clearTimeout(shared.timer)
+  if (connections.get(shared.key) === shared) {
+    connections.delete(shared.key)
+  }
+  logger.info('Notification connection stopped, as nothing listens to it anymore')
+  if (!shared.connection) {
+    return Promise.resolve()
+  }
+  const stopped = shared.connection.stop()
+  stopping.add(stopped)
+  return stopped.finally(() => stopping.delete(stopped))
+}
+
+exports.func = function (args) {
+  const notifications = new EventStream()
+  let shared
   try {
-    // ** Initiate Connection **
-    connect();
+    if (typeof args.jar === 'string') {
+      args.jar = { session: args.jar }
+    }
+    shared = getShared(args.jar)
   } catch (err) {
-    throw err;
+    setImmediate(() => notifications.emit('error', err))
+    return notifications
+  }
+  shared.subscribers.add(notifications)
+  if (shared.connected && shared.state === 'connected') {
+    // Joined a connection that is already up, after its listeners are attached
+    setImmediate(() => shared.subscribers.has(notifications) && notifications.emit('connect'))
   }
 
-  return notifications;
-};
+  let closed = false
+  Object.defineProperty(notifications, 'state', {
+    get: () => closed ? 'disconnected' : shared.state
+  })
+
+  // Closing it, or any event built on it, unsubscribes it
+  notifications.on('close', () => {
+    if (closed) {
+      return
+    }
+    release(shared, notifications)
+      .catch((err) => logger.warn('Failed to stop notification connection: ' + err.message, { error: err }))
+      .then(() => notifications.emit('closed'))
+    closed = true
+  })
+
+  return notifications
+}
+
+// Resolves once every connection being stopped is, whether or not that succeeded.
+exports.stopped = function () {
+  return Promise.all(Array.from(stopping, (stopped) => stopped.catch(() => {}))).then(() => {})
+}
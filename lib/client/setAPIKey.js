@@ -1,7 +1,5 @@
 const options = require('../options.js')
 
-exports.required = ['apiKey']
-
 // Docs
 /**
  * 🔑 Sign in with an API key.
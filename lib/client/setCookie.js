@@ -1,9 +1,6 @@
 const options = require('../options.js')
 const getAuthenticatedUser = require('../util/getAuthenticatedUser.js').func
 
-exports.required = ['cookie']
-exports.optional = ['validate']
-
 // Docs
 /**
  * 🔑 Sign in with a cookie.
@@ -24,11 +21,7 @@ exports.func = async function (args) {
     options.jar.session = args.cookie
     return false
   }
-  try {
-    const res = await getAuthenticatedUser({ jar: { session: args.cookie } })
-    options.jar.session = args.cookie
-    return res
-  } catch (error) {
-    throw new Error(error)
-  }
+  const res = await getAuthenticatedUser({ jar: { session: args.cookie } })
+  options.jar.session = args.cookie
+  return res
 }
@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['universeId', 'datastoreName', 'entryKey']
-exports.optional = ['scope', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -51,10 +48,10 @@ function deleteDatastoreEntry (universeId, datastoreName, entryKey, scope = 'glo
           try {
             body = isAnObject(JSON.parse(res.body)) ? JSON.parse(res.body) : {}
           } catch (error) {
-            reject(new Error(`${res.statusCode} ${res.statusMessage}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${res.statusMessage}`))
           }
 
-          reject(new Error(`${res.statusCode} ${body.error} ${body.message}`))
+          reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${body.error} ${body.message}`))
         }
       })
       .catch(error => reject(error))
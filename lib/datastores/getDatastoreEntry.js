@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['universeId', 'datastoreName', 'entryKey']
-exports.optional = ['scope', 'versionId', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -83,10 +80,10 @@ function getDatastoreEntry (universeId, datastoreName, entryKey, scope = 'global
           try {
             body = isAnObject(JSON.parse(res.body)) ? JSON.parse(res.body) : {}
           } catch (error) {
-            reject(new Error(`${res.statusCode} ${res.statusMessage}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${res.statusMessage}`))
           }
 
-          reject(new Error(`${res.statusCode} ${body.error} ${body.message}`))
+          reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${body.error} ${body.message}`))
         }
       })
       .catch(error => reject(error))
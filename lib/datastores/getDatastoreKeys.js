@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['universeId', 'datastoreName']
-exports.optional = ['scope', 'prefix', 'limit', 'cursor', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -58,10 +55,10 @@ function getDatastoreKeys (universeId, datastoreName, scope = 'global', prefix,
           try {
             body = isAnObject(JSON.parse(res.body)) ? JSON.parse(res.body) : {}
           } catch (error) {
-            reject(new Error(`${res.statusCode} ${res.statusMessage}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${res.statusMessage}`))
           }
 
-          reject(new Error(`${res.statusCode} ${body.error} ${body.message}`))
+          reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${body.error} ${body.message}`))
         }
       })
       .catch(error => reject(error))
@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['universeId']
-exports.optional = ['prefix', 'limit', 'cursor', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -57,10 +54,10 @@ function getDatastores (universeId, prefix, limit, cursor, jar) {
           try {
             body = isAnObject(JSON.parse(res.body)) ? JSON.parse(res.body) : {}
           } catch (error) {
-            reject(new Error(`${res.statusCode} ${res.statusMessage}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${res.statusMessage}`))
           }
 
-          reject(new Error(`${res.statusCode} ${body.error} ${body.message}`))
+          reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${body.error} ${body.message}`))
         }
       })
       .catch(error => reject(error))
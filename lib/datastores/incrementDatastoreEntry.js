@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const crypto = require('crypto')
-
-// Args
-exports.required = ['universeId', 'datastoreName', 'entryKey', 'incrementBy']
-exports.optional = ['scope', 'robloxEntryUserIDs', 'robloxEntryAttributes', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -78,10 +75,10 @@ function incrementDatastoreEntry (universeId, datastoreName, entryKey, increment
           try {
             body = isAnObject(JSON.parse(res.body)) ? JSON.parse(res.body) : {}
           } catch (error) {
-            reject(new Error(`${res.statusCode} ${res.statusMessage}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${res.statusMessage}`))
           }
 
-          reject(new Error(`${res.statusCode} ${body.error} ${body.message}`))
+          reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${body.error} ${body.message}`))
         }
       })
       .catch(error => reject(error))
@@ -1,8 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['userId', 'assetId']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -25,15 +23,16 @@ function canManage (userId, assetId) {
       resolveWithFullResponse: true
     }
   })
-    .then(function ({ statusCode, body }) {
+    .then(function (res) {
+      const { statusCode, body } = res
       const { Success: success, CanManage: canManage, ErrorMessage: error } = JSON.parse(body)
       if (success) {
         return canManage
       } else {
         if (error) {
-          throw new Error(`${error} | userId: ${userId}, assetId: ${assetId}`)
+          throw RobloxAPIError.fromResponse(res, `${error} | userId: ${userId}, assetId: ${assetId}`)
         } else {
-          throw new Error(`An unknown error occurred with canManage() | [${statusCode}] userId: ${userId}, assetId: ${assetId}`)
+          throw RobloxAPIError.fromResponse(res, `An unknown error occurred with canManage() | [${statusCode}] userId: ${userId}, assetId: ${assetId}`)
         }
       }
     })
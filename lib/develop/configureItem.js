@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-// Args
-exports.required = ['id', 'name', 'description']
-exports.optional = ['enableComments', 'sellForRobux', 'genreSelection', 'jar']
+const { RobloxAPIError, ValidationError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -56,9 +53,9 @@ function configure (jar, token, id, name, description, enableComments, sellForRo
       return response
     } else {
       if (json.errors[0].code === 13) { // "Only a marketplace asset can be updated with IsCopyingAllowed."
-        throw new Error('Attempting to make a sellable asset copyable; it must be sold for robux. (Use a number for sellForRobux.)')
+        throw new ValidationError('Attempting to make a sellable asset copyable; it must be sold for robux. (Use a number for sellForRobux.)', { body: json, argument: 'sellForRobux' })
       }
-      throw new Error(json.errors[0].message)
+      throw new RobloxAPIError(json.errors[0].message, { body: json })
     }
   })
 }
@@ -104,12 +101,12 @@ function configureRobux (args) {
             if (!err.errors) {
               return configure(args.jar, args.token, args.id, args.name, args.description, args.enableComments, args.sellForRobux, args.genreSelection, args.sellForRobux)
             } else {
-              throw new Error(json.errors[0].message)
+              throw new RobloxAPIError(json.errors[0].message, { body: json })
             }
           })
         } else if (json.errors[0].code === 3) { // "Cannot release the associated asset type" - caused by copyable asset using sellForRobux: 2 or greater
           // Throw an error as the developer may have intended to sell the asset for robux instead of making it free.
-          throw new Error('Attempting to sell a copyable asset for robux; it can only be made free. (Use true for sellForRobux.)')
+          throw new ValidationError('Attempting to sell a copyable asset for robux; it can only be made free. (Use true for sellForRobux.)', { argument: 'sellForRobux' })
         } else if (json.errors[0].code === 20) { // "Cannot set the associated asset type to remove-from-release" - caused by copyable asset using sellForRobux: 0
           // Continue and ignore the error as the intended outcome makes the asset private; set sellForRobux from 0 to false
           return configure(args.jar, args.token, args.id, args.name, args.description, args.enableComments, args.sellForRobux, args.genreSelection, !!args.sellForRobux)
@@ -130,11 +127,11 @@ function configureRobux (args) {
               resolveWithFullResponse: true
             }
           }).then((response) => {
-            if (!response.ok) throw new Error(response.body)
+            if (response.statusCode !== 200) throw RobloxAPIError.fromResponse(response)
 
             const { collectibleItemId, price } = JSON.parse(response.body)
 
-            if (!collectibleItemId) throw new Error(`The publishing fee for asset ${args.id} has not been paid, you must do this in order to change or set the price.`)
+            if (!collectibleItemId) throw RobloxAPIError.fromResponse(response, `The publishing fee for asset ${args.id} has not been paid, you must do this in order to change or set the price.`)
 
             return http({
               url: `//itemconfiguration.roblox.com/v1/collectibles/${collectibleItemId}`,
@@ -159,7 +156,7 @@ function configureRobux (args) {
                 resolveWithFullResponse: true
               }
             }).then((response) => {
-              if (!response.ok) throw new Error(response.body)
+              if (response.statusCode !== 200) throw RobloxAPIError.fromResponse(response)
 
               return {
                 name: args.name,
@@ -171,9 +168,9 @@ function configureRobux (args) {
             })
           })
         } else if (json.errors[0].code === 40) { // "Use collecibles publishing endpoint." - Publishing fee has not been paid for this asset
-          throw new Error(`The publishing fee for asset ${args.id} has not been paid, you must pay the fee before setting or updating the price.`)
+          throw new RobloxAPIError(`The publishing fee for asset ${args.id} has not been paid, you must pay the fee before setting or updating the price.`, { body: json })
         }
-        throw new Error(`An unknown error occurred: [${json.errors[0].code}] ${json.errors[0].message}`)
+        throw new RobloxAPIError(`An unknown error occurred: [${json.errors[0].code}] ${json.errors[0].message}`, { body: json })
       }
     })
 }
@@ -186,7 +183,7 @@ function runWithToken (args) {
     .then(function (token) {
       if (typeof (args.sellForRobux) === 'number') {
         if (args.sellForRobux < 2 && args.sellForRobux !== 0) {
-          throw new Error('Assets cannot be sold for less than 2R.')
+          throw new ValidationError('Assets cannot be sold for less than 2R.', { argument: 'sellForRobux' })
         }
         args.token = token
         return configureRobux(args)
@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-// Args
-exports.required = ['universeId', 'settings']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -33,13 +30,14 @@ function updateUniverse (universeId, settings, jar, token) {
         json: settings,
         resolveWithFullResponse: true
       }
-    }).then(({ statusCode, body }) => {
+    }).then((res) => {
+      const { statusCode, body } = res
       if (statusCode === 200) {
         resolve(body)
       } else if (body && body.errors) {
-        reject(new Error(`[${statusCode}] ${body.errors[0].message} | universeId: ${universeId}, settings: ${JSON.stringify(settings)} ${body.errors.field ? ` | ${body.errors.field} is incorrect` : ''}`))
+        reject(RobloxAPIError.fromResponse(res, `[${statusCode}] ${body.errors[0].message} | universeId: ${universeId}, settings: ${JSON.stringify(settings)} ${body.errors.field ? ` | ${body.errors.field} is incorrect` : ''}`))
       } else {
-        reject(new Error(`An unknown error occurred with updateUniverse() | [${statusCode}] universeId: ${universeId}, settings: ${JSON.stringify(settings)}`))
+        reject(RobloxAPIError.fromResponse(res, `An unknown error occurred with updateUniverse() | [${statusCode}] universeId: ${universeId}, settings: ${JSON.stringify(settings)}`))
       }
     }).catch(reject)
   })
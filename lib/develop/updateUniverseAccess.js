@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-// Args
-exports.required = ['universeId', 'isPublic']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -35,13 +32,14 @@ function updateUniverseAccess (universeId, isPublic, jar, token) {
         },
         resolveWithFullResponse: true
       }
-    }).then(({ statusCode, body }) => {
+    }).then((res) => {
+      const { statusCode, body } = res
       if (statusCode === 200) {
         resolve()
       } else if (body && body.errors) {
-        reject(new Error(`[${statusCode}] ${body.errors[0].message} | universeId: ${universeId}, isPublic: ${isPublic} ${body.errors.field ? ` | ${body.errors.field} is incorrect` : ''}`))
+        reject(RobloxAPIError.fromResponse(res, `[${statusCode}] ${body.errors[0].message} | universeId: ${universeId}, isPublic: ${isPublic} ${body.errors.field ? ` | ${body.errors.field} is incorrect` : ''}`))
       } else {
-        reject(new Error(`An unknown error occurred with updateUniverseAccess() | [${statusCode}] universeId: ${universeId}, isPublic: ${isPublic}`))
+        reject(RobloxAPIError.fromResponse(res, `An unknown error occurred with updateUniverseAccess() | [${statusCode}] universeId: ${universeId}, isPublic: ${isPublic}`))
       }
     }).catch(error => reject(error))
   })
@@ -2,10 +2,7 @@
 const http = require('../util/http.js').func
 const getProductInfo = require('../asset/getProductInfo.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-// Args
-exports.required = [['asset', 'product']]
-exports.optional = ['price', 'jar']
+const { RobloxAPIError, ValidationError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -26,19 +23,19 @@ function buy (jar, token, product, price) {
   if (price) {
     if (typeof price === 'number') {
       if (robux !== price) {
-        throw new Error('Price requirement not met. Requested price: ' + price + ' Actual price: ' + robux)
+        throw new ValidationError('Price requirement not met. Requested price: ' + price + ' Actual price: ' + robux, { argument: 'price' })
       }
     } else if (typeof price === 'object') {
       const high = price.high
       const low = price.low
       if (high) {
         if (robux > high) {
-          throw new Error('Price requirement not met. Requested price: <=' + high + ' Actual price: ' + robux)
+          throw new ValidationError('Price requirement not met. Requested price: <=' + high + ' Actual price: ' + robux, { argument: 'price' })
         }
       }
       if (low) {
         if (robux < low) {
-          throw new Error('Price requirement not met. Requested price: >=' + low + ' Actual price: ' + robux)
+          throw new ValidationError('Price requirement not met. Requested price: >=' + low + ' Actual price: ' + robux, { argument: 'price' })
         }
       }
     }
@@ -69,7 +66,7 @@ function buy (jar, token, product, price) {
       if (!err) {
         return { productId, price: robux }
       } else {
-        throw new Error(err)
+        throw new RobloxAPIError(err, { body: json })
       }
     })
 }
@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['group']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -26,14 +23,15 @@ function getGroupFunds (group, jar) {
       resolveWithFullResponse: true
     }
   })
-    .then(({ statusCode, body }) => {
+    .then((res) => {
+      const { statusCode, body } = res
       const { robux, errors } = JSON.parse(body)
       if (statusCode === 200) {
         return robux
       } else if (statusCode === 400 || statusCode === 403) {
-        throw new Error(`${errors[0].message} | groupId: ${group}`)
+        throw RobloxAPIError.fromResponse(res, `${errors[0].message} | groupId: ${group}`)
       } else {
-        throw new Error(`An unknown error occurred with getGroupFunds() | [${statusCode}] groupId: ${group}`)
+        throw RobloxAPIError.fromResponse(res, `An unknown error occurred with getGroupFunds() | [${statusCode}] groupId: ${group}`)
       }
     })
 }
@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['groupId']
-exports.optional = ['timeFrame', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -27,18 +24,19 @@ function getGroupRevenueSummary (group, timeFrame, jar) {
       resolveWithFullResponse: true
     }
   })
-    .then(({ statusCode, body }) => {
+    .then((res) => {
+      const { statusCode, body } = res
       const { errors } = JSON.parse(body)
       if (statusCode === 200) {
         return JSON.parse(body)
       } else if (statusCode === 400) {
-        throw new Error(`${errors[0].message} | group: ${group}, timeFrame: ${timeFrame}`)
+        throw RobloxAPIError.fromResponse(res, `${errors[0].message} | group: ${group}, timeFrame: ${timeFrame}`)
       } else if (statusCode === 401) {
-        throw new Error(`${errors[0].message} (Are you logged in?) | group: ${group}, timeFrame: ${timeFrame}`)
+        throw RobloxAPIError.fromResponse(res, `${errors[0].message} (Are you logged in?) | group: ${group}, timeFrame: ${timeFrame}`)
       } else if (statusCode === 403) {
-        throw new Error('Insufficient permissions: "Spend group funds" role permissions required')
+        throw RobloxAPIError.fromResponse(res, 'Insufficient permissions: "Spend group funds" role permissions required')
       } else {
-        throw new Error(`An unknown error occurred with getGroupRevenueSummary() | [${statusCode}] group: ${group}, timeFrame: ${timeFrame}`)
+        throw RobloxAPIError.fromResponse(res, `An unknown error occurred with getGroupRevenueSummary() | [${statusCode}] group: ${group}, timeFrame: ${timeFrame}`)
       }
     })
 }
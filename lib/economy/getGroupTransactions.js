@@ -1,7 +1,8 @@
 const getPageResults = require('../util/getPageResults.js').func
+const getPage = require('../util/getPageResults.js').page
 
-exports.required = ['group']
-exports.optional = ['transactionType', 'limit', 'sortOrder', 'jar']
+// Scheduling
+exports.priority = 'low'
 
 // Docs
 /**
@@ -19,8 +20,8 @@ exports.optional = ['transactionType', 'limit', 'sortOrder', 'jar']
 **/
 
 // Define
-exports.func = function (args) {
-  return getPageResults({
+function getOptions (args) {
+  return {
     jar: args.jar,
     url: `//economy.roblox.com/v2/groups/${args.group}/transactions`,
     query: {
@@ -28,5 +29,14 @@ exports.func = function (args) {
     },
     sortOrder: args.sortOrder || 'Asc',
     limit: args.limit
-  })
+  }
+}
+
+exports.func = function (args) {
+  return getPageResults(getOptions(args))
+}
+
+// Pagination
+exports.page = function (args) {
+  return getPage({ ...getOptions(args), cursor: args.cursor })
 }
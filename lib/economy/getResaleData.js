@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http').func
-
-// Args
-exports.required = ['assetId']
-exports.optional = ['jar']
+const { RobloxAPIError, ValidationError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -23,7 +20,8 @@ const getResaleData = async (assetId) => {
     options: {
       resolveWithFullResponse: true
     }
-  }).then(({ body, statusCode }) => {
+  }).then((res) => {
+    const { body, statusCode } = res
     const { errors } = JSON.parse(body)
     if (statusCode === 200) {
       try {
@@ -36,19 +34,19 @@ const getResaleData = async (assetId) => {
         }
         return resaleData
       } catch (err) {
-        throw new Error(`An unknown error occurred with getResaleData() | [${statusCode}] assetId: ${assetId}`)
+        throw RobloxAPIError.fromResponse(res, `An unknown error occurred with getResaleData() | [${statusCode}] assetId: ${assetId}`)
       }
     } else if (statusCode === 400) {
-      throw new Error(`${errors[0].message} | assetId: ${assetId}`)
+      throw RobloxAPIError.fromResponse(res, `${errors[0].message} | assetId: ${assetId}`)
     } else {
-      throw new Error(`An unknown error occurred with getResaleData() | [${statusCode}] assetId: ${assetId}`)
+      throw RobloxAPIError.fromResponse(res, `An unknown error occurred with getResaleData() | [${statusCode}] assetId: ${assetId}`)
     }
   })
 }
 
 exports.func = function ({ assetId }) {
   if (isNaN(assetId)) {
-    throw new Error('The provided assetId is not a number.')
+    throw new ValidationError('The provided assetId is not a number.', { argument: 'assetId' })
   }
   return getResaleData(assetId)
 }
@@ -1,9 +1,6 @@
 // Includes
 const getPageResults = require('../util/getPageResults.js').func
-
-// Args
-exports.required = ['assetId']
-exports.optional = ['limit', 'jar']
+const { ValidationError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -29,7 +26,7 @@ const getResellers = async (assetId, limit, jar) => {
 
 exports.func = function ({ assetId, limit, jar }) {
   if (isNaN(assetId)) {
-    throw new Error('The provided assetId ID is not a number.')
+    throw new ValidationError('The provided assetId ID is not a number.', { argument: 'assetId' })
   }
   return getResellers(assetId, limit, jar)
 }
@@ -1,13 +1,10 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['userId']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
- * 🔓 Gets the amount of robux for the authenticated user.
+ * 🔐 Gets the amount of robux for the authenticated user.
  * @category User
  * @param {number} userId - Must match the userId of the authenticated user
  * @alias getUserFunds
@@ -27,14 +24,15 @@ function getUserFunds (userId, jar) {
       resolveWithFullResponse: true
     }
   })
-    .then(({ statusCode, body }) => {
+    .then((res) => {
+      const { statusCode, body } = res
       const { robux, errors } = JSON.parse(body)
       if (statusCode === 200) {
         return robux
       } else if (statusCode === 400 || statusCode === 403) {
-        throw new Error(`${errors[0].message} | userId: ${userId}`)
+        throw RobloxAPIError.fromResponse(res, `${errors[0].message} | userId: ${userId}`)
       } else {
-        throw new Error(`An unknown error occurred with getUserFunds() | [${statusCode}] userId: ${userId}`)
+        throw RobloxAPIError.fromResponse(res, `An unknown error occurred with getUserFunds() | [${statusCode}] userId: ${userId}`)
       }
     })
 }
@@ -1,8 +1,9 @@
 const getPageResults = require('../util/getPageResults.js').func
+const getPage = require('../util/getPageResults.js').page
 const getCurrentUser = require('../util/getCurrentUser.js').func
 
-exports.required = []
-exports.optional = ['transactionType', 'limit', 'sortOrder', 'jar']
+// Scheduling
+exports.priority = 'low'
 
 // Docs
 /**
@@ -18,11 +19,10 @@ exports.optional = ['transactionType', 'limit', 'sortOrder', 'jar']
  * let transactions = await noblox.getUserTransactions("Sale", 10)
 **/
 
-exports.func = async function (args) {
+async function getOptions (args) {
   const jar = args.jar
   const currentUser = await getCurrentUser({ jar })
-  // return getTransactions(currentUser.UserID, transactionType, limit, cursor)
-  return getPageResults({
+  return {
     jar: args.jar,
     url: `//economy.roblox.com/v2/users/${currentUser.UserID}/transactions`,
     query: {
@@ -30,5 +30,14 @@ exports.func = async function (args) {
     },
     sortOrder: args.sortOrder || 'Asc',
     limit: args.limit
-  })
+  }
+}
+
+exports.func = async function (args) {
+  return getPageResults(await getOptions(args))
+}
+
+// Pagination
+exports.page = async function (args) {
+  return getPage({ ...await getOptions(args), cursor: args.cursor })
 }
@@ -1,19 +1,14 @@
 // Includes
 const shortPoll = require('../util/shortPoll.js').func
 const getGroupTransactions = require('./getGroupTransactions.js').func
-
-// Args
-exports.required = ['groupId', 'transactionType']
-exports.optional = ['jar']
+const { dedupe, getSecond } = require('../internal/dedupe.js')
 
 // Docs
 /**
  * 🔐 An event for when a group transaction is made, for example a purchase. This event has a rate of one request per 60
  * sec, which is more than the typical 10 seconds. This is due to the unusually low rate limit on the transactions
- * endpoint.
- *
- * Note: The `created` field returned by this event will always have 0 milliseconds. This is due to a quirk on Roblox's side:
- * These millisecond values fluctuate, meaning the event can misfire. Removing them avoids this problem.
+ * endpoint. Every transaction is emitted once, even though Roblox varies the milliseconds of its `created` date between
+ * requests.
  * @category Group
  * @alias onGroupTransaction
  * @param {number} groupId - The id of the group.
@@ -32,42 +27,21 @@ exports.optional = ['jar']
 
 // Define
 exports.func = function (args) {
-  let empty = true
   return shortPoll({
     getLatest: function (latest) {
-      return getGroupTransactions({ group: args.groupId, jar: args.jar, transactionType: args.transactionType })
+      // The newest page is enough to poll, as transactions are listed newest first
+      return getGroupTransactions({ group: args.groupId, jar: args.jar, transactionType: args.transactionType, limit: 100 })
         .then(function (transactions) {
-          const given = []
-          // This method works much in the same way as onAuditLog. We remove some of the precision from transaction dates
-          // Because Roblox has a habit of being imprecise and varying the milliseconds of a given transaction/log item
-          // across different requests - and this causes duplicate fires.
-          if (transactions) {
-            for (const key in transactions) {
-              if (Object.prototype.hasOwnProperty.call(transactions, key)) {
-                const date = transactions[key].created
-                date.setMilliseconds(0)
-
-                if (date > latest) {
-                  latest = date
-                  given.push(transactions[key])
-                }
-                empty = false
-              } else if (!empty) {
-                const date = new Date()
-                date.setMilliseconds(0)
-
-                given.push({ date })
-                latest = date
-                empty = true
-              }
-            }
-            return {
-              latest,
-              data: given
-            }
-          }
+          return dedupe(transactions, latest, (transaction) => [
+            transaction.idHash || transaction.id,
+            transaction.agent && transaction.agent.id,
+            transaction.details && transaction.details.id,
+            transaction.currency && transaction.currency.amount,
+            getSecond(transaction.created)
+          ])
         })
     },
-    delay: 'onGroupTransaction'
+    delay: 'onGroupTransaction',
+    checkpoint: `onGroupTransaction:${args.groupId}:${args.transactionType || 'Sale'}`
   })
 }
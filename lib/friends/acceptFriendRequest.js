@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-// Args
-exports.required = ['userId']
-exports.optional = ['apiUrl', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -43,10 +40,10 @@ function acceptFriendRequest (jar, token, userId, apiUrl) {
             const errors = body.errors.map((e) => {
               return e.message
             })
-            reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
           }
         } catch (err) {
-          reject(new Error(`${res.statusCode} ${res.body}`))
+          reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${res.body}`))
         }
       }
     }).catch(error => {
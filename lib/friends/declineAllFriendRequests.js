@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-// Args
-exports.required = []
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -41,7 +38,7 @@ function declineAllFriendRequests (jar, token) {
             const errors = body.errors.map((e) => {
               return e.message
             })
-            reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
           }
         }
       })
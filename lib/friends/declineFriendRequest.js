@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-// Args
-exports.required = ['userId']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -43,7 +40,7 @@ function declineFriendRequest (jar, token, userId, apiUrl) {
             const errors = body.errors.map((e) => {
               return e.message
             })
-            reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
           }
         }
       })
@@ -1,8 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['userId']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -29,7 +27,8 @@ exports.func = function (args) {
   return http(httpOpt).then(function (res) {
     if (res.statusCode === 200) { return res.body.count }
 
-    throw new Error(
+    throw RobloxAPIError.fromResponse(
+      res,
       `Failed to retrieve follower count: (${res.statusCode}) ${JSON.stringify(res.body)}`
     )
   })
@@ -1,9 +1,9 @@
 // Includes
 const http = require('../util/http.js').func
+const { RobloxAPIError } = require('../util/apiError.js')
 
-// Args
-exports.required = ['userId']
-exports.optional = ['sortOrder', 'limit', 'cursor', 'jar']
+// Scheduling
+exports.priority = 'low'
 
 // Docs
 /**
@@ -45,7 +45,7 @@ function getFollowers (jar, userId, sortOrder, limit, cursor) {
             const errors = body.errors.map((e) => {
               return e.message
             })
-            reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
           }
         }
       })
@@ -59,3 +59,6 @@ exports.func = function (args) {
   const cursor = args.cursor || ''
   return getFollowers(jar, args.userId, sortOrder, limit, cursor)
 }
+
+// Pagination
+exports.page = exports.func
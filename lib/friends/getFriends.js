@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['userId']
-exports.optional = ['apiUrl', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -38,7 +35,7 @@ function getFriends (jar, userId, apiUrl) {
             })
             resolve(response)
           } catch (error) {
-            reject(new Error('Failed to parse JSON response'))
+            reject(RobloxAPIError.fromResponse(res, 'Failed to parse JSON response'))
           }
         } else {
           let errorMessage = `HTTP ${res.statusCode}`
@@ -51,12 +48,10 @@ function getFriends (jar, userId, apiUrl) {
           } catch (error) {
             errorMessage += ': Invalid JSON in error response'
           }
-          reject(new Error(errorMessage))
+          reject(RobloxAPIError.fromResponse(res, errorMessage))
         }
       })
-      .catch(function (err) {
-        reject(new Error(`Request failed: ${err.message}`))
-      })
+      .catch(error => reject(error))
   })
 }
 
@@ -1,11 +1,6 @@
-// Dependencies
-const events = require("events");
-
 // Includes
 const onNotification = require("../client/onNotification.js").func;
-
-// Args
-exports.optional = ["jar"];
+const EventStream = require("../internal/eventStream.js");
 
 // Docs
 /**
@@ -32,7 +27,7 @@ exports.func = function (args) {
   if (jar && typeof jar === "function") {
     jar = jar();
   }
-  const onFriendRequest = new events.EventEmitter();
+  const onFriendRequest = new EventStream();
   try {
     const notifications = onNotification({ jar });
 
@@ -70,10 +65,6 @@ exports.func = function (args) {
       notifications.emit("close", true);
     });
 
-    onFriendRequest.close = function () {
-      notifications.emit("close", false);
-    };
-
     return onFriendRequest;
   } catch (err) {
     onFriendRequest.emit("error", err);
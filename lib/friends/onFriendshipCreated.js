@@ -1,11 +1,6 @@
-// Dependencies
-const events = require('events')
-
 // Includes
 const onNotification = require('../client/onNotification.js').func
-
-// Args
-exports.optional = ['jar']
+const EventStream = require('../internal/eventStream.js')
 
 // Docs
 /**
@@ -32,7 +27,7 @@ exports.func = function (args) {
   if (jar && typeof jar === 'function') {
     jar = jar()
   }
-  const onFriendshipCreated = new events.EventEmitter()
+  const onFriendshipCreated = new EventStream()
   const notifications = onNotification({ jar })
   notifications.on('data', function (name, message) {
     if (name === 'FriendshipNotifications' && message.Type === 'FriendshipCreated') {
@@ -59,9 +54,5 @@ exports.func = function (args) {
     onFriendshipCreated.emit('closed')
   })
 
-  onFriendshipCreated.close = function () {
-    notifications.emit('close', false)
-  }
-
   return onFriendshipCreated
 }
@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-// Args
-exports.required = ['userId']
-exports.optional = ['apiUrl', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -40,17 +37,17 @@ function removeFriend (jar, token, userId, apiUrl) {
       } else {
         try {
           if (res.body.includes('error code')) {
-            return reject(new Error(res.body))
+            return reject(RobloxAPIError.fromResponse(res, res.body))
           }
           const body = JSON.parse(res.body) || {}
           if (body.errors && body.errors.length > 0) {
             const errors = body.errors.map((e) => {
               return e.message
             })
-            reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
           }
         } catch (err) {
-          reject(new Error(`${res.statusCode} ${res.body}`))
+          reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${res.body}`))
         }
       }
     }).catch(error => {
@@ -1,8 +1,6 @@
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-exports.required = ['universeId', 'name', 'priceInRobux']
-exports.optional = ['description', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -32,15 +30,16 @@ const nextFunction = (jar, token, universeId, name, priceInRobux, description) =
       resolveWithFullResponse: true
     }
   }).then(function (res) {
+    let json
     try {
-      const json = JSON.parse(res.body)
-      if (res.statusCode === 200) {
-        return json
-      }
-      throw new Error(json)
+      json = JSON.parse(res.body)
     } catch (err) {
-      throw new Error(res.body)
+      throw RobloxAPIError.fromResponse(res, res.body)
+    }
+    if (res.statusCode === 200) {
+      return json
     }
+    throw RobloxAPIError.fromResponse(res, res.body)
   })
 }
 
@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http').func
 const getGeneralToken = require('../util/getGeneralToken').func
-
-// Args
-exports.required = ['gamePassId', 'name']
-exports.optional = ['description', 'price', 'icon', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -63,9 +60,9 @@ function configureGamePass (gamePassId, name, description, price, icon, jar, tok
       } else {
         const priceComment = (typeof (price) === 'number') ? ` | NOTE: Price has successfully been changed to ${price}R.` : ''
         if (res.statusCode === 403) {
-          reject(new Error(`You do not have permission to edit this game pass.${priceComment}`))
+          reject(RobloxAPIError.fromResponse(res, `You do not have permission to edit this game pass.${priceComment}`))
         } else {
-          reject(new Error(`An unexpected error occurred with status code ${res.statusCode}.${priceComment}`))
+          reject(RobloxAPIError.fromResponse(res, `An unexpected error occurred with status code ${res.statusCode}.${priceComment}`))
         }
       }
     }).catch(error => reject(error))
@@ -106,9 +103,9 @@ function configureRobux (args, token) {
       )
     } else {
       if (res.statusCode === 403) {
-        throw new Error('You do not have permission to edit this game pass.')
+        throw RobloxAPIError.fromResponse(res, 'You do not have permission to edit this game pass.')
       } else {
-        throw new Error(res.body.errors || 'An unknown error occurred with status code ' + res.statusCode)
+        throw RobloxAPIError.fromResponse(res, res.body.errors || 'An unknown error occurred with status code ' + res.statusCode)
       }
     }
   })
@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['placeId']
-exports.optional = ['page', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -35,9 +32,9 @@ function getDeveloperProducts (jar, placeId, page) {
             const errors = body.errors.map((e) => {
               return e.message
             })
-            reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
           } else {
-            reject(new Error(`${res.statusCode} An error has occurred ${res.body ? res.body : ''}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} An error has occurred ${res.body ? res.body : ''}`))
           }
         }
       })
@@ -1,10 +1,6 @@
 // Includes
 const getPageResults = require('../util/getPageResults.js').func
 
-// Args
-exports.required = ['placeId']
-exports.optional = ['serverType', 'sortOrder', 'limit', 'jar']
-
 // Docs
 /**
  * 🔓 Get the servers in a game.
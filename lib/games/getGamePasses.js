@@ -1,9 +1,6 @@
 // Includes
 const getPageResults = require('../util/getPageResults.js').func
-
-// Args
-exports.required = ['universeId']
-exports.optional = ['limit']
+const { ValidationError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -33,7 +30,7 @@ const getGamePasses = async (universeId, limit) => {
 
 exports.func = function ({ universeId, limit }) {
   if (isNaN(universeId)) {
-    throw new Error('The provided universe ID is not a number.')
+    throw new ValidationError('The provided universe ID is not a number.', { argument: 'universeId' })
   }
   return getGamePasses(universeId, limit)
 }
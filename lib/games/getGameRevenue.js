@@ -1,8 +1,6 @@
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-exports.required = ['placeId', 'type', 'granularity']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 /**
  * 🔐 Get the Game Revenue data.
@@ -32,9 +30,9 @@ function getGameRevenue (placeId, type, granularity, jar, token) {
     return http(httpOpt)
       .then(function (res) {
         if (res.statusCode === 200) resolve(JSON.parse(res.body))
-        else if (res.statusCode === 401) reject(new Error('You are not logged in.'))
-        else if (res.statusCode === 403) reject(new Error('You do not have permission to view this game.'))
-        else reject(new Error('An unknown error occurred.'))
+        else if (res.statusCode === 401) reject(RobloxAPIError.fromResponse(res, 'You are not logged in.'))
+        else if (res.statusCode === 403) reject(RobloxAPIError.fromResponse(res, 'You do not have permission to view this game.'))
+        else reject(RobloxAPIError.fromResponse(res, 'An unknown error occurred.'))
       })
       .catch(function (err) { reject(err) })
   })
@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['universeId']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -26,16 +23,17 @@ function getGameSocialLinks (universeId, jar) {
       resolveWithFullResponse: true
     }
   })
-    .then(({ statusCode, body }) => {
+    .then((res) => {
+      const { statusCode, body } = res
       const { errors, data } = JSON.parse(body)
       if (statusCode === 200 && data) {
         return data
       } else if (statusCode === 400 || statusCode === 403 || statusCode === 404) {
-        throw new Error(`${errors[0].message} | universeId: ${universeId}`)
+        throw RobloxAPIError.fromResponse(res, `${errors[0].message} | universeId: ${universeId}`)
       } else if (statusCode === 401) {
-        throw new Error(`${errors[0].message} (Are you logged in?) | universeId: ${universeId}`)
+        throw RobloxAPIError.fromResponse(res, `${errors[0].message} (Are you logged in?) | universeId: ${universeId}`)
       } else {
-        throw new Error(`An unknown error occurred with getGameSocialLinks() | [${statusCode}] universeId: ${universeId}`)
+        throw RobloxAPIError.fromResponse(res, `An unknown error occurred with getGameSocialLinks() | [${statusCode}] universeId: ${universeId}`)
       }
     })
 }
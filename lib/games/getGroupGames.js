@@ -1,10 +1,6 @@
 // Includes
 const getPageResults = require('../util/getPageResults.js').func
 
-// Args
-exports.required = ['groupId']
-exports.optional = ['accessFilter', 'sortOrder', 'limit']
-
 // Docs
 /**
  * ✅ Get a group's games.
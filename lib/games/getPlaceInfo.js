@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['placeId']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -31,13 +28,14 @@ function getPlaceInfo (placeIds, jar) {
     }
 
     return http(httpOpt)
-      .then(function ({ statusCode, body }) {
+      .then(function (res) {
+        const { statusCode, body } = res
         if (statusCode === 200) {
           resolve(body)
         } else if (body && body.errors) {
-          reject(new Error(`[${statusCode}] ${body.errors[0].message} | placeIds: ${placeIds.join(',')} ${body.errors.field ? ` | ${body.errors.field} is incorrect` : ''}`))
+          reject(RobloxAPIError.fromResponse(res, `[${statusCode}] ${body.errors[0].message} | placeIds: ${placeIds.join(',')} ${body.errors.field ? ` | ${body.errors.field} is incorrect` : ''}`))
         } else {
-          reject(new Error(`An unknown error occurred with getPlaceInfo() | [${statusCode}] placeIds: ${placeIds.join(',')}`))
+          reject(RobloxAPIError.fromResponse(res, `An unknown error occurred with getPlaceInfo() | [${statusCode}] placeIds: ${placeIds.join(',')}`))
         }
       }).catch(reject)
   })
@@ -1,7 +1,5 @@
 const http = require('../util/http.js').func
-
-exports.required = ['universeId']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -29,7 +27,8 @@ function getUniverseInfo (universeIds, jar) {
     }
 
     return http(httpOpt)
-      .then(function ({ statusCode, body }) {
+      .then(function (res) {
+        const { statusCode, body } = res
         if (statusCode === 200) {
           resolve(body.data.map((universe) => {
             universe.created = new Date(universe.created)
@@ -38,9 +37,9 @@ function getUniverseInfo (universeIds, jar) {
             return universe
           }))
         } else if (body && body.errors) {
-          reject(new Error(`[${statusCode}] ${body.errors[0].message} | universeIds: ${universeIds.join(',')} ${body.errors.field ? ` | ${body.errors.field} is incorrect` : ''}`))
+          reject(RobloxAPIError.fromResponse(res, `[${statusCode}] ${body.errors[0].message} | universeIds: ${universeIds.join(',')} ${body.errors.field ? ` | ${body.errors.field} is incorrect` : ''}`))
         } else {
-          reject(new Error(`An unknown error occurred with getUniverseInfo() | [${statusCode}] universeIds: ${universeIds.join(',')}`))
+          reject(RobloxAPIError.fromResponse(res, `An unknown error occurred with getUniverseInfo() | [${statusCode}] universeIds: ${universeIds.join(',')}`))
         }
       }).catch(reject)
   })
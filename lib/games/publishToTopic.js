@@ -1,13 +1,11 @@
 const http = require('../util/http.js').func
-
-exports.required = ['universeId', 'topic', 'data']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
  * ☁️ Publish a message to a subscribed topic.
  * @category Game
- * @alias postToTopic
+ * @alias publishToTopic
  * @param {number} universeId - The id of the universe.
  * @param {string} topic - The name of the topic.
  * @param {Object | string} data - The data to post.
@@ -40,10 +38,10 @@ function publishToTopic (universeId, topic, data, jar) {
           resolve(true)
         } else {
           if (typeof (res.body) === 'string') {
-            reject(new Error(`[${res.statusCode}] ${res.statusMessage} ${res.body}`))
+            reject(RobloxAPIError.fromResponse(res, `[${res.statusCode}] ${res.statusMessage} ${res.body}`))
           } else {
             const data = Object.assign(res.body)
-            reject(new Error(`[${res.statusCode}] ${data.Error} ${data.Message}`))
+            reject(RobloxAPIError.fromResponse(res, `[${res.statusCode}] ${data.Error} ${data.Message}`))
           }
         }
       })
@@ -1,8 +1,6 @@
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-exports.required = ['universeId', 'productId', 'priceInRobux']
-exports.optional = ['name', 'description', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -37,17 +35,18 @@ function updateDeveloperProduct (universeId, productId, priceInRobux, name, desc
         },
         resolveWithFullResponse: true
       }
-    }).then(({ statusCode, body }) => {
+    }).then((res) => {
+      const { statusCode, body } = res
       if (statusCode === 200) {
         resolve(body)
       } else if (body && body.errors) {
-        reject(new Error(`[${statusCode}] ${body.errors[0].message} | universeId: ${universeId}, body: ${JSON.stringify({
+        reject(RobloxAPIError.fromResponse(res, `[${statusCode}] ${body.errors[0].message} | universeId: ${universeId}, body: ${JSON.stringify({
           Name: name,
           Description: description,
           PriceInRobux: priceInRobux
         })}`))
       } else {
-        reject(new Error(`An unknown error occurred with updateDeveloperProduct() | [${statusCode}] universeId: ${universeId}, body: ${JSON.stringify({
+        reject(RobloxAPIError.fromResponse(res, `An unknown error occurred with updateDeveloperProduct() | [${statusCode}] universeId: ${universeId}, body: ${JSON.stringify({
           Name: name,
           Description: description,
           PriceInRobux: priceInRobux
@@ -2,10 +2,10 @@
 const setRank = require('./setRank.js').func
 const getRoles = require('./getRoles.js').func
 const getRankNameInGroup = require('./getRankNameInGroup.js').func
+const { NotFoundError, ValidationError } = require('../util/apiError.js')
 
-// Args
-exports.required = ['group', 'target', 'change']
-exports.optional = ['jar']
+// Scheduling
+exports.priority = 'high'
 
 // Docs
 /**
@@ -30,7 +30,7 @@ exports.func = function (args) {
   return getRankNameInGroup({ group, userId: target })
     .then(function (rank) {
       if (rank === 'Guest') {
-        throw new Error('Target user is not in group')
+        throw new NotFoundError('Target user is not in group')
       }
       return getRoles({ group })
         .then(function (roles) {
@@ -43,22 +43,12 @@ exports.func = function (args) {
               const found = roles[change]
 
               if (!found) {
-                throw new Error('Rank change is out of range')
+                throw new ValidationError('Rank change is out of range', { argument: 'change' })
               } else if (found.name === 'Guest' || found.rank === 0) {
-                throw new Error('Group members cannot be demoted to guest.')
+                throw new ValidationError('Group members cannot be demoted to guest.', { argument: 'change' })
               }
 
-              return http(`https://groups.roblox.com/v1/groups/${group}/users/${target}`, {
-                method: 'PATCH',
-                credentials: 'include',
-                body: JSON.stringify({
-                  roleId: found.id
-                })
-              })
-              .then(res => res.json())
-              .catch(error => {
-                throw error;
-              })
+              return setRank({ group, target, rank: found, jar })
                 .then(function () {
                   return { newRole: found, oldRole: role }
                 })
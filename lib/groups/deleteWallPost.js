@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-// Args
-exports.required = ['group', ['postId', 'post']]
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -12,7 +9,7 @@ exports.optional = ['jar']
  * @category Group
  * @alias deleteWallPost
  * @param {number} group - The id of the group.
- * @param {number} postId - The id of the post to delete.
+ * @param {number|WallPost} postId - The id of the post to delete, or the post itself.
  * @returns {Promise<void>}
  * @example const noblox = require("noblox.js")
  * // Login using your cookie
@@ -43,7 +40,7 @@ function deleteWallPost (jar, token, group, postId) {
             const errors = body.errors.map((e) => {
               return e.message
             })
-            reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
           }
         }
       }).catch(error => reject(error))
@@ -53,12 +50,10 @@ function deleteWallPost (jar, token, group, postId) {
 exports.func = function (args) {
   const group = args.group
   const jar = args.jar
+  const post = args.postId || args.post
+  const postId = typeof post === 'object' ? post.id : post
   return getGeneralToken({ jar })
     .then(function (xcsrf) {
-      if (args.post) {
-        return deleteWallPost(jar, xcsrf, group, args.post.id)
-      } else {
-        return deleteWallPost(jar, xcsrf, group, args.postId)
-      }
+      return deleteWallPost(jar, xcsrf, group, postId)
     })
 }
@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-// Args
-exports.required = ['group', 'userId']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -41,7 +38,7 @@ function deleteWallPostsByUser (group, userId, jar, xcsrf) {
           if (responseData && responseData.errors) {
             error = responseData.errors.map((e) => e.message).join('\n')
           }
-          reject(new Error(error))
+          reject(RobloxAPIError.fromResponse(res, error))
         } else {
           resolve()
         }
@@ -1,9 +1,8 @@
 // Includes
 const changeRank = require('./changeRank.js').func
 
-// Args
-exports.required = ['group', 'target']
-exports.optional = ['jar']
+// Scheduling
+exports.priority = 'high'
 
 // Docs
 /**
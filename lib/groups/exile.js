@@ -1,10 +1,10 @@
 // Includes
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
+const { RobloxAPIError } = require('../util/apiError.js')
 
-// Args
-exports.required = ['group', 'target']
-exports.optional = ['jar']
+// Scheduling
+exports.priority = 'high'
 
 // Docs
 /**
@@ -41,7 +41,7 @@ function exileUser (group, target, jar, xcsrf) {
           if (responseData && responseData.errors) {
             error = responseData.errors.map((e) => e.message).join('\n')
           }
-          reject(new Error(error))
+          reject(RobloxAPIError.fromResponse(res, error))
         } else {
           resolve()
         }
@@ -1,8 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-exports.required = ['group']
-exports.optional = ['actionType', 'userId', 'sortOrder', 'limit', 'cursor', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -40,7 +38,7 @@ function getAuditLog (group, actionType, userId, sortOrder, limit, cursor, jar)
           if (responseData && responseData.errors) {
             error = responseData.errors.map((e) => e.message).join('\n')
           }
-          reject(new Error(error))
+          reject(RobloxAPIError.fromResponse(res, error))
         } else {
           responseData.data = responseData.data.map((entry) => {
             // We need to set milliseconds to 0 because Roblox does this fascinating thing
@@ -65,3 +63,6 @@ exports.func = function (args) {
   const cursor = args.cursor || ''
   return getAuditLog(args.group, actionType, userId, sortOrder, limit, cursor, jar)
 }
+
+// Pagination
+exports.page = exports.func
@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['groupId']
-exports.optional = []
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -43,9 +40,9 @@ function getGroup (groupId) {
             const errors = body.errors.map((e) => {
               return e.message
             })
-            reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
           } else {
-            reject(new Error(`${res.statusCode} ${res.body}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${res.body}`))
           }
         }
       }).catch(error => reject(error))
@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['groupId']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -25,16 +22,17 @@ function getGroupSocialLinks (groupId, jar) {
       resolveWithFullResponse: true
     }
   })
-    .then(({ statusCode, body }) => {
+    .then((res) => {
+      const { statusCode, body } = res
       const { errors, data } = JSON.parse(body)
       if (statusCode === 200 && data) {
         return data
       } else if (statusCode === 400 || statusCode === 403 || statusCode === 404) {
-        throw new Error(`${errors[0].message} | groupId: ${groupId}`)
+        throw RobloxAPIError.fromResponse(res, `${errors[0].message} | groupId: ${groupId}`)
       } else if (statusCode === 401) {
-        throw new Error(`${errors[0].message} (Are you logged in?) | groupId: ${groupId}`)
+        throw RobloxAPIError.fromResponse(res, `${errors[0].message} (Are you logged in?) | groupId: ${groupId}`)
       } else {
-        throw new Error(`An unknown error occurred with getGroupSocialLinks() | [${statusCode}] groupId: ${groupId}`)
+        throw RobloxAPIError.fromResponse(res, `An unknown error occurred with getGroupSocialLinks() | [${statusCode}] groupId: ${groupId}`)
       }
     })
     .catch(error => {
@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['userId']
-exports.optional = []
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -39,9 +36,9 @@ function getGroups (userId) {
           const errors = body.errors.map((e) => {
             return e.message
           })
-          reject(new Error(`${responses[0].statusCode} ${errors.join(', ')}`))
+          reject(RobloxAPIError.fromResponse(responses[0], `${responses[0].statusCode} ${errors.join(', ')}`))
         }
-        reject(new Error('The provided user ID is not valid.'))
+        reject(RobloxAPIError.fromResponse(responses[0], 'The provided user ID is not valid.'))
       }
 
       responses = responses.map(r => r.body)
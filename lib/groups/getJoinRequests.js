@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['group']
-exports.optional = ['sortOrder', 'limit', 'cursor', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -41,7 +38,7 @@ function getJoinRequests (jar, group, sortOrder, limit, cursor) {
             const errors = body.errors.map((e) => {
               return e.message
             })
-            reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
           }
         }
       })
@@ -56,3 +53,6 @@ exports.func = function (args) {
   const cursor = args.cursor || ''
   return getJoinRequests(jar, args.group, sortOrder, limit, cursor)
 }
+
+// Pagination
+exports.page = exports.func
@@ -1,9 +1,9 @@
 // Includes
 const http = require('../util/http.js').func
+const { RobloxAPIError } = require('../util/apiError.js')
 
-// Args
-exports.required = ['group', ['rolesetId']]
-exports.optional = ['sortOrder', 'limit', 'cursor', 'jar']
+// Scheduling
+exports.priority = 'low'
 
 // Docs
 /**
@@ -41,7 +41,7 @@ function getPlayersInRoleOnPage (jar, group, rolesetId, sortOrder, limit, cursor
             const errors = body.errors.map((e) => {
               return e.message
             })
-            reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
           }
         }
       }).catch(error => reject(error))
@@ -57,7 +57,7 @@ function getPlayersInRole (jar, group, rolesetId, sortOrder, limit, cursor, curr
         const nextPageCursor = pageData.nextPageCursor
         const dataArray = pageData.data
 
-        if (!dataArray) return reject(new Error('Error while retrieving players!'))
+        if (!dataArray) return reject(new RobloxAPIError('Error while retrieving players!', { body: pageData }))
 
         currentPlayers = currentPlayers.concat(dataArray)
 
@@ -87,7 +87,7 @@ async function getPlayersInRoles (jar, group, rolesetIds, sortOrder, limit, curs
         currentPlayers = currentPlayers.concat(newData)
       })
       .catch((error) => {
-        throw new Error(error)
+        throw error
       })
 
     if (limit > 0 && currentPlayers.length >= limit) {
@@ -106,3 +106,29 @@ exports.func = function (args) {
   const cursor = args.cursor || ''
   return getPlayersInRoles(jar, args.group, rolesetIds, sortOrder, limit, cursor)
 }
+
+// Pagination
+exports.page = function (args) {
+  const rolesetIds = Array.isArray(args.rolesetId) ? args.rolesetId : [args.rolesetId]
+  const multiple = rolesetIds.length > 1
+  // When iterating several roles, cursors are prefixed with the index of the role they belong to
+  let index = 0
+  let cursor = args.cursor || ''
+  if (multiple && cursor) {
+    const separator = cursor.indexOf(':')
+    index = parseInt(cursor.slice(0, separator), 10)
+    cursor = cursor.slice(separator + 1)
+  }
+  return getPlayersInRoleOnPage(args.jar, args.group, rolesetIds[index], args.sortOrder || 'Desc', args.limit, cursor)
+    .then(function (pageData) {
+      let nextPageCursor = pageData.nextPageCursor || null
+      if (multiple) {
+        if (nextPageCursor) {
+          nextPageCursor = `${index}:${nextPageCursor}`
+        } else if (index + 1 < rolesetIds.length) {
+          nextPageCursor = `${index + 1}:`
+        }
+      }
+      return { data: pageData.data || [], nextPageCursor }
+    })
+}
@@ -1,9 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const cache = require('../cache')
-
-// Args
-exports.required = ['group', 'userId']
+const { RobloxAPIError, NotFoundError, ValidationError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -24,7 +22,7 @@ function getRankInGroup (groupId, userId) {
       // It's a number in a string
       groupId = parseInt(groupId, 10)
     } else {
-      throw new Error('Group id should be a number')
+      throw new ValidationError('Group id should be a number', { argument: 'group' })
     }
   }
   return http({ url: `//groups.roblox.com/v2/users/${userId}/groups/roles`, options: { json: true } }).then((body) => {
@@ -32,9 +30,9 @@ function getRankInGroup (groupId, userId) {
 
     if (error) {
       if (error.message === 'NotFound') {
-        throw new Error('An invalid UserID or GroupID was provided.')
+        throw new NotFoundError('An invalid UserID or GroupID was provided.', { body })
       } else {
-        throw new Error(error.message)
+        throw new RobloxAPIError(error.message, { body })
       }
     }
 
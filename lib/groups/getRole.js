@@ -3,10 +3,7 @@ const entities = require('entities')
 
 // Includes
 const getRoles = require('./getRoles.js').func
-
-// Args
-exports.required = ['group', 'roleQuery']
-exports.optional = []
+const { NotFoundError, ValidationError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -44,9 +41,9 @@ function getRole (roles, roleQuery) {
     if (result.length === 1) {
       resolve(result[0])
     } else if (result.length > 1) {
-      reject(new Error(`There are two or more roles with the rank ${roleQuery}. You must specify the role name.`))
+      reject(new ValidationError(`There are two or more roles with the rank ${roleQuery}. You must specify the role name.`, { argument: 'roleQuery' }))
     } else {
-      reject(new Error('Role not found with provided query.'))
+      reject(new NotFoundError('Role not found with provided query.'))
     }
   })
 }
@@ -59,6 +56,6 @@ exports.func = function (args) {
   } else if (typeof args.group === 'object') {
     return getRole(args.group, args.roleQuery)
   } else {
-    throw new Error('Please provide a valid group or an array of roles to query.')
+    throw new ValidationError('Please provide a valid group or an array of roles to query.', { argument: 'group' })
   }
 }
@@ -1,8 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-exports.required = ['group', 'rolesetId']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -36,7 +34,7 @@ function getRolePermissions (group, rolesetId, jar) {
           if (responseData && responseData.errors) {
             error = responseData.errors.map((e) => e.message).join('\n')
           }
-          reject(new Error(error))
+          reject(RobloxAPIError.fromResponse(res, error))
         } else {
           resolve(responseData)
         }
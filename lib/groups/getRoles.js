@@ -1,9 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const cache = require('../cache')
-
-// Args
-exports.required = ['group']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -34,7 +32,7 @@ function getRoles (group) {
           if (responseData && responseData.errors) {
             error = responseData.errors.map((e) => e.message).join('\n')
           }
-          reject(new Error(error))
+          reject(RobloxAPIError.fromResponse(res, error))
         } else {
           let roles = responseData.roles
           roles = roles.sort((a, b) => a.rank - b.rank)
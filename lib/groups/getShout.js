@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['group']
-exports.optional = []
+const { RobloxAPIError, PermissionError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -32,10 +29,10 @@ function getShout (group, jar) {
       .then(function (res) {
         const responseData = JSON.parse(res.body)
         if (res.statusCode === 400) {
-          reject(new Error('The group is invalid or does not exist.'))
+          reject(RobloxAPIError.fromResponse(res, 'The group is invalid or does not exist.'))
         }
         if (responseData.shout === null) {
-          reject(new Error('You do not have permissions to view the shout for the group.'))
+          reject(new PermissionError('You do not have permissions to view the shout for the group.', res))
         } else {
           resolve(responseData.shout)
         }
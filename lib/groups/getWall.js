@@ -1,7 +1,5 @@
 const http = require('../util/http.js').func
-
-exports.required = ['group']
-exports.optional = ['sortOrder', 'limit', 'cursor', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -37,7 +35,7 @@ function getPosts (group, sortOrder, limit, cursor, jar) {
           if (responseData && responseData.errors) {
             error = responseData.errors.map((e) => e.message).join('\n')
           }
-          reject(new Error(error))
+          reject(RobloxAPIError.fromResponse(res, error))
         } else {
           responseData.data = responseData.data.map((entry) => {
             entry.created = new Date(entry.created)
@@ -57,3 +55,6 @@ exports.func = function (args) {
   const cursor = args.cursor || ''
   return getPosts(args.group, sortOrder, limit, cursor, args.jar)
 }
+
+// Pagination
+exports.page = exports.func
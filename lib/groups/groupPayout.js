@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-// Args
-exports.required = ['group', 'member', 'amount']
-exports.optional = ['recurring', 'usePercentage', 'jar']
+const { RobloxAPIError, ValidationError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -51,7 +48,7 @@ function groupPayout (jar, token, group, data, recurring, usePercentage) {
             const errors = body.errors.map((e) => {
               return e.message
             })
-            reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
           }
         }
       }).catch(error => reject(error))
@@ -75,18 +72,18 @@ exports.func = function (args) {
     member = [member]
     amount = [amount]
   } else if (!(amount instanceof Array) || member.length !== amount.length) {
-    throw new Error('If member is an array amount must be a parallel array')
+    throw new ValidationError('If member is an array amount must be a parallel array', { argument: 'amount' })
   }
   let total = 0
   for (let i = 0; i < member.length; i++) {
     const value = amount[i]
     if (usePercentage) {
       if (!isPercentage(value)) {
-        throw new Error('Percent values must be whole numbers between 0 and 100 inclusive')
+        throw new ValidationError('Percent values must be whole numbers between 0 and 100 inclusive', { argument: 'amount' })
       }
       total += value
       if (total > 100) {
-        throw new Error('Sum of percent values must be less than 100')
+        throw new ValidationError('Sum of percent values must be less than 100', { argument: 'amount' })
       }
     }
     data.push({
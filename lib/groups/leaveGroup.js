@@ -2,10 +2,7 @@
 const http = require('../util/http.js').func
 const getCurrentUser = require('../util/getCurrentUser').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-// Args
-exports.required = ['group']
-exports.optional = []
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -42,7 +39,7 @@ function leaveGroup (group, jar, xcsrf, userId) {
           if (responseData && responseData.errors) {
             error = responseData.errors.map((e) => e.message).join('\n')
           }
-          reject(new Error(error))
+          reject(RobloxAPIError.fromResponse(res, error))
         } else {
           resolve()
         }
@@ -1,10 +1,7 @@
 // Includes
 const shortPoll = require('../util/shortPoll.js').func
 const getAuditLog = require('./getAuditLog.js').func
-
-// Args
-exports.required = ['group']
-exports.optional = ['jar']
+const { dedupe, getSecond } = require('../internal/dedupe.js')
 
 // Docs
 /**
@@ -26,36 +23,20 @@ exports.optional = ['jar']
 
 // Define
 exports.func = function (args) {
-  let empty = false
   return shortPoll({
     getLatest: function (latest) {
       return getAuditLog({ group: args.group, jar: args.jar, sortOrder: 'Desc' })
         .then(function (audit) {
-          const given = []
-          if (audit) {
-            for (const key in audit.data) {
-              if (Object.prototype.hasOwnProperty.call(audit.data, key)) {
-                const date = audit.data[key].created
-
-                if (date > latest) {
-                  latest = date
-                  given.push(audit.data[key])
-                }
-                empty = false
-              } else if (!empty) {
-                const date = new Date()
-                given.push({ audit: '', author: { name: '', id: '-1' }, date })
-                latest = date
-                empty = true
-              }
-            }
-            return {
-              latest,
-              data: given
-            }
-          }
+          // Every entry is emitted once, even among entries made in the same second
+          return dedupe(audit.data, latest, (entry) => [
+            entry.actor && entry.actor.user && entry.actor.user.userId,
+            entry.actionType,
+            entry.description,
+            getSecond(entry.created)
+          ])
         })
     },
-    delay: 'onAuditLog'
+    delay: 'onAuditLog',
+    checkpoint: 'onAuditLog:' + args.group
   })
 }
@@ -4,10 +4,6 @@ const shortPoll = require('../util/shortPoll.js').func
 const getJoinRequests = require('./getJoinRequests.js').func
 const promiseTimeout = require('../internal/timeout')
 
-// Args
-exports.required = ['group']
-exports.optional = ['jar']
-
 // Docs
 /**
  * 🔐 An event for when someone makes a request to join the group.
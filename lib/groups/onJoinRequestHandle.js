@@ -5,10 +5,6 @@ const getJoinRequests = require('./getJoinRequests.js').func
 const handleJoinRequest = require('./handleJoinRequest.js').func
 const promiseTimeout = require('../internal/timeout')
 
-// Args
-exports.required = ['group']
-exports.optional = ['jar']
-
 // Docs
 /**
  * 🔐 An event for when someone is added to the join requests, which allows you to handle the join request as part of a
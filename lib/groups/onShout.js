@@ -2,10 +2,6 @@
 const shortPoll = require('../util/shortPoll.js').func
 const getShout = require('./getShout.js').func
 
-// Args
-exports.required = ['group']
-exports.optional = ['jar']
-
 // Docs
 /**
  * 🔐 An event for when the shout is changed.
@@ -51,6 +47,7 @@ exports.func = function (args) {
           }
         })
     },
-    delay: 'onShout'
+    delay: 'onShout',
+    checkpoint: 'onShout:' + args.group
   })
 }
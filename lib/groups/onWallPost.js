@@ -2,10 +2,6 @@
 const shortPoll = require('../util/shortPoll.js').func
 const getWall = require('./getWall.js').func
 
-// Args
-exports.required = ['group']
-exports.optional = ['view', 'jar']
-
 // Docs
 /**
  * 🔐 An event for when someone posts on the group wall.
@@ -52,6 +48,7 @@ exports.func = function (args) {
           }
         })
     },
-    delay: 'onWallPost'
+    delay: 'onWallPost',
+    checkpoint: 'onWallPost:' + group
   })
 }
@@ -1,10 +1,6 @@
 // Includes
 const getPageResults = require('../util/getPageResults.js').func
 
-// Args
-exports.required = ['keyword']
-exports.optional = ['prioritizeExactMatch', 'limit']
-
 // Docs
 /**
  * ✅ Searches for groups by a given search term.
@@ -2,10 +2,10 @@
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
 const getRole = require('./getRole.js').func
+const { RobloxAPIError, ValidationError } = require('../util/apiError.js')
 
-// Args
-exports.required = ['group', 'target', 'rank']
-exports.optional = ['jar']
+// Scheduling
+exports.priority = 'high'
 
 // Docs
 /**
@@ -49,7 +49,9 @@ function setRank (jar, xcsrf, group, target, role) {
             const errors = body.errors.map((e) => {
               return e.message
             })
-            reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
+          } else {
+            reject(RobloxAPIError.fromResponse(res))
           }
         }
       }).catch(error => reject(error))
@@ -74,6 +76,6 @@ exports.func = function (args) {
       return runWithToken(args)
     })
   } else {
-    throw new Error('Please provide either a Role, rank, or role name to change the user\'s rank to')
+    throw new ValidationError('Please provide either a Role, rank, or role name to change the user\'s rank to', { argument: 'rank' })
   }
 }
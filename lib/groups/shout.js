@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-// Args
-exports.required = ['group']
-exports.optional = ['message', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -46,9 +43,9 @@ function shoutOnGroup (group, message = '', jar, xcsrf) {
             const errors = body.errors.map((e) => {
               return e.message
             })
-            reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
           } else {
-            reject(new Error(`${res.statusCode} ${res.body}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${res.body}`))
           }
         }
       }).catch(error => reject(error))
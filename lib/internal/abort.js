@@ -0,0 +1,104 @@
+// Includes
+const { AbortError } = require('../util/apiError.js')
+
+// Define
+/**
+ * Get the AbortError a call aborted by `signal` rejects with.
+ * @param {AbortSignal} signal - The aborted signal.
+ * @returns {AbortError}
+ */
+function getError (signal) {
+  const reason = signal.reason
+  if (reason instanceof AbortError) {
+    return reason
+  }
+  return new AbortError('The operation was aborted', { reason })
+}
+
+/**
+ * Combine signals into one that aborts, with the same reason, as soon as any of them does.
+ * @param {...AbortSignal} signals - The signals; missing ones are skipped.
+ * @returns {{ signal: AbortSignal=, clear: function }} - The combined signal (undefined if none were given), and a
+ * function removing its listeners from the signals, to call once what it was made for is done.
+ */
+function combine (...signals) {
+  signals = signals.filter(Boolean)
+  if (signals.length <= 1) {
+    return { signal: signals[0], clear: () => {} }
+  }
+  // AbortSignal.any needs Node 20
+  const controller = new AbortController()
+  function clear () {
+    for (const signal of signals) {
+      signal.removeEventListener('abort', abort)
+    }
+  }
+  function abort () {
+    clear()
+    controller.abort(signals.find((signal) => signal.aborted).reason)
+  }
+  for (const signal of signals) {
+    if (signal.aborted) {
+      abort()
+      break
+    }
+    signal.addEventListener('abort', abort)
+  }
+  return { signal: controller.signal, clear }
+}
+
+/**
+ * Create a signal that aborts with an AbortError after `ms` milliseconds. The timer does not keep the process alive.
+ * @param {number} ms - The timeout.
+ * @param {string=} name - The name of what timed out, for the error message.
+ * @returns {{ signal: AbortSignal, clear: function }} - The signal, and a function stopping the timer.
+ */
+function timeout (ms, name = 'The operation') {
+  const controller = new AbortController()
+  const timer = setTimeout(function () {
+    controller.abort(new AbortError(`${name} timed out after ${ms} ms`, { timeout: ms }))
+  }, ms)
+  timer.unref()
+  return { signal: controller.signal, clear: () => clearTimeout(timer) }
+}
+
+// Throws the AbortError of `signal` if it was aborted.
+function throwIfAborted (signal) {
+  if (signal && signal.aborted) {
+    throw getError(signal)
+  }
+}
+
+/**
+ * Settle with `promise`, or reject with an AbortError as soon as `signal` aborts, whichever comes first.
+ * @param {Promise} promise - The promise.
+ * @param {AbortSignal=} signal - The signal.
+ * @returns {Promise}
+ */
+function race (promise, signal) {
+  if (!signal) {
+    return promise
+  }
+  if (signal.aborted) {
+    // The abandoned promise may still reject later, which is no longer anyone's concern
+    promise.catch(() => {})
+    return Promise.reject(getError(signal))
+  }
+  let onAbort
+  const aborted = new Promise(function (resolve, reject) {
+    onAbort = () => reject(getError(signal))
+    signal.addEventListener('abort', onAbort, { once: true })
+  })
+  promise.catch(() => {})
+  return Promise.race([promise, aborted]).finally(function () {
+    signal.removeEventListener('abort', onAbort)
+  })
+}
+
+module.exports = {
+  getError,
+  combine,
+  timeout,
+  throwIfAborted,
+  race
+}
@@ -0,0 +1,71 @@
+// Dependencies
+const { AsyncResource } = require('async_hooks')
+
+// Includes
+const settings = require('../../settings.json')
+const options = require('../options.js')
+const callContext = require('./callContext.js')
+
+// Define
+// Batches waiting to be sent, per client and per loader name
+const pending = new WeakMap()
+
+function flush (batches, name, batch) {
+  if (batches.get(name) === batch) {
+    batches.delete(name)
+  }
+  clearTimeout(batch.timer)
+  clearImmediate(batch.immediate)
+  const keys = Array.from(batch.waiting.keys())
+  // Sent from a timer, so keep the async context (and with it the client) of the call that started the batch, but not
+  // its signal: aborting that call must not abort the lookups of the others
+  batch.resource.runInAsyncScope(() => callContext.run({ signal: undefined }, () => Promise.resolve().then(() => batch.load(keys)))).then(function (results) {
+    for (const [key, waiters] of batch.waiting) {
+      waiters.forEach((waiter) => waiter.resolve(results.get(key)))
+    }
+  }, function (err) {
+    for (const waiters of batch.waiting.values()) {
+      waiters.forEach((waiter) => waiter.reject(err))
+    }
+  })
+}
+
+/**
+ * Look `key` up together with the other keys requested from the loader `name` by the same client within
+ * `settings.batching.delay` ms, DataLoader style.
+ * @param {string} name - The name of the loader.
+ * @param {string|number} key - The key to look up.
+ * @param {function} load - Given the keys of a batch, resolves with a Map of each key to its result. Keys missing from
+ * the Map resolve with undefined; a rejection rejects every lookup of the batch.
+ * @returns {Promise} - Resolves with the result for `key`.
+ */
+exports.load = function (name, key, load) {
+  const batching = settings.batching
+  if (!batching.enabled) {
+    return load([key]).then((results) => results.get(key))
+  }
+  const context = options.current()
+  let batches = pending.get(context)
+  if (!batches) {
+    batches = new Map()
+    pending.set(context, batches)
+  }
+  let batch = batches.get(name)
+  if (!batch) {
+    batch = { load, waiting: new Map(), resource: new AsyncResource('noblox.batch') }
+    batches.set(name, batch)
+    if (batching.delay > 0) {
+      batch.timer = setTimeout(flush, batching.delay, batches, name, batch)
+    } else {
+      batch.immediate = setImmediate(flush, batches, name, batch)
+    }
+  }
+  return new Promise(function (resolve, reject) {
+    const waiters = batch.waiting.get(key) || []
+    waiters.push({ resolve, reject })
+    batch.waiting.set(key, waiters)
+    if (batch.waiting.size >= batching.maxSize) {
+      flush(batches, name, batch)
+    }
+  })
+}
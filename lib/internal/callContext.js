@@ -0,0 +1,16 @@
+// Dependencies
+const { AsyncLocalStorage } = require('async_hooks')
+
+// Define
+const storage = new AsyncLocalStorage()
+
+// Per-call values (eg. the exported function being run and its priority) that every request made on behalf of the
+// call can read, without threading them through each function's arguments.
+exports.get = function () {
+  return storage.getStore() || {}
+}
+
+// Runs `func` with `values` merged over the values of the call it was started from.
+exports.run = function (values, func) {
+  return storage.run(Object.assign({}, exports.get(), values), func)
+}
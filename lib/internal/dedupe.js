@@ -0,0 +1,60 @@
+// Dependencies
+const crypto = require('crypto')
+
+// Define
+// How many hashes are kept. Well above the entries an event fetches per poll, so entries still listed are never
+// forgotten and emitted again.
+const windowSize = 500
+
+function getHash (content) {
+  return crypto.createHash('sha1').update(content).digest('hex').slice(0, 16)
+}
+
+// Returns the second `date` is in, as Roblox varies the milliseconds of an entry between requests.
+function getSecond (date) {
+  return Math.floor(new Date(date).getTime() / 1000)
+}
+
+/**
+ * Pick the entries of a poll that were not emitted yet, going by a hash of their content rather than their date. Entries
+ * made in the same second are all emitted, and entries Roblox lists in another order or with another millisecond are
+ * not emitted again.
+ * @param {object[]} items - The entries fetched, newest first.
+ * @param {*} latest - The `latest` value of the previous poll: -1, or `{ seen }` with the hashes of the entries seen so
+ * far, oldest first.
+ * @param {function} getContent - Returns what tells an entry apart, such as its actor, action, target, amount and the
+ * second it was made.
+ * @returns {object} - The new `latest` and the new entries in `data`, oldest first, for shortPoll.
+ */
+function dedupe (items, latest, getContent) {
+  const previous = latest && Array.isArray(latest.seen) ? latest.seen : []
+  const seen = new Set(previous)
+  // A date, saved by checkpoints from before entries were hashed
+  const since = latest instanceof Date ? latest : null
+  const counts = {}
+  const added = []
+  const data = []
+  for (let i = items.length - 1; i >= 0; i--) {
+    const item = items[i]
+    const content = JSON.stringify(getContent(item))
+    // Identical entries are told apart by how many came before them
+    counts[content] = (counts[content] || 0) + 1
+    const hash = getHash(content + '#' + counts[content])
+    if (!seen.has(hash)) {
+      seen.add(hash)
+      added.push(hash)
+      if (!since || new Date(item.created) > since) {
+        data.push(item)
+      }
+    }
+  }
+  return {
+    latest: { seen: previous.concat(added).slice(-windowSize) },
+    data
+  }
+}
+
+module.exports = {
+  dedupe,
+  getSecond
+}
@@ -0,0 +1,205 @@
+// Dependencies
+const events = require('events')
+
+// Includes
+const { AbortError } = require('../util/apiError.js')
+
+// Define
+// The value of a `data` event: its argument, or all of them if there are several (eg. a notification's name and message).
+function getValue (args) {
+  return args.length > 1 ? args : args[0]
+}
+
+/**
+ * The EventEmitter events return. Next to emitting `data`, `error`, `connect` and `close`, it has operators returning
+ * new emitters over its data, and can be iterated with `for await`. Closing an emitter returned by an operator closes
+ * the event it was made from as well.
+ */
+class EventStream extends events.EventEmitter {
+  // Stops the event.
+  close () {
+    this.emit('close')
+  }
+
+  // Returns an emitter over the data of this one, which `handle` is called with along with a function emitting data.
+  derive (handle) {
+    const derived = new EventStream()
+    let attached = true
+    const listeners = {
+      data: (...args) => handle((...values) => derived.emit('data', ...values), ...args),
+      // Errors are reported where they happen, so an emitter nobody listens to for them does not throw there
+      error: (err) => derived.listenerCount('error') > 0 && derived.emit('error', err),
+      connect: (...args) => derived.emit('connect', ...args),
+      close: (err) => {
+        detach()
+        derived.emit('close', err)
+      }
+    }
+    const detach = () => {
+      attached = false
+      for (const name of Object.keys(listeners)) {
+        this.off(name, listeners[name])
+      }
+    }
+    for (const name of Object.keys(listeners)) {
+      this.on(name, listeners[name])
+    }
+    derived.on('close', () => {
+      if (attached) {
+        detach()
+        this.close()
+      }
+    })
+    return derived
+  }
+
+  // Emits only the data `predicate` returns true for.
+  filter (predicate) {
+    return this.derive((emit, ...args) => {
+      if (predicate(...args)) {
+        emit(...args)
+      }
+    })
+  }
+
+  // Emits what `transform` returns for every piece of data.
+  map (transform) {
+    return this.derive((emit, ...args) => emit(transform(...args)))
+  }
+
+  // Emits data once none followed it for `ms` milliseconds, dropping what came before it.
+  debounce (ms) {
+    let timer
+    const derived = this.derive((emit, ...args) => {
+      clearTimeout(timer)
+      timer = setTimeout(emit, ms, ...args)
+    })
+    derived.on('close', () => clearTimeout(timer))
+    return derived
+  }
+
+  // Emits the first `count` pieces of data, then closes. With a `count` of 0 or less it closes right away.
+  take (count) {
+    let taken = 0
+    const derived = this.derive((emit, ...args) => {
+      if (taken < count) {
+        taken++
+        emit(...args)
+        if (taken === count) {
+          derived.close()
+        }
+      }
+    })
+    if (!(count > 0)) {
+      // Closed once whatever it is handed to had the chance to listen for it
+      setImmediate(() => derived.close())
+    }
+    return derived
+  }
+
+  /**
+   * Wait for data `predicate` returns true for. The event keeps running.
+   * @param {function=} predicate - Called with the arguments of every `data` event. (Default: any data)
+   * @param {number=} timeout - Rejects with an AbortError once this many ms passed, if set.
+   * @returns {Promise} - The data, or an array of its arguments if there are several. Rejects with an AbortError if
+   * the event closes first.
+   */
+  waitFor (predicate = () => true, timeout) {
+    return new Promise((resolve, reject) => {
+      let timer
+      const done = () => {
+        clearTimeout(timer)
+        this.off('data', onData)
+        this.off('close', onClose)
+      }
+      const onData = (...args) => {
+        if (predicate(...args)) {
+          done()
+          resolve(getValue(args))
+        }
+      }
+      const onClose = (err) => {
+        done()
+        reject(new AbortError('The event closed before what was waited for happened', { reason: err }))
+      }
+      this.on('data', onData)
+      this.on('close', onClose)
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          done()
+          reject(new AbortError(`Waiting for the event timed out after ${timeout} ms`, { timeout }))
+        }, timeout)
+      }
+    })
+  }
+
+  // Yields the data as it comes, until the event closes; throws the error it closed with, if any. Breaking out of the
+  // loop closes the event. Errors it recovers from are not thrown, listen to `error` for those.
+  [Symbol.asyncIterator] () {
+    const values = []
+    const waiting = []
+    let finished = false
+    let failure
+    const onData = (...args) => {
+      const value = getValue(args)
+      if (waiting.length > 0) {
+        waiting.shift().resolve({ value, done: false })
+      } else {
+        values.push(value)
+      }
+    }
+    const finish = () => {
+      finished = true
+      this.off('data', onData)
+      this.off('error', onError)
+      this.off('close', onClose)
+    }
+    // Errors the event recovers from are not thrown, but listened to so the event does not throw them either
+    const onError = () => {}
+    const onClose = (err) => {
+      finish()
+      if (err instanceof Error) {
+        failure = err
+      }
+      for (const next of waiting.splice(0)) {
+        if (failure) {
+          next.reject(failure)
+          failure = null
+        } else {
+          next.resolve({ value: undefined, done: true })
+        }
+      }
+    }
+    this.on('data', onData)
+    this.on('error', onError)
+    this.on('close', onClose)
+    return {
+      next: () => {
+        if (values.length > 0) {
+          return Promise.resolve({ value: values.shift(), done: false })
+        }
+        if (failure) {
+          const err = failure
+          failure = null
+          return Promise.reject(err)
+        }
+        if (finished) {
+          return Promise.resolve({ value: undefined, done: true })
+        }
+        return new Promise((resolve, reject) => waiting.push({ resolve, reject }))
+      },
+      return: () => {
+        if (!finished) {
+          finish()
+          this.close()
+        }
+        return Promise.resolve({ value: undefined, done: true })
+      },
+      [Symbol.asyncIterator] () {
+        return this
+      }
+    }
+  }
+}
+
+module.exports = EventStream
@@ -0,0 +1,29 @@
+// Includes
+const options = require('../options.js')
+
+// Define
+// The events returned to callers that are still open, with the client each was started from
+const events = new Map()
+
+// Keep `event` until it closes, so shutting down its client can close it.
+exports.track = function (event) {
+  events.set(event, options.current())
+  event.once('close', () => events.delete(event))
+  return event
+}
+
+/**
+ * Close the events started from the client `context`, or from every client.
+ * @param {object=} context - The client context. (Default: every client)
+ * @returns {number} - How many events were closed.
+ */
+exports.closeEvents = function (context) {
+  let closed = 0
+  for (const [event, owner] of Array.from(events)) {
+    if (!context || owner === context) {
+      event.close()
+      closed++
+    }
+  }
+  return closed
+}
@@ -0,0 +1,87 @@
+// Includes
+const settings = require('../../settings.json')
+const abort = require('./abort.js')
+const callContext = require('./callContext.js')
+
+// Define
+function getHost (url) {
+  try {
+    return new URL(url.indexOf('http') === 0 ? url : 'https:' + url).hostname
+  } catch (err) {
+    return ''
+  }
+}
+
+// The global retry settings merged with the overrides for the host in `settings.retry.domains`.
+function getPolicy (url) {
+  const retry = settings.retry
+  const policy = Object.assign({}, retry, (retry.domains || {})[getHost(url)])
+  delete policy.domains
+  return policy
+}
+
+// Returns the delay in ms Roblox asked for through Retry-After or the x-ratelimit-* headers, or null if it did not.
+function getHintedDelay (headers) {
+  const retryAfter = headers['retry-after']
+  if (retryAfter) {
+    const seconds = Number(retryAfter)
+    if (!isNaN(seconds)) {
+      return seconds * 1000
+    }
+    const date = Date.parse(retryAfter)
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now())
+    }
+  }
+  const remaining = headers['x-ratelimit-remaining']
+  const reset = Number(headers['x-ratelimit-reset'])
+  if (remaining !== undefined && Number(remaining) <= 0 && !isNaN(reset)) {
+    return reset * 1000
+  }
+  return null
+}
+
+function getBackoff (policy, attempt) {
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt))
+  // Equal jitter: wait at least half of the backoff so retries never fire back to back
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2)
+}
+
+/**
+ * Get how long to wait before retrying a response, following the retry policy of its host.
+ * @param {string} url - The url the request was sent to.
+ * @param {string} method - The method of the request.
+ * @param {object} res - The response, with `statusCode` and `headers`.
+ * @param {number} attempt - The number of retries already made.
+ * @returns {number} - The delay in ms, or -1 if the response should not be retried.
+ */
+exports.getDelay = function (url, method, res, attempt) {
+  const policy = getPolicy(url)
+  const status = res.statusCode
+  if (!policy.enabled || attempt >= policy.maxRetries || !policy.statusCodes.includes(status)) {
+    return -1
+  }
+  // A 429 means the request was not processed; other failures may have been, so only repeat methods that are safe to
+  if (status !== 429 && !policy.methods.includes((method || 'GET').toUpperCase())) {
+    return -1
+  }
+  const hinted = getHintedDelay(res.headers || {})
+  // Roblox knows when the limit resets, so its hint is followed even past the backoff ceiling
+  if (hinted !== null) {
+    return hinted > policy.maxRetryAfter ? -1 : hinted
+  }
+  return getBackoff(policy, attempt)
+}
+
+/**
+ * Wait `delay` ms, rejecting with an AbortError as soon as `signal` aborts.
+ * @param {number} delay - The delay in ms.
+ * @param {AbortSignal=} signal - The signal. (Default: the signal of the current call)
+ * @returns {Promise}
+ */
+exports.wait = function (delay, signal = callContext.get().signal) {
+  let timer
+  return abort.race(new Promise((resolve) => { timer = setTimeout(resolve, delay) }), signal).finally(function () {
+    clearTimeout(timer)
+  })
+}
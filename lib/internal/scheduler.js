@@ -0,0 +1,267 @@
+// Dependencies
+const { AsyncResource } = require('async_hooks')
+const events = require('events')
+
+// Includes
+const settings = require('../../settings.json')
+const options = require('../options.js')
+const abort = require('./abort.js')
+const { AbortError } = require('../util/apiError.js')
+const callContext = require('./callContext.js')
+
+// Define
+const lanes = ['high', 'normal', 'low']
+const buckets = new Map()
+// Jobs waiting or running, until they settle
+const pending = new Set()
+const emitter = new events.EventEmitter()
+
+function getBucket (key, info) {
+  let bucket = buckets.get(key)
+  if (!bucket) {
+    bucket = {
+      key,
+      host: info.host || null,
+      account: info.account || null,
+      tokens: null,
+      updated: Date.now(),
+      lanes: { high: [], normal: [], low: [] },
+      timer: null,
+      running: 0,
+      started: 0,
+      totalWait: 0,
+      maxWait: 0
+    }
+    buckets.set(key, bucket)
+  }
+  return bucket
+}
+
+function queued (bucket) {
+  return lanes.reduce((total, lane) => total + bucket.lanes[lane].length, 0)
+}
+
+function refill (bucket) {
+  const budget = bucket.budget
+  const now = Date.now()
+  if (bucket.tokens === null) {
+    bucket.tokens = budget.requests
+  } else {
+    bucket.tokens = Math.min(budget.requests, bucket.tokens + (now - bucket.updated) * budget.requests / budget.window)
+  }
+  bucket.updated = now
+}
+
+function start (bucket, job) {
+  const wait = Date.now() - job.queued
+  bucket.running++
+  bucket.started++
+  bucket.totalWait += wait
+  bucket.maxWait = Math.max(bucket.maxWait, wait)
+  emitter.emit('start', { key: bucket.key, host: bucket.host, account: bucket.account, priority: job.priority, wait, queued: queued(bucket) })
+
+  Promise.resolve().then(job.func).then(function (result) {
+    bucket.running--
+    job.resolve(result)
+  }, function (err) {
+    bucket.running--
+    // Failed jobs the owner says did not reach the rate limit give their token back
+    if (job.refund && job.refund(err)) {
+      bucket.tokens = Math.min(bucket.budget.requests, bucket.tokens + 1)
+      drain(bucket)
+    }
+    job.reject(err)
+  })
+}
+
+function drain (bucket) {
+  clearTimeout(bucket.timer)
+  bucket.timer = null
+  refill(bucket)
+  for (const lane of lanes) {
+    const jobs = bucket.lanes[lane]
+    while (jobs.length > 0 && bucket.tokens >= 1) {
+      bucket.tokens--
+      start(bucket, jobs.shift())
+    }
+  }
+  if (queued(bucket) > 0) {
+    const budget = bucket.budget
+    const wait = Math.ceil((1 - bucket.tokens) * budget.window / budget.requests)
+    bucket.timer = setTimeout(drain, wait, bucket)
+  }
+}
+
+/**
+ * Run `func` once the token bucket `key` has budget for it. At most `budget.requests` jobs are started every
+ * `budget.window` ms; waiting jobs are started in order of priority lane (`high`, `normal`, then `low`).
+ * @param {object} info - The bucket `key`, its `budget`, and optionally the `host` and `account` it belongs to, the
+ * `priority` lane of the job (defaults to the priority of the current call), a `refund` function which, given the
+ * error of a failed job, returns whether its token should be given back, and a `signal` that takes the job out of the
+ * queue when aborted (defaults to the signal of the current call).
+ * @param {function} func - The job, returning a promise.
+ * @returns {Promise} - Settles with the result of the job.
+ */
+exports.schedule = function (info, func) {
+  const budget = info.budget
+  if (!budget || !(budget.requests > 0) || !(budget.window > 0)) {
+    return func()
+  }
+  const bucket = getBucket(info.key, info)
+  bucket.budget = budget
+  const priority = [info.priority, callContext.get().priority].find((lane) => lanes.includes(lane)) || 'normal'
+  const signal = info.signal === undefined ? callContext.get().signal : info.signal
+  return new Promise(function (resolve, reject) {
+    abort.throwIfAborted(signal)
+    const job = {
+      // Jobs may be started from another call's timer, so keep the async context of the caller
+      func: AsyncResource.bind(func),
+      priority,
+      refund: info.refund,
+      queued: Date.now(),
+      bucket,
+      client: options.current(),
+      resolve,
+      reject
+    }
+    if (signal) {
+      const onAbort = function () {
+        const jobs = bucket.lanes[priority]
+        const index = jobs.indexOf(job)
+        if (index > -1) {
+          jobs.splice(index, 1)
+          job.reject(abort.getError(signal))
+        }
+      }
+      signal.addEventListener('abort', onAbort, { once: true })
+      job.resolve = function (result) {
+        signal.removeEventListener('abort', onAbort)
+        resolve(result)
+      }
+      job.reject = function (err) {
+        signal.removeEventListener('abort', onAbort)
+        reject(err)
+      }
+    }
+    const { resolve: done, reject: fail } = job
+    job.settled = new Promise(function (resolve) {
+      job.resolve = function (result) {
+        pending.delete(job)
+        resolve()
+        done(result)
+      }
+      job.reject = function (err) {
+        pending.delete(job)
+        resolve()
+        fail(err)
+      }
+    })
+    pending.add(job)
+    bucket.lanes[priority].push(job)
+    drain(bucket)
+  })
+}
+
+/**
+ * Wait for the jobs of the client `context`, or of every client, to finish. Jobs still waiting after `timeout` ms are
+ * taken out of their queue and rejected with an AbortError; those already running are left to finish.
+ * @param {object=} context - The client context. (Default: every client)
+ * @param {number} timeout - How long to wait, in ms.
+ * @returns {Promise<number>} - How many jobs were rejected.
+ */
+exports.drain = function (context, timeout) {
+  const matching = () => Array.from(pending).filter((job) => !context || job.client === context)
+  let timer
+  const expired = new Promise((resolve) => { timer = setTimeout(resolve, timeout) })
+  return Promise.race([Promise.all(matching().map((job) => job.settled)), expired]).then(function () {
+    clearTimeout(timer)
+    let dropped = 0
+    for (const job of matching()) {
+      const waiting = job.bucket.lanes[job.priority]
+      const index = waiting.indexOf(job)
+      if (index > -1) {
+        waiting.splice(index, 1)
+        job.reject(new AbortError('The request was dropped as noblox.js shut down'))
+        dropped++
+      }
+    }
+    for (const bucket of buckets.values()) {
+      if (queued(bucket) === 0) {
+        clearTimeout(bucket.timer)
+        bucket.timer = null
+      }
+    }
+    return dropped
+  })
+}
+
+/**
+ * Run a request to `url` for `account` within the budget configured for its host in `settings.scheduler`.
+ * @param {string} url - The url of the request.
+ * @param {string} account - An identifier of the account sending the request.
+ * @param {function} func - Sends the request, returning a promise.
+ * @returns {Promise}
+ */
+exports.request = function (url, account, func) {
+  const scheduler = settings.scheduler
+  if (!scheduler.enabled) {
+    return func()
+  }
+  let host
+  try {
+    host = new URL(url).hostname
+  } catch (err) {
+    return func()
+  }
+  const budget = scheduler.domains[host]
+  if (!budget) {
+    return func()
+  }
+  const perAccount = budget.perAccount !== false
+  return exports.schedule({
+    key: perAccount ? host + ':' + account : host,
+    host,
+    account: perAccount ? account : null,
+    budget
+  }, func)
+}
+
+// Docs
+/**
+ * ✅ Get the state of every scheduler bucket: the jobs waiting in each priority lane, the jobs running, and how long
+ * started jobs had to wait.
+ * @category Utility
+ * @alias scheduler.stats
+ * @returns {Array<SchedulerStats>}
+ * @example const noblox = require("noblox.js")
+ * for (const bucket of noblox.scheduler.stats()) {
+ *   console.log(bucket.host, bucket.queued, bucket.averageWait)
+ * }
+**/
+exports.stats = function () {
+  return Array.from(buckets.values()).map(function (bucket) {
+    if (bucket.budget) {
+      refill(bucket)
+    }
+    return {
+      key: bucket.key,
+      host: bucket.host,
+      account: bucket.account,
+      tokens: Math.floor(bucket.tokens),
+      queued: {
+        high: bucket.lanes.high.length,
+        normal: bucket.lanes.normal.length,
+        low: bucket.lanes.low.length
+      },
+      depth: queued(bucket),
+      running: bucket.running,
+      started: bucket.started,
+      averageWait: bucket.started > 0 ? Math.round(bucket.totalWait / bucket.started) : 0,
+      maxWait: bucket.maxWait
+    }
+  })
+}
+
+// Emits `start` with the bucket, priority and wait time of every job as it is started.
+exports.on = emitter.on.bind(emitter)
+exports.off = emitter.off.bind(emitter)
@@ -0,0 +1,139 @@
+// Includes
+const { ValidationError } = require('../util/apiError.js')
+
+// Define
+/*
+An argument schema describes the values an argument accepts:
+  type       - One of number, integer, numeric (an integer, or a string of digits), string, boolean, array, object
+               and function, or a list of them.
+  min, max   - The range of numbers, and of numeric strings.
+  enum       - The values accepted, compared with ===.
+  minLength, maxLength - The length range of strings and arrays.
+  items      - The schema every item of an array must match.
+A list of schemas accepts values matching any of them. Missing (undefined or null) values are not checked; whether an
+argument is required is up to its `optional` flag in registry.js.
+*/
+const checks = {
+  number: (value) => typeof value === 'number' && !isNaN(value),
+  integer: (value) => Number.isInteger(value),
+  numeric: (value) => Number.isInteger(value) || (typeof value === 'string' && /^\d+$/.test(value)),
+  string: (value) => typeof value === 'string',
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => value instanceof Object && !Array.isArray(value) && typeof value !== 'function',
+  function: (value) => typeof value === 'function'
+}
+
+const articles = { integer: 'an', numeric: 'an', array: 'an', object: 'an' }
+const names = { numeric: 'id' }
+
+// Describes the values `schema` accepts, eg. "an integer from 0 to 255". The range of a schema taking several types
+// applies to its numbers only, which is said as much rather than tacking it on to the last type.
+function describe (schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(describe).join(' or ')
+  }
+  if (schema.enum) {
+    return 'one of ' + schema.enum.map((value) => JSON.stringify(value)).join(', ')
+  }
+  const types = [].concat(schema.type || [])
+  let text
+  if (types.length > 1) {
+    text = 'one of: ' + types.map((type) => names[type] || type).join(', ')
+  } else if (types.length === 1) {
+    text = (articles[types[0]] || 'a') + ' ' + (names[types[0]] || types[0])
+  } else {
+    text = 'a value'
+  }
+  let range
+  if (schema.min !== undefined && schema.max !== undefined) {
+    range = `from ${schema.min} to ${schema.max}`
+  } else if (schema.min !== undefined) {
+    range = `of at least ${schema.min}`
+  } else if (schema.max !== undefined) {
+    range = `of at most ${schema.max}`
+  }
+  if (range) {
+    text += types.length > 1 ? `, with numbers ${range}` : ' ' + range
+  }
+  if (schema.maxLength !== undefined) {
+    text += ` with at most ${schema.maxLength} ${types.includes('array') ? 'items' : 'characters'}`
+  }
+  if (schema.minLength !== undefined) {
+    text += ` with at least ${schema.minLength} ${types.includes('array') ? 'items' : 'characters'}`
+  }
+  return text
+}
+
+// Returns whether `value` matches `schema`.
+function matches (schema, value) {
+  if (Array.isArray(schema)) {
+    return schema.some((option) => matches(option, value))
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return false
+  }
+  const types = [].concat(schema.type || [])
+  if (types.length > 0 && !types.some((type) => checks[type](value))) {
+    return false
+  }
+  if ((typeof value === 'number' || typeof value === 'string') && (schema.min !== undefined || schema.max !== undefined)) {
+    const number = Number(value)
+    // Strings that are not numbers (eg. role names) are not subject to the range
+    if (!isNaN(number) && ((schema.min !== undefined && number < schema.min) || (schema.max !== undefined && number > schema.max))) {
+      return false
+    }
+  }
+  if ((typeof value === 'string' || Array.isArray(value)) && ((schema.minLength !== undefined && value.length < schema.minLength) || (schema.maxLength !== undefined && value.length > schema.maxLength))) {
+    return false
+  }
+  if (schema.items && Array.isArray(value)) {
+    return value.every((item) => matches(schema.items, item))
+  }
+  return true
+}
+
+/**
+ * Check the arguments of a call against the schema of its function.
+ * @param {object} schema - The schemas of the arguments, by argument name.
+ * @param {object} args - The arguments of the call.
+ * @throws {ValidationError} - Naming the first argument that does not match its schema.
+ */
+function validate (schema, args) {
+  for (const name of Object.keys(schema)) {
+    const value = args[name]
+    if (value === undefined || value === null) {
+      continue
+    }
+    if (!matches(schema[name], value)) {
+      let shown
+      try {
+        shown = JSON.stringify(value)
+      } catch (err) {
+        shown = undefined
+      }
+      if (shown === undefined) {
+        shown = typeof value
+      } else if (shown.length > 50) {
+        shown = shown.slice(0, 47) + '...'
+      }
+      throw new ValidationError(`Argument "${name}" must be ${describe(schema[name])}, got ${shown}`, { argument: name })
+    }
+  }
+}
+
+// Schemas shared by many functions
+const types = {
+  // The id of a user, group, asset or anything else Roblox numbers
+  id: { type: 'numeric', min: 1 },
+  ids: { type: 'array', items: { type: 'numeric', min: 1 } },
+  sortOrder: { enum: ['Asc', 'Desc'] },
+  limit: { type: 'integer' },
+  cursor: { type: 'string' }
+}
+
+module.exports = Object.assign({
+  validate,
+  matches,
+  describe
+}, types)
@@ -0,0 +1,83 @@
+// Includes
+const settings = require('../../settings.json')
+const callContext = require('./callContext.js')
+
+// Define
+// Span kinds and status codes, numbered as in OpenTelemetry
+const kinds = { internal: 0, client: 2 }
+const status = { ok: 1, error: 2 }
+
+// Returns the path of `url` with ids replaced by `{id}`, so requests to the same endpoint share a span name.
+function getTemplate (url) {
+  let path
+  try {
+    path = new URL(url.indexOf('http') === 0 ? url : 'https:' + url).pathname
+  } catch (err) {
+    return url
+  }
+  return path.split('/').map((segment) => /^\d+$|^[0-9a-f-]{32,36}$/i.test(segment) ? '{id}' : segment).join('/')
+}
+
+function end (span) {
+  try {
+    span.end()
+  } catch (ignored) {
+    // A broken tracer must not break the call being traced
+  }
+}
+
+function fail (span, err) {
+  try {
+    span.recordException(err)
+    span.setStatus({ code: status.error, message: err && err.message })
+    span.end()
+  } catch (ignored) {
+    // A broken tracer must not break the call being traced
+  }
+}
+
+/**
+ * Run `func` in a span started with `settings.tracing.tracer`, as a child of the span of the current call. The span
+ * ends once the promise `func` returns settles, recording the error if it rejects. Without a tracer, `func` is just
+ * called.
+ * @param {string} name - The name of the span.
+ * @param {object} options - The `kind` ("internal" or "client") and `attributes` of the span.
+ * @param {function} func - Called with the span, which is also the parent of the spans started while it runs.
+ * @returns {*} - What `func` returns.
+ */
+function trace (name, options, func) {
+  const tracer = settings.tracing.tracer
+  if (!tracer) {
+    return func(null)
+  }
+  let span
+  try {
+    span = tracer.startSpan(name, { kind: kinds[options.kind || 'internal'], attributes: options.attributes || {} }, callContext.get().span)
+  } catch (err) {
+    return func(null)
+  }
+  let result
+  try {
+    result = callContext.run({ span }, () => func(span))
+  } catch (err) {
+    fail(span, err)
+    throw err
+  }
+  if (!result || typeof result.then !== 'function') {
+    end(span)
+    return result
+  }
+  return result.then(function (value) {
+    end(span)
+    return value
+  }, function (err) {
+    fail(span, err)
+    throw err
+  })
+}
+
+module.exports = {
+  getTemplate,
+  trace,
+  status
+}
@@ -10,9 +10,84 @@ exported function login ()
       for each argument add to an options array corresponding with argument order
       login(options)
 */
+// Includes
+const abort = require('./abort.js')
+const callContext = require('./callContext.js')
+const EventStream = require('./eventStream.js')
+const lifecycle = require('./lifecycle.js')
+const schema = require('./schema.js')
+const tracing = require('./tracing.js')
+const journal = require('../util/journal.js')
+const settings = require('../../settings.json')
+const { ValidationError } = require('../util/apiError.js')
+
 // Define
-exports.wrapExport = function (wrapFunction, required, optional) {
+// `meta` describes the exported function (its `name` and default `priority`) to the requests made while it runs, and
+// holds the `schema` its arguments are checked against before it is called. Functions returning a `promise` reject
+// with the ValidationError of missing or invalid arguments, the others throw it.
+// Every call also takes a `signal` and a `timeout` in ms, which abort it and the requests it makes with an AbortError,
+// unless the function has an argument of that name itself.
+// A call made with `dryRun` (or `settings.dryRun`) holds back the requests that would change something, see
+// util/http.js. Functions registered as `mutates` then resolve with those requests and their simulated result, and
+// otherwise have their calls recorded in the journal when `settings.journal.enabled` is on, see util/journal.js.
+exports.wrapExport = function (wrapFunction, required, optional, meta = {}) {
   const reqLength = required.length
+  const ownArgs = [].concat(...required, ...optional)
+  // Every call is traced as a span, with the requests it makes as children. Events are kept until they close, so
+  // shutdown() can close them.
+  function run (options, func) {
+    const result = tracing.trace(meta.name, { attributes: { 'noblox.function': meta.name } }, () => start(options, func))
+    return result instanceof EventStream ? lifecycle.track(result) : result
+  }
+  function start (options, func) {
+    const values = { name: meta.name, priority: (options && options.priority) || meta.priority }
+    const dryRun = options && options.dryRun !== undefined && !ownArgs.includes('dryRun') ? options.dryRun : settings.dryRun
+    // Calls made while another is running join its dry run, if any
+    if (dryRun && !callContext.get().dryRun) {
+      const requests = []
+      values.dryRun = requests
+      if (meta.mutates) {
+        const call = func
+        func = () => Promise.resolve(call()).then((result) => ({ dryRun: true, requests, result }))
+      }
+    } else if (meta.mutates && !dryRun && settings.journal.enabled) {
+      const call = func
+      func = () => journal.record(meta.name, options, call)
+    }
+    const timeout = options && options.timeout > 0 && !ownArgs.includes('timeout') ? abort.timeout(options.timeout, meta.name) : null
+    const combined = abort.combine(callContext.get().signal, options && !ownArgs.includes('signal') && options.signal, timeout && timeout.signal)
+    const signal = combined.signal
+    if (!signal) {
+      return callContext.run(values, func)
+    }
+    values.signal = signal
+    const clear = function () {
+      timeout && timeout.clear()
+      combined.clear()
+    }
+    if (signal.aborted) {
+      clear()
+      return Promise.reject(abort.getError(signal))
+    }
+    let result
+    try {
+      result = callContext.run(values, func)
+    } catch (err) {
+      clear()
+      throw err
+    }
+    // Iterators and event emitters keep the signal, and with it the timeout, for the requests they make later on
+    if (!result || typeof result.then !== 'function') {
+      return result
+    }
+    return abort.race(result, signal).finally(clear)
+  }
+  function fail (err) {
+    if (meta.promise) {
+      return Promise.reject(err)
+    }
+    throw err
+  }
   if ((reqLength + optional.length) > 0) {
     return function () {
       let options = {}
@@ -64,15 +139,24 @@ exports.wrapExport = function (wrapFunction, required, optional) {
         }
         if (!found) {
           if (assume) {
-            throw new Error('A required argument is missing')
+            return fail(new ValidationError('A required argument is missing', { argument: arg instanceof Object ? arg.join('/') : arg }))
           } else {
-            throw new Error('Required argument "' + (arg instanceof Object ? arg.join('/') : arg) + '" is missing')
+            return fail(new ValidationError('Required argument "' + (arg instanceof Object ? arg.join('/') : arg) + '" is missing', { argument: arg instanceof Object ? arg.join('/') : arg }))
           }
         }
       }
-      return wrapFunction(options)
+      if (meta.schema) {
+        try {
+          schema.validate(meta.schema, options)
+        } catch (err) {
+          return fail(err)
+        }
+      }
+      return run(options, () => wrapFunction(options))
     }
   } else {
-    return wrapFunction
+    return function () {
+      return run(null, () => wrapFunction.apply(this, arguments))
+    }
   }
 }
@@ -1,9 +1,9 @@
 // Includes
 const getPageResults = require('../util/getPageResults.js').func
+const getPage = require('../util/getPageResults.js').page
 
-// Args
-exports.required = ['userId']
-exports.optional = ['assetType', 'sortOrder', 'limit', 'jar']
+// Scheduling
+exports.priority = 'low'
 
 // Docs
 /**
@@ -20,12 +20,21 @@ exports.optional = ['assetType', 'sortOrder', 'limit', 'jar']
 **/
 
 // Define
-exports.func = function (args) {
-  return getPageResults({
+function getOptions (args) {
+  return {
     jar: args.jar,
     url: `//inventory.roblox.com/v1/users/${args.userId}/assets/collectibles`,
     query: { assetType: args.assetType },
     sortOrder: args.sortOrder,
     limit: args.limit
-  })
+  }
+}
+
+exports.func = function (args) {
+  return getPageResults(getOptions(args))
+}
+
+// Pagination
+exports.page = function (args) {
+  return getPage({ ...getOptions(args), cursor: args.cursor })
 }
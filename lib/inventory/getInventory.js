@@ -1,9 +1,9 @@
 // Includes
 const getPageResults = require('../util/getPageResults.js').func
+const getPage = require('../util/getPageResults.js').page
 
-// Args
-exports.required = ['userId', 'assetTypes']
-exports.optional = ['sortOrder', 'limit', 'jar']
+// Scheduling
+exports.priority = 'low'
 
 // Docs
 /**
@@ -21,12 +21,21 @@ exports.optional = ['sortOrder', 'limit', 'jar']
 **/
 
 // Define
-exports.func = function (args) {
-  return getPageResults({
+function getOptions (args) {
+  return {
     jar: args.jar,
     url: `//inventory.roblox.com/v2/users/${args.userId}/inventory`,
     query: { assetTypes: args.assetTypes.join(',') },
     sortOrder: args.sortOrder,
     limit: args.limit
-  })
+  }
+}
+
+exports.func = function (args) {
+  return getPageResults(getOptions(args))
+}
+
+// Pagination
+exports.page = function (args) {
+  return getPage({ ...getOptions(args), cursor: args.cursor })
 }
@@ -1,10 +1,6 @@
 // Includes
 const getPageResults = require('../util/getPageResults.js').func
 
-// Args
-exports.required = ['userId', 'assetTypeId']
-exports.optional = ['sortOrder', 'limit', 'jar']
-
 // Docs
 /**
  * 🔓 Get a user's inventory.
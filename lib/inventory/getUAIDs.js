@@ -1,10 +1,6 @@
 // Includes
 const getCollectibles = require('./getCollectibles.js').func
 
-// Args
-exports.required = ['userId', 'assetIds']
-exports.optional = ['exclusionList', 'jar']
-
 // Docs
 /**
  * ✅ Get a UserAssetID for a specific asset.
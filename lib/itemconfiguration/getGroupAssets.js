@@ -1,10 +1,6 @@
 // Includes
 const getPageResults = require('../util/getPageResults.js').func
 
-// Args
-exports.required = ['groupId', 'assetType']
-exports.optional = ['sortOrder', 'limit', 'jar']
-
 // Docs
 /**
  * 🔐 Get assets for a group.
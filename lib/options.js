@@ -1,26 +1,91 @@
+// Dependencies
+const { AsyncLocalStorage } = require('async_hooks')
+
 // Includes
 const settings = require('../settings.json')
 const jar = require('./util/jar.js').func
 const newCache = require('./cache/new.js')
 
 // Define
-exports.init = function () {
-  exports.jar = jar()
+const storage = new AsyncLocalStorage()
+let defaultContext
 
+// Builds the jar, cache and queue that back a single client. `config.cache` may override the `expire`, `refresh` and
+// `store` values from settings.json for individual cache types.
+function create (config = {}) {
   const cacheList = []
   const cache = settings.cache
+  const overrides = config.cache || {}
   for (const name of Object.keys(cache)) {
-    const item = cache[name]
+    const item = Object.assign({}, cache[name], overrides[name])
     const cacheObj = {
       name,
       refresh: item.refresh,
-      expire: item.expire
+      expire: item.expire,
+      // Left undefined to follow the store configured in settings
+      store: overrides[name] ? overrides[name].store : undefined
     }
     cacheList.push(cacheObj)
   }
-  exports.cache = newCache(cacheList)
 
-  exports.queue = settings.queue
+  const queue = {}
+  for (const type of Object.keys(settings.queue)) {
+    queue[type] = { delay: settings.queue[type].delay }
+  }
+
+  const context = {
+    jar: jar(),
+    cache: newCache(cacheList),
+    queue,
+    proxy: config.proxy,
+    transport: config.transport,
+    // Hooks added with `use` while this client is active
+    middleware: []
+  }
+  if (config.cookie) {
+    context.jar.session = config.cookie
+  }
+  if (config.apiKey) {
+    context.jar.apiKey = config.apiKey
+  }
+  return context
+}
+
+// Returns the context of the client the current call chain was started from, or the default one.
+function current () {
+  return storage.getStore() || defaultContext
+}
+
+exports.init = function () {
+  defaultContext = create()
+  // The default client shares the queue settings object so setOptions changes to queue delays keep applying to it.
+  defaultContext.queue = settings.queue
+}
+
+// Returns the context of the default client, whose middleware applies to every client.
+exports.defaults = function () {
+  return defaultContext
+}
+
+exports.create = create
+exports.current = current
+
+// Runs `func` with `context` as the active client; everything it calls (including timers and events it starts)
+// resolves `options.jar`, `options.cache` and `options.queue` to that client.
+exports.run = function (context, func) {
+  return storage.run(context, func)
+}
+
+for (const key of ['jar', 'cache', 'queue', 'proxy', 'transport']) {
+  Object.defineProperty(exports, key, {
+    enumerable: true,
+    get: function () {
+      return current()[key]
+    },
+    set: function (value) {
+      current()[key] = value
+    }
+  })
 }
 
 exports.init()
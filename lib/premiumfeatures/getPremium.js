@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['userId']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -38,18 +35,18 @@ function getPremium (jar, userId) {
             const body = JSON.parse(res.body)
             if (body.errors && body.errors.length > 0) {
               const errors = body.errors.map((e) => e.message)
-              reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+              reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
             } else {
-              reject(new Error(`Unexpected server response: ${res.body}`))
+              reject(RobloxAPIError.fromResponse(res, `Unexpected server response: ${res.body}`))
             }
           } catch (e) {
             // Handle JSON parsing error
-            reject(new Error(`Error parsing JSON from server: ${e.message}. Server response: ${res.body}`))
+            reject(RobloxAPIError.fromResponse(res, `Error parsing JSON from server: ${e.message}. Server response: ${res.body}`))
           }
         }
       })
       .catch(function (error) {
-        reject(new Error(`HTTP request failed: ${error.message}`))
+        reject(error)
       })
   })
 }
@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-// Args
-exports.required = ['userIds']
-exports.optional = []
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -25,6 +22,7 @@ function getPresences (userIds, jar, xcsrf) {
       url: '//presence.roblox.com/v1/presence/users',
       options: {
         method: 'POST',
+        readOnly: true,
         resolveWithFullResponse: true,
         jar,
         headers: {
@@ -45,7 +43,7 @@ function getPresences (userIds, jar, xcsrf) {
           if (responseData && responseData.errors) {
             error = responseData.errors.map((e) => e.message).join('\n')
           }
-          reject(new Error(error))
+          reject(RobloxAPIError.fromResponse(res, error))
         } else {
           resolve(responseData)
         }
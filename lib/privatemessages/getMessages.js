@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-// Args
-exports.required = []
-exports.optional = ['pageNumber', 'pageSize', 'messageTab', 'jar']
-
+const { RobloxAPIError, ValidationError } = require('../util/apiError.js')
 // Docs
 /**
  * 🔐 Get the messages of the authenticated user.
@@ -39,7 +36,7 @@ function getMessages (jar, pageNumber, pageSize, messageTab) {
             const errors = body.errors.map((e) => {
               return e.message
             })
-            reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
           }
         }
       })
@@ -53,7 +50,7 @@ exports.func = function (args) {
   const messageTab = args.messageTab || 'Inbox'
   if (!['Inbox', 'Sent', 'Archive'].includes(messageTab)) {
     return new Promise((resolve, reject) => {
-      reject(new Error('messageTab must be Inbox, Sent, or Archive'))
+      reject(new ValidationError('messageTab must be Inbox, Sent, or Archive', { argument: 'messageTab' }))
     })
   }
   return getMessages(jar, pageNumber, pageSize, messageTab)
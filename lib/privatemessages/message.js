@@ -4,10 +4,7 @@ const queue = require('../internal/queue.js')
 const getGeneralToken = require('../util/getGeneralToken.js').func
 const getHash = require('../util/getHash.js').func
 const getSenderId = require('../util/getSenderUserId.js').func
-
-// Args
-exports.required = ['recipient', 'subject', 'body']
-exports.optional = ['replyMessageId', 'includePreviousMessage', 'jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -58,7 +55,7 @@ function message (jar, token, senderId, recipient, subject, body, replyMessageId
             const errors = body.errors.map((e) => {
               return e.message
             })
-            reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+            reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
           }
         }
       })
@@ -1,12 +1,7 @@
-// Dependencies
-const events = require('events')
-
 // Includes
 const onNotification = require('../client/onNotification.js').func
 const getMessages = require('./getMessages.js').func
-
-// Args
-exports.optional = ['jar']
+const EventStream = require('../internal/eventStream.js')
 
 // Docs
 /**
@@ -30,7 +25,7 @@ exports.optional = ['jar']
 // Define
 exports.func = function (args) {
   const jar = args.jar
-  const onMessage = new events.EventEmitter()
+  const onMessage = new EventStream()
   let waitingForRequest = false
   let latest
   getMessages({ jar, messageTab: 'Inbox', pageNumber: 0, pageSize: 1 })
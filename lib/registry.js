@@ -0,0 +1,2918 @@
+// Includes
+const schema = require('./internal/schema.js')
+
+// Define
+/*
+Every module noblox.js exports, in the order they are loaded. This is the one place a function is described; `index.js`
+wires the exports from it, `wrapExport` validates arguments with it and `scripts/registry.js` generates the function
+declarations of `typings/functions.d.ts` from it (`npm run typings`), and checks nothing has drifted
+(`npm run check:registry`).
+
+A function has:
+  name        - The name it is exported as.
+  module      - Its file, relative to lib/ and without `.js`. The file exports `func`, and optionally `priority` and
+                `page`.
+  category    - The category it is documented under, as its `@category`.
+  auth        - What it needs to be logged in with: "none", "cookie", "optional" (a cookie, for more results) or
+                "apiKey" (an Open Cloud API key).
+  hosts       - The Roblox hosts it sends requests to itself, rather than through other functions.
+  args        - Its arguments, in the order they are taken positionally. Each has a `name`, a TypeScript `type`, and
+                optionally `aliases` (other names it can be given as), `optional` and a `schema` (see internal/schema.js).
+  returns     - The TypeScript type it returns.
+  description - The first line of its documentation, without the emoji.
+  typeParameters, overloads - For the few declarations needing them; an overload narrows the types of some `args`
+                (making them required) and the type it `returns`.
+  mutates     - Set if it changes something on Roblox. In a dry run it resolves with the requests it would have sent
+                and its simulated result, and otherwise its calls are recorded in the journal, see internal/wrap.js.
+  raw         - Set if it is called with its arguments as they are, rather than with an arguments object. Its `args`
+                are then only declared, not checked.
+
+Anything else is `kind: 'module'`: exported as is, and declared by hand in `typings/index.d.ts` unless it is `internal`.
+*/
+module.exports = [
+  // accountinformation
+  {
+    name: 'getUserSocialLinks',
+    module: 'accountinformation/getUserSocialLinks',
+    category: 'AccountInformation',
+    auth: 'cookie',
+    hosts: ['accountinformation.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<PromotionChannelsResponse>',
+    description: 'Get the social link data (promotion channels) associated with a user.'
+  },
+  // accountsettings
+  {
+    name: 'block',
+    module: 'accountsettings/block',
+    category: 'AccountSettings',
+    auth: 'cookie',
+    hosts: ['apis.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'apiUrl', type: 'string', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Blocks the user with `userId`.'
+  },
+  {
+    name: 'isBlocked',
+    module: 'accountsettings/isBlocked',
+    category: 'AccountSettings',
+    auth: 'cookie',
+    hosts: ['apis.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'apiUrl', type: 'string', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<boolean>',
+    description: 'Checks if a user is blocked by the logged in user.'
+  },
+  {
+    name: 'unblock',
+    module: 'accountsettings/unblock',
+    category: 'AccountSettings',
+    auth: 'cookie',
+    hosts: ['apis.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'apiUrl', type: 'string', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Unblocks the user with `userId`.'
+  },
+  {
+    name: 'getBlockedUsers',
+    module: 'accountsettings/getBlockedUsers',
+    category: 'AccountSettings',
+    auth: 'cookie',
+    hosts: ['apis.roblox.com'],
+    args: [
+      { name: 'count', type: 'number', optional: true },
+      { name: 'apiUrl', type: 'string', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<{ blockedUserIds: number[], blockedUsers: Array<{ blockedUserId: number, blockManagerType: string }> }>',
+    description: 'Get the full list of users blocked by the logged in user.\n' +
+      'Fetches pages until the API returns a null cursor.'
+  },
+  // asset
+  {
+    name: 'deleteFromInventory',
+    module: 'asset/deleteFromInventory',
+    category: 'Asset',
+    auth: 'cookie',
+    hosts: ['inventory.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'assetId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Deletes an item from the logged in user\'s inventory'
+  },
+  {
+    name: 'getGamePassProductInfo',
+    module: 'asset/getGamePassProductInfo',
+    category: 'Asset',
+    auth: 'none',
+    hosts: ['apis.roblox.com'],
+    args: [
+      { name: 'gamepass', type: 'number' }
+    ],
+    returns: 'Promise<GamePassProductInfo>',
+    description: 'Gets `info` of `gamepass` and caches according to settings.'
+  },
+  {
+    name: 'getProductInfo',
+    module: 'asset/getProductInfo',
+    category: 'Asset',
+    auth: 'none',
+    hosts: ['economy.roblox.com'],
+    args: [
+      { name: 'asset', type: 'number' }
+    ],
+    returns: 'Promise<ProductInfo>',
+    description: 'Gets `info` of `asset` and caches according to settings.'
+  },
+  {
+    name: 'uploadAnimation',
+    module: 'asset/uploadAnimation',
+    category: 'Asset',
+    auth: 'cookie',
+    hosts: ['www.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'data', type: 'string | stream.Stream' },
+      { name: 'itemOptions', type: 'UploadModelItemOptions', optional: true },
+      { name: 'assetId', type: 'number', optional: true, schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<number>',
+    description: 'Uploads `data` to `asset` with `itemOptions`. If asset is empty a new asset will be created. The assetId is returned as a number. Note that `itemOptions` is required when creating a new asset. It is only optional when updating an old asset, which ignores `itemOptions` and only updates `data`.'
+  },
+  {
+    name: 'uploadItem',
+    module: 'asset/uploadItem',
+    category: 'Asset',
+    auth: 'cookie',
+    hosts: ['www.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'name', type: 'string' },
+      { name: 'assetType', type: 'UploadItemAssetType' },
+      { name: 'file', type: 'string | stream.Stream' },
+      { name: 'groupId', type: 'number', optional: true, schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<UploadItemResponse>',
+    description: 'Uploads an image stored in `file` as an `assetType` with `name`. If `groupId` is specified it will be uploaded to that group. This is for uploading shirts, pants, or decals which have the assetTypes `11`, `12`, and `13`, respectively. Returns the asset `id` of the new item.'
+  },
+  {
+    name: 'uploadModel',
+    module: 'asset/uploadModel',
+    category: 'Asset',
+    auth: 'cookie',
+    hosts: ['data.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'data', type: 'string | stream.Stream' },
+      { name: 'itemOptions', type: 'UploadModelItemOptions', optional: true },
+      { name: 'assetId', type: 'number', optional: true, schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<UploadModelResponse>',
+    description: 'Uploads `data` to `asset` with `itemOptions`. If asset is empty a new asset will be created. Both the assetId as well as the assetVersionId are returned in a object. Note that `itemOptions` is required when creating a new asset. It is only optional when updating an old asset, which ignores `itemOptions` and only updates `data`.'
+  },
+  // avatar
+  {
+    name: 'avatarRules',
+    module: 'avatar/avatarRules',
+    category: 'Avatar',
+    auth: 'none',
+    hosts: ['avatar.roblox.com'],
+    overloads: [
+      { args: { option: '"playerAvatarTypes"' }, returns: 'Promise<string[]>' },
+      { args: { option: '"scales"' }, returns: 'Promise<AvatarRulesScales>' },
+      { args: { option: '"wearableAssetTypes"' }, returns: 'Promise<WearableAssetType[]>' },
+      { args: { option: '"bodyColorsPalette"' }, returns: 'Promise<BodyColorModel[]>' },
+      { args: { option: '"basicBodyColorsPalette"' }, returns: 'Promise<BodyColorModel[]>' },
+      { args: { option: '"minimumDeltaEBodyColorDifference"' }, returns: 'Promise<number>' },
+      { args: { option: '"proportionsAndBodyTypeEnabledForUser"' }, returns: 'Promise<boolean>' },
+      { args: { option: '"defaultClothingAssetLists"' }, returns: 'Promise<DefaultClothingAssetLists>' },
+      { args: { option: '"bundlesEnabledForUser"' }, returns: 'Promise<boolean>' },
+      { args: { option: '"emotesEnabledForUser"' }, returns: 'Promise<boolean>' }
+    ],
+    args: [
+      { name: 'option', type: '"playerAvatarTypes" | "scales" | "wearableAssetTypes" | "bodyColorsPalette" | "basicBodyColorsPalette" | "minimumDeltaEBodyColorDifference" | "proportionsAndBodyTypeEnabledForUser" | "defaultClothingAssetLists" | "bundlesEnabledForUser" | "emotesEnabledForUser" | undefined', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<AvatarRules>',
+    description: 'Get the avatar rules.'
+  },
+  {
+    name: 'currentlyWearing',
+    module: 'avatar/currentlyWearing',
+    category: 'Avatar',
+    auth: 'none',
+    hosts: ['avatar.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<AssetIdList>',
+    description: 'Get the assets a given user is wearing.'
+  },
+  {
+    name: 'getAvatar',
+    module: 'avatar/getAvatar',
+    category: 'Avatar',
+    auth: 'none',
+    hosts: ['avatar.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<AvatarInfo>',
+    description: 'Get a user\'s avatar.'
+  },
+  {
+    name: 'getCurrentAvatar',
+    module: 'avatar/getCurrentAvatar',
+    category: 'Avatar',
+    auth: 'cookie',
+    hosts: ['avatar.roblox.com'],
+    overloads: [
+      { args: { option: '"scales"' }, returns: 'Promise<AvatarScale>' },
+      { args: { option: '"playerAvatarType"' }, returns: 'Promise<PlayerAvatarType>' },
+      { args: { option: '"bodyColors"' }, returns: 'Promise<AvatarBodyColors>' },
+      { args: { option: '"assets"' }, returns: 'Promise<AvatarAsset[]>' },
+      { args: { option: '"defaultShirtApplied"' }, returns: 'Promise<boolean>' },
+      { args: { option: '"defaultPantsApplied"' }, returns: 'Promise<boolean>' }
+    ],
+    args: [
+      { name: 'option', type: '"scales" | "playerAvatarType" | "bodyColors" | "assets" | "defaultShirtApplied" | "defaultPantsApplied" | undefined', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<AvatarInfo>',
+    description: 'Get the current avatar of the logged in user.'
+  },
+  {
+    name: 'getRecentItems',
+    module: 'avatar/getRecentItems',
+    category: 'Avatar',
+    auth: 'cookie',
+    hosts: ['avatar.roblox.com'],
+    args: [
+      { name: 'listType', type: 'RecentItemListType', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<AssetRecentItemsResult>',
+    description: 'Get assets recently worn by the logged in user.'
+  },
+  {
+    name: 'outfitDetails',
+    module: 'avatar/outfitDetails',
+    category: 'Avatar',
+    auth: 'none',
+    hosts: ['avatar.roblox.com'],
+    args: [
+      { name: 'outfitId', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<AvatarOutfitDetails>',
+    description: 'Get the details of an outfit.'
+  },
+  {
+    name: 'outfits',
+    module: 'avatar/outfits',
+    category: 'Avatar',
+    auth: 'none',
+    hosts: ['avatar.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'page', type: 'number', optional: true },
+      { name: 'itemsPerPage', type: 'number', optional: true }
+    ],
+    returns: 'Promise<GetOutfitsResult>',
+    description: 'Get the outfits of a user.'
+  },
+  {
+    name: 'redrawAvatar',
+    module: 'avatar/redrawAvatar',
+    category: 'Avatar',
+    auth: 'cookie',
+    hosts: ['avatar.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Redraws the avatar of the logged in user.'
+  },
+  {
+    name: 'removeAssetId',
+    module: 'avatar/removeAssetId',
+    category: 'Avatar',
+    auth: 'cookie',
+    hosts: ['avatar.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'assetId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Removes the asset with `assetId` from the logged in user\'s avatar.'
+  },
+  {
+    name: 'setAvatarBodyColors',
+    module: 'avatar/setAvatarBodyColors',
+    category: 'Avatar',
+    auth: 'cookie',
+    hosts: ['avatar.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'headColorId', type: 'number' },
+      { name: 'torsoColorId', type: 'number' },
+      { name: 'rightArmColorId', type: 'number' },
+      { name: 'leftArmColorId', type: 'number' },
+      { name: 'rightLegColorId', type: 'number' },
+      { name: 'leftLegColorId', type: 'number' },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Sets the body colors of the logged in user\'s avatar.'
+  },
+  {
+    name: 'setAvatarScales',
+    module: 'avatar/setAvatarScales',
+    category: 'Avatar',
+    auth: 'cookie',
+    hosts: ['avatar.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'height', type: 'number' },
+      { name: 'width', type: 'number' },
+      { name: 'head', type: 'number' },
+      { name: 'depth', type: 'number', optional: true },
+      { name: 'proportion', type: 'number', optional: true },
+      { name: 'bodyType', type: 'number', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Sets the scales of the logged in user\'s avatar.'
+  },
+  {
+    name: 'setPlayerAvatarType',
+    module: 'avatar/setPlayerAvatarType',
+    category: 'Avatar',
+    auth: 'cookie',
+    hosts: ['avatar.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'avatarType', type: 'PlayerAvatarType' },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Sets the player avatar type of the logged in user\'s avatar. (R6/R15)'
+  },
+  {
+    name: 'setWearingAssets',
+    module: 'avatar/setWearingAssets',
+    category: 'Avatar',
+    auth: 'cookie',
+    hosts: ['avatar.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'assetIds', type: 'number[]', schema: schema.ids },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Sets the assets the logged in user is wearing.'
+  },
+  {
+    name: 'wearAssetId',
+    module: 'avatar/wearAssetId',
+    category: 'Avatar',
+    auth: 'cookie',
+    hosts: ['avatar.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'assetId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Wears a specific asset on the logged in user\'s avatar.'
+  },
+  // badges
+  {
+    name: 'getAwardedTimestamps',
+    module: 'badges/getAwardedTimestamps',
+    category: 'Badges',
+    auth: 'none',
+    hosts: ['badges.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'badgeId', type: 'number[]' }
+    ],
+    returns: 'Promise<UserBadgeStats>',
+    description: 'Gets user award date for a badge.'
+  },
+  {
+    name: 'getBadgeInfo',
+    module: 'badges/getBadgeInfo',
+    category: 'Badges',
+    auth: 'none',
+    hosts: ['badges.roblox.com'],
+    args: [
+      { name: 'badgeId', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<BadgeInfo>',
+    description: 'Gets information about a badge.'
+  },
+  {
+    name: 'getGameBadges',
+    module: 'badges/getGameBadges',
+    category: 'Game',
+    auth: 'none',
+    hosts: ['badges.roblox.com'],
+    args: [
+      { name: 'universeId', type: 'number', schema: schema.id },
+      { name: 'limit', type: 'Limit', optional: true, schema: schema.limit },
+      { name: 'cursor', type: 'string', optional: true, schema: schema.cursor },
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder }
+    ],
+    returns: 'Promise<BadgeInfo>',
+    description: 'Get the badges in a specific game.'
+  },
+  {
+    name: 'getPlayerBadges',
+    module: 'badges/getPlayerBadges',
+    category: 'User',
+    auth: 'none',
+    hosts: ['badges.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'limit', type: 'number', optional: true, schema: schema.limit },
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<Array<PlayerBadges>>',
+    description: 'Gets the badges of a user.'
+  },
+  {
+    name: 'updateBadgeInfo',
+    module: 'badges/updateBadgeInfo',
+    category: 'Badges',
+    auth: 'cookie',
+    hosts: ['badges.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'badgeId', type: 'number', schema: schema.id },
+      { name: 'name', type: 'string', optional: true },
+      { name: 'description', type: 'string', optional: true },
+      { name: 'enabled', type: 'boolean', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Updates badge information.'
+  },
+  // chat
+  {
+    name: 'addUsersToConversation',
+    module: 'chat/addUsersToConversation',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: ['chat.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'conversationId', type: 'number', schema: schema.id },
+      { name: 'userIds', type: 'number[]', schema: schema.ids },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<ConversationAddResponse>',
+    description: 'Adds a user to a group conversation.'
+  },
+  {
+    name: 'chatSettings',
+    module: 'chat/chatSettings',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: ['chat.roblox.com'],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<ChatSettings>',
+    description: 'Get chat settings.'
+  },
+  {
+    name: 'getChatMessages',
+    module: 'chat/getChatMessages',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: ['chat.roblox.com'],
+    args: [
+      { name: 'conversationId', type: 'number', schema: schema.id },
+      { name: 'pageSize', type: 'number', optional: true },
+      { name: 'exclusiveStartMessageId', type: 'string', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<ChatMessage[]>',
+    description: 'Get the chat messages of a conversation.'
+  },
+  {
+    name: 'getConversations',
+    module: 'chat/getConversations',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: ['chat.roblox.com'],
+    args: [
+      { name: 'conversationIds', type: 'number[]', schema: schema.ids },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<ChatConversation[]>',
+    description: 'Get conversation details for the conversationIds specified in the parameters'
+  },
+  {
+    name: 'getRolloutSettings',
+    module: 'chat/getRolloutSettings',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: ['chat.roblox.com'],
+    args: [
+      { name: 'featureNames', type: 'ChatFeatureNames[]', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<GetRolloutSettingsResult>',
+    description: 'Get the rollout settings for the logged in user.'
+  },
+  {
+    name: 'getUnreadConversationCount',
+    module: 'chat/getUnreadConversationCount',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: ['chat.roblox.com'],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<GetUnreadConversationCountResult>',
+    description: 'Get the unread conversation count for the logged in user.'
+  },
+  {
+    name: 'getUnreadMessages',
+    module: 'chat/getUnreadMessages',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: ['chat.roblox.com'],
+    args: [
+      { name: 'conversationIds', type: 'number[]', schema: schema.ids },
+      { name: 'pageSize', type: 'number', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<ChatConversationWithMessages[]>',
+    description: 'Get the unread messages for the logged in user in the conversations specified in the parameters.'
+  },
+  {
+    name: 'getUserConversations',
+    module: 'chat/getUserConversations',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: ['chat.roblox.com'],
+    args: [
+      { name: 'pageNumber', type: 'number', optional: true },
+      { name: 'pageSize', type: 'number', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<ChatConversation[]>',
+    description: 'Get conversations for the logged in user.'
+  },
+  {
+    name: 'markChatAsRead',
+    module: 'chat/markChatAsRead',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: ['chat.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'conversationId', type: 'number', schema: schema.id },
+      { name: 'endMessageId', type: 'string' },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Mark a conversation as read.'
+  },
+  {
+    name: 'markChatAsSeen',
+    module: 'chat/markChatAsSeen',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: ['chat.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'conversationIds', type: 'number[]', schema: schema.ids },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Mark a conversation as seen.'
+  },
+  {
+    name: 'multiGetLatestMessages',
+    module: 'chat/multiGetLatestMessages',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: ['chat.roblox.com'],
+    args: [
+      { name: 'conversationIds', type: 'number[]', schema: schema.ids },
+      { name: 'pageSize', type: 'number', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<ChatConversationWithMessages[]>',
+    description: 'Get the latest messages for the conversations specified in the parameters.'
+  },
+  {
+    name: 'onNewConversation',
+    module: 'chat/onNewConversation',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnNewConversationEventEmitter',
+    description: 'An event for when a conversation is created.'
+  },
+  {
+    name: 'onNewMessage',
+    module: 'chat/onNewMessage',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnNewMessageEventEmitter',
+    description: 'An event for when someone messages you via. chat. This event will only emit for messages sent via. chat windows on\n' +
+      'the website - those in the pop-up/overlay window. To handle messages sent via. the older email-like\n' +
+      'message function, see onMessage.'
+  },
+  {
+    name: 'onNewMessageBySelf',
+    module: 'chat/onNewMessageBySelf',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnNewMessageBySelfEventEmitter',
+    description: 'An event for when you send a new message.'
+  },
+  {
+    name: 'onUserOnline',
+    module: 'chat/onUserOnline',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnUserOnlineEventEmitter',
+    description: 'An event for when someone comes online.'
+  },
+  {
+    name: 'onUserTyping',
+    module: 'chat/onUserTyping',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnUserTypingChatEvent',
+    description: 'An event for when someone starts typing in a chat.'
+  },
+  {
+    name: 'removeFromGroupConversation',
+    module: 'chat/removeFromGroupConversation',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: ['chat.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'conversationId', type: 'number', schema: schema.id },
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<ConversationRemoveResponse>',
+    description: 'Removes a user from a group conversation.'
+  },
+  {
+    name: 'renameGroupConversation',
+    module: 'chat/renameGroupConversation',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: ['chat.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'conversationId', type: 'number', schema: schema.id },
+      { name: 'title', type: 'string' },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<ConversationRenameResponse>',
+    description: 'Renames a group conversation.'
+  },
+  {
+    name: 'sendChatMessage',
+    module: 'chat/sendChatMessage',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: ['chat.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'conversationId', type: 'number', schema: schema.id },
+      { name: 'message', type: 'string' },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<SendChatResponse>',
+    description: 'Sends a chat message to a conversation.'
+  },
+  {
+    name: 'setChatUserTyping',
+    module: 'chat/setChatUserTyping',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: ['chat.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'conversationId', type: 'number', schema: schema.id },
+      { name: 'isTyping', type: 'boolean' },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<UpdateTypingResponse>',
+    description: 'Sets the typing status of the logged in user in a conversation.'
+  },
+  {
+    name: 'start121Conversation',
+    module: 'chat/start121Conversation',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: ['chat.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Starts a conversation with a user.'
+  },
+  {
+    name: 'startCloudEditConversation',
+    module: 'chat/startCloudEditConversation',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: ['chat.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'placeId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Starts a cloud edit/team create conversation.'
+  },
+  {
+    name: 'startGroupConversation',
+    module: 'chat/startGroupConversation',
+    category: 'Chat',
+    auth: 'cookie',
+    hosts: ['chat.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'userIds', type: 'number[]', schema: schema.ids },
+      { name: 'title', type: 'string' },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<StartGroupConversationResponse>',
+    description: 'Starts a group conversation.'
+  },
+  // client
+  {
+    name: 'createClient',
+    module: 'client/createClient',
+    category: 'Client',
+    auth: 'none',
+    hosts: [],
+    args: [
+      { name: 'cookie', type: 'string', optional: true },
+      { name: 'apiKey', type: 'string', optional: true },
+      { name: 'cache', type: 'CreateClientOptions["cache"]', optional: true },
+      { name: 'proxy', type: 'Partial<ProxyConfiguration>', optional: true },
+      { name: 'transport', type: '"request" | "fetch" | Transport', optional: true }
+    ],
+    returns: 'NobloxClient',
+    description: 'Creates an independent client with its own cookie jar, cache and queue, so several accounts can be used from one process.\n' +
+      'The functions exported directly from noblox.js keep using the default client.'
+  },
+  {
+    name: 'onNotification',
+    module: 'client/onNotification',
+    category: 'Client',
+    auth: 'cookie',
+    hosts: ['realtime-signalr.roblox.com'],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnNotificationEventEmitter',
+    description: 'An event for when you get a notification. Every event listening for notifications of the same account shares one connection, which is closed once the last of them is closed.'
+  },
+  {
+    name: 'setAPIKey',
+    module: 'client/setAPIKey',
+    category: 'Client',
+    auth: 'none',
+    hosts: [],
+    args: [
+      { name: 'apiKey', type: 'string' }
+    ],
+    returns: 'Promise<void>',
+    description: 'Sets the API key for the user to enable use of open cloud functions.\n' +
+      'This is not the same as a .ROBLOSECURITY cookie.'
+  },
+  {
+    name: 'setCookie',
+    module: 'client/setCookie',
+    category: 'Client',
+    auth: 'none',
+    hosts: [],
+    typeParameters: 'B extends boolean = true',
+    args: [
+      { name: 'cookie', type: 'string' },
+      { name: 'validate', type: 'B', optional: true }
+    ],
+    returns: 'B extends false ? boolean : Promise<AuthenticatedUserData>',
+    description: 'Allows the user to login with a provided cookie string, bypassing the username/password captcha issues.\n' +
+      'By default, the provided cookie will be validated by making a HTTP request. To disable this behaviour, pass false as the second optional parameter (shouldValidate).'
+  },
+  // datastores
+  {
+    name: 'deleteDatastoreEntry',
+    module: 'datastores/deleteDatastoreEntry',
+    category: 'Datastores',
+    auth: 'apiKey',
+    hosts: ['apis.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'universeId', type: 'number', schema: schema.id },
+      { name: 'datastoreName', type: 'string' },
+      { name: 'entryKey', type: 'string' },
+      { name: 'scope', type: 'string', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Marks the entry as deleted by creating a tombstone version. Entries are deleted permanently after 30 days.'
+  },
+  {
+    name: 'getDatastoreEntry',
+    module: 'datastores/getDatastoreEntry',
+    category: 'Datastores',
+    auth: 'apiKey',
+    hosts: ['apis.roblox.com'],
+    args: [
+      { name: 'universeId', type: 'number', schema: schema.id },
+      { name: 'datastoreName', type: 'string' },
+      { name: 'entryKey', type: 'string' },
+      { name: 'scope', type: 'string', optional: true },
+      { name: 'versionId', type: 'string', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<DatastoreEntry>',
+    description: 'Returns the latest value and metadata associated with an entry, or a specific version if versionId is provided.'
+  },
+  {
+    name: 'getDatastoreEntryVersions',
+    module: 'datastores/getDatastoreEntryVersions',
+    category: 'Datastores',
+    auth: 'apiKey',
+    hosts: ['apis.roblox.com'],
+    args: [
+      { name: 'universeId', type: 'number', schema: schema.id },
+      { name: 'datastoreName', type: 'string' },
+      { name: 'entryKey', type: 'string' },
+      { name: 'scope', type: '(string | boolean)', optional: true },
+      { name: 'startTime', type: 'Date', optional: true },
+      { name: 'endTime', type: 'Date', optional: true },
+      { name: 'sortOrder', type: '("Ascending" | "Descending")', optional: true },
+      { name: 'limit', type: 'number', optional: true, schema: schema.limit },
+      { name: 'cursor', type: 'string', optional: true, schema: schema.cursor },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<EntryVersionsResult>',
+    description: 'Returns a list of entry versions of an entry. Needs the "List versions" API key permission.'
+  },
+  {
+    name: 'getDatastoreKeys',
+    module: 'datastores/getDatastoreKeys',
+    category: 'Datastores',
+    auth: 'apiKey',
+    hosts: ['apis.roblox.com'],
+    args: [
+      { name: 'universeId', type: 'number', schema: schema.id },
+      { name: 'datastoreName', type: 'string' },
+      { name: 'scope', type: 'string | boolean', optional: true },
+      { name: 'prefix', type: 'string', optional: true },
+      { name: 'limit', type: 'number', optional: true, schema: schema.limit },
+      { name: 'cursor', type: 'string', optional: true, schema: schema.cursor },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<DatastoreKeysResult>',
+    description: 'Returns a list of entry keys within a data store.'
+  },
+  {
+    name: 'getDatastores',
+    module: 'datastores/getDatastores',
+    category: 'Datastores',
+    auth: 'apiKey',
+    hosts: ['apis.roblox.com'],
+    args: [
+      { name: 'universeId', type: 'number', schema: schema.id },
+      { name: 'prefix', type: 'string', optional: true },
+      { name: 'limit', type: 'number', optional: true, schema: schema.limit },
+      { name: 'cursor', type: 'string', optional: true, schema: schema.cursor },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<DatastoresResult>',
+    description: 'Returns a list of data stores belonging to a universe.'
+  },
+  {
+    name: 'incrementDatastoreEntry',
+    module: 'datastores/incrementDatastoreEntry',
+    category: 'Datastores',
+    auth: 'apiKey',
+    hosts: ['apis.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'universeId', type: 'number', schema: schema.id },
+      { name: 'datastoreName', type: 'string' },
+      { name: 'entryKey', type: 'string' },
+      { name: 'incrementBy', type: 'number' },
+      { name: 'scope', type: 'string', optional: true },
+      { name: 'robloxEntryUserIDs', type: 'number[]', optional: true },
+      { name: 'robloxEntryAttributes', type: 'object', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<DatastoreEntry>',
+    description: 'Increments the value for an entry by a given amount, or create a new entry with that amount.'
+  },
+  {
+    name: 'setDatastoreEntry',
+    module: 'datastores/setDatastoreEntry',
+    category: 'Datastores',
+    auth: 'apiKey',
+    hosts: ['apis.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'universeId', type: 'number', schema: schema.id },
+      { name: 'datastoreName', type: 'string' },
+      { name: 'entryKey', type: 'string' },
+      { name: 'body', type: 'any' },
+      { name: 'scope', type: 'string', optional: true },
+      { name: 'matchVersion', type: 'string', optional: true },
+      { name: 'exclusiveCreate', type: 'boolean', optional: true },
+      { name: 'robloxEntryUserIDs', type: 'number[]', optional: true },
+      { name: 'robloxEntryAttributes', type: 'object', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<EntryVersion>',
+    description: 'Sets the value, metadata and user IDs associated with an entry.'
+  },
+  // develop
+  {
+    name: 'canManage',
+    module: 'develop/canManage',
+    category: 'Develop',
+    auth: 'none',
+    hosts: ['develop.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'assetId', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<boolean>',
+    description: 'Returns whether the user can manage a given asset.'
+  },
+  {
+    name: 'configureItem',
+    module: 'develop/configureItem',
+    category: 'Develop',
+    auth: 'cookie',
+    hosts: ['catalog.roblox.com', 'develop.roblox.com', 'itemconfiguration.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'id', type: 'number' },
+      { name: 'name', type: 'string' },
+      { name: 'description', type: 'string' },
+      { name: 'enableComments', type: 'boolean', optional: true },
+      { name: 'sellForRobux', type: 'boolean', optional: true },
+      { name: 'genreSelection', type: 'number', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<ConfigureItemResponse>',
+    description: 'Configures an item (shirt, pants, decal, etc.) with the id `id` to have `name` and `description`. If `enableComments` is true comments will be allowed and if `sellForRobux` is set it will be put on sale for that amount of robux.\n' +
+      '\n' +
+      'NOTE: Use `configureGamePass()` for Game Passes.'
+  },
+  {
+    name: 'updateUniverse',
+    module: 'develop/updateUniverse',
+    category: 'Develop',
+    auth: 'cookie',
+    hosts: ['develop.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'universeId', type: 'number', schema: schema.id },
+      { name: 'settings', type: 'UniverseSettings' },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<UpdateUniverseResponse>',
+    description: 'Modifies a universe\'s settings'
+  },
+  {
+    name: 'updateUniverseAccess',
+    module: 'develop/updateUniverseAccess',
+    category: 'Develop',
+    auth: 'cookie',
+    hosts: ['develop.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'universeId', type: 'number', schema: schema.id },
+      { name: 'isPublic', type: 'boolean' },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Updates a universe\'s public access setting'
+  },
+  // economy
+  {
+    name: 'buy',
+    module: 'economy/buy',
+    category: 'Assets',
+    auth: 'cookie',
+    hosts: ['economy.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'asset', type: 'number | ProductInfo | BuyProductInfo', aliases: ['product'] },
+      { name: 'price', type: 'number | PriceRange', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<BuyAssetResponse>',
+    description: 'Buys asset `asset` with `price` restrictions. This can be a single value or an object with `high` and `low` that sets the respective price limits (both inclusive). This allows you to buy assets with a minimum or maximum amount of robux that can be used or a single required value and therefore guarantees you can\'t be scammed by a sudden price change. If a price restriction is not set, the asset will be bought for however much it costs (works with free assets). You are able to use product instead of asset, the options in `product` are collected automatically if not provided.'
+  },
+  {
+    name: 'getGroupFunds',
+    module: 'economy/getGroupFunds',
+    category: 'Group',
+    auth: 'optional',
+    hosts: ['economy.roblox.com'],
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<number>',
+    description: 'Gets the amount of Robux in a group.'
+  },
+  {
+    name: 'getGroupRevenueSummary',
+    module: 'economy/getGroupRevenueSummary',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: ['economy.roblox.com'],
+    args: [
+      { name: 'groupId', type: 'number', schema: schema.id },
+      { name: 'timeFrame', type: '"Day" | "Week" | "Month" | "Year"', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<RevenueSummaryResponse>',
+    description: 'Gets recent Robux revenue summary for a group; shows pending Robux. | Requires "Spend group funds" permissions.'
+  },
+  {
+    name: 'getGroupTransactions',
+    module: 'economy/getGroupTransactions',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: ['economy.roblox.com'],
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'transactionType', type: '"Sale" | "Purchase" | "AffiliateSale" | "DevEx" | "GroupPayout" | "AdImpressionPayout"', optional: true },
+      { name: 'limit', type: 'number', optional: true, schema: schema.limit },
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<TransactionItem[]>',
+    description: 'Gets the transaction history of the specified group.'
+  },
+  {
+    name: 'getResaleData',
+    module: 'economy/getResaleData',
+    category: 'Assets',
+    auth: 'none',
+    hosts: ['economy.roblox.com'],
+    args: [
+      { name: 'assetId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<ResaleDataResponse>',
+    description: 'Get the recent sale history (price and volume per day for 180 days) of a limited asset.'
+  },
+  {
+    name: 'getResellers',
+    module: 'economy/getResellers',
+    category: 'Assets',
+    auth: 'cookie',
+    hosts: ['economy.roblox.com'],
+    args: [
+      { name: 'assetId', type: 'number', schema: schema.id },
+      { name: 'limit', type: 'Limit', optional: true, schema: schema.limit },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<ResellerData[]>',
+    description: 'Gets available resale copies of a limited asset.'
+  },
+  {
+    name: 'getUserFunds',
+    module: 'economy/getUserFunds',
+    category: 'User',
+    auth: 'cookie',
+    hosts: ['economy.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<number>',
+    description: 'Returns the current user\'s robux balance'
+  },
+  {
+    name: 'getUserTransactions',
+    module: 'economy/getUserTransactions',
+    category: 'User',
+    auth: 'cookie',
+    hosts: ['economy.roblox.com'],
+    args: [
+      { name: 'transactionType', type: '"Sale" | "Purchase" | "AffiliateSale" | "DevEx" | "GroupPayout" | "AdImpressionPayout"', optional: true },
+      { name: 'limit', type: 'number', optional: true, schema: schema.limit },
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<TransactionItem[]>',
+    description: 'Gets the transaction history of the logged in user or of the user specified by the jar.'
+  },
+  {
+    name: 'onGroupTransaction',
+    module: 'economy/onGroupTransaction',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'groupId', type: 'number', schema: schema.id },
+      { name: 'transactionType', type: '"Sale" | "Purchase" | "AffiliateSale" | "DevEx" | "GroupPayout" | "AdImpressionPayout"' },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnTransactionEventEmitter',
+    description: 'Fires when there is a transaction in the group with groupId `group`, of the given type. Only runs every 60 sec.'
+  },
+  // friends
+  {
+    name: 'acceptFriendRequest',
+    module: 'friends/acceptFriendRequest',
+    category: 'User',
+    auth: 'cookie',
+    hosts: ['friends.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'apiUrl', type: 'string', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Accepts friend requests from `userId`.'
+  },
+  {
+    name: 'declineAllFriendRequests',
+    module: 'friends/declineAllFriendRequests',
+    category: 'User',
+    auth: 'cookie',
+    hosts: ['friends.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Decline all incoming friend requests.'
+  },
+  {
+    name: 'declineFriendRequest',
+    module: 'friends/declineFriendRequest',
+    category: 'User',
+    auth: 'cookie',
+    hosts: ['friends.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Declines friend requests from `userId`.'
+  },
+  {
+    name: 'getFollowerCount',
+    module: 'friends/getFollowerCount',
+    category: 'User',
+    auth: 'none',
+    hosts: ['friends.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<number>',
+    description: 'Gets the number of followers a user has.'
+  },
+  {
+    name: 'getFollowers',
+    module: 'friends/getFollowers',
+    category: 'User',
+    auth: 'none',
+    hosts: ['friends.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder },
+      { name: 'limit', type: 'Limit', optional: true, schema: schema.limit },
+      { name: 'cursor', type: 'string', optional: true, schema: schema.cursor },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<FollowersPage>',
+    description: 'Get the followers of a user (users who follow the specified person)'
+  },
+  {
+    name: 'getFollowingCount',
+    module: 'friends/getFollowingCount',
+    category: 'User',
+    auth: 'none',
+    hosts: ['friends.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<number>',
+    description: 'Gets the number of followings a user has (users who have been followed by the specified person).'
+  },
+  {
+    name: 'getFollowings',
+    module: 'friends/getFollowings',
+    category: 'User',
+    auth: 'none',
+    hosts: ['friends.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder },
+      { name: 'limit', type: 'Limit', optional: true, schema: schema.limit },
+      { name: 'cursor', type: 'string', optional: true, schema: schema.cursor },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<FollowingsPage>',
+    description: 'Get the followings of a user (users who have been followed by the specified person)'
+  },
+  {
+    name: 'getFriendCount',
+    module: 'friends/getFriendCount',
+    category: 'User',
+    auth: 'none',
+    hosts: ['friends.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<number>',
+    description: 'Get the number of friends a user has.'
+  },
+  {
+    name: 'getFriendRequests',
+    module: 'friends/getFriendRequests',
+    category: 'User',
+    auth: 'cookie',
+    hosts: ['friends.roblox.com'],
+    args: [
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder },
+      { name: 'limit', type: 'Limit', optional: true, schema: schema.limit },
+      { name: 'cursor', type: 'string', optional: true, schema: schema.cursor },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<FriendRequestsPage>',
+    description: 'Gets the pending friend requests of the logged in user.'
+  },
+  {
+    name: 'getFriends',
+    module: 'friends/getFriends',
+    category: 'User',
+    auth: 'none',
+    hosts: ['friends.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'apiUrl', type: 'string', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<Friends>',
+    description: 'Gets the friends list of the specified user.'
+  },
+  {
+    name: 'onFriendRequest',
+    module: 'friends/onFriendRequest',
+    category: 'User',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnFriendRequestEventEmitter',
+    description: 'Fires when new friend requests are received.'
+  },
+  {
+    name: 'onFriendshipCreated',
+    module: 'friends/onFriendshipCreated',
+    category: 'User',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnFriendShipCreationEventEmitter',
+    description: 'Fires when a new friendship is created.'
+  },
+  {
+    name: 'removeFriend',
+    module: 'friends/removeFriend',
+    category: 'User',
+    auth: 'cookie',
+    hosts: ['friends.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'apiUrl', type: 'string', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Removes friendship with `userId`.'
+  },
+  {
+    name: 'sendFriendRequest',
+    module: 'friends/sendFriendRequest',
+    category: 'User',
+    auth: 'cookie',
+    hosts: ['friends.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'apiUrl', type: 'string', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Sends a friend request to `userId`.'
+  },
+  {
+    name: 'unfollow',
+    module: 'friends/unfollow',
+    category: 'User',
+    auth: 'cookie',
+    hosts: ['friends.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Unfollows the user with `userId`.'
+  },
+  // games
+  {
+    name: 'addDeveloperProduct',
+    module: 'games/addDeveloperProduct',
+    category: 'Game',
+    auth: 'cookie',
+    hosts: ['apis.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'universeId', type: 'number', schema: schema.id },
+      { name: 'name', type: 'string' },
+      { name: 'priceInRobux', type: 'number' },
+      { name: 'description', type: 'string', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<DeveloperProductAddResult>',
+    description: 'Adds a developer product to the specified universe.\n' +
+      'Warning: The `productId` returned by this function does not match the `productId` used by other endpoints.'
+  },
+  {
+    name: 'configureGamePass',
+    module: 'games/configureGamePass',
+    category: 'Game',
+    auth: 'cookie',
+    hosts: ['apis.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'gamePassId', type: 'number', schema: schema.id },
+      { name: 'name', type: 'string' },
+      { name: 'description', type: 'string', optional: true },
+      { name: 'price', type: 'number | boolean', optional: true },
+      { name: 'icon', type: 'string | stream.Stream', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<GamePassResponse>',
+    description: 'Configures a game pass with the id `gamePassId` to have a `name`, `description`, `price` in Robux, and `icon` image. If `name` is an empty string, only `price` is changed. Setting `price` to false, 0, or a negative value will place the game pass off-sale.\n' +
+      'Returns a `GamePassResponse` with the changed attributes.\n' +
+      '\n' +
+      'NOTE: Updating `name` will affect `description`: you must repeat `description` with each `name` update, or `description` will be cleared.'
+  },
+  {
+    name: 'getDeveloperProducts',
+    module: 'games/getDeveloperProducts',
+    category: 'Game',
+    auth: 'cookie',
+    hosts: ['api.roblox.com'],
+    args: [
+      { name: 'placeId', type: 'number', schema: schema.id },
+      { name: 'page', type: 'number', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<DeveloperProductsResult>',
+    description: 'Returns the existing developer products in a specified game.'
+  },
+  {
+    name: 'getGameInstances',
+    module: 'games/getGameInstances',
+    category: 'Game',
+    auth: 'optional',
+    hosts: ['games.roblox.com'],
+    args: [
+      { name: 'placeId', type: 'number', schema: schema.id },
+      { name: 'serverType', type: '"Public" | "Friend" | "VIP"', optional: true },
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder },
+      { name: 'limit', type: 'number', optional: true, schema: schema.limit },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<GameInstance[]>',
+    description: 'Returns data about the existing game instances (servers) of the specified place. You must have permission to view the game\'s server list to use this. (Must be logged in)'
+  },
+  {
+    name: 'getGamePasses',
+    module: 'games/getGamePasses',
+    category: 'Game',
+    auth: 'none',
+    hosts: ['games.roblox.com'],
+    args: [
+      { name: 'universeId', type: 'number', schema: schema.id },
+      { name: 'limit', type: 'Limit', optional: true, schema: schema.limit }
+    ],
+    returns: 'Promise<GamePassData[]>',
+    description: 'Gets a game\'s game passes.'
+  },
+  {
+    name: 'getGameRevenue',
+    module: 'games/getGameRevenue',
+    category: 'Game',
+    auth: 'cookie',
+    hosts: ['develop.roblox.com'],
+    args: [
+      { name: 'placeId', type: 'number', schema: schema.id },
+      { name: 'type', type: '"Revenue" | "RevenuePerVisit" | "AverageVisitLength" | "Visits"' },
+      { name: 'granularity', type: '"Hourly" | "Daily" | "Monthly"' },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<GameRevenueResponse>',
+    description: 'Get the Game Revenue data.'
+  },
+  {
+    name: 'getGameSocialLinks',
+    module: 'games/getGameSocialLinks',
+    category: 'Game',
+    auth: 'cookie',
+    hosts: ['games.roblox.com'],
+    args: [
+      { name: 'universeId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<SocialLinkResponse[]>',
+    description: 'Get the social link data associated with a game.'
+  },
+  {
+    name: 'getGroupGames',
+    module: 'games/getGroupGames',
+    category: 'Group',
+    auth: 'none',
+    hosts: ['games.roblox.com'],
+    args: [
+      { name: 'groupId', type: 'number', schema: schema.id },
+      { name: 'accessFilter', type: '"All" | "Public" | "Private"', optional: true },
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder },
+      { name: 'limit', type: 'Limit', optional: true, schema: schema.limit }
+    ],
+    returns: 'Promise<GroupGameInfo[]>',
+    description: 'Gets a list of games from the specified group.'
+  },
+  {
+    name: 'getPlaceInfo',
+    module: 'games/getPlaceInfo',
+    category: 'Game',
+    auth: 'optional',
+    hosts: ['games.roblox.com'],
+    args: [
+      { name: 'placeId', type: 'number | number[]' },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<PlaceInformation[]>',
+    description: 'Returns information about the place(s) in question, such as name, description, etc.'
+  },
+  {
+    name: 'getUniverseInfo',
+    module: 'games/getUniverseInfo',
+    category: 'Game',
+    auth: 'optional',
+    hosts: ['games.roblox.com'],
+    args: [
+      { name: 'universeId', type: 'number | Array<number>' },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<UniverseInformation[]>',
+    description: 'Returns information about the universe(s) in question, such as description, name etc; varies based on whether or not you\'re logged in.'
+  },
+  {
+    name: 'updateDeveloperProduct',
+    module: 'games/updateDeveloperProduct',
+    category: 'Game',
+    auth: 'cookie',
+    hosts: ['apis.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'universeId', type: 'number', schema: schema.id },
+      { name: 'productId', type: 'number', schema: schema.id },
+      { name: 'priceInRobux', type: 'number' },
+      { name: 'name', type: 'string', optional: true },
+      { name: 'description', type: 'string', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Update a developer product.'
+  },
+  {
+    name: 'publishToTopic',
+    module: 'games/publishToTopic',
+    category: 'Game',
+    auth: 'apiKey',
+    hosts: ['apis.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'universeId', type: 'number', schema: schema.id },
+      { name: 'topic', type: 'string' },
+      { name: 'data', type: '(Object | string)' },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<boolean>',
+    description: 'Publish a message to a subscribed topic.'
+  },
+  // groups
+  {
+    name: 'changeRank',
+    module: 'groups/changeRank',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: [],
+    mutates: true,
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'target', type: 'number', schema: schema.id },
+      { name: 'change', type: 'number', schema: { type: 'integer' } },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<ChangeRankResult>',
+    description: 'Moves the user with userId `target` up or down the list of ranks in `group` by `change`. For example `changeRank(group, target, 1)` would promote the user 1 rank and `changeRank(group, target, -1)` would demote them down 1. Note that this simply follows the list, ignoring ambiguous ranks. The full `newRole` as well as the user\'s original `oldRole` is returned.'
+  },
+  {
+    name: 'deleteWallPost',
+    module: 'groups/deleteWallPost',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: ['groups.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'postId', type: 'number | WallPost', aliases: ['post'], schema: [schema.id, { type: 'object' }] },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Deletes the wall post `postId` in `group`. The post can also be passed as `post`, either by its id or as the wall post itself (eg. from `getWall`).'
+  },
+  {
+    name: 'deleteWallPostsByUser',
+    module: 'groups/deleteWallPostsByUser',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: ['groups.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Deletes all wall posts sent by the provided user id.'
+  },
+  {
+    name: 'demote',
+    module: 'groups/demote',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: [],
+    mutates: true,
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'target', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<ChangeRankResult>',
+    description: 'Alias of `changeRank(group, target, -1)`.'
+  },
+  {
+    name: 'exile',
+    module: 'groups/exile',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: ['groups.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'target', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Exiles user with `userId` target from `group`.'
+  },
+  {
+    name: 'getAuditLog',
+    module: 'groups/getAuditLog',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: ['groups.roblox.com'],
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'actionType', type: '"" | "DeletePost" | "RemoveMember" | "AcceptJoinRequest" | "DeclineJoinRequest" | "PostStatus" | "ChangeRank" | "BuyAd" | "SendAllyRequest" | "CreateEnemy" | "AcceptAllyRequest" | "DeclineAllyRequest" | "DeleteAlly" | "DeleteEnemy" | "AddGroupPlace" | "RemoveGroupPlace" | "CreateItems" | "ConfigureItems" | "SpendGroupFunds" | "ChangeOwner" | "Delete" | "AdjustCurrencyAmounts" | "Abandon" | "Claim" | "Rename" | "ChangeDescription" | "InviteToClan" | "KickFromClan" | "CancelClanInvite" | "BuyClan" | "CreateGroupAsset" | "UpdateGroupAsset" | "ConfigureGroupAsset" | "RevertGroupAsset" | "CreateGroupDeveloperProduct" | "ConfigureGroupGame" | "Lock" | "Unlock" | "CreateGamePass" | "CreateBadge" | "ConfigureBadge" | "SavePlace" | "PublishPlace"', optional: true },
+      { name: 'userId', type: 'number', optional: true, schema: schema.id },
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder },
+      { name: 'limit', type: 'Limit', optional: true, schema: schema.limit },
+      { name: 'cursor', type: 'string', optional: true, schema: schema.cursor },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<AuditPage>',
+    description: 'Gets the audit logs of the specified group.'
+  },
+  {
+    name: 'getGroup',
+    module: 'groups/getGroup',
+    category: 'Group',
+    auth: 'none',
+    hosts: ['groups.roblox.com'],
+    args: [
+      { name: 'groupId', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<Group>',
+    description: 'Gets a brief overview of the specified group.'
+  },
+  {
+    name: 'getGroupSocialLinks',
+    module: 'groups/getGroupSocialLinks',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: ['groups.roblox.com'],
+    args: [
+      { name: 'groupId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<SocialLinkResponse[]>',
+    description: 'Get the social link data associated with a group.'
+  },
+  {
+    name: 'getGroups',
+    module: 'groups/getGroups',
+    category: 'User',
+    auth: 'none',
+    hosts: ['groups.roblox.com', 'thumbnails.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<IGroupPartial[]>',
+    description: 'Gets the groups a player is in.'
+  },
+  {
+    name: 'getJoinRequest',
+    module: 'groups/getJoinRequest',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: ['groups.roblox.com'],
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<GroupJoinRequest>',
+    description: 'Gets a specific group join request, if it exists.'
+  },
+  {
+    name: 'getJoinRequests',
+    module: 'groups/getJoinRequests',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: ['groups.roblox.com'],
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder },
+      { name: 'limit', type: 'Limit', optional: true, schema: schema.limit },
+      { name: 'cursor', type: 'string', optional: true, schema: schema.cursor },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<GroupJoinRequestsPage>',
+    description: 'Gets the first page of join requests from `group`.'
+  },
+  {
+    name: 'getPlayers',
+    module: 'groups/getPlayers',
+    category: 'Group',
+    auth: 'none',
+    hosts: ['groups.roblox.com'],
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'rolesetId', type: 'number[] | number', schema: [schema.id, schema.ids] },
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder },
+      { name: 'limit', type: 'number', optional: true, schema: schema.limit },
+      { name: 'cursor', type: 'string', optional: true, schema: schema.cursor },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<GroupUser[]>',
+    description: 'Gets all (or up to limit when provided and greater than 0) players in `group` with the number/array of `roleset`.'
+  },
+  {
+    name: 'getRankInGroup',
+    module: 'groups/getRankInGroup',
+    category: 'Group',
+    auth: 'none',
+    hosts: ['groups.roblox.com'],
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'userId', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<number>',
+    description: 'Gets `rank` of user with `userId` in `group` and caches according to settings.'
+  },
+  {
+    name: 'getRankNameInGroup',
+    module: 'groups/getRankNameInGroup',
+    category: 'Group',
+    auth: 'none',
+    hosts: ['groups.roblox.com'],
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'userId', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<string>',
+    description: 'Gets the rank `name` of user with `userId` in `group` and caches according to settings.'
+  },
+  {
+    name: 'getRole',
+    module: 'groups/getRole',
+    category: 'Group',
+    auth: 'none',
+    hosts: [],
+    args: [
+      { name: 'group', type: 'number | Role[]' },
+      { name: 'roleQuery', type: 'number | string' }
+    ],
+    returns: 'Promise<Role>',
+    description: 'Returns role information of rank `rank`, which can be a single rank or an array of ranks. The `roles` object can be passed in directly from the `getRoles` function or the `group` id can be given to retrieve it automatically. If an array of ranks is inputted a parallel array of roles is returned. Alternatively, the name `name` of the role can be searched for, this should be used if there are "ambiguous roles" that have the same rank. If ambiguous roles cannot be resolved an error will be thrown. The actual roleset `id` may be used as well.'
+  },
+  {
+    name: 'getRolePermissions',
+    module: 'groups/getRolePermissions',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: ['groups.roblox.com'],
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'rolesetId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<RolePermissions>',
+    description: 'Returns the permissions a role has been assigned.'
+  },
+  {
+    name: 'getRoles',
+    module: 'groups/getRoles',
+    category: 'Group',
+    auth: 'none',
+    hosts: ['groups.roblox.com'],
+    args: [
+      { name: 'group', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<Role[]>',
+    description: 'Returns role information of a group with groupId `group` in the form `[{"ID":number,"Name":"string","Rank":number},{"ID":number,"Name":"string","Rank":number}]`.'
+  },
+  {
+    name: 'getShout',
+    module: 'groups/getShout',
+    category: 'Group',
+    auth: 'optional',
+    hosts: ['groups.roblox.com'],
+    args: [
+      { name: 'group', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<GroupShout>',
+    description: 'Gets the current shout in `group`. If there is no shout the promise is fulfilled but nothing is returned.'
+  },
+  {
+    name: 'getWall',
+    module: 'groups/getWall',
+    category: 'Group',
+    auth: 'optional',
+    hosts: ['groups.roblox.com'],
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder },
+      { name: 'limit', type: 'Limit', optional: true, schema: schema.limit },
+      { name: 'cursor', type: 'string', optional: true, schema: schema.cursor },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<WallPostPage>',
+    description: 'Gets posts on the `group` wall. Parameter `page` may be a number or array where negative numbers indicate trailing pages, if it is not specified all pages of the wall will be retrieved.\n' +
+      'The body of the post is in `content` and the `id` and `name` of the poster are stored in the `author` object. The `id` is the unique ID of the wall post that is internally used by ROBLOX. This serves no real use other than reporting it (although it can be used indirectly to track down specific posts).\n' +
+      'The `page` the post was found on and its `index` on that page are both in the `parent` object.\n' +
+      'If `view` is true the viewstates of each page will be returned in the `views` object, with each page having its viewstates at the corresponding page number. For example page 5 of the wall will have its view stored in `wall.views[5]`.\n' +
+      'The `getStatus` function is returned as a property of the promise and returns the percent completion of the operation.'
+  },
+  {
+    name: 'groupPayout',
+    module: 'groups/groupPayout',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: ['groups.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'member', type: 'number | number[]', schema: [schema.id, schema.ids] },
+      { name: 'amount', type: 'number | number[]', schema: [{ type: 'integer', min: 1 }, { type: 'array', items: { type: 'integer', min: 1 } }] },
+      { name: 'recurring', type: 'boolean', optional: true, schema: { type: 'boolean' } },
+      { name: 'usePercentage', type: 'boolean', optional: true, schema: { type: 'boolean' } },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Performs a payout in group with the groupId `group`. If `recurring` is true this will configure the recurring options for the group\'s payout replacing all old values, otherwise a one-time-payout is made. To clear the recurring payouts, pass in empty arrays to both member and amount. Argument `member` can either be a single userId or an array of userIds. If it is a single value `amount` must be as well, otherwise `amount` has to be a parallel array of equal length. If `usePercentage` is true `amount` percentage of the total group funds is paid to the members, otherwise it pays `amount` ROBUX. Note that recurring payouts are always percentages, and when `recurring` is true `usePercentage` is ignored.'
+  },
+  {
+    name: 'handleJoinRequest',
+    module: 'groups/handleJoinRequest',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: ['groups.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'accept', type: 'boolean', schema: { type: 'boolean' } },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Accepts user with `username` into `group`. Note that `username` is case-sensitive.'
+  },
+  {
+    name: 'leaveGroup',
+    module: 'groups/leaveGroup',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: ['groups.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'group', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<void>',
+    description: 'Leaves the group with id `group`. Unless `useCache` is enabled the function will not cache because errors will occur if joining or leaving the same group multiple times, you can enable it if you are only joining or leaving a group once or many differenct groups once.'
+  },
+  {
+    name: 'onAuditLog',
+    module: 'groups/onAuditLog',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnAuditLogEventEmitter',
+    description: 'An event for when an audit log event is added.'
+  },
+  {
+    name: 'onJoinRequest',
+    module: 'groups/onJoinRequest',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnJoinRequestEventEmitter',
+    description: 'An event for when someone makes a request to join the group.'
+  },
+  {
+    name: 'onJoinRequestHandle',
+    module: 'groups/onJoinRequestHandle',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnJoinRequestHandleEventEmitter',
+    description: 'This function emits all join requests and waits until all of them have been resolved by firing the `handle` event with the request and either true or false. You can also pass a third argument `callback` to handle to execute once the join request has been handled. Once all requests on a page have been resolved, the next page is collected. Make sure that all join requests are handled in some way. Because this function has to wait for input, it does handle timeouts but does them within the function as opposed to within shortPoll.\n' +
+      '\n' +
+      'To accept all new users that aren\'t on a blacklist and send them a message, for example:\n' +
+      '```javascript\n' +
+      'const blacklist = [1, 261]\n' +
+      'const evt = noblox.onJoinRequestHandle(18)\n' +
+      'evt.on(\'data\', function (request) {\n' +
+      '  noblox.getIdFromUsername(request.username).then(function (id) {\n' +
+      '    for (const i = 0; i < blacklist.length; i++) {\n' +
+      '      if (blacklist[i] === id) {\n' +
+      '        evt.emit(\'handle\', request, false);\n' +
+      '        return;\n' +
+      '      }\n' +
+      '    }\n' +
+      '    evt.emit(\'handle\', request, true, function () {\n' +
+      '      noblox.message(id, \'Welcome\', \'Welcome to my group\');\n' +
+      '    });\n' +
+      '  });\n' +
+      '});\n' +
+      '```'
+  },
+  {
+    name: 'onShout',
+    module: 'groups/onShout',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnShoutEventEmitter',
+    description: 'Fires when there is a shout in the group with groupId `group`. If the shout was cleared the shout body will be blank.'
+  },
+  {
+    name: 'onWallPost',
+    module: 'groups/onWallPost',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'view', type: 'boolean', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnWallPostEventEmitter',
+    description: 'Fires when there is a new wall post in the group with groupId `group`. If `view` is enabled the wall posts viewstate will be returned in `view`, otherwise it will not be present.'
+  },
+  {
+    name: 'promote',
+    module: 'groups/promote',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: [],
+    mutates: true,
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'target', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<ChangeRankResult>',
+    description: 'Alias of `changeRank(group, target, 1)`.'
+  },
+  {
+    name: 'searchGroups',
+    module: 'groups/searchGroups',
+    category: 'Group',
+    auth: 'none',
+    hosts: ['groups.roblox.com'],
+    args: [
+      { name: 'keyword', type: 'string' },
+      { name: 'prioritizeExactMatch', type: 'boolean', optional: true },
+      { name: 'limit', type: 'number', optional: true, schema: schema.limit }
+    ],
+    returns: 'Promise<GroupSearchItem[]>',
+    description: 'Returns the groups matching a given search term.'
+  },
+  {
+    name: 'setGroupDescription',
+    module: 'groups/setGroupDescription',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: ['groups.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'description', type: 'string', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<GroupDescriptionResult>',
+    description: 'Sets the group description for group with id `group` to `description`.'
+  },
+  {
+    name: 'setGroupName',
+    module: 'groups/setGroupName',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: ['groups.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'name', type: 'string' },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<GroupNameResult>',
+    description: 'Sets the group name for group with id `group` to `name`.'
+  },
+  {
+    name: 'setRank',
+    module: 'groups/setRank',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: ['groups.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'target', type: 'number', schema: schema.id },
+      // A rank from 0 to 255, a roleset id above that, or a role's name or the role itself
+      { name: 'rank', type: 'number | string | Role', schema: { type: ['integer', 'string', 'object'], min: 0 } },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<Role>',
+    description: 'Changes the rank of the player with the `target` userId in group with `groupId` to the provided rank. If rank <= 255, it is assumes to be rank. If rank is a string, it is assumed to be the name of a rank/role. If rank is > 255, it is assumed to be a rolesetId (which speeds up requests). If two or more ranks share a rank, this will not resolve properly (use the name of the rank instead). You may also pass a Role which can be gotten from `getRoles` or `getRole`.'
+  },
+  {
+    name: 'shout',
+    module: 'groups/shout',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: ['groups.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'message', type: 'string', optional: true, schema: { type: 'string', maxLength: 255 } },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<GroupShout>',
+    description: 'Shouts message `message` in the group with groupId `group`. Setting `message` to "" will clear the shout.'
+  },
+  { name: 'index', module: 'index', kind: 'module', internal: true },
+  // internal
+  { name: 'levelOneCopy', module: 'internal/levelOneCopy', kind: 'module', internal: true },
+  { name: 'queue', module: 'internal/queue', kind: 'module', internal: true },
+  { name: 'scheduler', module: 'internal/scheduler', kind: 'module' },
+  { name: 'timeout', module: 'internal/timeout', kind: 'module', internal: true },
+  { name: 'wrap', module: 'internal/wrap', kind: 'module', internal: true },
+  // inventory
+  {
+    name: 'getCollectibles',
+    module: 'inventory/getCollectibles',
+    category: 'User',
+    auth: 'optional',
+    hosts: ['inventory.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'assetType', type: 'string', optional: true },
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder },
+      { name: 'limit', type: 'number', optional: true, schema: schema.limit },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<CollectibleEntry[]>',
+    description: 'Get the collectibles of a user.'
+  },
+  {
+    name: 'getInventory',
+    module: 'inventory/getInventory',
+    category: 'User',
+    auth: 'optional',
+    hosts: ['inventory.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'assetTypes', type: 'Array<string>' },
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder },
+      { name: 'limit', type: 'number', optional: true, schema: schema.limit },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<InventoryEntry[]>',
+    description: 'Get the inventory of a user.'
+  },
+  {
+    name: 'getInventoryById',
+    module: 'inventory/getInventoryById',
+    category: 'User',
+    auth: 'optional',
+    hosts: ['inventory.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'assetTypeId', type: 'number' },
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder },
+      { name: 'limit', type: 'number', optional: true, schema: schema.limit },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<InventoryEntry[]>',
+    description: 'Get the inventory of a user by the assetTypeId.'
+  },
+  {
+    name: 'getOwnership',
+    module: 'inventory/getOwnership',
+    category: 'User',
+    auth: 'none',
+    hosts: ['inventory.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'itemTargetId', type: 'number', schema: schema.id },
+      { name: 'itemType', type: '"Asset" | "GamePass" | "Badge" | "Bundle"', optional: true }
+    ],
+    returns: 'Promise<boolean>',
+    description: 'Returns whether a user owns an asset or not'
+  },
+  {
+    name: 'getUAIDs',
+    module: 'inventory/getUAIDs',
+    category: 'User',
+    auth: 'none',
+    hosts: [],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'assetIds', type: 'number[]', schema: schema.ids },
+      { name: 'exclusionList', type: 'number[]', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<UAIDResponse>',
+    description: 'Get the UserAssetIDs for assets a user owns.'
+  },
+  // itemconfiguration
+  {
+    name: 'getGroupAssets',
+    module: 'itemconfiguration/getGroupAssets',
+    category: 'Group',
+    auth: 'cookie',
+    hosts: ['itemconfiguration.roblox.com'],
+    args: [
+      { name: 'groupId', type: 'number', schema: schema.id },
+      { name: 'assetType', type: 'string' },
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder },
+      { name: 'limit', type: 'Limit', optional: true, schema: schema.limit },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<GroupAssetInfo[]>',
+    description: 'Gets a list of assets from the specified group.'
+  },
+  { name: 'options', module: 'options', kind: 'module', internal: true },
+  // party
+  {
+    name: 'onPartyDeleted',
+    module: 'party/onPartyDeleted',
+    category: 'Party',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnPartyNotificationEventEmitter',
+    description: 'An event for when a party is deleted.'
+  },
+  {
+    name: 'onPartyInvite',
+    module: 'party/onPartyInvite',
+    category: 'Party',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnPartyNotificationEventEmitter',
+    description: 'An event for when you\'re invited to a party.'
+  },
+  {
+    name: 'onPartyJoinedGame',
+    module: 'party/onPartyJoinedGame',
+    category: 'Party',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnPartyNotificationEventEmitter',
+    description: 'An event for when a party joins a game.'
+  },
+  {
+    name: 'onPartyLeftGame',
+    module: 'party/onPartyLeftGame',
+    category: 'Party',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnPartyNotificationEventEmitter',
+    description: 'An event for when a party leaves a game.'
+  },
+  {
+    name: 'onPartySelfJoined',
+    module: 'party/onPartySelfJoined',
+    category: 'Party',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnPartyNotificationEventEmitter',
+    description: 'An event for when you join a party.'
+  },
+  {
+    name: 'onPartySelfLeft',
+    module: 'party/onPartySelfLeft',
+    category: 'Party',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnPartyNotificationEventEmitter',
+    description: 'An event for when you leave a party.'
+  },
+  {
+    name: 'onPartyUserJoined',
+    module: 'party/onPartyUserJoined',
+    category: 'Party',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnPartyNotificationEventEmitter',
+    description: 'An event for when someone joins a party.'
+  },
+  {
+    name: 'onPartyUserLeft',
+    module: 'party/onPartyUserLeft',
+    category: 'Party',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnPartyNotificationEventEmitter',
+    description: 'An event for when someone leaves a party.'
+  },
+  // premiumfeatures
+  {
+    name: 'getPremium',
+    module: 'premiumfeatures/getPremium',
+    category: 'User',
+    auth: 'cookie',
+    hosts: ['premiumfeatures.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<boolean>',
+    description: 'Gets whether or not a user has premium.'
+  },
+  // presence
+  {
+    name: 'getPresences',
+    module: 'presence/getPresences',
+    category: 'Presence',
+    auth: 'cookie',
+    hosts: ['presence.roblox.com'],
+    args: [
+      { name: 'userIds', type: 'number[]', schema: schema.ids }
+    ],
+    returns: 'Promise<Presences>',
+    description: 'Gets the presence statuses of the specified users'
+  },
+  // privatemessages
+  {
+    name: 'getMessages',
+    module: 'privatemessages/getMessages',
+    category: 'User',
+    auth: 'cookie',
+    hosts: ['privatemessages.roblox.com'],
+    args: [
+      { name: 'pageNumber', type: 'number', optional: true },
+      { name: 'pageSize', type: 'number', optional: true },
+      { name: 'messageTab', type: '"Archive" | "Inbox" | "Sent"', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<PrivateMessagesPage>',
+    description: 'Gets the messages of the logged in user or of the user specified by the jar. Returns by newest to oldest messages.'
+  },
+  {
+    name: 'message',
+    module: 'privatemessages/message',
+    category: 'User',
+    auth: 'cookie',
+    hosts: ['privatemessages.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'recipient', type: 'number' },
+      { name: 'subject', type: 'string' },
+      { name: 'body', type: 'string' },
+      { name: 'replyMessageId', type: 'number', optional: true },
+      { name: 'includePreviousMessage', type: 'boolean', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Sends a message with `body` and `subject` to the user with id `recipient`.'
+  },
+  {
+    name: 'onMessage',
+    module: 'privatemessages/onMessage',
+    category: 'User',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'OnMessageEventEmitter',
+    description: 'Fires whenever a new message is received. Because it relies on `onNotification`, the logged in user\'s notification stream for messages must be enabled; however, it is one of the true events and does not rely on short polling.'
+  },
+  // testing
+  { name: 'testing', module: 'testing/index', kind: 'module' },
+  // thumbnails
+  {
+    name: 'getLogo',
+    module: 'thumbnails/getLogo',
+    category: 'Group',
+    auth: 'none',
+    hosts: ['thumbnails.roblox.com'],
+    args: [
+      { name: 'group', type: 'number', schema: schema.id },
+      { name: 'size', type: 'GroupIconSize', optional: true },
+      { name: 'circular', type: 'boolean', optional: true },
+      { name: 'format', type: 'GroupIconFormat', optional: true }
+    ],
+    returns: 'Promise<string>',
+    description: 'Gets the logo of the specified group.'
+  },
+  {
+    name: 'getPlayerThumbnail',
+    module: 'thumbnails/getPlayerThumbnail',
+    category: 'User',
+    auth: 'none',
+    hosts: ['thumbnails.roblox.com'],
+    args: [
+      { name: 'userIds', type: 'number | number[]', schema: [schema.id, { type: 'array', items: schema.id, maxLength: 100 }] },
+      { name: 'size', type: 'BodySizes | BustSizes | HeadshotSizes', optional: true },
+      { name: 'format', type: '"png" | "jpeg"', optional: true, schema: { type: 'string' } },
+      { name: 'isCircular', type: 'boolean', optional: true, schema: { type: 'boolean' } },
+      { name: 'cropType', type: '"body" | "bust" | "headshot"', optional: true, schema: { type: 'string' } },
+      { name: 'retryCount', type: 'number', optional: true, schema: { type: 'integer', min: 0 } }
+    ],
+    returns: 'Promise<PlayerThumbnailData[]>',
+    description: 'Gets the thumbnail of an array of users.'
+  },
+  {
+    name: 'getThumbnails',
+    module: 'thumbnails/getThumbnails',
+    category: 'Assets',
+    auth: 'none',
+    hosts: ['thumbnails.roblox.com'],
+    args: [
+      { name: 'thumbnailRequests', type: 'ThumbnailRequest[]', schema: { type: 'array', items: { type: 'object' } } }
+    ],
+    returns: 'Promise<ThumbnailData[]>',
+    description: 'Gets the thumbnail of asset/users.'
+  },
+  // trades
+  {
+    name: 'acceptTrade',
+    module: 'trades/acceptTrade',
+    category: 'Trade',
+    auth: 'cookie',
+    hosts: ['trades.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'tradeId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Accept an active trade.'
+  },
+  {
+    name: 'canTradeWith',
+    module: 'trades/canTradeWith',
+    category: 'Trade',
+    auth: 'cookie',
+    hosts: ['trades.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<CanTradeResponse>',
+    description: 'Check if the current user can trade with another user.'
+  },
+  {
+    name: 'counterTrade',
+    module: 'trades/counterTrade',
+    category: 'Trade',
+    auth: 'cookie',
+    hosts: ['trades.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'tradeId', type: 'number', schema: schema.id },
+      { name: 'targetUserId', type: 'number', schema: schema.id },
+      { name: 'sendingOffer', type: 'TradeOffer' },
+      { name: 'receivingOffer', type: 'TradeOffer' },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<SendTradeResponse>',
+    description: 'Counter an active incoming trade..'
+  },
+  {
+    name: 'declineTrade',
+    module: 'trades/declineTrade',
+    category: 'Trade',
+    auth: 'cookie',
+    hosts: ['trades.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'tradeId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<void>',
+    description: 'Decline an active trade.'
+  },
+  {
+    name: 'getTradeInfo',
+    module: 'trades/getTradeInfo',
+    category: 'Trade',
+    auth: 'cookie',
+    hosts: ['trades.roblox.com'],
+    args: [
+      { name: 'tradeId', type: 'number', schema: schema.id },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<TradeInfo>',
+    description: 'Get detailed info about a trade.'
+  },
+  {
+    name: 'getTrades',
+    module: 'trades/getTrades',
+    category: 'Trade',
+    auth: 'cookie',
+    hosts: ['trades.roblox.com'],
+    args: [
+      { name: 'tradeStatusType', type: 'string' },
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder },
+      { name: 'limit', type: 'number', optional: true, schema: schema.limit },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<TradeAsset[]>',
+    description: 'Get all trades under a category.'
+  },
+  {
+    name: 'sendTrade',
+    module: 'trades/sendTrade',
+    category: 'Trade',
+    auth: 'cookie',
+    hosts: ['trades.roblox.com'],
+    mutates: true,
+    args: [
+      { name: 'targetUserId', type: 'number', schema: schema.id },
+      { name: 'sendingOffer', type: 'TradeOffer' },
+      { name: 'receivingOffer', type: 'TradeOffer' },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<SendTradeResponse>',
+    description: 'Send a trade to a user.'
+  },
+  // users
+  {
+    name: 'getBlurb',
+    module: 'users/getBlurb',
+    category: 'User',
+    auth: 'none',
+    hosts: ['users.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<string>',
+    description: 'Gets the `blurb` of the user with the ID `userId`.'
+  },
+  {
+    name: 'getIdFromUsername',
+    module: 'users/getIdFromUsername',
+    category: 'User',
+    auth: 'none',
+    hosts: ['users.roblox.com'],
+    typeParameters: 'T extends string | string[]',
+    args: [
+      { name: 'username', type: 'T', schema: [{ type: 'string', minLength: 1 }, { type: 'array', items: { type: 'string', minLength: 1 }, minLength: 1 }] }
+    ],
+    returns: 'T extends string ? Promise<number> : Promise<number[]>',
+    description: 'Gets the `id` of user with `username` and caches according to settings.\n' +
+      'Username is not case-sensitive.'
+  },
+  {
+    name: 'getPlayerInfo',
+    module: 'users/getPlayerInfo',
+    category: 'User',
+    auth: 'none',
+    hosts: [],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<PlayerInfo>',
+    description: 'Gets a brief overview of a user.'
+  },
+  {
+    name: 'getUserInfo',
+    module: 'users/getUserInfo',
+    category: 'User',
+    auth: 'none',
+    hosts: ['users.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<UserInfo>',
+    description: 'Gets basic user information.'
+  },
+  {
+    name: 'getUsernameFromId',
+    module: 'users/getUsernameFromId',
+    category: 'User',
+    auth: 'none',
+    hosts: ['users.roblox.com'],
+    args: [
+      { name: 'id', type: 'number', schema: schema.id }
+    ],
+    returns: 'Promise<string>',
+    description: 'Gets `username` of user with `id` and caches according to settings.'
+  },
+  {
+    name: 'getUsernameHistory',
+    module: 'users/getUsernameHistory',
+    category: 'User',
+    auth: 'none',
+    hosts: ['users.roblox.com'],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id },
+      { name: 'limit', type: 'Limit', optional: true, schema: schema.limit },
+      { name: 'sortOrder', type: 'SortOrder', optional: true, schema: schema.sortOrder },
+      { name: 'pageCursor', type: 'string', optional: true }
+    ],
+    returns: 'Promise<UsernameHistoryEntry[]>',
+    description: 'Gets a list of usernames the specified user has used.'
+  },
+  {
+    name: 'onBlurbChange',
+    module: 'users/onBlurbChange',
+    category: 'User',
+    auth: 'none',
+    hosts: [],
+    args: [
+      { name: 'userId', type: 'number', schema: schema.id }
+    ],
+    returns: 'EventStream<any>',
+    description: 'An event for when a user\'s blurb changes.'
+  },
+  {
+    name: 'searchUsers',
+    module: 'users/searchUsers',
+    category: 'User',
+    auth: 'none',
+    hosts: ['users.roblox.com'],
+    args: [
+      { name: 'keyword', type: 'string' },
+      { name: 'limit', type: 'number', optional: true },
+      { name: 'cursor', type: 'string', optional: true, schema: schema.cursor },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<UserSearchResult[]>',
+    description: 'Gets user search results for a keyword.'
+  },
+  // util
+  {
+    name: 'clearSession',
+    module: 'util/clearSession',
+    category: 'Utility',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar' }
+    ],
+    returns: 'Promise<string>',
+    description: 'Removes the `.ROBLOSECURITY` cookie from `jar`. Note that this does not return a new jar, it simply changes the existing one.'
+  },
+  {
+    name: 'generalRequest',
+    module: 'util/generalRequest',
+    category: 'Utility',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'url', type: 'string' },
+      { name: 'events', type: 'object' },
+      { name: 'http', type: 'object', optional: true },
+      { name: 'ignoreCache', type: 'boolean', optional: true },
+      { name: 'getBody', type: 'boolean', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<Object>',
+    description: 'Gets the verification inputs from `url` and sends a post request with data from `events`, returning the original body before the post request according to `getBody` and obeying the cache based on `ignoreCache`. Use `http` for custom request options for the post request; if url is contained, it will not replace the main url but the url used for getting verification tokens. This function is used for primitive site functions that involve ASP viewstates.'
+  },
+  {
+    name: 'getAction',
+    module: 'util/getAction',
+    category: 'Utility',
+    auth: 'none',
+    hosts: [],
+    args: [
+      { name: 'row', type: 'string' }
+    ],
+    returns: 'AuditItem',
+    description: 'Gets the action row for audit log text. Current supported types are: change rank, delete post, and change group status (shouts).'
+  },
+  {
+    name: 'getAuthenticatedUser',
+    module: 'util/getAuthenticatedUser',
+    category: 'Utility',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<AuthenticatedUserData>',
+    description: 'Get the current authenticated user.'
+  },
+  {
+    name: 'getCurrentUser',
+    module: 'util/getCurrentUser',
+    category: 'Utility',
+    auth: 'cookie',
+    hosts: [],
+    overloads: [
+      { args: { option: '"UserID"' }, returns: 'Promise<number>' },
+      { args: { option: '"UserName"' }, returns: 'Promise<string>' },
+      { args: { option: '"RobuxBalance"' }, returns: 'Promise<number>' },
+      { args: { option: '"ThumbnailUrl"' }, returns: 'Promise<string>' },
+      { args: { option: '"IsAnyBuildersClubMember"' }, returns: 'Promise<boolean>' },
+      { args: { option: '"IsPremium"' }, returns: 'Promise<boolean>' }
+    ],
+    args: [
+      { name: 'option', type: '"UserID" | "UserName" | "RobuxBalance" | "ThumbnailUrl" | "IsAnyBuildersClubMember" | "IsPremium" | undefined', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<LoggedInUserData>',
+    description: 'Gets the current user logged into `jar` and returns an `option` if specified or all options if not.'
+  },
+  {
+    name: 'getGeneralToken',
+    module: 'util/getGeneralToken',
+    category: 'Utility',
+    auth: 'cookie',
+    hosts: ['auth.roblox.com', 'avatar.roblox.com', 'friends.roblox.com', 'groups.roblox.com'],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<string>',
+    description: 'Gets a general X-CSRF-TOKEN for APIs that don\'t return it after failure. This uses the https://auth.roblox.com/v2/logout API to get tokens.'
+  },
+  {
+    name: 'getHash',
+    module: 'util/getHash',
+    category: 'Utility',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'string',
+    description: 'Generates a unique hash for the given jar file `jar` or default if none is specified. Typically used to cache items that depend on session.'
+  },
+  {
+    name: 'getInputs',
+    module: 'util/getInputs',
+    category: 'Utility',
+    auth: 'none',
+    hosts: [],
+    args: [
+      { name: 'html', type: 'string' },
+      { name: 'find', type: 'Array<any>', optional: true }
+    ],
+    returns: 'Inputs',
+    description: 'Returns verification inputs on the page with the names in `find` - or all inputs if not provided. Typically used for ROBLOX requests working with ASP.NET.'
+  },
+  {
+    name: 'getPageResults',
+    module: 'util/getPageResults',
+    category: 'Utility',
+    auth: 'none',
+    hosts: [],
+    args: [
+      { name: 'url', type: 'string' },
+      { name: 'query', type: 'string' },
+      { name: 'limit', type: 'Limit', schema: schema.limit },
+      { name: 'jar', type: 'CookieJar', optional: true },
+      { name: 'sortOrder', type: 'string', optional: true, schema: schema.sortOrder }
+    ],
+    returns: 'Array<any>',
+    description: 'Returns the results from indexing the requested pages.'
+  },
+  {
+    name: 'getSenderUserId',
+    module: 'util/getSenderUserId',
+    category: 'Utility',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<number>',
+    description: 'Gets the user ID of the current logged in user and caches it permanently. This is needed for some functions.'
+  },
+  {
+    name: 'getSession',
+    module: 'util/getSession',
+    category: 'Utility',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<string>',
+    description: 'Gets the `.ROBLOSECURITY` session cookie from `jar`, which is the default jar file if not specified.'
+  },
+  {
+    name: 'getVerification',
+    module: 'util/getVerification',
+    category: 'Utility',
+    auth: 'cookie',
+    hosts: [],
+    args: [
+      { name: 'url', type: 'string' },
+      { name: 'ignoreCache', type: 'boolean', optional: true },
+      { name: 'getBody', type: 'boolean', optional: true },
+      { name: 'jar', type: 'CookieJar', optional: true }
+    ],
+    returns: 'Promise<GetVerificationResponse>',
+    description: 'Gets verification inputs off of `url` using `jar` and caches them. If `getBody` is true, the body and inputs will both be returned in an object. The `header` is the value of the `__RequestVerificationToken` cookie if it exists. If `ignoreCache` is enabled, the resulting tokens will not be cached.'
+  },
+  {
+    name: 'getVerificationInputs',
+    module: 'util/getVerificationInputs',
+    category: 'Utility',
+    auth: 'none',
+    hosts: [],
+    args: [
+      { name: 'html', type: 'string | SelectorFunction', aliases: ['selector'] }
+    ],
+    returns: 'Inputs',
+    description: 'Gets verification inputs from `html`. Short for `getInputs(html,[\'__VIEWSTATE\',\'__VIEWSTATEGENERATOR\',\'__EVENTVALIDATION, \'__RequestVerificationToken\']\')`. Typically used for ROBLOX requests working with ASP.NET. If you have already loaded html with a parser you can pass the `selector` directly.'
+  },
+  {
+    name: 'http',
+    module: 'util/http',
+    category: 'Utility',
+    auth: 'none',
+    hosts: ['www.roblox.com'],
+    args: [
+      { name: 'url', type: 'string' },
+      { name: 'options', type: 'HttpOptions', optional: true },
+      { name: 'ignoreLoginError', type: 'boolean', optional: true }
+    ],
+    returns: 'Promise<string>',
+    description: 'Sends an http request to `url` with `options`. If `ignoreLoginError` is true the function will not error when the user is redirected to the ROBLOX login page, otherwise it will as detection for failed logins and preventing further errors. The custom option `verification` adds the token to the cookies as `__RequestVerificationToken`. *Note that if jar is a key in the options object but is still null, the default jar will be used*'
+  },
+  {
+    name: 'jar',
+    module: 'util/jar',
+    category: 'Utility',
+    auth: 'none',
+    hosts: [],
+    raw: true,
+    args: [
+      { name: 'sessionOnly', type: 'boolean', optional: true }
+    ],
+    returns: 'CookieJar',
+    description: 'Creates a jar file based on `sessionOnly`. Normally you will not need this argument as the function will use the default from settings.json. If for some other reason you need a jar file you can collect it this way, but without changing the settings it will not work.'
+  },
+  { name: 'logger', module: 'util/logger', kind: 'module' },
+  { name: 'metrics', module: 'util/metrics', kind: 'module' },
+  { name: 'journal', module: 'util/journal', kind: 'module' },
+  {
+    name: 'makeEventTracker',
+    module: 'util/makeEventTracker',
+    category: 'Utility',
+    auth: 'cookie',
+    hosts: [],
+    args: [],
+    returns: 'Promise<string | null>',
+    description: 'Generate RBXEventTrackerV2 cookie for authentication.'
+  },
+  {
+    name: 'paginate',
+    module: 'util/paginate',
+    category: 'Utility',
+    auth: 'none',
+    hosts: [],
+    typeParameters: 'T = any',
+    args: [
+      { name: 'func', type: 'keyof typeof iterate | ((...args: any[]) => any)' },
+      { name: 'args', type: '{ [argument: string]: any }', optional: true }
+    ],
+    returns: 'Paginator<T>',
+    description: 'Iterates over the results of the paginated function `func`, or the function named `func`, requesting one page at a time.'
+  },
+  { name: 'refreshCookie', module: 'util/refreshCookie', kind: 'module' },
+  { name: 'relog', module: 'util/relog', kind: 'module' },
+  {
+    name: 'setOptions',
+    module: 'util/setOptions',
+    category: 'Utility',
+    auth: 'none',
+    hosts: [],
+    raw: true,
+    args: [
+      { name: 'newOptions', type: 'Partial<NobloxOptions>' }
+    ],
+    returns: 'void',
+    description: 'Updates library options. This allows you to modify settings such as time-out, or number of event retries without\n' +
+      'altering the settings.json file. Objects passed to this function should match the format of the settings.json file.\n' +
+      'Unknown keys, or malformed options will be rejected with an error.\n' +
+      'resilient in that it will reject unknown values, or values which are nested incorrectly - meaning they are ineffective.\n' +
+      '@param newOptions - The new options to set, structured as per settings.json\n' +
+      '@see https://github.com/noblox/noblox.js/blob/master/settings.json'
+  },
+  {
+    name: 'shutdown',
+    module: 'util/shutdown',
+    category: 'Utility',
+    auth: 'none',
+    hosts: [],
+    args: [
+      { name: 'timeout', type: 'number', optional: true, schema: { type: 'integer', min: 0 } }
+    ],
+    returns: 'Promise<void>',
+    description: 'Stops everything noblox.js started so the process can exit: closes every open event, gives queued requests up to `timeout` ms\n' +
+      '(default `settings.shutdownTimeout`) before rejecting them, writes out the journal and closes kept-alive sockets.\n' +
+      'On a client, only the events and requests of that client are stopped.'
+  },
+  {
+    name: 'configure',
+    module: 'util/configure',
+    category: 'Utility',
+    auth: 'none',
+    hosts: ['accountinformation.roblox.com', 'accountsettings.roblox.com', 'api.roblox.com', 'apis.roblox.com', 'auth.roblox.com', 'avatar.roblox.com', 'badges.roblox.com', 'catalog.roblox.com', 'chat.roblox.com', 'data.roblox.com', 'develop.roblox.com', 'economy.roblox.com', 'friends.roblox.com', 'games.roblox.com', 'groups.roblox.com', 'inventory.roblox.com', 'itemconfiguration.roblox.com', 'presence.roblox.com', 'privatemessages.roblox.com', 'realtime-signalr.roblox.com', 'thumbnails.roblox.com', 'trades.roblox.com', 'users.roblox.com', 'www.roblox.com'],
+    args: [
+      { name: 'options', type: 'ConfigurationOptions', optional: true }
+    ],
+    returns: 'ConfigurationResult',
+    description: 'Configure noblox.js with advanced options including proxy settings.\n' +
+      'This is an enhanced version of setOptions that provides additional validation\n' +
+      'and configuration capabilities, particularly for proxy settings.\n' +
+      '@param options - Configuration options including proxy settings\n' +
+      '@returns Configuration result with validation info'
+  },
+  {
+    name: 'shortPoll',
+    module: 'util/shortPoll',
+    category: 'Utility',
+    auth: 'none',
+    hosts: [],
+    args: [
+      { name: 'getLatest', type: '(latest: number, event: events.EventEmitter) => Promise<GetLatestResponse>' },
+      { name: 'delay', type: 'string | number' },
+      { name: 'timeout', type: 'number', optional: true }
+    ],
+    returns: 'EventStream<any>',
+    description: 'This is the base for events that do not rely on true streams. The `getLatest` function receives some value that represents the latest version of something (eg. a date or unique ID) and determines if there is new information, every time it is fired it waits `delay` ms before being fired again. Every time it must return an object with the field `latest`, representing the latest value (which will not change if new information was not received), and an array `data` which has the new values (if there are multiple they each have their own index, if there is only one then it is by itself in the array). If `latest` is equal to -2, the returned data will be processed even if it is the initial run (which usually only establishes the latest value). If the return object has a true `repeat` value, the function latest will be run again immediately after. If `delay` is a string it will take the number from that string key in the `event` object of the settings.json file.\n' +
+      'When the function is first called it will initialize `getLatest` with the value -1 and then emit the `connect` event. Whenever data is received, it will emit the `data` event for each value. If the `close` event is emitted the function will no longer run. If an error occurs the `error` event will be emitted, the function will log a retry and after the number of max retries as specified by settings, it will emit the `close` event.\n' +
+      'The `getLatest` function will be marked as failed if it does not resolve within `timeout` ms (which can be disabled if timeout is negative). If getLatest fails for any reason (including timeout) it will be retried `maxRetries` times before stopping.'
+  },
+  { name: 'transport', module: 'util/transport/index', kind: 'module' },
+  {
+    name: 'use',
+    module: 'util/use',
+    category: 'Utility',
+    auth: 'none',
+    hosts: [],
+    args: [
+      { name: 'middleware', type: 'Middleware' }
+    ],
+    returns: '() => void',
+    description: 'Adds middleware hooks to every request: globally through `noblox.use`, or to a single client through `client.use`. Returns a function removing them again.'
+  }
+]
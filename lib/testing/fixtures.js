@@ -0,0 +1,108 @@
+// Dependencies
+const fs = require('fs')
+const path = require('path')
+
+// Includes
+const transport = require('../util/transport')
+const logger = require('../util/logger.js')
+
+// Define
+// The fields of bodies that hold credentials. Bodies are otherwise recorded whole, with only the cookies in their
+// strings redacted, where headers are redacted like log entries.
+const credentials = ['.ROBLOSECURITY', 'apiKey', 'x-api-key', 'password']
+
+// Requests are matched on their method and full url, including the query string built from `qs`.
+function getKey (request) {
+  const url = new URL(request.url.indexOf('http') === 0 ? request.url : 'https:' + request.url)
+  const qs = request.qs || {}
+  for (const key of Object.keys(qs)) {
+    if (qs[key] !== undefined) {
+      url.searchParams.append(key, qs[key])
+    }
+  }
+  return (request.method || 'GET').toUpperCase() + ' ' + url.toString()
+}
+
+function redactBody (body) {
+  return logger.redact(body, { keys: credentials, maxDepth: Infinity })
+}
+
+function load (file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return []
+    }
+    throw err
+  }
+}
+
+/**
+ * Create a transport that sends requests with `send` and writes every request and response to the fixture file
+ * `file`, replacing what it held before. Cookies, credentials and the headers named in `settings.logging.redact` are
+ * left out.
+ * @param {string} file - The path of the fixture file.
+ * @param {(string|function)=} send - The transport to record, or the name of a built-in one. (Default: "request")
+ * @returns {function} - The transport.
+ */
+exports.record = function (file, send = 'request') {
+  const base = typeof send === 'function' ? send : transport[send]
+  const entries = []
+  return async function (request) {
+    const response = await base(request)
+    const headers = Object.assign({}, response.headers)
+    delete headers['set-cookie']
+    entries.push({
+      request: {
+        key: getKey(request),
+        body: redactBody(request.form || (typeof request.json === 'object' ? request.json : request.body))
+      },
+      response: {
+        statusCode: response.statusCode,
+        statusMessage: response.statusMessage,
+        headers: logger.redact(headers),
+        body: redactBody(response.body)
+      }
+    })
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.writeFileSync(file, JSON.stringify(entries, null, 2) + '\n')
+    return response
+  }
+}
+
+/**
+ * Create a transport answering requests with the responses recorded in `file`, without touching the network. A
+ * request made several times gets the recorded responses in order, and the last one after that.
+ * @param {string} file - The path of the fixture file.
+ * @returns {function} - The transport.
+ */
+exports.replay = function (file) {
+  const responses = new Map()
+  for (const entry of load(file)) {
+    const list = responses.get(entry.request.key) || []
+    list.push(entry.response)
+    responses.set(entry.request.key, list)
+  }
+  return async function (request) {
+    const key = getKey(request)
+    const list = responses.get(key)
+    if (!list) {
+      throw new Error(`No recorded response for ${key} in ${file}`)
+    }
+    const response = list.length > 1 ? list.shift() : list[0]
+    // Copied so callers changing the response do not change later replays
+    return JSON.parse(JSON.stringify(response))
+  }
+}
+
+/**
+ * Record to or replay from `file` depending on `mode`: "record" records, anything else replays.
+ * @param {string} file - The path of the fixture file.
+ * @param {string=} mode - "record" or "replay". (Default: the NOBLOX_FIXTURES environment variable)
+ * @param {(string|function)=} send - The transport to record.
+ * @returns {function} - The transport.
+ */
+exports.fixtures = function (file, mode = process.env.NOBLOX_FIXTURES, send) {
+  return mode === 'record' ? exports.record(file, send) : exports.replay(file)
+}
@@ -0,0 +1,38 @@
+// Includes
+const { MockServer } = require('./mockServer.js')
+const fixtures = require('./fixtures.js')
+
+// Docs
+/**
+ * ✅ Offline stand-ins for Roblox, to test bots without network access or a real account.
+ * `createMockServer` starts a local HTTP server emulating the groups, users, friends, economy, thumbnails, datastores
+ * and chat endpoints; its `transport` sends requests there instead. It starts with the users Roblox (1), MockBot (2,
+ * signed in by the cookie "mock-cookie") and MockMember (3), and Mock Group (1) owned by MockBot.
+ * `record` and `replay` create transports that save live responses to a fixture file and answer from it later.
+ * @category Utility
+ * @alias testing
+ * @example const noblox = require("noblox.js")
+ * const server = await noblox.testing.createMockServer({ users: [{ id: 4, name: "Builderman" }] })
+ * const bot = noblox.createClient({ cookie: "mock-cookie", transport: server.transport })
+ * await bot.setRank(1, 3, 100)
+ * console.log(server.state.groups[1].members[3]) // 3
+ * await server.close()
+ *
+ * // Record once with NOBLOX_FIXTURES=record, replay offline afterwards
+ * noblox.setOptions({ transport: noblox.testing.fixtures("./fixtures/bot.json") })
+**/
+
+// Define
+/**
+ * Create a mock Roblox server and start listening on `config.port`, or any free port.
+ * @param {object=} config - `port`, `seed: false` to start empty, and `users`, `groups` and `sessions` to add.
+ * @returns {Promise<MockServer>}
+ */
+exports.createMockServer = function (config = {}) {
+  return new MockServer(config).listen(config.port)
+}
+
+exports.record = fixtures.record
+exports.replay = fixtures.replay
+exports.fixtures = fixtures.fixtures
+exports.MockServer = MockServer
@@ -0,0 +1,246 @@
+// Dependencies
+const { createServer } = require('http')
+
+// Includes
+const fetchTransport = require('../util/transport/fetchTransport.js')
+const { routes, reply, error } = require('./routes.js')
+
+// Define
+const defaultRoles = [
+  { id: 1, name: 'Guest', rank: 0 },
+  { id: 2, name: 'Member', rank: 1 },
+  { id: 3, name: 'Moderator', rank: 100 },
+  { id: 4, name: 'Admin', rank: 254 },
+  { id: 5, name: 'Owner', rank: 255 }
+]
+
+function compile (method, service, path, handler) {
+  const names = []
+  const source = path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/:(\w+)/g, function (match, name) {
+    names.push(name)
+    return '([^/]+)'
+  })
+  return { method: method.toUpperCase(), service, pattern: new RegExp('^' + source + '/?$'), names, handler }
+}
+
+function readBody (req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()))
+    req.on('error', reject)
+  })
+}
+
+function parseBody (text, type) {
+  if (!text) {
+    return {}
+  }
+  try {
+    return JSON.parse(text)
+  } catch (err) {
+    return (type || '').includes('application/x-www-form-urlencoded') ? Object.fromEntries(new URLSearchParams(text)) : text
+  }
+}
+
+class MockServer {
+  /**
+   * @param {object=} config - `seed: false` starts without the default users and group; `users`, `groups` and
+   * `sessions` (cookie to user id) are added on top.
+   */
+  constructor (config = {}) {
+    this.state = { csrfToken: 'mock-csrf-token', users: {}, groups: {}, sessions: {}, universes: {}, conversations: {} }
+    // Every request received, as `{ method, url, body }`
+    this.requests = []
+    this.url = null
+    this.routes = routes.map((route) => compile(...route))
+    this.server = createServer((req, res) => {
+      this.handle(req, res).catch(function (err) {
+        res.statusCode = 500
+        res.end(JSON.stringify({ errors: [{ code: 0, message: err.message }] }))
+      })
+    })
+    // Sends requests meant for Roblox to this server instead
+    this.transport = (request) => fetchTransport(Object.assign({}, request, { url: this.rewrite(request.url) }))
+
+    if (config.seed !== false) {
+      this.addUser({ id: 1, name: 'Roblox', hasVerifiedBadge: true, created: '2006-02-27T21:06:40.3Z' })
+      this.addUser({ id: 2, name: 'MockBot', robux: 1000 })
+      this.addUser({ id: 3, name: 'MockMember' })
+      this.addSession('mock-cookie', 2)
+      this.addGroup({ id: 1, name: 'Mock Group', ownerId: 2, robux: 500, members: { 3: 2 } })
+    }
+    for (const user of config.users || []) {
+      this.addUser(user)
+    }
+    for (const group of config.groups || []) {
+      this.addGroup(group)
+    }
+    for (const cookie of Object.keys(config.sessions || {})) {
+      this.addSession(cookie, config.sessions[cookie])
+    }
+  }
+
+  /**
+   * Add a user, filling in what is not given.
+   * @param {object} user - The user; `id` is required.
+   * @returns {object} - The stored user, which can be changed directly.
+   */
+  addUser (user) {
+    const name = user.name || 'User' + user.id
+    const stored = Object.assign({
+      name,
+      displayName: name,
+      description: '',
+      created: '2020-01-01T00:00:00.000Z',
+      isBanned: false,
+      hasVerifiedBadge: false,
+      robux: 0,
+      friends: [],
+      followers: [],
+      followings: [],
+      usernameHistory: [],
+      transactions: []
+    }, user)
+    this.state.users[user.id] = stored
+    return stored
+  }
+
+  /**
+   * Add a group, filling in what is not given. `members` maps user ids to role ids; the owner gets the highest role.
+   * @param {object} group - The group; `id` is required.
+   * @returns {object} - The stored group, which can be changed directly.
+   */
+  addGroup (group) {
+    const stored = Object.assign({
+      name: 'Group' + group.id,
+      description: '',
+      ownerId: null,
+      shout: null,
+      robux: 0,
+      roles: defaultRoles.map((role) => Object.assign({}, role)),
+      wall: [],
+      joinRequests: [],
+      auditLog: [],
+      transactions: []
+    }, group)
+    stored.members = Object.assign({}, group.members)
+    if (stored.ownerId) {
+      stored.members[stored.ownerId] = stored.roles.reduce((top, role) => role.rank > top.rank ? role : top).id
+    }
+    this.state.groups[group.id] = stored
+    return stored
+  }
+
+  // Sign requests with the .ROBLOSECURITY cookie `cookie` in as `userId`.
+  addSession (cookie, userId) {
+    this.state.sessions[cookie] = userId
+  }
+
+  /**
+   * Answer `method` requests to `path` of `service` (eg. "groups") with `handler`, taking precedence over the
+   * built-in routes.
+   * @param {string} method - The request method.
+   * @param {string} service - The Roblox subdomain.
+   * @param {string} path - The path, where `:name` segments match anything and are passed in `req.params`.
+   * @param {function} handler - Called with the request and the server state, returning (or resolving with)
+   * `{ status, headers, body }`.
+   */
+  route (method, service, path, handler) {
+    this.routes.unshift(compile(method, service, path, handler))
+    return this
+  }
+
+  // Rewrites a Roblox url to point at this server, keeping the subdomain as the first path segment.
+  rewrite (url) {
+    const target = new URL(url.indexOf('http') === 0 ? url : 'https:' + url)
+    return this.url + '/' + target.hostname.split('.')[0] + target.pathname + target.search
+  }
+
+  async handle (req, res) {
+    const url = new URL(req.url, 'http://localhost')
+    const [, service, ...rest] = url.pathname.split('/')
+    const method = req.method.toUpperCase()
+    const headers = req.headers
+    const request = {
+      method,
+      service,
+      path: '/' + rest.join('/'),
+      query: Object.fromEntries(url.searchParams),
+      headers,
+      body: parseBody(await readBody(req), headers['content-type']),
+      params: {},
+      user: null
+    }
+    const session = /\.ROBLOSECURITY=([^;\s]+)/.exec(headers.cookie || '')
+    if (session && this.state.sessions[session[1]] !== undefined) {
+      request.user = this.state.users[this.state.sessions[session[1]]] || null
+    }
+    this.requests.push({ method, url: `https://${service}.roblox.com${request.path}${url.search}`, body: request.body })
+
+    let result
+    // Like Roblox, writes signed in with a cookie need a valid X-CSRF-TOKEN, which the rejection hands out; Open Cloud
+    // requests are signed with their API key instead, and the old www forms with their __RequestVerificationToken
+    const openCloud = service === 'apis' && headers['x-api-key']
+    const verified = service === 'www' && /__RequestVerificationToken=/.test(headers.cookie || '')
+    if (session && !openCloud && !verified && method !== 'GET' && method !== 'HEAD' && headers['x-csrf-token'] !== this.state.csrfToken) {
+      result = error(403, 'Token Validation Failed')
+      result.headers['x-csrf-token'] = this.state.csrfToken
+    } else {
+      result = await this.dispatch(request)
+    }
+
+    res.statusCode = result.status
+    res.setHeader('content-type', 'application/json; charset=utf-8')
+    for (const name of Object.keys(result.headers || {})) {
+      res.setHeader(name, result.headers[name])
+    }
+    res.end(result.status === 204 ? undefined : (typeof result.body === 'string' ? result.body : JSON.stringify(result.body)))
+  }
+
+  async dispatch (request) {
+    for (const route of this.routes) {
+      const match = route.method === request.method && route.service === request.service && route.pattern.exec(request.path)
+      if (!match) {
+        continue
+      }
+      route.names.forEach((name, i) => {
+        request.params[name] = decodeURIComponent(match[i + 1])
+      })
+      try {
+        return await route.handler(request, this.state)
+      } catch (err) {
+        // Handlers reject requests by throwing a response
+        if (err && err.status) {
+          return err
+        }
+        return reply({ errors: [{ code: 0, message: err.message }] }, 500)
+      }
+    }
+    return error(404, 'NotFound')
+  }
+
+  /**
+   * Start listening on `port`, or any free port.
+   * @returns {Promise<MockServer>}
+   */
+  listen (port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(port, '127.0.0.1', () => {
+        this.url = 'http://127.0.0.1:' + this.server.address().port
+        resolve(this)
+      })
+    })
+  }
+
+  close () {
+    return new Promise((resolve) => {
+      this.server.close(() => resolve())
+      // Kept alive connections would hold the server open
+      this.server.closeAllConnections()
+    })
+  }
+}
+
+exports.MockServer = MockServer
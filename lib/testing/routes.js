@@ -0,0 +1,457 @@
+// Dependencies
+const crypto = require('crypto')
+
+// Define
+// Each route is [method, service, path, handler]. The service is the Roblox subdomain ("groups" for
+// groups.roblox.com); `:name` segments of the path are passed to the handler as `req.params`. Handlers return
+// `{ status, headers, body }` and may throw the result of `error()` instead.
+
+function reply (body, status = 200, headers = {}) {
+  return { status, headers, body }
+}
+
+// A response in the error format of most Roblox endpoints
+function error (status, message, code = 0) {
+  return reply({ errors: [{ code, message }] }, status)
+}
+
+function requireUser (req) {
+  if (!req.user) {
+    throw error(401, 'Authorization has been denied for this request.')
+  }
+  return req.user
+}
+
+// Pages `items` the way cursor paginated Roblox endpoints do; the cursor is the offset of the page.
+function page (items, query) {
+  const limit = Number(query.limit) || 10
+  const offset = Number(query.cursor) || 0
+  const sorted = query.sortOrder === 'Desc' ? items.slice().reverse() : items
+  return reply({
+    previousPageCursor: offset > 0 ? String(Math.max(0, offset - limit)) : null,
+    nextPageCursor: offset + limit < sorted.length ? String(offset + limit) : null,
+    data: sorted.slice(offset, offset + limit)
+  })
+}
+
+function getUser (state, id) {
+  return state.users[id] || null
+}
+
+function publicUser (user) {
+  return {
+    description: user.description,
+    created: user.created,
+    isBanned: user.isBanned,
+    externalAppDisplayName: null,
+    hasVerifiedBadge: user.hasVerifiedBadge,
+    id: user.id,
+    name: user.name,
+    displayName: user.displayName
+  }
+}
+
+function shortUser (user) {
+  return { hasVerifiedBadge: user.hasVerifiedBadge, id: user.id, name: user.name, displayName: user.displayName }
+}
+
+// A user the way the groups endpoints show owners, posters and audit log actors
+function groupUser (user) {
+  return { hasVerifiedBadge: user.hasVerifiedBadge, userId: user.id, username: user.name, displayName: user.displayName }
+}
+
+// A user the way the friends list shows them
+function friendUser (user) {
+  return Object.assign(publicUser(user), { isOnline: false, presenceType: 0, isDeleted: false, friendFrequentScore: 0, friendFrequentRank: 1 })
+}
+
+function getGroup (state, id) {
+  const group = state.groups[id]
+  if (!group) {
+    throw error(400, 'Group is invalid or does not exist.', 1)
+  }
+  return group
+}
+
+function getRole (group, userId) {
+  const roleId = group.members[userId]
+  return group.roles.find((role) => role.id === roleId) || group.roles[0]
+}
+
+function groupInfo (state, group) {
+  const owner = getUser(state, group.ownerId)
+  return {
+    id: group.id,
+    name: group.name,
+    description: group.description,
+    owner: owner ? groupUser(owner) : null,
+    shout: group.shout,
+    memberCount: Object.keys(group.members).length,
+    isBuildersClubOnly: false,
+    publicEntryAllowed: true,
+    hasVerifiedBadge: false
+  }
+}
+
+function userGroupRoles (req, state) {
+  const data = Object.values(state.groups).filter((group) => group.members[req.params.userId] !== undefined).map((group) => {
+    const role = getRole(group, req.params.userId)
+    return {
+      group: { id: group.id, name: group.name, memberCount: Object.keys(group.members).length, hasVerifiedBadge: false },
+      role: { id: role.id, name: role.name, rank: role.rank }
+    }
+  })
+  return reply({ data })
+}
+
+// Whether the signed in user may move `target` into or out of a role of `group`
+function checkRankChange (group, actorId, targetId, role) {
+  const actor = getRole(group, actorId)
+  const current = getRole(group, targetId)
+  if (actor.rank < 254 || current.rank >= actor.rank || (role && role.rank >= actor.rank)) {
+    throw error(403, 'You do not have permission to manage this member.', 4)
+  }
+}
+
+// Requests for a token instead of an id get the target id 0, as they do from Roblox
+const thumbnail = (type) => (id) => ({ targetId: Number(id) || 0, state: 'Completed', imageUrl: `https://tr.rbxcdn.com/mock/${type}/${id}/150/150/Image/Png`, version: 'mock' })
+
+function getStore (state, req) {
+  if (!req.headers['x-api-key']) {
+    throw reply({ error: 'UNAUTHORIZED', message: 'Invalid API Key' }, 401)
+  }
+  const universe = state.universes[req.params.universeId] = state.universes[req.params.universeId] || {}
+  const name = req.query.datastoreName
+  if (name === undefined) {
+    return universe
+  }
+  universe[name] = universe[name] || { createdTime: new Date().toISOString(), entries: {} }
+  return universe[name]
+}
+
+function entryKey (req) {
+  return (req.query.scope || 'global') + '/' + req.query.entryKey
+}
+
+function entryHeaders (entry) {
+  return {
+    'roblox-entry-created-time': entry.objectCreatedTime,
+    'last-modified': entry.createdTime,
+    'roblox-entry-version': entry.version,
+    'roblox-entry-attributes': entry.attributes || '',
+    'roblox-entry-userids': entry.userIds || '[]',
+    'content-md5': crypto.createHash('md5').update(JSON.stringify(entry.value)).digest('base64')
+  }
+}
+
+function writeEntry (store, key, value, req) {
+  const now = new Date().toISOString()
+  const old = store.entries[key]
+  const entry = {
+    value,
+    version: String((old ? Number(old.version) : 0) + 1),
+    createdTime: now,
+    objectCreatedTime: old ? old.objectCreatedTime : now,
+    attributes: req.headers['roblox-entry-attributes'],
+    userIds: req.headers['roblox-entry-userids'],
+    versions: old ? old.versions : []
+  }
+  entry.versions.push({ version: entry.version, deleted: false, contentLength: JSON.stringify(value).length, createdTime: now, objectCreatedTime: entry.objectCreatedTime })
+  store.entries[key] = entry
+  return reply(entry.versions[entry.versions.length - 1])
+}
+
+function getConversation (state, req, id) {
+  const conversation = state.conversations[id]
+  if (!conversation || !conversation.participants.includes(requireUser(req).id)) {
+    throw error(400, 'Conversation not found.', 1)
+  }
+  return conversation
+}
+
+function conversationInfo (state, conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    initiator: { type: 'User', targetId: conversation.participants[0] },
+    hasUnreadMessages: false,
+    participants: conversation.participants.map((id) => {
+      const user = getUser(state, id) || { name: String(id), displayName: String(id) }
+      return { type: 'User', targetId: id, name: user.name, displayName: user.displayName }
+    }),
+    conversationType: conversation.participants.length > 2 ? 'MultiUserConversation' : 'OneToOneConversation',
+    conversationTitle: { titleForViewer: conversation.title, isDefaultTitle: true },
+    lastUpdated: conversation.lastUpdated,
+    conversationUniverse: null
+  }
+}
+
+const datastore = '/datastores/v1/universes/:universeId/standard-datastores'
+
+exports.routes = [
+  // auth
+  ['POST', 'auth', '/v2/logout', () => reply({})],
+
+  // users
+  ['GET', 'users', '/v1/users/authenticated', (req) => {
+    const user = requireUser(req)
+    return reply({ id: user.id, name: user.name, displayName: user.displayName })
+  }],
+  ['GET', 'users', '/v1/users/search', (req, state) => {
+    const keyword = String(req.query.keyword || '').toLowerCase()
+    return page(Object.values(state.users).filter((user) => user.name.toLowerCase().includes(keyword)).map((user) => Object.assign(shortUser(user), { previousUsernames: user.usernameHistory })), req.query)
+  }],
+  ['GET', 'users', '/v1/users/:userId', (req, state) => {
+    const user = getUser(state, req.params.userId)
+    return user ? reply(publicUser(user)) : error(404, 'The user id is invalid.', 3)
+  }],
+  ['GET', 'users', '/v1/users/:userId/username-history', (req, state) => {
+    const user = getUser(state, req.params.userId)
+    return user ? page(user.usernameHistory.map((name) => ({ name })), req.query) : error(400, 'The user id is invalid.', 3)
+  }],
+  ['POST', 'users', '/v1/usernames/users', (req, state) => {
+    const users = Object.values(state.users)
+    const data = (req.body.usernames || []).map((requestedUsername) => {
+      const user = users.find((user) => user.name.toLowerCase() === String(requestedUsername).toLowerCase())
+      return user ? Object.assign({ requestedUsername }, shortUser(user)) : null
+    }).filter(Boolean)
+    return reply({ data })
+  }],
+  ['POST', 'users', '/v1/users', (req, state) => {
+    return reply({ data: (req.body.userIds || []).map((id) => getUser(state, id)).filter(Boolean).map(shortUser) })
+  }],
+
+  // groups
+  ['GET', 'groups', '/v1/groups/:groupId', (req, state) => reply(groupInfo(state, getGroup(state, req.params.groupId)))],
+  ['GET', 'groups', '/v1/groups/:groupId/roles', (req, state) => {
+    const group = getGroup(state, req.params.groupId)
+    const roles = group.roles.map((role) => Object.assign({}, role, {
+      memberCount: Object.values(group.members).filter((id) => id === role.id).length
+    }))
+    return reply({ groupId: group.id, roles })
+  }],
+  ['GET', 'groups', '/v1/groups/:groupId/roles/:roleId/users', (req, state) => {
+    const group = getGroup(state, req.params.groupId)
+    const members = Object.keys(group.members).filter((id) => group.members[id] === Number(req.params.roleId)).map((id) => {
+      const user = getUser(state, id) || { id: Number(id), name: id, displayName: id, hasVerifiedBadge: false }
+      return { hasVerifiedBadge: user.hasVerifiedBadge, userId: user.id, username: user.name, displayName: user.displayName }
+    })
+    return page(members, req.query)
+  }],
+  ['PATCH', 'groups', '/v1/groups/:groupId/users/:userId', (req, state) => {
+    const user = requireUser(req)
+    const group = getGroup(state, req.params.groupId)
+    const role = group.roles.find((role) => role.id === Number(req.body.roleId))
+    if (!role || role.rank === 0) {
+      return error(400, 'The roleset is invalid or does not exist.', 2)
+    }
+    if (group.members[req.params.userId] === undefined) {
+      return error(400, 'The user is invalid or does not exist.', 3)
+    }
+    checkRankChange(group, user.id, req.params.userId, role)
+    group.members[req.params.userId] = role.id
+    group.auditLog.push({ actor: { user: groupUser(user), role: getRole(group, user.id) }, actionType: 'Change Rank', description: { TargetId: Number(req.params.userId), NewRoleSetId: role.id }, created: new Date().toISOString() })
+    return reply({})
+  }],
+  ['DELETE', 'groups', '/v1/groups/:groupId/users/:userId', (req, state) => {
+    const user = requireUser(req)
+    const group = getGroup(state, req.params.groupId)
+    if (group.members[req.params.userId] === undefined) {
+      return error(400, 'The user is invalid or does not exist.', 3)
+    }
+    if (req.params.userId !== String(user.id)) {
+      checkRankChange(group, user.id, req.params.userId)
+    }
+    delete group.members[req.params.userId]
+    return reply({})
+  }],
+  ['PATCH', 'groups', '/v1/groups/:groupId/status', (req, state) => {
+    const user = requireUser(req)
+    const group = getGroup(state, req.params.groupId)
+    if (getRole(group, user.id).rank < 254) {
+      return error(403, 'You do not have permission to perform this action.', 5)
+    }
+    const now = new Date().toISOString()
+    group.shout = { body: req.body.message, poster: groupUser(user), created: now, updated: now }
+    return reply(group.shout)
+  }],
+  ['GET', 'groups', '/v1/groups/:groupId/audit-log', (req, state) => {
+    requireUser(req)
+    return page(getGroup(state, req.params.groupId).auditLog, req.query)
+  }],
+  ['GET', 'groups', '/v2/groups/:groupId/wall/posts', (req, state) => page(getGroup(state, req.params.groupId).wall, req.query)],
+  ['GET', 'groups', '/v1/groups/:groupId/join-requests', (req, state) => {
+    requireUser(req)
+    return page(getGroup(state, req.params.groupId).joinRequests, req.query)
+  }],
+  ['POST', 'groups', '/v1/groups/:groupId/join-requests/users/:userId', (req, state) => {
+    requireUser(req)
+    const group = getGroup(state, req.params.groupId)
+    group.joinRequests = group.joinRequests.filter((request) => String(request.requester.userId) !== req.params.userId)
+    group.members[req.params.userId] = group.roles.find((role) => role.rank > 0).id
+    return reply({})
+  }],
+  ['DELETE', 'groups', '/v1/groups/:groupId/join-requests/users/:userId', (req, state) => {
+    requireUser(req)
+    const group = getGroup(state, req.params.groupId)
+    group.joinRequests = group.joinRequests.filter((request) => String(request.requester.userId) !== req.params.userId)
+    return reply({})
+  }],
+  ['GET', 'groups', '/v1/users/:userId/groups/roles', userGroupRoles],
+  ['GET', 'groups', '/v2/users/:userId/groups/roles', userGroupRoles],
+
+  // friends
+  ['GET', 'friends', '/v1/users/:userId/friends', (req, state) => {
+    const user = getUser(state, req.params.userId)
+    if (!user) {
+      return error(400, 'The target user is invalid or does not exist.', 1)
+    }
+    return reply({ data: user.friends.map((id) => getUser(state, id)).filter(Boolean).map(friendUser) })
+  }],
+  ...['friends', 'followers', 'followings'].map((list) => ['GET', 'friends', `/v1/users/:userId/${list}/count`, (req, state) => {
+    const user = getUser(state, req.params.userId)
+    return user ? reply({ count: user[list].length }) : error(400, 'The target user is invalid or does not exist.', 1)
+  }]),
+  ...['followers', 'followings'].map((list) => ['GET', 'friends', `/v1/users/:userId/${list}`, (req, state) => {
+    const user = getUser(state, req.params.userId)
+    return user ? page(user[list].map((id) => getUser(state, id)).filter(Boolean).map(publicUser), req.query) : error(400, 'The target user is invalid or does not exist.', 1)
+  }]),
+  ['POST', 'friends', '/v1/users/:userId/unfriend', (req, state) => {
+    const user = requireUser(req)
+    const target = getUser(state, req.params.userId)
+    if (!target) {
+      return error(400, 'The target user is invalid or does not exist.', 1)
+    }
+    user.friends = user.friends.filter((id) => String(id) !== req.params.userId)
+    target.friends = target.friends.filter((id) => id !== user.id)
+    return reply({})
+  }],
+
+  // economy
+  ['GET', 'economy', '/v1/users/:userId/currency', (req) => {
+    const user = requireUser(req)
+    return req.params.userId === String(user.id) ? reply({ robux: user.robux }) : error(403, 'You are not authorized to view this user\'s currency.', 0)
+  }],
+  ['GET', 'economy', '/v1/groups/:groupId/currency', (req, state) => {
+    const user = requireUser(req)
+    const group = getGroup(state, req.params.groupId)
+    return group.ownerId === user.id ? reply({ robux: group.robux }) : error(403, 'Insufficient permissions', 5)
+  }],
+  ['GET', 'economy', '/v2/groups/:groupId/transactions', (req, state) => {
+    requireUser(req)
+    return page(getGroup(state, req.params.groupId).transactions.filter((item) => !req.query.transactionType || item.transactionType === req.query.transactionType), req.query)
+  }],
+  ['GET', 'economy', '/v2/users/:userId/transactions', (req) => {
+    const user = requireUser(req)
+    return page(user.transactions.filter((item) => !req.query.transactionType || item.transactionType === req.query.transactionType), req.query)
+  }],
+
+  // thumbnails
+  ...['avatar', 'avatar-headshot', 'avatar-bust'].map((type) => ['GET', 'thumbnails', `/v1/users/${type}`, (req) => {
+    return reply({ data: String(req.query.userIds || '').split(',').filter(Boolean).map(thumbnail(type)) })
+  }]),
+  ['GET', 'thumbnails', '/v1/groups/icons', (req) => {
+    return reply({ data: String(req.query.groupIds || '').split(',').filter(Boolean).map(thumbnail('group-icon')) })
+  }],
+  ['POST', 'thumbnails', '/v1/batch', (req) => {
+    return reply({ data: (Array.isArray(req.body) ? req.body : []).map((item) => Object.assign({ requestId: item.requestId, errorCode: 0, errorMessage: '' }, thumbnail(item.type || 'batch')(item.targetId))) })
+  }],
+
+  // datastores
+  ['GET', 'apis', datastore, (req, state) => {
+    const universe = getStore(state, req)
+    const datastores = Object.keys(universe).filter((name) => name.startsWith(req.query.prefix || '')).map((name) => ({ name, createdTime: universe[name].createdTime }))
+    return reply({ datastores, nextPageCursor: '' })
+  }],
+  ['GET', 'apis', datastore + '/datastore/entries', (req, state) => {
+    const store = getStore(state, req)
+    const keys = Object.keys(store.entries).map((key) => {
+      const [scope, ...rest] = key.split('/')
+      return { scope, key: rest.join('/') }
+    }).filter((key) => req.query.allScopes === 'true' || key.scope === (req.query.scope || 'global'))
+    return reply({ keys, nextPageCursor: '' })
+  }],
+  ['GET', 'apis', datastore + '/datastore/entries/entry', (req, state) => {
+    const entry = getStore(state, req).entries[entryKey(req)]
+    return entry ? reply(entry.value, 200, entryHeaders(entry)) : reply({ error: 'NOT_FOUND', message: 'Entry not found in the datastore.' }, 404)
+  }],
+  ['POST', 'apis', datastore + '/datastore/entries/entry', (req, state) => {
+    const store = getStore(state, req)
+    const key = entryKey(req)
+    if (req.query.exclusiveCreate === 'true' && store.entries[key]) {
+      return reply({ error: 'PRECONDITION_FAILED', message: 'An entry with the provided key already exists.' }, 412)
+    }
+    if (req.query.matchVersion && (!store.entries[key] || store.entries[key].version !== req.query.matchVersion)) {
+      return reply({ error: 'PRECONDITION_FAILED', message: 'Provided version does not match current version.' }, 412)
+    }
+    return writeEntry(store, key, req.body, req)
+  }],
+  ['POST', 'apis', datastore + '/datastore/entries/entry/increment', (req, state) => {
+    const store = getStore(state, req)
+    const key = entryKey(req)
+    const current = store.entries[key] ? Number(store.entries[key].value) : 0
+    writeEntry(store, key, current + Number(req.query.incrementBy), req)
+    const entry = store.entries[key]
+    return reply(entry.value, 200, entryHeaders(entry))
+  }],
+  ['DELETE', 'apis', datastore + '/datastore/entries/entry', (req, state) => {
+    const store = getStore(state, req)
+    const key = entryKey(req)
+    if (!store.entries[key]) {
+      return reply({ error: 'NOT_FOUND', message: 'Entry not found in the datastore.' }, 404)
+    }
+    delete store.entries[key]
+    return reply('', 204)
+  }],
+  ['GET', 'apis', datastore + '/datastore/entries/entry/versions', (req, state) => {
+    const entry = getStore(state, req).entries[entryKey(req)]
+    return reply({ versions: entry ? entry.versions : [], nextPageCursor: '' })
+  }],
+
+  // chat
+  ['GET', 'chat', '/v2/get-user-conversations', (req, state) => {
+    const user = requireUser(req)
+    return reply(Object.values(state.conversations).filter((conversation) => conversation.participants.includes(user.id)).map((conversation) => conversationInfo(state, conversation)))
+  }],
+  ['GET', 'chat', '/v2/get-conversations', (req, state) => {
+    requireUser(req)
+    return reply(String(req.query.conversationIds || '').split(',').filter(Boolean).map((id) => conversationInfo(state, getConversation(state, req, id))))
+  }],
+  ['POST', 'chat', '/v2/start-one-to-one-conversation', (req, state) => {
+    const user = requireUser(req)
+    const other = Number(req.body.participantUserId)
+    let conversation = Object.values(state.conversations).find((conversation) => conversation.participants.length === 2 && conversation.participants.includes(user.id) && conversation.participants.includes(other))
+    if (!conversation) {
+      const id = Object.keys(state.conversations).length + 1
+      conversation = state.conversations[id] = { id, title: '', participants: [user.id, other], messages: [], lastUpdated: new Date().toISOString() }
+    }
+    return reply({ conversation: conversationInfo(state, conversation), rejectedParticipants: [], resultType: 'Success', statusMessage: 'Success' })
+  }],
+  ['POST', 'chat', '/v2/send-message', (req, state) => {
+    const user = requireUser(req)
+    const conversation = getConversation(state, req, req.body.conversationId)
+    const message = {
+      id: crypto.randomUUID(),
+      senderType: 'User',
+      sent: new Date().toISOString(),
+      read: false,
+      messageType: 'PlainText',
+      senderTargetId: user.id,
+      content: req.body.message
+    }
+    conversation.messages.unshift(message)
+    conversation.lastUpdated = message.sent
+    return reply({ content: message.content, filteredForReceivers: false, messageId: message.id, sent: message.sent, messageType: 'PlainText', resultType: 'Success', statusMessage: 'Success' })
+  }],
+  ['GET', 'chat', '/v2/get-messages', (req, state) => {
+    const conversation = getConversation(state, req, req.query.conversationId)
+    return reply(conversation.messages.slice(0, Number(req.query.pageSize) || 30))
+  }]
+]
+
+exports.reply = reply
+exports.error = error
+exports.page = page
+exports.requireUser = requireUser
+exports.publicUser = publicUser
+exports.friendUser = friendUser
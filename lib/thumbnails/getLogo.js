@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['group']
-exports.optional = ['size', 'circular', 'format']
+const { RobloxAPIError, NotFoundError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -39,16 +36,16 @@ function getLogo (group, size, circular, format) {
 
       if (error) {
         if (error.message === 'NotFound') {
-          throw new Error('An invalid UserID or GroupID was provided.')
+          throw new NotFoundError('An invalid UserID or GroupID was provided.', { body })
         } else {
-          throw new Error(error.message)
+          throw new RobloxAPIError(error.message, { body })
         }
       }
 
       const thumbnailData = body.data[0]
 
       if (thumbnailData.state !== 'Completed') {
-        throw new Error('The requested image has not been approved. Status: ' + thumbnailData.state)
+        throw new RobloxAPIError('The requested image has not been approved. Status: ' + thumbnailData.state, { body })
       }
 
       return thumbnailData.imageUrl
@@ -1,10 +1,8 @@
 // Includes
 const http = require('../util/http.js').func
+const { wait } = require('../internal/retry.js')
 const { thumbnail: settings } = require('../../settings.json')
-
-// Args
-exports.required = ['userIds']
-exports.optional = ['size', 'format', 'isCircular', 'cropType', 'retryCount']
+const { RobloxAPIError, ValidationError } = require('../util/apiError.js')
 
 // Variables
 const eligibleSizes = {
@@ -44,15 +42,15 @@ function getPlayerThumbnail (userIds, size, format = 'png', isCircular = false,
   // Validate userIds
   if (Array.isArray(userIds)) {
     if (userIds.some(isNaN)) {
-      throw new Error('userIds must be a number or an array of numbers')
+      throw new ValidationError('userIds must be a number or an array of numbers', { argument: 'userIds' })
     }
     userIds = [...new Set(userIds)] // get rid of duplicates, endpoint response does this anyway
     if (userIds.length > 100) {
-      throw new Error(`too many userIds provided (${userIds.length}); maximum 100`)
+      throw new ValidationError(`too many userIds provided (${userIds.length}); maximum 100`, { argument: 'userIds' })
     }
   } else {
     if (isNaN(userIds)) {
-      throw new Error('userId is not a number')
+      throw new ValidationError('userId is not a number', { argument: 'userIds' })
     }
     userIds = [userIds]
   }
@@ -60,7 +58,7 @@ function getPlayerThumbnail (userIds, size, format = 'png', isCircular = false,
   // Validate cropType
   cropType = cropType.toLowerCase()
   if (!Object.keys(eligibleSizes).includes(cropType)) {
-    throw new Error(`Invalid cropping type provided: ${cropType} | Use: ${Object.keys(eligibleSizes).join(', ')}`)
+    throw new ValidationError(`Invalid cropping type provided: ${cropType} | Use: ${Object.keys(eligibleSizes).join(', ')}`, { argument: 'cropType' })
   }
   const { sizes, endpoint } = eligibleSizes[cropType]
 
@@ -70,12 +68,12 @@ function getPlayerThumbnail (userIds, size, format = 'png', isCircular = false,
     size = `${size}x${size}`
   }
   if (!sizes.includes(size)) {
-    throw new Error(`Invalid size parameter provided: ${size} | [${cropType.toUpperCase()}] Use: ${sizes.join(', ')}`)
+    throw new ValidationError(`Invalid size parameter provided: ${size} | [${cropType.toUpperCase()}] Use: ${sizes.join(', ')}`, { argument: 'size' })
   }
 
   // Validate format
   if (format.toLowerCase() !== 'png' && format.toLowerCase() !== 'jpeg') {
-    throw new Error(`Invalid image type provided: ${format} | Use: png, jpeg`)
+    throw new ValidationError(`Invalid image type provided: ${format} | Use: png, jpeg`, { argument: 'format' })
   }
 
   return http({
@@ -85,13 +83,14 @@ function getPlayerThumbnail (userIds, size, format = 'png', isCircular = false,
       followRedirect: true
     }
   })
-    .then(async ({ statusCode, body }) => {
+    .then(async (res) => {
+      const { statusCode, body } = res
       let { data, errors } = JSON.parse(body)
       if (statusCode === 200) {
         if (retryCount > 0) {
           const pendingThumbnails = data.filter(obj => { return obj.state === 'Pending' }).map(obj => obj.targetId) // Get 'Pending' thumbnails as array of userIds
           if (pendingThumbnails.length > 0) {
-            await timeout(settings.retryDelay) // small delay helps cache populate on Roblox's end; default 500ms
+            await wait(settings.retryDelay) // small delay helps cache populate on Roblox's end; default 500ms
             const updatedPending = await getPlayerThumbnail(pendingThumbnails, size, format, isCircular, cropType, --retryCount) // Recursively retry for # of maxRetries attempts; default 2
             data = data.map(obj => updatedPending.find(o => o.targetId === obj.targetId) || obj) // Update primary array's values
           }
@@ -105,17 +104,13 @@ function getPlayerThumbnail (userIds, size, format = 'png', isCircular = false,
         })
         return data
       } else if (statusCode === 400) {
-        throw new Error(`Error Code ${errors.code}: ${errors.message} | endpoint: ${endpoint}, userIds: ${userIds.join(',')}, size: ${size}, isCircular: ${!!isCircular}`)
+        throw RobloxAPIError.fromResponse(res, `Error Code ${errors.code}: ${errors.message} | endpoint: ${endpoint}, userIds: ${userIds.join(',')}, size: ${size}, isCircular: ${!!isCircular}`)
       } else {
-        throw new Error(`An unknown error occurred with getPlayerThumbnail() | endpoint: ${endpoint}, userIds: ${userIds.join(',')}, size: ${size}, isCircular: ${!!isCircular}`)
+        throw RobloxAPIError.fromResponse(res, `An unknown error occurred with getPlayerThumbnail() | endpoint: ${endpoint}, userIds: ${userIds.join(',')}, size: ${size}, isCircular: ${!!isCircular}`)
       }
     })
 }
 
-function timeout (ms) {
-  return new Promise(resolve => { setTimeout(resolve, ms) })
-}
-
 exports.func = function ({ userIds, size, format, isCircular, cropType, retryCount }) {
   return getPlayerThumbnail(userIds, size, format, isCircular, cropType, retryCount)
 }
@@ -1,10 +1,8 @@
 // Includes
 const http = require('../util/http.js').func
+const { wait } = require('../internal/retry.js')
 const { thumbnail: settings } = require('../../settings.json')
-
-// Args
-exports.required = ['thumbnailRequests']
-exports.optional = []
+const { RobloxAPIError, ValidationError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -33,19 +31,19 @@ exports.optional = []
 // Define
 function getThumbnails (requests, retryCount = settings.maxRetries) {
   if (!Array.isArray(requests)) {
-    throw new Error('thumbnailRequests are not an array')
+    throw new ValidationError('thumbnailRequests are not an array', { argument: 'thumbnailRequests' })
   }
 
   requests = [...new Set(requests)]
   if (requests.length > 100) {
-    throw new Error(`Too many thumbnailRequests provided (${requests.length}); maximum 100`)
+    throw new ValidationError(`Too many thumbnailRequests provided (${requests.length}); maximum 100`, { argument: 'thumbnailRequests' })
   }
 
   for (const request of requests) {
     if (!request.size || !request.type) {
-      throw new Error('thumbnailRequest must have a size and type')
+      throw new ValidationError('thumbnailRequest must have a size and type', { argument: 'thumbnailRequests' })
     } else if (request.format && (request.format.toLowerCase() !== 'png' && request.format.toLowerCase() !== 'jpeg')) {
-      throw new Error(`Invalid image type provided: ${request.format} | Use: png, jpeg`)
+      throw new ValidationError(`Invalid image type provided: ${request.format} | Use: png, jpeg`, { argument: 'thumbnailRequests' })
     }
   }
 
@@ -53,18 +51,20 @@ function getThumbnails (requests, retryCount = settings.maxRetries) {
     url: 'https://thumbnails.roblox.com/v1/batch',
     options: {
       method: 'POST',
+      readOnly: true,
       json: requests,
       resolveWithFullResponse: true,
       followRedirect: true
     }
   })
-    .then(async ({ statusCode, body }) => {
+    .then(async (res) => {
+      const { statusCode, body } = res
       let { data, errors } = body
       if (statusCode === 200) {
         if (retryCount > 0) {
           const pendingThumbnails = data.filter(obj => { return obj.state === 'Pending' }).map(obj => obj.targetId) // Get 'Pending' thumbnails as array of userIds
           if (pendingThumbnails.length > 0) {
-            await timeout(settings.retryDelay) // small delay helps cache populate on Roblox's end; default 500ms
+            await wait(settings.retryDelay) // small delay helps cache populate on Roblox's end; default 500ms
             const updatedPending = await getThumbnails(pendingThumbnails, --retryCount) // Recursively retry for # of maxRetries attempts; default 2
             data = data.map(obj => updatedPending.find(o => o.targetId === obj.targetId) || obj) // Update primary array's values
           }
@@ -77,17 +77,13 @@ function getThumbnails (requests, retryCount = settings.maxRetries) {
         })
         return data
       } else if (statusCode === 400) {
-        throw new Error(`Error Code ${errors.code}: ${errors.message} | requests: ${JSON.stringify(requests)}`)
+        throw RobloxAPIError.fromResponse(res, `Error Code ${errors.code}: ${errors.message} | requests: ${JSON.stringify(requests)}`)
       } else {
-        throw new Error(`An unknown error occurred with getThumbnails() | requests: ${JSON.stringify(requests)}`)
+        throw RobloxAPIError.fromResponse(res, `An unknown error occurred with getThumbnails() | requests: ${JSON.stringify(requests)}`)
       }
     })
 }
 
-function timeout (ms) {
-  return new Promise(resolve => { setTimeout(resolve, ms) })
-}
-
 exports.func = function ({ thumbnailRequests }) {
   return getThumbnails(thumbnailRequests)
 }
@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['userId']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -36,7 +33,7 @@ function canTradeWith (jar, userId) {
           const errors = body.errors.map((e) => {
             return e.message
           })
-          reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+          reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
         }
       }
     }).catch(error => reject(error))
@@ -1,10 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
-
-// Args
-exports.required = ['tradeId']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -42,7 +39,7 @@ function declineTrade (tradeId, jar, xcsrf) {
           const errors = body.errors.map((e) => {
             return e.message
           })
-          reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+          reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
         }
       }
     }).catch(error => reject(error))
@@ -1,9 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['tradeId']
-exports.optional = ['jar']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -40,7 +37,7 @@ const getTradeInfo = (jar, tradeId) => {
           const errors = body.errors.map((e) => {
             return e.message
           })
-          reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+          reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
         }
       }
     }).catch(error => reject(error))
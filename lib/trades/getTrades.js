@@ -1,10 +1,6 @@
 // Includes
 const getPageResults = require('../util/getPageResults.js').func
 
-// Args
-exports.required = ['tradeStatusType']
-exports.optional = ['sortOrder', 'limit', 'jar']
-
 // Docs
 /**
  * 🔐 Get the trades for a specific category.
@@ -2,10 +2,7 @@
 const http = require('../util/http.js').func
 const getGeneralToken = require('../util/getGeneralToken.js').func
 const getCurrentUser = require('../util/getCurrentUser.js').func
-
-// Args
-exports.required = ['targetUserId', 'sendingOffer', 'receivingOffer']
-exports.optional = ['jar']
+const { RobloxAPIError, ValidationError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -24,7 +21,7 @@ exports.optional = ['jar']
 function sendTrade (targetUserId, sendingOffer, receivingOffer, jar, xcsrf, loggedInUser) {
   return new Promise((resolve, reject) => {
     if (!sendingOffer.userAssetIds || !receivingOffer.userAssetIds) {
-      reject(new Error('Both offers must includes userAssetIds.'))
+      reject(new ValidationError('Both offers must includes userAssetIds.', { argument: !sendingOffer.userAssetIds ? 'sendingOffer' : 'receivingOffer' }))
     }
 
     if (!sendingOffer.robux) sendingOffer.robux = 0
@@ -63,7 +60,7 @@ function sendTrade (targetUserId, sendingOffer, receivingOffer, jar, xcsrf, logg
           const errors = body.errors.map((e) => {
             return e.message
           })
-          reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
+          reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
         }
       }
     }).catch(error => reject(error))
@@ -1,8 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['userId']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -30,7 +28,7 @@ exports.func = function (args) {
         const parsedBody = JSON.parse(res.body)
         return parsedBody.description
       } else {
-        throw new Error('User does not exist')
+        throw RobloxAPIError.fromResponse(res, 'User does not exist')
       }
     })
 }
@@ -1,9 +1,7 @@
 // Includes
 const http = require('../util/http.js').func
 const cache = require('../cache')
-
-// Args
-exports.required = ['username']
+const batch = require('../internal/batch.js')
 
 // Docs
 /**
@@ -17,13 +15,13 @@ exports.required = ['username']
 **/
 
 // Define
-function getIdFromUsername (usernames) {
-  usernames = Array.isArray(usernames) ? usernames : [usernames] // cast usernames to array if necessary
-
+// Resolves with a Map of each requested username to the id of its user
+function getIds (usernames) {
   const httpOpt = {
     url: 'https://users.roproxy.com/v1/usernames/users',
     options: {
       method: 'POST',
+      readOnly: true,
       json: {
         usernames,
         excludeBannedUsers: false
@@ -32,13 +30,20 @@ function getIdFromUsername (usernames) {
   }
   return http(httpOpt)
     .then(function (body) {
-      const data = body.data
+      return new Map(body.data.map((result) => [result.requestedUsername, result.id]))
+    })
+}
 
-      let results = usernames.map((username) => {
-        return data.find((result) => result.requestedUsername === username)
-      })
+function getIdFromUsername (usernames) {
+  usernames = Array.isArray(usernames) ? usernames : [usernames] // cast usernames to array if necessary
 
-      results = results.map((result) => result !== undefined ? result.id : null)
+  // Single usernames are looked up in one request together with the others asked for at the same time
+  if (usernames.length === 1) {
+    return batch.load('IDFromName', usernames[0], getIds).then((id) => id === undefined ? null : id)
+  }
+  return getIds(usernames)
+    .then(function (ids) {
+      const results = usernames.map((username) => ids.has(username) ? ids.get(username) : null)
 
       return results.length > 1 ? results : results[0]
     })
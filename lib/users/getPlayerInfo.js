@@ -5,9 +5,6 @@ const getFollowerCount = require('../friends/getFollowerCount.js').func
 const getFriendCount = require('../friends/getFriendCount.js').func
 const getUserInfo = require('../users/getUserInfo.js').func
 
-// Args
-exports.required = ['userId']
-
 // Docs
 /**
  * ✅ Get a user's information.
@@ -58,12 +55,8 @@ function getPlayerInfo (userId) {
           displayName
         })
       } else if (failedResponses.length) {
-        const failureReason = failedResponses
-          .map((response) => response.reason)
-          .join('\n')
-
-        const error = failedResponses.map((r) => r.reason).join('\n')
-        reject(new Error(error))
+        // Reject with the first failure as is, so its error type is kept
+        reject(failedResponses[0].reason)
       } else {
         const responseBodies = responses.map((res) => res.body ?? res)
         const friendCount = responseBodies[1]
@@ -1,8 +1,6 @@
 // Includes
 const http = require('../util/http.js').func
-
-// Args
-exports.required = ['userId']
+const { RobloxAPIError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -25,7 +23,7 @@ exports.func = function (args) {
   }
 
   return http(httpOpt).then(function (res) {
-    if (res.statusCode !== 200) { throw new Error(`Failed to fetch user information: ${res.body?.errors?.at(0)?.message}`) }
+    if (res.statusCode !== 200) { throw RobloxAPIError.fromResponse(res, `Failed to fetch user information: ${res.body?.errors?.at(0)?.message}`) }
 
     res.body.created = new Date(res.body.created)
 
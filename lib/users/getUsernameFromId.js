@@ -1,9 +1,8 @@
 // Includes
 const http = require('../util/http.js').func
 const cache = require('../cache')
-
-// Args
-exports.required = ['id']
+const batch = require('../internal/batch.js')
+const { RobloxAPIError, NotFoundError, ValidationError } = require('../util/apiError.js')
 
 // Docs
 /**
@@ -17,22 +16,43 @@ exports.required = ['id']
 **/
 
 // Define
-function getUsernameFromId (id) {
+// Resolves with a Map of each requested user id to the user's name
+function getUsernames (ids) {
   const httpOpt = {
-    url: `//users.roblox.com/v1/users/${id}`,
+    url: '//users.roblox.com/v1/users',
     options: {
       resolveWithFullResponse: true,
-      method: 'GET'
+      method: 'POST',
+      readOnly: true,
+      json: {
+        userIds: ids,
+        excludeBannedUsers: false
+      }
     }
   }
   return http(httpOpt)
     .then(function (res) {
       if (res.statusCode === 200) {
-        const json = JSON.parse(res.body)
-        return json.name
+        return new Map(res.body.data.map((user) => [user.id, user.name]))
       } else {
-        throw new Error('User does not exist')
+        throw RobloxAPIError.fromResponse(res)
+      }
+    })
+}
+
+function getUsernameFromId (id) {
+  const userId = Number(id)
+  // Checked here as one invalid id would fail the lookups it is batched with
+  if (!Number.isInteger(userId) || userId <= 0) {
+    return Promise.reject(new ValidationError('User id must be a positive integer', { argument: 'id' }))
+  }
+  // Looked up in one request together with the other ids asked for at the same time
+  return batch.load('NameFromID', userId, getUsernames)
+    .then(function (name) {
+      if (name === undefined) {
+        throw new NotFoundError('User does not exist')
       }
+      return name
     })
 }
 
@@ -2,10 +2,6 @@
 const getPageResults = require('../util/getPageResults.js').func
 const cache = require('../cache')
 
-// Args
-exports.required = ['userId']
-exports.optional = ['limit', 'sortOrder', 'pageCursor']
-
 // Docs
 /**
  * ✅ Get a user's username history.
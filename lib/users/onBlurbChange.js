@@ -2,9 +2,6 @@
 const shortPoll = require('../util/shortPoll.js').func
 const getBlurb = require('./getBlurb.js').func
 
-// Args
-exports.required = ['userId']
-
 // Docs
 /**
  * ✅ An event for when a user's blurb changes.
@@ -1,10 +1,6 @@
 // Includes
 const getPageResults = require('../util/getPageResults.js').func
 
-// Args
-exports.required = ['keyword']
-exports.optional = ['limit', 'cursor', 'jar']
-
 // Docs
 /**
  * ✅ Gets a list of users matching the keyword
@@ -1,14 +1,66 @@
-// The data should be a response object
+// Docs
+/**
+ * ✅ The error every noblox.js function rejects with when Roblox refuses a request, or when it is given arguments
+ * Roblox would refuse. Subclasses narrow down the cause so it can be checked with `instanceof`:
+ * `RateLimitError` (429), `AuthenticationError` (401 and not being logged in), `PermissionError` (403),
+ * `NotFoundError` (404) and `ValidationError` (400, 422 and invalid arguments).
+ * @category Utility
+ * @alias RobloxAPIError
+ * @example const noblox = require("noblox.js")
+ * try {
+ *   await noblox.setRank(1, 2, 255)
+ * } catch (err) {
+ *   if (err instanceof noblox.PermissionError) {
+ *     // The bot's role can not rank this user
+ *   }
+ *   console.log(err.statusCode, err.code, err.endpoint, err.requestId)
+ * }
+**/
+
+// Define
+const requestIdHeaders = ['x-request-id', 'x-roblox-request-id', 'roblox-request-id']
+
+function getResponseBody (body) {
+  if (body === undefined || body === null) return ''
+  if (typeof body === 'string') return body
+  if (Buffer.isBuffer(body)) return body.toString()
+
+  try {
+    return JSON.stringify(body)
+  } catch {
+    return String(body)
+  }
+}
 
 class RobloxAPIError extends Error {
-  constructor (data) {
-    super(getResponseBody(data))
+  /**
+   * @param {string} message - The error message.
+   * @param {object=} details - The `statusCode`, `body`, `headers` and `endpoint` of the response the error is about,
+   * or the `argument` that was invalid.
+   */
+  constructor (message, details = {}) {
+    super(message)
+
+    this.name = this.constructor.name
+    this.statusCode = details.statusCode
+    this.responseBody = getResponseBody(details.body)
+    this.endpoint = details.endpoint
+    this.requestId = undefined
+    const headers = details.headers || {}
+    for (const header of requestIdHeaders) {
+      if (headers[header]) {
+        this.requestId = headers[header]
+        break
+      }
+    }
+  }
 
-    this.name = 'RobloxAPIError'
-    this.httpStatusCode = data.statusCode
-    this.responseBody = getResponseBody(data)
+  // Kept for code written against the original name of the property
+  get httpStatusCode () {
+    return this.statusCode
   }
 
+  // The error object Roblox responded with
   get error () {
     let obj
 
@@ -18,24 +70,105 @@ class RobloxAPIError extends Error {
       return { code: 0, message: this.responseBody.toString() }
     }
 
-    if (Object.hasOwn(obj, 'error')) return obj.error // V1 open cloud and some very old BEDEV1 endpoints + some global errors
+    if (!obj || typeof obj !== 'object') return { code: 0, message: this.responseBody }
+    else if (Object.hasOwn(obj, 'error')) return obj.error // V1 open cloud and some very old BEDEV1 endpoints + some global errors
 
-    else if (Object.hasOwn(obj, 'errors')) { // Most BEDEV1 endpoints
+    else if (Object.hasOwn(obj, 'errors') && Array.isArray(obj.errors) && obj.errors.length > 0) { // Most BEDEV1 endpoints
       return obj.errors.at(0) // In spite of BEDEV1 endpoint errors being nested in an array, they are never seen in groups.
     } else if (Object.hasOwn(obj, 'code') && Object.hasOwn(obj, 'message')) { // V2 open cloud
       return obj
     } else return { code: 0, message: this.responseBody } // Roblox did a funny (i.e. the platform is down)
   }
+
+  // The Roblox error code, which is more specific than the status code
+  get code () {
+    const error = this.error
+    return error && typeof error === 'object' ? error.code : error
+  }
+
+  /**
+   * Create the error matching the status code of a response.
+   * @param {object} res - The response, as resolved by `http` with `resolveWithFullResponse`.
+   * @param {string=} message - The error message; by default the status code followed by the messages Roblox sent.
+   * @returns {RobloxAPIError}
+   */
+  static fromResponse (res, message) {
+    const details = {
+      statusCode: res.statusCode,
+      body: res.body,
+      headers: res.headers,
+      endpoint: res.endpoint
+    }
+    const ErrorClass = statusClasses[res.statusCode] || RobloxAPIError
+    const error = new ErrorClass(message || '', details)
+    if (!message) {
+      const robloxError = error.error
+      const text = (robloxError && robloxError.message) || res.statusMessage || ''
+      error.message = `${res.statusCode} ${text}`.trim()
+    }
+    return error
+  }
 }
 
-function getResponseBody (data) {
-  if (typeof data.body === 'string') return data.body
+class RateLimitError extends RobloxAPIError {
+  constructor (message, details = {}) {
+    super(message, details)
 
-  try {
-    return JSON.stringify(data.body)
-  } catch {
-    throw Error('The passed response body is not a valid object')
+    // Seconds Roblox asked to wait before trying again, if it said
+    const headers = details.headers || {}
+    const retryAfter = Number(headers['retry-after'] || headers['x-ratelimit-reset'])
+    this.retryAfter = isNaN(retryAfter) ? undefined : retryAfter
+  }
+}
+
+class AuthenticationError extends RobloxAPIError {}
+
+class PermissionError extends RobloxAPIError {}
+
+class NotFoundError extends RobloxAPIError {}
+
+class ValidationError extends RobloxAPIError {
+  constructor (message, details = {}) {
+    super(message, details)
+
+    // The name of the argument that was rejected, for errors raised before a request is sent
+    this.argument = details.argument
+  }
+}
+
+/**
+ * The error a call rejects with when the `signal` passed to it aborts or its `timeout` runs out. It is not a
+ * RobloxAPIError, as Roblox never saw (or never answered) the request.
+ */
+class AbortError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {object=} details - The `reason` the signal was aborted with, or the `timeout` in ms that ran out.
+   */
+  constructor (message, details = {}) {
+    super(message)
+
+    this.name = 'AbortError'
+    this.reason = details.reason
+    this.timeout = details.timeout
   }
 }
 
-export default RobloxAPIError
+const statusClasses = {
+  400: ValidationError,
+  401: AuthenticationError,
+  403: PermissionError,
+  404: NotFoundError,
+  422: ValidationError,
+  429: RateLimitError
+}
+
+module.exports = {
+  RobloxAPIError,
+  RateLimitError,
+  AuthenticationError,
+  PermissionError,
+  NotFoundError,
+  ValidationError,
+  AbortError
+}
@@ -1,9 +1,6 @@
 // Includes
 const settings = require('../../settings.json')
 
-// Args
-exports.required = ['jar']
-
 // Docs
 /**
  * 🔐 Remove .ROBLOSECURITY cookie from jar.
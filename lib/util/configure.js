@@ -2,9 +2,6 @@
 const setOptions = require('./setOptions.js')
 const proxyConfig = require('./proxyConfig.js')
 
-// Args
-exports.optional = ['options']
-
 // Docs
 /**
  * ✅ Configure noblox.js with advanced options including proxy settings.
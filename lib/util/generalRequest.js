@@ -2,10 +2,6 @@
 const http = require('./http.js').func
 const getVerification = require('./getVerification.js').func
 
-// Args
-exports.required = ['url', 'events']
-exports.optional = ['http', 'ignoreCache', 'getBody', 'jar']
-
 // Docs
 /**
  * 🔐 Get the verification inputs and send a request.
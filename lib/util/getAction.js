@@ -1,6 +1,3 @@
-// Args
-exports.required = ['row']
-
 // Define
 const regex = [
   /rank from (.+) to (.+)\.$/,
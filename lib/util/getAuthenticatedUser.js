@@ -1,9 +1,7 @@
 // Includes
 const http = require('./http.js').func
 const settings = require('../../settings.json')
-
-// Args
-exports.optional = ['jar']
+const { RobloxAPIError, AuthenticationError } = require('./apiError.js')
 
 // Docs
 /**
@@ -29,21 +27,18 @@ exports.func = async function (args) {
       resolveWithFullResponse: true
     }
   }
-  try {
-    const res = await http(httpOpt)
+  // Aborts and transport errors (eg. ECONNRESET) are passed on as they are
+  const res = await http(httpOpt)
 
-    if (res) {
-      if (res.statusCode === 401) {
-        throw new Error('You are not logged in.')
-      } else if (res.statusCode !== 200) {
-        throw new Error(JSON.stringify(res.body))
-      }
-    } else {
-      throw new Error('Failed to get authenticated user.')
-    }
-    return res.body
-  } catch (err) {
-    throw new Error('Failed to get authenticated user: ' + err.message)
+  if (!res) {
+    throw new RobloxAPIError('Failed to get authenticated user.')
+  } else if (res.statusCode === 401) {
+    throw new AuthenticationError('Failed to get authenticated user: You are not logged in.', res)
+  } else if (res.statusCode !== 200) {
+    throw RobloxAPIError.fromResponse(res, 'Failed to get authenticated user: ' + JSON.stringify(res.body))
+  } else if (!res.body || typeof res.body !== 'object') {
+    throw RobloxAPIError.fromResponse(res, 'Failed to get authenticated user: Unexpected response ' + JSON.stringify(res.body))
   }
+  return res.body
 
 }
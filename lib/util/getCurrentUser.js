@@ -3,8 +3,6 @@ const settings = require('../../settings.json')
 
 const noblox = require('../index.js')
 
-exports.optional = ['option', 'jar']
-
 // Docs
 /**
  * 🔐 Get the current logged in user.
@@ -27,7 +25,7 @@ exports.func = async function (args) {
   const [premiumStatus, thumbnailResponse, robuxBalance] = await Promise.all(
     [
       noblox.getPremium(currentUser.id, jar),
-      noblox.getPlayerThumbnail(currentUser.id, '352x352', 'png', false, 'Body', jar),
+      noblox.getPlayerThumbnail(currentUser.id, '352x352', 'png', false, 'Body'),
       noblox.getUserFunds(currentUser.id, jar)
     ]
   )
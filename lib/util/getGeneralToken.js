@@ -4,9 +4,8 @@ const http = require('./http.js').func
 const cache = require('../cache')
 const options = require('../options.js')
 const settings = require('../../settings.json')
-
-// Args
-exports.optional = ['jar']
+const logger = require('./logger.js')
+const { AuthenticationError } = require('./apiError.js')
 
 // Docs
 /**
@@ -42,6 +41,8 @@ async function tryGetTokenFromEndpoint (endpoint, jar) {
       options: {
         resolveWithFullResponse: true,
         method: endpoint.method,
+        // Rejected for the token it lacks, so it changes nothing even in a dry run
+        readOnly: true,
         jar,
         headers: {
           'Content-Type': 'application/json'
@@ -54,15 +55,15 @@ async function tryGetTokenFromEndpoint (endpoint, jar) {
     const token = res.headers['x-csrf-token']
 
     if (token) {
-      console.log(`✓ Got CSRF token from: ${endpoint.name}`)
+      logger.debug(`Got X-CSRF-TOKEN from ${endpoint.name}`)
       return token
     }
 
-    console.warn(`⚠ No CSRF token from ${endpoint.name}, status: ${res.statusCode}`)
+    logger.warn(`No X-CSRF-TOKEN from ${endpoint.name}`, { statusCode: res.statusCode })
     return null
   } catch (error) {
-    // Log errors to help debug proxy issues
-    console.error(`✗ Failed to get token from ${endpoint.name}:`, error.message)
+    // Logged to help debug proxy issues
+    logger.warn(`Failed to get X-CSRF-TOKEN from ${endpoint.name}: ${error.message}`, { error })
     return null
   }
 }
@@ -75,7 +76,7 @@ async function tryGetTokenFromEndpoint (endpoint, jar) {
  */
 async function getGeneralToken (jar) {
   if (!jar && !options.jar.session) {
-    throw new Error('Cannot get CSRF: You are not logged in.')
+    throw new AuthenticationError('Cannot get CSRF: You are not logged in.')
   }
 
   // Try each endpoint in order until one returns a token
@@ -87,7 +88,7 @@ async function getGeneralToken (jar) {
   }
 
   // If all endpoints failed, throw error
-  throw new Error('Failed to obtain X-CSRF-TOKEN from all endpoints. Please verify your cookie is valid.')
+  throw new AuthenticationError('Failed to obtain X-CSRF-TOKEN from all endpoints. Please verify your cookie is valid.')
 }
 
 exports.func = function (args) {
@@ -4,9 +4,6 @@ const crypto = require('crypto')
 // Includes
 const getSession = require('./getSession.js').func
 
-// Args
-exports.optional = ['jar']
-
 // Docs
 /**
  * 🔐 Get a unique hash for the given jar. Used to cache items that depend on session.
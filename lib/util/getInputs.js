@@ -1,10 +1,6 @@
 // Dependencies
 const parser = require('cheerio')
 
-// Args
-exports.required = ['html']
-exports.optional = ['find']
-
 // Docs
 /**
  * ✅ Get verification inputs on a page.
@@ -1,9 +1,6 @@
 // Includes
 const http = require('./http.js').func
-
-// Args
-exports.required = ['url', 'query', 'limit']
-exports.optional = ['jar', 'sortOrder']
+const { RobloxAPIError } = require('./apiError.js')
 
 // Docs
 /**
@@ -22,7 +19,7 @@ exports.optional = ['jar', 'sortOrder']
 **/
 
 // Define
-function getPageResults (jar, url, query, sortOrder, limit, pageCursor, results) {
+function getPage (jar, url, query, sortOrder, limit, pageCursor) {
   return new Promise((resolve, reject) => {
     const allowedLimits = [10, 25, 50, 100]
 
@@ -49,50 +46,60 @@ function getPageResults (jar, url, query, sortOrder, limit, pageCursor, results)
           try {
             body = JSON.parse(body.trim())
           } catch (error) {
-            return reject(new Error('Failed to parse JSON response'))
+            return reject(RobloxAPIError.fromResponse(res, 'Failed to parse JSON response'))
           }
         }
 
-        const data = body.data
-
         if (body.errors && body.errors.length > 0) {
           const errors = body.errors.map((e) => e.message)
-          return reject(new Error(`${res.statusCode} ${errors.join(', ')}`))
-        }
-
-        results = results ? results.concat(data) : data
-
-        if (results.length > limit) {
-          results = results.slice(0, limit)
+          return reject(RobloxAPIError.fromResponse(res, `${res.statusCode} ${errors.join(', ')}`))
         }
 
-        if (results.length >= limit || data.length === 0 || !body.nextPageCursor) {
-          return resolve(results)
-        }
-
-        resolve(getPageResults(jar, url, query, sortOrder, limit, body.nextPageCursor, results))
+        resolve(body)
       } else {
-        reject(new Error('Non-JSON response received'))
+        reject(RobloxAPIError.fromResponse(res, 'Non-JSON response received'))
       }
     })
       .catch(error => reject(error))
   })
 }
 
+function getPageResults (jar, url, query, sortOrder, limit, pageCursor, results) {
+  return getPage(jar, url, query, sortOrder, limit, pageCursor).then((body) => {
+    const data = body.data
+
+    results = results ? results.concat(data) : data
+
+    if (results.length > limit) {
+      results = results.slice(0, limit)
+    }
+
+    if (results.length >= limit || data.length === 0 || !body.nextPageCursor) {
+      return results
+    }
+
+    return getPageResults(jar, url, query, sortOrder, limit, body.nextPageCursor, results)
+  })
+}
+
 function parseDates (results) {
-  return new Promise((resolve, reject) => {
-    if (!results) return resolve([])
+  if (!results) return []
 
-    resolve(results.map(result => {
-      if (result.created) result.created = new Date(result.created)
-      if (result.updated) result.updated = new Date(result.updated)
-      return result
-    }))
+  return results.map(result => {
+    if (result.created) result.created = new Date(result.created)
+    if (result.updated) result.updated = new Date(result.updated)
+    return result
   })
 }
 
 exports.func = function (args) {
-  return getPageResults(args.jar, args.url, args.query, args.sortOrder, args.limit).then(results => {
-    return parseDates(results)
+  return getPageResults(args.jar, args.url, args.query, args.sortOrder, args.limit).then(parseDates)
+}
+
+// Requests the single page at `args.cursor`, resolving with its `data` and the `nextPageCursor`, for functions
+// that are iterated with `noblox.paginate`.
+exports.page = function (args) {
+  return getPage(args.jar, args.url, args.query, args.sortOrder, args.limit || 100, args.cursor).then((body) => {
+    return { data: parseDates(body.data), nextPageCursor: body.nextPageCursor || null }
   })
 }
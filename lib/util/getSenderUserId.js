@@ -3,9 +3,6 @@ const getCurrentUser = require('./getCurrentUser.js').func
 const getHash = require('./getHash.js').func
 const cache = require('../cache')
 
-// Args
-exports.optional = ['jar']
-
 // Docs
 /**
  * 🔐 Get the userId of the current user and cache it.
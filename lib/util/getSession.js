@@ -2,9 +2,6 @@
 const settings = require('../../settings.json')
 const options = require('../options.js')
 
-// Args
-exports.optional = ['jar']
-
 // Docs
 /**
  * 🔐 Get the .ROBLOSECURITY cookie from the jar.
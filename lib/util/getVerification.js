@@ -5,10 +5,6 @@ const getVerificationInputs = require('./getVerificationInputs.js').func
 const cache = require('../cache')
 const URL = require('url').URL
 
-// Args
-exports.required = ['url']
-exports.optional = ['ignoreCache', 'getBody', 'jar']
-
 // Docs
 /**
  * 🔐 Get the RequestVerificationToken from a url.
@@ -1,9 +1,6 @@
 // Dependencies
 const parser = require('cheerio')
 
-// Args
-exports.required = [['html', 'selector']]
-
 // Docs
 /**
  * ✅ Get the verification inputs from the html.
@@ -1,28 +1,18 @@
-// Dependencies
-const util = require('util')
-let request = util.promisify(require('postman-request'))
-
 // Includes
 const options = require('../options.js')
 const settings = require('../../settings.json')
 const cache = require('../cache')
 const getHash = require('./getHash.js').func
 const middleware = require('./middleware')
-
-// Args
-exports.required = ['url']
-exports.optional = ['options', 'ignoreLoginError']
-
-// Define
-request = request.defaults({
-  forever: true,
-  agentOptions: {
-    maxSockets: Infinity
-  },
-  simple: false,
-  gzip: true,
-  timeout: settings.timeout
-})
+const transport = require('./transport')
+const logger = require('./logger.js')
+const metrics = require('./metrics.js')
+const abort = require('../internal/abort.js')
+const retry = require('../internal/retry.js')
+const scheduler = require('../internal/scheduler.js')
+const callContext = require('../internal/callContext.js')
+const tracing = require('../internal/tracing.js')
+const { AuthenticationError, AbortError } = require('./apiError.js')
 
 // Docs
 /**
@@ -37,6 +27,88 @@ request = request.defaults({
  * const body = await noblox.http("https://roblox.com/login", { method: "GET" })
 **/
 
+// Define
+// GET requests in flight, per client and by what was asked for
+const inFlight = new WeakMap()
+const requestCount = metrics.counter('requests_total', 'Requests sent to Roblox, by host, function, method and status.')
+const requestDuration = metrics.histogram('request_duration_seconds', 'Time taken by requests sent to Roblox, by host, function and status.')
+const retryCount = metrics.counter('retries_total', 'Requests retried after a rate limit or server error, by host and status.')
+const csrfCount = metrics.counter('csrf_refreshes_total', 'X-CSRF-TOKEN refreshes, by host.')
+
+function getHost (url) {
+  try {
+    return new URL(url.indexOf('http') === 0 ? url : 'https:' + url).hostname
+  } catch (err) {
+    return ''
+  }
+}
+
+// Counts a request to `url` that was answered with `status` (or failed, if it is "error")
+function record (url, method, status, started) {
+  const labels = { host: getHost(url), function: callContext.get().name || 'http', status: String(status) }
+  requestCount.inc(Object.assign({ method }, labels))
+  requestDuration.observe(labels, (Date.now() - started) / 1000)
+}
+
+// Copies the parts of a response callers may change, so ones sharing a request do not see each other's changes. Bodies
+// are parsed JSON, so they are copied through JSON rather than structuredClone, which builds its copies out of the
+// objects of the main realm and so breaks `instanceof Array` inside a vm context (as jest runs tests).
+function copyResponse (res) {
+  let body = res.body
+  if (Buffer.isBuffer(body)) {
+    body = Buffer.from(body)
+  } else if (body && typeof body === 'object') {
+    body = JSON.parse(JSON.stringify(body))
+  }
+  return Object.assign({}, res, { headers: Object.assign({}, res.headers), body })
+}
+
+// Sends the request with `send`, unless the same GET request is already in flight for the account, in which case
+// its response is shared instead. Requests that can be aborted are not shared, as aborting one would abort the others.
+function coalesce (method, account, request, send) {
+  if (!settings.batching.coalesce || (method !== 'GET' && method !== 'HEAD') || request.body || request.form || request.formData || request.signal) {
+    return send()
+  }
+  const client = options.current()
+  let requests = inFlight.get(client)
+  if (!requests) {
+    requests = new Map()
+    inFlight.set(client, requests)
+  }
+  const key = [account, method, request.url, JSON.stringify(request.qs || {}), request.json ? 'json' : 'text'].join(' ')
+  let shared = requests.get(key)
+  if (shared) {
+    logger.debug(`${method} ${request.url} joined a request in flight`, { method, url: request.url })
+  } else {
+    shared = send()
+    requests.set(key, shared)
+    const done = () => requests.delete(key)
+    shared.then(done, done)
+  }
+  return shared.then(copyResponse)
+}
+
+// Records a request held back by a dry run, and answers it as if it had succeeded
+function hold (requests, method, url, request) {
+  let body = request.json !== undefined && request.json !== true ? request.json : request.body
+  if (body === undefined) {
+    body = request.form || request.formData
+  }
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body)
+    } catch (err) {
+      // Sent as is
+    }
+  }
+  if (request.qs) {
+    url += (url.includes('?') ? '&' : '?') + new URLSearchParams(request.qs)
+  }
+  requests.push({ method, url, body })
+  logger.info(`${method} ${url} held back by a dry run`, { method, url })
+  return { statusCode: 200, headers: {}, body: request.json ? {} : '{}', endpoint: method + ' ' + url }
+}
+
 function http (url, opt) {
   if (opt?.headers) {
     opt.headers = Object.fromEntries(
@@ -46,6 +118,11 @@ function http (url, opt) {
   if (opt && !opt.jar && Object.keys(opt).indexOf('jar') > -1) {
     opt.jar = options.jar
   }
+  const account = opt && opt.jar ? getHash({ jar: opt.jar }) : 'anonymous'
+  // Clients created with their own proxy settings apply them unless the request overrides them
+  if (opt && opt.proxy === undefined && options.proxy) {
+    opt.proxy = options.proxy
+  }
   // Use header-based cookies for both proxied and direct requests in session_only mode
   if (settings.session_only && opt && opt.jar) {
     if (!opt.headers) {
@@ -79,19 +156,83 @@ function http (url, opt) {
   // Apply middleware chain (includes proxy transformation)
   const transformed = middleware.executeChain({ url, options: opt })
 
-  return request(transformed.url, transformed.options)
+  const method = ((opt && opt.method) || 'GET').toUpperCase()
+  const request = { url: transformed.url, ...transformed.options }
+  request.headers = request.headers || {}
+  // Aborted along with the call the request is made for
+  const combined = abort.combine(callContext.get().signal, request.signal)
+  request.signal = combined.signal
+  if (!request.signal) {
+    delete request.signal
+  }
+  try {
+    abort.throwIfAborted(request.signal)
+  } catch (err) {
+    combined.clear()
+    return Promise.reject(err)
+  }
+  // Requests that only read (`readOnly` marks the POSTs that do) are still sent in a dry run, see internal/wrap.js
+  const readOnly = request.readOnly
+  delete request.readOnly
+  const dryRun = callContext.get().dryRun
+  if (dryRun && !readOnly && method !== 'GET' && method !== 'HEAD') {
+    combined.clear()
+    return Promise.resolve(hold(dryRun, method, url, request))
+  }
+  // Passed to middleware hooks; `send` lets them issue requests of their own (eg. to retry) without running the hooks again
+  const context = {
+    name: callContext.get().name,
+    account,
+    // Lets errors created from the response name the endpoint that was called
+    endpoint: method + ' ' + url,
+    send: (req) => transport.get()(req)
+  }
+  return middleware.runRequest(request, context).then(function (res) {
+    if (res) {
+      logger.debug(`${res.endpoint} ${res.statusCode} (from middleware)`, { method, url, statusCode: res.statusCode })
+      return res
+    }
+    return coalesce(method, account, request, function () {
+      return scheduler.request(url, account, function () {
+        const started = Date.now()
+        return Promise.resolve().then(function () {
+          return context.send(request)
+        }).then(function (res) {
+          res.endpoint = context.endpoint
+          logger.debug(`${res.endpoint} ${res.statusCode}`, { method, url, statusCode: res.statusCode, duration: Date.now() - started })
+          record(url, method, res.statusCode, started)
+          return res
+        }, function (err) {
+          logger.warn(`${method} ${url} failed: ${err.message}`, { method, url, error: err, duration: Date.now() - started })
+          record(url, method, 'error', started)
+          throw err
+        })
+      })
+    })
+  }).then(function (res) {
+    return middleware.runResponse(res, request, context)
+  }, function (err) {
+    return middleware.runError(err, request, context)
+  }).finally(combined.clear)
 }
 
-exports.func = function (args) {
+// Sends the request of `args`, following the retry policy and refreshing the X-CSRF-TOKEN as needed
+function sendRequest (args) {
   const opt = args.options || {}
   if (typeof opt.jar === 'string') {
     opt.jar = { session: opt.jar }
   }
   const jar = opt.jar
   const depth = args.depth || 0
-  const full = opt.resolveWithFullResponse || false
+  const retries = args.retries || 0
+  // Retried requests reuse the already rewritten options, so keep what the caller originally asked for
+  if (args._full === undefined) {
+    args._full = opt.resolveWithFullResponse || false
+    args._follow = opt.followRedirect === undefined || opt.followRedirect
+  }
+  const full = args._full
   opt.resolveWithFullResponse = true
-  const follow = opt.followRedirect === undefined || opt.followRedirect
+  const follow = args._follow
   opt.followRedirect = function (res) {
     if (!args.ignoreLoginError && res.headers.location && (res.headers.location.startsWith('https://www.roblox.com/newlogin') || res.headers.location.startsWith('/Login/Default.aspx'))) {
       return false
@@ -99,36 +240,44 @@ exports.func = function (args) {
     return follow
   }
   return http(args.url, opt).then(function (res) {
+    args._status = res.statusCode
     if (res.statusCode === 403 && res.headers['x-csrf-token'] && Object.hasOwn(opt.headers ?? {}, 'x-csrf-token')) {
-      console.log(`⚠ Got 403, refreshing XCSRF token (attempt ${depth + 1}/3)`)
-      console.log(`  New token: ${res.headers['x-csrf-token'] ? 'present' : 'missing'}`)
+      logger.debug(`Refreshing X-CSRF-TOKEN (attempt ${depth + 1}/3)`, { url: args.url })
+      csrfCount.inc({ host: getHost(args.url) })
 
       if (depth >= 2) {
-        console.error('✗ CSRF refresh failed after 3 attempts')
-        console.error(`  Status: ${res.statusCode}`)
-        console.error(`  Response body: ${typeof res.body === 'string' ? res.body : JSON.stringify(res.body)}`)
-        console.error(`  Token received: ${res.headers['x-csrf-token']}`)
-        throw new Error('Tried ' + (depth + 1) + ' times and could not refresh XCSRF token successfully')
+        logger.error('X-CSRF-TOKEN refresh failed after 3 attempts', { url: args.url, statusCode: res.statusCode, body: res.body })
+        throw new AuthenticationError('Tried ' + (depth + 1) + ' times and could not refresh XCSRF token successfully', res)
       }
 
       const token = res.headers['x-csrf-token']
 
       if (token) {
-        console.log(`✓ Refreshing with new token, retrying request...`)
         opt.headers['x-csrf-token'] = token
         opt.jar = jar
         args.depth = depth + 1
-        return exports.func(args)
+        return sendRequest(args)
       } else {
-        throw new Error('Could not refresh X-CSRF-TOKEN')
+        throw new AuthenticationError('Could not refresh X-CSRF-TOKEN', res)
       }
     } else {
       if (depth > 0) {
         cache.add(options.cache, 'XCSRF', getHash({ jar }), opt.headers['x-csrf-token'])
       }
     }
+    const delay = retry.getDelay(args.url, opt.method, res, retries)
+    if (delay >= 0) {
+      logger.info(`Retrying ${res.endpoint} after ${res.statusCode} in ${delay} ms`, { url: args.url, statusCode: res.statusCode, delay, attempt: retries + 1 })
+      retryCount.inc({ host: getHost(args.url), status: String(res.statusCode) })
+      opt.jar = jar
+      args.retries = retries + 1
+      const combined = abort.combine(callContext.get().signal, opt.signal)
+      return retry.wait(delay, combined.signal).finally(combined.clear).then(function () {
+        return sendRequest(args)
+      })
+    }
     if (res.statusCode === 302 && !args.ignoreLoginError && res.headers.location && (res.headers.location.startsWith('https://www.roblox.com/newlogin') || res.headers.location.startsWith('/Login/Default.aspx'))) {
-      throw new Error('You are not logged in')
+      throw new AuthenticationError('You are not logged in', res)
     }
     return full ? res : res.body
   }).catch(function (err) {
@@ -136,7 +285,7 @@ exports.func = function (args) {
     const transformed = middleware.executeChain({ url: args.url, options: opt })
 
     // Only attempt fallback if proxy was applied and fallback is enabled
-    if (transformed.proxyApplied && !args._proxyFallbackAttempted) {
+    if (transformed.proxyApplied && !args._proxyFallbackAttempted && !(err instanceof AbortError)) {
       // Mark that we've attempted fallback to prevent infinite loops
       args._proxyFallbackAttempted = true
 
@@ -152,7 +301,7 @@ exports.func = function (args) {
           // Standard CSRF and login error handling (same as main path)
           if (res.statusCode === 403 && res.headers['x-csrf-token'] && Object.hasOwn(fallbackArgs.options.headers ?? {}, 'x-csrf-token')) {
             if (depth >= 2) {
-              throw new Error('Tried ' + (depth + 1) + ' times and could not refresh XCSRF token successfully')
+              throw new AuthenticationError('Tried ' + (depth + 1) + ' times and could not refresh XCSRF token successfully', res)
             }
 
             const token = res.headers['x-csrf-token']
@@ -161,9 +310,9 @@ exports.func = function (args) {
               opt.headers['x-csrf-token'] = token
               opt.jar = jar
               args.depth = depth + 1
-              return exports.func(args)
+              return sendRequest(args)
             } else {
-              throw new Error('Could not refresh X-CSRF-TOKEN')
+              throw new AuthenticationError('Could not refresh X-CSRF-TOKEN', res)
             }
           } else {
             if (depth > 0) {
@@ -171,7 +320,7 @@ exports.func = function (args) {
             }
           }
           if (res.statusCode === 302 && !args.ignoreLoginError && res.headers.location && (res.headers.location.startsWith('https://www.roblox.com/newlogin') || res.headers.location.startsWith('/Login/Default.aspx'))) {
-            throw new Error('You are not logged in')
+            throw new AuthenticationError('You are not logged in', res)
           }
           return full ? res : res.body
         })
@@ -184,4 +333,30 @@ exports.func = function (args) {
     // Re-throw the original error if no fallback or fallback not applicable
     throw err
   })
-}
\ No newline at end of file
+}
+
+// Traced as one client span, however often the request is retried
+exports.func = function (args) {
+  const method = ((args.options && args.options.method) || 'GET').toUpperCase()
+  const template = tracing.getTemplate(args.url)
+  const attributes = {
+    'http.request.method': method,
+    'server.address': getHost(args.url),
+    'url.template': template
+  }
+  return tracing.trace(`${method} ${template}`, { kind: 'client', attributes }, function (span) {
+    const sent = sendRequest(args)
+    if (!span) {
+      return sent
+    }
+    return sent.finally(function () {
+      span.setAttribute('http.request.resend_count', args.retries || 0)
+      if (args._status !== undefined) {
+        span.setAttribute('http.response.status_code', args._status)
+        if (args._status >= 400) {
+          span.setStatus({ code: tracing.status.error })
+        }
+      }
+    })
+  })
+}
@@ -0,0 +1,276 @@
+// Dependencies
+const crypto = require('crypto')
+const events = require('events')
+const fs = require('fs')
+const readline = require('readline')
+
+// Includes
+const settings = require('../../settings.json')
+const getSession = require('./getSession.js').func
+const getHash = require('./getHash.js').func
+const logger = require('./logger.js')
+
+// Define
+// The hash of the last entry of each journal file, and the writes to it still pending, so entries chain in order
+const files = new Map()
+const emitter = new events.EventEmitter()
+// Options of the call itself, rather than arguments of the function
+const callOptions = ['jar', 'signal', 'timeout', 'priority', 'dryRun', 'actor']
+
+function getHashOf (entry) {
+  return crypto.createHash('sha256').update(JSON.stringify(entry)).digest('hex')
+}
+
+// Reads the entries of the journal at `path` one at a time, along with their line numbers and the byte they end at.
+async function * readEntries (path) {
+  if (!fs.existsSync(path)) {
+    return
+  }
+  const lines = readline.createInterface({ input: fs.createReadStream(path), crlfDelay: Infinity })
+  let number = 0
+  let end = 0
+  for await (const line of lines) {
+    number++
+    end += Buffer.byteLength(line) + 1
+    if (line.trim()) {
+      yield { number, line, end }
+    }
+  }
+}
+
+// Returns the hash of the last entry. A last line that is cut off, as left by a crash while it was appended, is removed
+// so the next entry starts on a line of its own and chains to the last whole one.
+async function getLastHash (path) {
+  let hash = null
+  let end = 0
+  let partial = false
+  for await (const line of readEntries(path)) {
+    try {
+      hash = JSON.parse(line.line).hash
+      end = line.end
+      partial = false
+    } catch (err) {
+      partial = true
+    }
+  }
+  if (partial) {
+    logger.warn(`Removing the cut off last line of the journal at ${path}`, { path })
+    await fs.promises.truncate(path, Math.min(end, (await fs.promises.stat(path)).size))
+  }
+  return hash
+}
+
+function getFile (path) {
+  let file = files.get(path)
+  if (!file) {
+    // `last` is read from the file when undefined
+    file = { last: undefined, pending: Promise.resolve() }
+    files.set(path, file)
+  }
+  return file
+}
+
+function getAccount (jar) {
+  try {
+    return getSession({ jar }) ? getHash({ jar }) : null
+  } catch (err) {
+    return null
+  }
+}
+
+// Appends `entry`, resolving with the error if it could not be written.
+function append (entry) {
+  const path = settings.journal.path
+  const file = getFile(path)
+  let failure = null
+  file.pending = file.pending.then(function () {
+    // A journal that was removed starts a new chain
+    if (!fs.existsSync(path)) {
+      return null
+    }
+    return file.last === undefined ? getLastHash(path) : file.last
+  }).then(function (prev) {
+    entry.prev = prev
+    entry.hash = getHashOf(entry)
+    return fs.promises.appendFile(path, JSON.stringify(entry) + '\n')
+  }).then(function () {
+    file.last = entry.hash
+    const sink = settings.journal.sink
+    if (typeof sink === 'function') {
+      try {
+        sink(entry)
+      } catch (err) {
+        logger.error(`The journal sink failed: ${err.message}`, { error: err })
+      }
+    }
+  }, function (err) {
+    // Read the chain from the file again for the next entry, instead of failing on the same error forever
+    file.last = undefined
+    failure = err
+    logger.error(`Could not write to the journal at ${path}: ${err.message}`, { error: err })
+    if (emitter.listenerCount('error') > 0) {
+      emitter.emit('error', err, entry)
+    }
+  })
+  return file.pending.then(() => failure)
+}
+
+/**
+ * Run `call`, the function `name` called with `args`, and append an entry of what it did to the journal once it
+ * settles: when, who, the account, the arguments and the result or error. Cookies and API keys are redacted.
+ * @param {string} name - The name of the function.
+ * @param {object} args - The arguments it was called with.
+ * @param {function} call - Runs the function.
+ * @returns {*} - What `call` returns, once the entry is written if it is a promise.
+ */
+function record (name, args, call) {
+  const started = Date.now()
+  const values = {}
+  for (const key of Object.keys(args || {})) {
+    if (!callOptions.includes(key)) {
+      values[key] = args[key]
+    }
+  }
+  const entry = {
+    time: new Date(started).toISOString(),
+    actor: (args && args.actor) || settings.journal.actor || null,
+    account: getAccount(args && args.jar),
+    function: name,
+    args: logger.redact(values)
+  }
+  // Resolves with the error of the write if it failed and `settings.journal.strict` is on
+  function finish (outcome) {
+    return append(Object.assign(entry, { duration: Date.now() - started }, logger.redact(outcome))).then((failure) => settings.journal.strict ? failure : null)
+  }
+  let result
+  try {
+    result = call()
+  } catch (err) {
+    finish({ error: err })
+    throw err
+  }
+  if (!result || typeof result.then !== 'function') {
+    finish({ result: result === undefined ? null : result })
+    return result
+  }
+  return result.then(function (value) {
+    return finish({ result: value === undefined ? null : value }).then(function (failure) {
+      if (failure) {
+        throw failure
+      }
+      return value
+    })
+  }, function (err) {
+    return finish({ error: err }).then(function () {
+      throw err
+    })
+  })
+}
+
+// Whether `value` matches `expected`, comparing ids given as numbers and strings alike.
+function matches (value, expected) {
+  if (Array.isArray(expected)) {
+    return expected.some((option) => matches(value, option))
+  }
+  if (expected && typeof expected === 'object') {
+    return value !== null && typeof value === 'object' && Object.keys(expected).every((key) => matches(value[key], expected[key]))
+  }
+  return value === expected || (value !== undefined && value !== null && String(value) === String(expected))
+}
+
+// Docs
+/**
+ * ✅ An append-only record of every call that changes something on Roblox, once `settings.journal.enabled` is on.
+ * Each entry is a line of JSON in `settings.journal.path` holding when the call was made, the `actor` (see
+ * `settings.journal.actor`, or the `actor` passed to the call), a hash of the account, the function, its arguments and
+ * its result or error. Every entry also holds the hash of the one before it, so `verify()` can tell when entries were
+ * edited, removed or reordered. `query()` finds entries, and `flush()` waits for pending writes.
+ * An entry that cannot be written is logged and emitted as `error`, and with `settings.journal.strict` on the call
+ * rejects with the error of the write (the change itself was still made).
+ * @category Utility
+ * @alias journal
+ * @example const noblox = require("noblox.js")
+ * noblox.setOptions({ journal: { enabled: true, path: "ranks.jsonl", actor: "rank-bot" } })
+ * await noblox.setRank({ group: 1, target: 2, rank: 200, actor: "Staff member" })
+ * // Every rank change of user 2
+ * const changes = await noblox.journal.query({ function: ["setRank", "changeRank", "promote", "demote", "exile"], args: { target: 2 } })
+ * const { valid } = await noblox.journal.verify()
+**/
+
+/**
+ * Find the entries of the journal matching `filter`.
+ * @param {object|function} [filter] - `function`, `actor` and `account` match entries with that value, or one of a
+ * list of values; `args` matches entries whose arguments include the given ones; `since` and `until` (dates) bound
+ * their time; `failed` picks entries with or without an error. A function is called with every entry instead.
+ * @param {string} [path] - The journal file. (Default: `settings.journal.path`)
+ * @returns {Promise<object[]>} - The matching entries, oldest first.
+ */
+exports.query = async function (filter = {}, path = settings.journal.path) {
+  await exports.flush()
+  const test = typeof filter === 'function'
+    ? filter
+    : function (entry) {
+      return (filter.function === undefined || matches(entry.function, filter.function)) &&
+        (filter.actor === undefined || matches(entry.actor, filter.actor)) &&
+        (filter.account === undefined || matches(entry.account, filter.account)) &&
+        (filter.args === undefined || matches(entry.args, filter.args)) &&
+        (filter.since === undefined || new Date(entry.time) >= new Date(filter.since)) &&
+        (filter.until === undefined || new Date(entry.time) <= new Date(filter.until)) &&
+        (filter.failed === undefined || filter.failed === (entry.error !== undefined))
+    }
+  const entries = []
+  for await (const { line } of readEntries(path)) {
+    let entry
+    try {
+      entry = JSON.parse(line)
+    } catch (err) {
+      // Reported by verify()
+      continue
+    }
+    if (test(entry)) {
+      entries.push(entry)
+    }
+  }
+  return entries
+}
+
+/**
+ * Check the hash chain of the journal, which breaks where an entry was edited, removed or put out of order.
+ * @param {string} [path] - The journal file. (Default: `settings.journal.path`)
+ * @returns {Promise<{ valid: boolean, entries: number, line?: number, reason?: string }>} - Whether it is intact and
+ * how many entries it has, or the line it breaks at and why.
+ */
+exports.verify = async function (path = settings.journal.path) {
+  await exports.flush()
+  let prev = null
+  let entries = 0
+  for await (const { number, line } of readEntries(path)) {
+    let entry
+    try {
+      entry = JSON.parse(line)
+    } catch (err) {
+      return { valid: false, entries, line: number, reason: 'The entry is not valid JSON' }
+    }
+    const { hash, ...rest } = entry
+    if (entry.prev !== prev) {
+      return { valid: false, entries, line: number, reason: 'The entry does not follow the one before it' }
+    }
+    if (getHashOf(rest) !== hash) {
+      return { valid: false, entries, line: number, reason: 'The entry does not match its hash' }
+    }
+    prev = hash
+    entries++
+  }
+  return { valid: true, entries }
+}
+
+// Resolves once every entry recorded so far is written.
+exports.flush = function () {
+  return Promise.all(Array.from(files.values(), (file) => file.pending)).then(() => {})
+}
+
+exports.record = record
+
+// Emits `error` with the error and the entry whenever an entry could not be written.
+exports.on = emitter.on.bind(emitter)
+exports.off = emitter.off.bind(emitter)
@@ -0,0 +1,130 @@
+// Includes
+const settings = require('../../settings.json')
+const callContext = require('../internal/callContext.js')
+
+// Define
+const levels = ['DEBUG', 'INFO', 'WARN', 'ERROR']
+const redacted = '[REDACTED]'
+// Cookies showing up inside strings, such as Cookie headers and error messages
+const cookiePattern = /(\.ROBLOSECURITY=)[^;\s"']+/gi
+const cookieValuePattern = /_\|WARNING:-DO-NOT-SHARE-THIS[^;\s"']*/g
+const maxDepth = 6
+
+function redact (value, keys, limit, depth = 0) {
+  if (typeof value === 'string') {
+    return value.replace(cookiePattern, '$1' + redacted).replace(cookieValuePattern, redacted)
+  }
+  if (!value || typeof value !== 'object') {
+    return value
+  }
+  if (depth >= limit) {
+    return '[Object]'
+  }
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, code: value.code, statusCode: value.statusCode, endpoint: value.endpoint }, keys, limit, depth + 1)
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, keys, limit, depth + 1))
+  }
+  if (value instanceof Date) {
+    return value.toISOString()
+  }
+  const result = {}
+  for (const key of Object.keys(value)) {
+    result[key] = keys.includes(key.toLowerCase()) ? redacted : redact(value[key], keys, limit, depth + 1)
+  }
+  return result
+}
+
+// Returns the index of the lowest level logged for the function `name`, or -1 if it is not logged at all.
+function getThreshold (name) {
+  const logging = settings.logging
+  if (!logging.enabled) {
+    return -1
+  }
+  const override = name ? logging.functions[name] : undefined
+  if (override === false) {
+    return -1
+  }
+  return levels.indexOf(String(typeof override === 'string' ? override : logging.level).toUpperCase())
+}
+
+function format (entry) {
+  const { time, level, message, ...fields } = entry
+  const name = fields.function ? ' ' + fields.function + ':' : ''
+  delete fields.function
+  const extra = Object.keys(fields).length > 0 ? ' ' + JSON.stringify(fields) : ''
+  return `[noblox.js] ${time} ${level}${name} ${message}${extra}`
+}
+
+function write (entry) {
+  const sink = settings.logging.sink
+  const method = entry.level.toLowerCase()
+  try {
+    if (typeof sink === 'function') {
+      sink(entry)
+    } else if (sink && typeof sink === 'object') {
+      const { message, ...fields } = entry
+      const write = typeof sink[method] === 'function' ? sink[method] : sink.info
+      // pino takes the fields first and then the message, winston the message and then the fields
+      if (settings.logging.sinkStyle === 'winston') {
+        write.call(sink, message, fields)
+      } else {
+        write.call(sink, fields, message)
+      }
+    } else {
+      console[method](format(entry))
+    }
+  } catch (err) {
+    // A broken sink must not break the request being logged
+  }
+}
+
+/**
+ * Log `message` at `level` for the function currently running, if `settings.logging` lets it through.
+ * @param {string} level - One of DEBUG, INFO, WARN and ERROR.
+ * @param {string} message - What happened.
+ * @param {object=} fields - Details of what happened; cookies and API keys in them are redacted.
+ */
+function log (level, message, fields) {
+  const name = callContext.get().name
+  const index = levels.indexOf(level)
+  const threshold = getThreshold(name)
+  if (threshold < 0 || index < threshold) {
+    return
+  }
+  const keys = settings.logging.redact.map((key) => key.toLowerCase())
+  const entry = Object.assign(redact(fields || {}, keys, maxDepth), {
+    time: new Date().toISOString(),
+    level,
+    message: redact(message, keys)
+  })
+  if (name) {
+    entry.function = name
+  }
+  write(entry)
+}
+
+// Docs
+/**
+ * ✅ Write to the noblox.js log, which is configured through the `logging` block of the settings. Every request and
+ * event reports through it; `settings.logging.sink` decides where entries go: the console (default), a function
+ * called with every entry, or a pino or winston logger (picked with `settings.logging.sinkStyle`).
+ * @category Utility
+ * @alias logger
+ * @example const noblox = require("noblox.js")
+ * noblox.setOptions({ logging: { enabled: true, level: "DEBUG", functions: { getPlayers: false } } })
+ * noblox.logger.info("Bot started", { groupId: 1 })
+**/
+exports.log = log
+exports.debug = (message, fields) => log('DEBUG', message, fields)
+exports.info = (message, fields) => log('INFO', message, fields)
+exports.warn = (message, fields) => log('WARN', message, fields)
+exports.error = (message, fields) => log('ERROR', message, fields)
+
+// Copies `value` with the keys listed in `settings.logging.redact` (or `options.keys`) and any cookies in strings
+// replaced. Objects nested deeper than `options.maxDepth` are cut short, as they are in log entries.
+exports.redact = function (value, options = {}) {
+  const keys = options.keys || settings.logging.redact
+  return redact(value, keys.map((key) => key.toLowerCase()), options.maxDepth === undefined ? maxDepth : options.maxDepth)
+}
@@ -1,9 +1,3 @@
-
-
-
-// Args
-exports.optional = []
-
 // Docs
 /**
  * 🔐 Generate RBXEventTrackerV2 cookie for authentication.
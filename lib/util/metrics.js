@@ -0,0 +1,190 @@
+// Includes
+const settings = require('../../settings.json')
+
+// Define
+const registry = new Map()
+
+function escape (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+// Label sets are stored by their sorted names and values, so the order they are given in does not matter
+function getKey (labels) {
+  return JSON.stringify(Object.keys(labels).sort().map((name) => [name, String(labels[name])]))
+}
+
+function formatLabels (labels) {
+  const names = Object.keys(labels)
+  if (names.length === 0) {
+    return ''
+  }
+  return '{' + names.map((name) => `${name}="${escape(labels[name])}"`).join(',') + '}'
+}
+
+function formatNumber (value) {
+  if (value === Infinity) {
+    return '+Inf'
+  }
+  return String(value)
+}
+
+class Counter {
+  constructor (name, help) {
+    this.name = name
+    this.help = help
+    this.type = 'counter'
+    this.values = new Map()
+  }
+
+  /**
+   * Add `value` to the count of `labels`.
+   * @param {object=} labels - The label names and values.
+   * @param {number=} value - The amount. (Default: 1)
+   */
+  inc (labels = {}, value = 1) {
+    if (!settings.metrics.enabled) {
+      return
+    }
+    const key = getKey(labels)
+    const entry = this.values.get(key) || { labels, value: 0 }
+    entry.value += value
+    this.values.set(key, entry)
+  }
+
+  // The count of `labels`.
+  get (labels = {}) {
+    const entry = this.values.get(getKey(labels))
+    return entry ? entry.value : 0
+  }
+
+  lines (name) {
+    return Array.from(this.values.values(), (entry) => `${name}${formatLabels(entry.labels)} ${formatNumber(entry.value)}`)
+  }
+}
+
+class Histogram {
+  constructor (name, help, buckets) {
+    this.name = name
+    this.help = help
+    this.type = 'histogram'
+    this.buckets = buckets
+    this.values = new Map()
+  }
+
+  /**
+   * Record an observation of `value` for `labels`.
+   * @param {object=} labels - The label names and values.
+   * @param {number} value - The observed value, eg. a duration in seconds.
+   */
+  observe (labels = {}, value) {
+    if (!settings.metrics.enabled) {
+      return
+    }
+    const buckets = this.buckets || settings.metrics.buckets
+    const key = getKey(labels)
+    let entry = this.values.get(key)
+    if (!entry) {
+      entry = { labels, buckets, counts: buckets.map(() => 0), sum: 0, count: 0 }
+      this.values.set(key, entry)
+    }
+    entry.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        entry.counts[i]++
+      }
+    })
+    entry.sum += value
+    entry.count++
+  }
+
+  // The `count` and `sum` of the observations of `labels`.
+  get (labels = {}) {
+    const entry = this.values.get(getKey(labels))
+    return entry ? { count: entry.count, sum: entry.sum } : { count: 0, sum: 0 }
+  }
+
+  lines (name) {
+    const lines = []
+    for (const entry of this.values.values()) {
+      entry.buckets.forEach((bound, i) => {
+        lines.push(`${name}_bucket${formatLabels(Object.assign({}, entry.labels, { le: formatNumber(bound) }))} ${entry.counts[i]}`)
+      })
+      lines.push(`${name}_bucket${formatLabels(Object.assign({}, entry.labels, { le: '+Inf' }))} ${entry.count}`)
+      lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`)
+      lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`)
+    }
+    return lines
+  }
+}
+
+function register (metric) {
+  const existing = registry.get(metric.name)
+  if (existing) {
+    if (existing.type !== metric.type) {
+      throw new Error(`Metric ${metric.name} is already registered as a ${existing.type}`)
+    }
+    return existing
+  }
+  registry.set(metric.name, metric)
+  return metric
+}
+
+// Docs
+/**
+ * ✅ Counters and histograms of what noblox.js does, once `settings.metrics.enabled` is on: requests by host,
+ * function, method and status, their latency, retries, X-CSRF-TOKEN refreshes, cache hits and misses, and event
+ * polls and retries. `text()` renders them in the Prometheus text format, to be served from your own HTTP server.
+ * `counter` and `histogram` register metrics of your own alongside them.
+ * @category Utility
+ * @alias metrics
+ * @example const noblox = require("noblox.js")
+ * noblox.setOptions({ metrics: { enabled: true } })
+ * require("http").createServer((req, res) => {
+ *   res.setHeader("Content-Type", noblox.metrics.contentType)
+ *   res.end(noblox.metrics.text())
+ * }).listen(9100)
+**/
+
+/**
+ * Get the counter `name`, registering it if it does not exist yet.
+ * @param {string} name - The name, without `settings.metrics.prefix`.
+ * @param {string} help - What it counts.
+ * @returns {Counter}
+ */
+exports.counter = function (name, help) {
+  return register(new Counter(name, help))
+}
+
+/**
+ * Get the histogram `name`, registering it if it does not exist yet.
+ * @param {string} name - The name, without `settings.metrics.prefix`.
+ * @param {string} help - What it observes.
+ * @param {number[]=} buckets - The upper bounds of its buckets. (Default: `settings.metrics.buckets`)
+ * @returns {Histogram}
+ */
+exports.histogram = function (name, help, buckets) {
+  return register(new Histogram(name, help, buckets))
+}
+
+// Every metric in the Prometheus text exposition format.
+exports.text = function () {
+  const prefix = settings.metrics.prefix || ''
+  const lines = []
+  for (const metric of registry.values()) {
+    const name = prefix + metric.name
+    lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`, ...metric.lines(name))
+  }
+  return lines.join('\n') + '\n'
+}
+
+// The Content-Type to serve `text()` with.
+exports.contentType = 'text/plain; version=0.0.4; charset=utf-8'
+
+// Sets every metric back to zero.
+exports.reset = function () {
+  for (const metric of registry.values()) {
+    metric.values.clear()
+  }
+}
+
+exports.Counter = Counter
+exports.Histogram = Histogram
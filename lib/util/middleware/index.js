@@ -1,4 +1,5 @@
 // Includes
+const options = require('../../options.js')
 const proxyMiddleware = require('./proxyMiddleware.js')
 
 // Docs
@@ -18,14 +19,98 @@ const proxyMiddleware = require('./proxyMiddleware.js')
 function executeChain(requestArgs) {
   const { url, options } = requestArgs
 
-  // Apply proxy middleware
-  // Future: Additional middleware can be added here (logging, metrics, etc.)
+  // Apply proxy middleware; user supplied hooks run around the transport (see runRequest)
   const result = proxyMiddleware.applyProxy({ url, options }, options)
 
   return result
 }
 
+/**
+ * Add hooks to the client currently active. Hooks added on the default client apply to every client.
+ * @param {object} hooks - Object with any of `onRequest`, `onResponse` and `onError`.
+ * @returns {function} - Removes the hooks again.
+ */
+function use (hooks) {
+  const list = options.current().middleware
+  list.push(hooks)
+  return function () {
+    const index = list.indexOf(hooks)
+    if (index > -1) {
+      list.splice(index, 1)
+    }
+  }
+}
+
+// The hooks implementing `key` for the current client: the global ones first, then the client's own.
+function getHooks (key) {
+  const global = options.defaults().middleware
+  const own = options.current().middleware || global
+  const list = own === global ? global : global.concat(own)
+  return list.filter((hooks) => typeof hooks[key] === 'function')
+}
+
+function toResponse (result, context) {
+  const res = Object.assign({ statusCode: 200, headers: {}, body: '' }, result)
+  res.endpoint = res.endpoint || context.endpoint
+  return res
+}
+
+/**
+ * Run the `onRequest` hooks on `request` in order. Hooks may change the request in place, or resolve with a response
+ * to skip the remaining hooks and the transport.
+ * @param {object} request - The request about to be handed to the transport.
+ * @param {object} context - The `name` of the function sending the request, its `account`, `endpoint` and `send`.
+ * @returns {Promise<object|null>} - The response a hook resolved with, or null if the request should be sent.
+ */
+async function runRequest (request, context) {
+  for (const hooks of getHooks('onRequest')) {
+    const result = await hooks.onRequest(request, context)
+    if (result !== undefined && result !== null) {
+      return toResponse(result, context)
+    }
+  }
+  return null
+}
+
+/**
+ * Run the `onResponse` hooks in order, each receiving the response of the one before; a hook resolving with a value
+ * replaces the response.
+ * @returns {Promise<object>}
+ */
+async function runResponse (res, request, context) {
+  for (const hooks of getHooks('onResponse')) {
+    const result = await hooks.onResponse(res, request, context)
+    if (result !== undefined && result !== null) {
+      res = toResponse(result, context)
+    }
+  }
+  return res
+}
+
+/**
+ * Run the `onError` hooks in order until one resolves with a response to use instead. Hooks throwing replace the
+ * error passed on to the next; the last error is rethrown if no hook recovers.
+ * @returns {Promise<object>}
+ */
+async function runError (err, request, context) {
+  for (const hooks of getHooks('onError')) {
+    try {
+      const result = await hooks.onError(err, request, context)
+      if (result !== undefined && result !== null) {
+        return toResponse(result, context)
+      }
+    } catch (hookErr) {
+      err = hookErr
+    }
+  }
+  throw err
+}
+
 module.exports = {
   executeChain,
+  use,
+  runRequest,
+  runResponse,
+  runError,
   proxyMiddleware  // Export for error handling
 }
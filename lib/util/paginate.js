@@ -0,0 +1,87 @@
+// Dependencies
+const { AsyncResource } = require('async_hooks')
+
+// Includes
+const { ValidationError } = require('./apiError.js')
+
+// Define
+class Paginator {
+  /**
+   * @param {function} page - Requests the page at `args.cursor`, resolving with its `data` and `nextPageCursor`.
+   * @param {object} args - The arguments passed to `page`; `cursor` is the page to start from.
+   */
+  constructor (page, args) {
+    this.page = page
+    this.args = Object.assign({}, args)
+    // Positional calls pass every argument, so a limit left out is there as undefined
+    if (this.args.limit == null) {
+      this.args.limit = 100
+    }
+    // The cursor of the page the last item came from; iterating again from it yields that whole page again
+    this.cursor = this.args.cursor || ''
+    // The cursor of the page after it, or null once the last page was reached
+    this.nextCursor = this.cursor
+    this.done = false
+    // Pages are requested from whatever async context the iterator is advanced in, so keep the one of the caller
+    this.resource = new AsyncResource('noblox.paginate')
+  }
+
+  /**
+   * Iterate over whole pages rather than items.
+   * @returns {AsyncIterableIterator<Array>}
+   */
+  async * pages () {
+    while (!this.done) {
+      const cursor = this.nextCursor
+      const result = await this.resource.runInAsyncScope(this.page, null, Object.assign({}, this.args, { cursor }))
+      this.cursor = cursor
+      this.nextCursor = result.nextPageCursor || null
+      // Stop on the last page, and on cursors that point back at the same page
+      this.done = !this.nextCursor || this.nextCursor === cursor
+      yield result.data || []
+    }
+  }
+
+  async * [Symbol.asyncIterator] () {
+    for await (const data of this.pages()) {
+      yield * data
+    }
+  }
+}
+
+// Docs
+/**
+ * ✅ Iterate over every result of a paginated function, requesting one page at a time instead of collecting all of
+ * them up front. `paginator.cursor` is the cursor of the page the current item came from; pass it as `cursor` to
+ * resume from that page later, which yields the whole page again, including the items already handled on it.
+ * `noblox.iterate` holds the same iterators by function name.
+ * @category Utility
+ * @alias paginate
+ * @param {function | string} func - The function to iterate, or its name: one of getAuditLog, getCollectibles,
+ * getFollowers, getFollowings, getGroupTransactions, getInventory, getJoinRequests, getPlayers, getUserTransactions
+ * or getWall.
+ * @param {object=} args - The arguments of the function, as an object. `limit` is the number of results per page.
+ * @returns {Paginator}
+ * @example const noblox = require("noblox.js")
+ * const players = noblox.paginate(noblox.getPlayers, { group: 1, rolesetId: 2, cursor: savedCursor })
+ * for await (const player of players) {
+ *   await handle(player)
+ *   savedCursor = players.cursor
+ * }
+**/
+exports.func = function (args) {
+  // Required lazily as index.js requires this module
+  const iterate = require('../index.js').iterate
+  const name = typeof args.func === 'string' ? args.func : args.func.name
+  if (!Object.prototype.hasOwnProperty.call(iterate, name)) {
+    throw new ValidationError(`${name || 'The function'} does not return paginated results`, { argument: 'func' })
+  }
+  const funcArgs = args.args || {}
+  return Object.keys(funcArgs).length > 0 ? iterate[name](funcArgs) : iterate[name]()
+}
+
+exports.create = function (page, args) {
+  return new Paginator(page, args)
+}
+
+exports.Paginator = Paginator
@@ -2,6 +2,7 @@
 const options = require('../options.js')
 const getGeneralToken = require('./getGeneralToken.js').func
 const http = require('./http.js').func
+const { RobloxAPIError } = require('./apiError.js')
 // Args
 exports.required = []
 exports.optional = ['cookie']
@@ -43,7 +44,7 @@ function refreshCookie (cookie) {
         options.jar.session = cookie
         return cookie
       } else {
-        throw new Error('Failed to refresh cookie: None returned.')
+        throw RobloxAPIError.fromResponse(res, 'Failed to refresh cookie: None returned.')
       }
     })
   })
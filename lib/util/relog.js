@@ -6,6 +6,7 @@ const getCurrentUser = require('./getCurrentUser.js').func
 const http = require('./http.js').func
 const cookieFile = './cookie'
 const fs = require('fs')
+const { ValidationError } = require('./apiError.js')
 // Args
 exports.required = ['cookie']
 exports.optional = []
@@ -14,7 +15,7 @@ const day = 86400000
 
 // Define
 const relog = (cookie) => {
-  if (!cookie) throw new Error('no cookie supplied?')
+  if (!cookie) throw new ValidationError('no cookie supplied?', { argument: 'cookie' })
   options.jar.session = cookie
   return getVerification({ url: 'https://www.roblox.com/my/account#!/security' })
     .then((ver) => {
@@ -73,5 +74,5 @@ async function c (cookie) {
       // Relog failed, will throw error below
     }
   }
-  throw new Error('No cookie supplied and no cookie file available.')
+  throw new ValidationError('No cookie supplied and no cookie file available.', { argument: 'cookie' })
 }
@@ -21,25 +21,45 @@ const settings = require('../../settings.json')
  * })
  */
 function setOptions (newOptions) {
-  return setOptionsLevel(settings, newOptions)
+  return setOptionsLevel(settings, newOptions, '')
+}
+
+// Objects keyed by user chosen names (eg. hostnames), which accept keys that are not in settings.json yet.
+const openLevels = ['retry.domains', 'scheduler.domains', 'logging.functions']
+// Options holding an object supplied by the user (eg. a logger), which is replaced as a whole. `*` matches any key.
+const valueKeys = ['logging.sink', 'cache.*.store', 'tracing.tracer', 'journal.sink', 'event.checkpoints.store']
+
+function isValueKey (path) {
+  return valueKeys.some((key) => new RegExp('^' + key.replace(/\./g, '\\.').replace(/\*/g, '[^.]+') + '$').test(path))
+}
+
+function isOpen (path) {
+  return openLevels.some((level) => path === level || path.startsWith(level + '.'))
 }
 
 // This function allows key validation to be performed at different "levels" of nesting.
 // Ensures the provided keys already exist, and discards invalid keys.
-function setOptionsLevel (settingsLevel, inputObj) {
+function setOptionsLevel (settingsLevel, inputObj, path) {
   const keys = Object.keys(inputObj)
 
   for (const key of keys) {
     const newValue = inputObj[key]
     const currentValue = settingsLevel[key]
 
-    if (currentValue !== undefined) {
-      if (typeof currentValue === 'object') {
+    if ((currentValue === undefined && isOpen(path)) || isValueKey(path ? path + '.' + key : key)) {
+      settingsLevel[key] = newValue
+    } else if (currentValue !== undefined) {
+      if (Array.isArray(currentValue)) {
+        if (!Array.isArray(newValue)) {
+          throw new Error(`Tried to set options key ${key}, an array, to a non-array value: ${newValue}`)
+        }
+        settingsLevel[key] = newValue
+      } else if (typeof currentValue === 'object') {
         if (typeof inputObj[key] !== 'object') {
           throw new Error(`Tried to set options key ${key}, an object, to a non-object value: ${newValue}`)
         }
 
-        setOptionsLevel(currentValue, newValue)
+        setOptionsLevel(currentValue, newValue, path ? path + '.' + key : key)
       } else {
         // it's not undefined, and it's not a nested object - set the value.
         settingsLevel[key] = newValue
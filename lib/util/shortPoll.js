@@ -1,13 +1,12 @@
-// Dependencies
-const events = require('events')
-
 // Includes
 const settings = require('../../settings.json')
 const promiseTimeout = require('../internal/timeout')
-
-// Args
-exports.required = ['getLatest', 'delay']
-exports.optional = ['timeout']
+const logger = require('./logger.js')
+const metrics = require('./metrics.js')
+const callContext = require('../internal/callContext.js')
+const stores = require('../cache/stores')
+const { RateLimitError } = require('./apiError.js')
+const EventStream = require('../internal/eventStream.js')
 
 // Docs
 /**
@@ -18,26 +17,84 @@ exports.optional = ['timeout']
 
 /**
  * ✅ This is the base for events that do not rely on true streams. The `getLatest` function receives some value that represents the latest version of something (eg. a date or unique ID) and determines if there is new information, every time it is fired it waits `delay` ms before being fired again. Every time it must return an object with the field `latest`, representing the latest value (which will not change if new information was not received), and an array `data` which has the new values (if there are multiple they each have their own index, if there is only one then it is by itself in the array). If `latest` is equal to -2, the returned data will be processed even if it is the initial run (which usually only establishes the latest value). If the return object has a true `repeat` value, the function latest will be run again immediately after. If `delay` is a string it will take the number from that string key in the `event` object of the settings.json file.
- * When the function is first called it will initialize `getLatest` with the value -1 and then emit the `connect` event. Whenever data is received, it will emit the `data` event for each value. If the `close` event is emitted the function will no longer run. If an error occurs the `error` event will be emitted, the function will log a retry and after the number of max retries as specified by settings, it will emit the `close` event.
+ * When the function is first called it will initialize `getLatest` with the value -1 and then emit the `connect` event. If `checkpoint` is given and `settings.event.checkpoints.store` is set, the latest value is saved to the store under that key after every poll; when the event starts again with a saved value, `getLatest` is initialized with it instead, so the data added in between is emitted (at most the newest `settings.event.checkpoints.maxBackfill`, for `getLatest` functions returning data oldest first).
+ * With `settings.event.adaptive.enabled`, `delay` is only where polling starts: it is halved after every poll with new data and grows by half after every poll without, within `minDelay` and `maxDelay`, and doubles when a poll is rate limited (which does not count as a failed retry). Whenever data is received, it will emit the `data` event for each value. Once `close()` is called (or the `close` event is emitted) the function will no longer run. If an error occurs the `error` event will be emitted (when something listens to it, it is logged either way), the function will log a retry and after the number of max retries as specified by settings, it will emit the `close` event.
+ * The emitter returned also has the operators `filter`, `map`, `debounce`, `take` and `waitFor`, and can be iterated with `for await`. A loop goes on through the failed polls that are retried (which are only emitted as `error` to listeners of it), and throws the `Max retries reached` error the event closes with once they run out, with the last poll error as its `cause`.
  * The `getLatest` function will be marked as failed if it does not resolve within `timeout` ms (which can be disabled if timeout is negative). If getLatest fails for any reason (including timeout) it will be retried `maxRetries` times before stopping.
  * @category Utility
  * @alias shortPoll
  * @param {function} getLatest - The function to use to get the latest. Should return an object with key 'data' - an array containing output data,
  * and the new 'latest' value.
+ * @param {string=} checkpoint - The key the latest value is saved under, unique to what is polled (eg. the group).
  * @returns {Promise<GetLatestResponse>}
 **/
 
 // Define
+const polls = metrics.counter('event_polls_total', 'Polls made by events, by function and outcome.')
+const pollRetries = metrics.counter('event_retries_total', 'Failed polls of events that were retried, by function.')
+// How adaptive delays change after a poll with new data, one without, and one that was rate limited
+const activeFactor = 0.5
+const quietFactor = 1.5
+const rateLimitedFactor = 2
+let storeConfig
+let store
+
+// Returns the checkpoint store configured in settings, created again when it is replaced through setOptions.
+function getStore () {
+  const config = settings.event.checkpoints.store
+  if (!config) {
+    return null
+  }
+  if (!store || config !== storeConfig) {
+    storeConfig = config
+    store = stores.create(config, 'checkpoints')
+  }
+  return store
+}
+
+// Dates are saved as ISO strings, which every store can keep, and read back as dates
+function encode (latest) {
+  return latest instanceof Date ? { date: latest.toISOString() } : latest
+}
+
+function decode (saved) {
+  return saved && typeof saved === 'object' && saved.date ? new Date(saved.date) : saved
+}
+
 exports.func = function (args) {
   const latest = args.getLatest
   let delay = args.delay
   delay = (typeof delay === 'string' || delay instanceof String ? settings.event[delay] : delay) || settings.event.defaultDelay
+  const adaptive = settings.event.adaptive.enabled
+  const adapt = function (factor, least = 0) {
+    const bounds = settings.event.adaptive
+    delay = Math.round(Math.max(least, Math.min(bounds.maxDelay, Math.max(bounds.minDelay, delay * factor))))
+  }
+  if (adaptive) {
+    adapt(1)
+  }
   let retries = 0
   const max = settings.event.maxRetries
   const timeout = args.timeout || settings.event.timeout
   let stop = false
+  let timer
   let current
-  const evt = new events.EventEmitter()
+  const checkpoint = args.checkpoint ? getStore() : null
+  const key = 'checkpoint:' + args.checkpoint
+  let backfill = false
+  let saved
+  const save = function (latest) {
+    const text = JSON.stringify(encode(latest))
+    if (text === saved) {
+      return
+    }
+    saved = text
+    // A store that can not be written to only costs the backfill after a restart, not the event
+    Promise.resolve()
+      .then(() => checkpoint.set(key, encode(latest), 0))
+      .catch((err) => logger.warn(`Could not save the event checkpoint ${args.checkpoint}: ${err.message}`, { error: err }))
+  }
+  const evt = new EventStream()
   const run = function (value) {
     if (stop) {
       return
@@ -46,7 +103,9 @@ exports.func = function (args) {
     if (timeout > 0) {
       promise = promiseTimeout(promise, timeout)
     }
+    const name = callContext.get().name || 'shortPoll'
     return promise.then(function (response) {
+      polls.inc({ function: name, outcome: 'success' })
       if (stop) {
         return
       }
@@ -54,35 +113,83 @@ exports.func = function (args) {
         current = response.latest
       }
       retries = 0
-      const data = response.data
-      if (data.length > 0 && (value !== -1 || current === -2)) {
+      let data = response.data
+      if (backfill) {
+        backfill = false
+        const limit = settings.event.checkpoints.maxBackfill
+        if (data.length > limit) {
+          logger.warn(`Skipping ${data.length - limit} items added while the event was stopped, backfilling the newest ${limit}`)
+          data = data.slice(data.length - limit)
+        }
+      }
+      const emitting = data.length > 0 && (value !== -1 || current === -2)
+      if (emitting) {
         current = response.latest
         for (let i = 0; i < data.length; i++) {
           evt.emit('data', data[i])
         }
       }
+      if (adaptive && value !== -1) {
+        adapt(emitting ? activeFactor : quietFactor)
+      }
+      if (checkpoint && current !== -2) {
+        save(current)
+      }
       if (response.repeat) {
         run(current)
       } else {
-        setTimeout(run, delay, current)
+        timer = setTimeout(run, delay, current)
       }
       return response
     })
       .catch(function (err) {
+        polls.inc({ function: name, outcome: 'error' })
         if (stop) {
           return
         }
-        evt.emit('error', err)
+        if (adaptive && err instanceof RateLimitError) {
+          // Slows down rather than failing, waiting at least as long as Roblox asks
+          adapt(rateLimitedFactor, (err.retryAfter || 0) * 1000)
+          logger.warn(`Event poll rate limited, polling every ${delay} ms`, { error: err })
+          timer = setTimeout(run, delay, current)
+          return
+        }
+        // Logged below either way, so an event only iterated with `for await` does not crash on a failed poll
+        if (evt.listenerCount('error') > 0) {
+          evt.emit('error', err)
+        }
         retries++
         if (retries > max) {
-          evt.emit('close', new Error('Max retries reached'))
+          logger.error(`Event stopped after ${max} failed retries: ${err.message}`, { error: err })
+          evt.emit('close', new Error('Max retries reached', { cause: err }))
         } else {
-          setTimeout(run, delay, current)
+          logger.warn(`Event poll failed, retrying in ${delay} ms: ${err.message}`, { error: err, retries })
+          pollRetries.inc({ function: name })
+          timer = setTimeout(run, delay, current)
         }
       })
   }
 
-  run(-1)
+  const resume = function (value) {
+    value = decode(value)
+    if (value === undefined || value === null) {
+      return run(-1)
+    }
+    // Picks up from where the event was stopped, emitting what was added in between
+    saved = JSON.stringify(encode(value))
+    backfill = true
+    current = value
+    return run(value)
+  }
+  const start = checkpoint
+    ? Promise.resolve()
+      .then(() => checkpoint.get(key))
+      .catch(function (err) {
+        logger.warn(`Could not read the event checkpoint ${args.checkpoint}: ${err.message}`, { error: err })
+      })
+      .then(resume)
+    : run(-1)
+  start
     .then(function (response) {
       if (stop) {
         return
@@ -90,11 +197,13 @@ exports.func = function (args) {
       evt.emit('connect', response.latest)
     })
     .catch(function (err) {
+      logger.error(`Event failed to start: ${err.message}`, { error: err })
       evt.emit('close', new Error('Initialization failed: ' + err.message))
     })
   evt.on('close', function (err) {
     stop = true
-    if (err) {
+    clearTimeout(timer)
+    if (err && evt.listenerCount('error') > 0) {
       evt.emit('error', err)
     }
   })
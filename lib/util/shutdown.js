@@ -0,0 +1,44 @@
+// Includes
+const settings = require('../../settings.json')
+const options = require('../options.js')
+const lifecycle = require('../internal/lifecycle.js')
+const scheduler = require('../internal/scheduler.js')
+const onNotification = require('../client/onNotification.js')
+const requestTransport = require('./transport/requestTransport.js')
+const fetchTransport = require('./transport/fetchTransport.js')
+const journal = require('./journal.js')
+const logger = require('./logger.js')
+
+// Docs
+/**
+ * ✅ Stop everything noblox.js started, so the process can exit. Every open event is closed, which stops its polling
+ * and releases its notification connection, requests waiting in a queue or the rate limit scheduler get up to `timeout`
+ * ms to be sent (those still waiting then reject with an AbortError), the journal is written out and the sockets kept
+ * alive for later requests are closed, those of both the request and the fetch transport.
+ * Called on a client from `createClient`, only the events and requests of that client are stopped; the sockets, shared
+ * by every client, are left open.
+ * @category Utility
+ * @alias shutdown
+ * @param {number=} timeout - How long to wait for queued and running requests, in ms. (Default: `settings.shutdownTimeout`)
+ * @returns {Promise<void>}
+ * @example const noblox = require("noblox.js")
+ * process.once("SIGTERM", async () => {
+ *   await noblox.shutdown()
+ * })
+**/
+
+// Define
+exports.func = async function (args) {
+  const context = options.current()
+  // The default client stands for every client
+  const client = context === options.defaults() ? undefined : context
+  const timeout = args.timeout === undefined ? settings.shutdownTimeout : args.timeout
+  const closed = lifecycle.closeEvents(client)
+  const dropped = await scheduler.drain(client, timeout)
+  await Promise.all([onNotification.stopped(), journal.flush()])
+  if (!client) {
+    requestTransport.close()
+    await fetchTransport.close()
+  }
+  logger.info('noblox.js shut down', { events: closed, dropped })
+}
@@ -0,0 +1,209 @@
+// Dependencies
+const { Readable } = require('stream')
+
+// Includes
+const settings = require('../../../settings.json')
+const abort = require('../../internal/abort.js')
+
+// Define
+const maxRedirects = 10
+// Where Node's fetch (and undici's `setGlobalDispatcher`) keeps the dispatcher holding its kept-alive connections
+const globalDispatcher = Symbol.for('undici.globalDispatcher.1')
+
+function buildUrl (url, qs) {
+  if (!qs) {
+    return url
+  }
+  const target = new URL(url)
+  for (const key of Object.keys(qs)) {
+    const value = qs[key]
+    if (value !== undefined) {
+      target.searchParams.append(key, value)
+    }
+  }
+  return target.toString()
+}
+
+function readStream (stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    stream.on('data', (chunk) => chunks.push(Buffer.from(chunk)))
+    stream.on('end', () => resolve(Buffer.concat(chunks)))
+    stream.on('error', reject)
+  })
+}
+
+// Accepts the same formData shape as postman-request: strings, Buffers, streams or { value, options } objects.
+async function buildFormData (formData) {
+  const form = new FormData()
+  for (const key of Object.keys(formData)) {
+    let value = formData[key]
+    let fileOptions = {}
+    if (value && typeof value === 'object' && Object.hasOwn(value, 'value')) {
+      fileOptions = value.options || {}
+      value = value.value
+    }
+    if (value instanceof Readable) {
+      fileOptions.filename = fileOptions.filename || (value.path && String(value.path).split(/[\\/]/).pop())
+      value = await readStream(value)
+    }
+    if (Buffer.isBuffer(value)) {
+      form.append(key, new Blob([value], { type: fileOptions.contentType }), fileOptions.filename || key)
+    } else if (value !== undefined && value !== null) {
+      form.append(key, String(value))
+    }
+  }
+  return form
+}
+
+async function buildBody (opt, headers) {
+  if (opt.formData) {
+    return buildFormData(opt.formData)
+  } else if (opt.form) {
+    headers['content-type'] = headers['content-type'] || 'application/x-www-form-urlencoded'
+    return typeof opt.form === 'string' ? opt.form : new URLSearchParams(opt.form).toString()
+  } else if (opt.json && opt.body !== undefined && typeof opt.body !== 'string' && !Buffer.isBuffer(opt.body)) {
+    headers['content-type'] = headers['content-type'] || 'application/json'
+    return JSON.stringify(opt.body)
+  } else if (opt.json && typeof opt.json === 'object' && opt.body === undefined) {
+    // Like postman-request, an object passed as `json` is the body
+    headers['content-type'] = headers['content-type'] || 'application/json'
+    return JSON.stringify(opt.json)
+  } else if (opt.body instanceof Readable) {
+    // fetch only streams bodies in half duplex mode, so file uploads are read in full instead
+    return readStream(opt.body)
+  }
+  return opt.body
+}
+
+function getHeaders (res) {
+  const headers = {}
+  res.headers.forEach((value, key) => {
+    headers[key] = value
+  })
+  if (typeof res.headers.getSetCookie === 'function') {
+    const cookies = res.headers.getSetCookie()
+    if (cookies.length > 0) {
+      headers['set-cookie'] = cookies
+    }
+  }
+  return headers
+}
+
+function parseBody (text, json) {
+  if (!json) {
+    return text
+  }
+  try {
+    return JSON.parse(text)
+  } catch (err) {
+    return text
+  }
+}
+
+async function send (url, opt, redirects) {
+  const method = (opt.method || 'GET').toUpperCase()
+  const headers = {}
+  // postman-request leaves out headers without a value, where fetch would send "undefined"
+  for (const name of Object.keys(opt.headers || {})) {
+    if (opt.headers[name] !== undefined && opt.headers[name] !== null) {
+      headers[name] = opt.headers[name]
+    }
+  }
+  if (opt.json && !headers.accept) {
+    headers.accept = 'application/json'
+  }
+  const jar = opt.jar && typeof opt.jar.getCookieString === 'function' ? opt.jar : null
+  if (jar) {
+    const cookies = jar.getCookieString(url)
+    if (cookies) {
+      headers.cookie = headers.cookie ? headers.cookie + ' ' + cookies : cookies
+    }
+  }
+
+  const timeout = opt.timeout === undefined ? settings.timeout : opt.timeout
+  // Left on the signal of the call until the body is read, then removed
+  const combined = abort.combine(opt.signal, timeout > 0 ? AbortSignal.timeout(timeout) : undefined)
+  let res
+  try {
+    res = await fetch(url, {
+      method,
+      headers,
+      body: method === 'GET' || method === 'HEAD' ? undefined : await buildBody(opt, headers),
+      redirect: 'manual',
+      signal: combined.signal
+    })
+  } catch (err) {
+    combined.clear()
+    if (opt.signal && opt.signal.aborted) {
+      throw abort.getError(opt.signal)
+    }
+    if (err.name === 'TimeoutError') {
+      const timeoutErr = new Error('ETIMEDOUT')
+      timeoutErr.code = 'ETIMEDOUT'
+      throw timeoutErr
+    }
+    throw err.cause || err
+  }
+
+  const response = {
+    statusCode: res.status,
+    statusMessage: res.statusText,
+    headers: getHeaders(res)
+  }
+  if (jar && response.headers['set-cookie']) {
+    for (const cookie of response.headers['set-cookie']) {
+      jar.setCookie(cookie, url)
+    }
+  }
+
+  const location = response.headers.location
+  if (res.status >= 300 && res.status < 400 && location && (method === 'GET' || method === 'HEAD')) {
+    let follow = opt.followRedirect === undefined || opt.followRedirect
+    if (typeof follow === 'function') {
+      follow = follow(response)
+    }
+    if (follow && redirects < maxRedirects) {
+      combined.clear()
+      await res.body?.cancel()
+      return send(new URL(location, url).toString(), Object.assign({}, opt, { qs: undefined }), redirects + 1)
+    }
+  }
+
+  try {
+    response.body = parseBody(await res.text(), opt.json)
+  } catch (err) {
+    abort.throwIfAborted(opt.signal)
+    throw err
+  } finally {
+    combined.clear()
+  }
+  return response
+}
+
+// Docs
+/**
+ * ✅ Transport that sends requests with Node's native fetch (undici). Supports the same request options as the
+ * default postman-request transport (`qs`, `json`, `form`, `formData`, `followRedirect`, `timeout`, `signal`).
+ * @category Utility
+ * @alias fetchTransport
+ * @param {TransportRequest} req - The request to send.
+ * @returns {Promise<TransportResponse>}
+**/
+
+module.exports = function (req) {
+  const { url, ...opt } = req
+  return send(buildUrl(url, opt.qs), opt, 0)
+}
+
+// Closes the connections fetch keeps alive for later requests, which would otherwise keep the process running. They are
+// those of the whole process, so a fresh dispatcher takes over for whatever fetches next. A dispatcher the application
+// set itself (eg. a proxy) is left for it to close.
+module.exports.close = function () {
+  const dispatcher = globalThis[globalDispatcher]
+  if (!dispatcher || dispatcher.constructor.name !== 'Agent' || typeof dispatcher.close !== 'function') {
+    return Promise.resolve()
+  }
+  globalThis[globalDispatcher] = new dispatcher.constructor()
+  return dispatcher.close()
+}
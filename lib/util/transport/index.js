@@ -0,0 +1,46 @@
+// Includes
+const settings = require('../../../settings.json')
+const options = require('../../options.js')
+const requestTransport = require('./requestTransport.js')
+const fetchTransport = require('./fetchTransport.js')
+
+// Docs
+/**
+ * ✅ Transport selection for http requests. A transport is a function receiving the request (`url` along with the
+ * request options: `method`, `headers`, `body`, `qs`, `json`, `form`, `formData`, `followRedirect`, `timeout`) and
+ * resolving with `{ statusCode, headers, body }`. The transport is picked from the client, then `settings.transport`,
+ * which is either the name of a built-in transport or a custom transport function.
+ * @category Utility
+ * @alias transport
+ * @example const noblox = require("noblox.js")
+ * noblox.setOptions({ transport: "fetch" })
+ * // Or supply your own, eg. to stub requests in tests
+ * noblox.setOptions({ transport: async (req) => ({ statusCode: 200, headers: {}, body: "{}" }) })
+ */
+
+const transports = {
+  request: requestTransport,
+  fetch: fetchTransport
+}
+
+/**
+ * Get the transport requests of the current client should be sent with
+ * @returns {function} - The transport function
+ */
+function get () {
+  const transport = options.transport || settings.transport
+  if (typeof transport === 'function') {
+    return transport
+  }
+  const found = transports[transport || 'request']
+  if (!found) {
+    throw new Error(`Unknown transport "${transport}", expected one of: ${Object.keys(transports).join(', ')}`)
+  }
+  return found
+}
+
+module.exports = {
+  get,
+  request: requestTransport,
+  fetch: fetchTransport
+}
@@ -0,0 +1,60 @@
+// Dependencies
+// The keep-alive agents requests are sent through, by protocol and TLS options, so they can be closed
+const agents = {}
+const request = require('postman-request').defaults({
+  forever: true,
+  pool: agents,
+  agentOptions: {
+    maxSockets: Infinity
+  },
+  simple: false,
+  gzip: true
+})
+
+// Includes
+const settings = require('../../../settings.json')
+const abort = require('../../internal/abort.js')
+
+// Docs
+/**
+ * ✅ Transport that sends requests with postman-request. This is the default transport.
+ * @category Utility
+ * @alias requestTransport
+ * @param {TransportRequest} req - The request to send.
+ * @returns {Promise<TransportResponse>}
+**/
+
+module.exports = function (req) {
+  const { url, signal, ...opt } = req
+  if (opt.timeout === undefined) {
+    opt.timeout = settings.timeout
+  }
+  // Per-request proxy overrides are resolved by the proxy middleware, postman-request only understands proxy urls
+  if (opt.proxy && typeof opt.proxy === 'object') {
+    delete opt.proxy
+  }
+  return new Promise(function (resolve, reject) {
+    abort.throwIfAborted(signal)
+    const onAbort = function () {
+      sent.abort()
+      reject(abort.getError(signal))
+    }
+    const sent = request(url, opt, function (err, res) {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort)
+      }
+      return err ? reject(err) : resolve(res)
+    })
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true })
+    }
+  })
+}
+
+// Closes the sockets kept alive for later requests, which would otherwise keep the process running.
+module.exports.close = function () {
+  for (const key of Object.keys(agents)) {
+    agents[key].destroy()
+    delete agents[key]
+  }
+}
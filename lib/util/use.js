@@ -0,0 +1,37 @@
+// Includes
+const middleware = require('./middleware')
+const { ValidationError } = require('./apiError.js')
+
+// Docs
+/**
+ * ✅ Add middleware hooks to every request sent. Hooks added through `noblox.use` apply to every client, those added
+ * through `client.use` only to that client, after the global ones. All hooks may be async and run in the order they
+ * were added:
+ * - `onRequest(request, context)` runs before the request is sent and may change it in place (eg. add headers).
+ * Resolving with a response (`{ statusCode, headers, body }`) skips the transport, the rate limit scheduler and later
+ * `onRequest` hooks.
+ * - `onResponse(response, request, context)` may change the response, or resolve with another one to replace it.
+ * - `onError(error, request, context)` is called when sending fails; resolving with a response recovers from the error,
+ * throwing replaces it.
+ *
+ * `context` holds the `name` of the noblox.js function sending the request, the `account` it is sent for, the
+ * `endpoint` and `send(request)`, which sends a request without running the hooks, eg. to retry it.
+ * @category Utility
+ * @alias use
+ * @param {object} middleware - Object with any of `onRequest`, `onResponse` and `onError`.
+ * @returns {function} - Removes the hooks again.
+ * @example const noblox = require("noblox.js")
+ * const remove = noblox.use({
+ *   onRequest: (request) => { request.headers["x-trace-id"] = traceId() },
+ *   onResponse: (response, request, context) => metrics.count(context.name, response.statusCode)
+ * })
+**/
+
+// Define
+exports.func = function (args) {
+  const hooks = args.middleware
+  if (!['onRequest', 'onResponse', 'onError'].some((key) => typeof hooks[key] === 'function')) {
+    throw new ValidationError('Middleware needs an onRequest, onResponse or onError function', { argument: 'middleware' })
+  }
+  return middleware.use(hooks)
+}
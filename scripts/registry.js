@@ -0,0 +1,155 @@
+/*
+Generates typings/functions.d.ts from lib/registry.js, or with `--check`, fails if the registry, the modules in lib/ and
+the typings have drifted apart:
+  - every module exporting `func` must be registered, and every registered module must exist;
+  - the `@alias`, `@category` and emoji of a function's docs must match its entry;
+  - typings/functions.d.ts must be up to date, and must be the only declaration of registered functions;
+  - modules exported as is (outside of lib/internal) must be declared in typings/index.d.ts.
+*/
+// Includes
+const fs = require('fs')
+const path = require('path')
+const registry = require('../lib/registry.js')
+
+// Define
+const root = path.join(__dirname, '..')
+const output = path.join(root, 'typings/functions.d.ts')
+const emoji = { none: '✅', cookie: '🔐', optional: '🔓', apiKey: '☁️' }
+
+function getParameters (args, narrowed = {}) {
+  return args.map(function (arg) {
+    const optional = arg.optional && !(arg.name in narrowed)
+    return `${arg.name}${optional ? '?' : ''}: ${narrowed[arg.name] || arg.type}`
+  }).join(', ')
+}
+
+function declare (entry) {
+  const name = entry.name + (entry.typeParameters ? `<${entry.typeParameters}>` : '')
+  const lines = [
+    '    /**',
+    ...`${emoji[entry.auth]} ${entry.description}`.split('\n').map((line) => `     * ${line}`.trimEnd()),
+    '     */',
+    `    function ${name}(${getParameters(entry.args)}): ${entry.returns};`
+  ]
+  for (const overload of entry.overloads || []) {
+    lines.push(`    function ${name}(${getParameters(entry.args, overload.args)}): ${overload.returns};`)
+  }
+  // Every wrapped function also takes its arguments as one object, along with the options of the call itself
+  if (!entry.raw && entry.args.length > 0) {
+    const fields = []
+    for (const arg of entry.args) {
+      // Any one of an argument's names will do, so none of them is required on its own
+      const optional = arg.optional || arg.aliases ? '?' : ''
+      for (const name of [arg.name].concat(arg.aliases || [])) {
+        fields.push(`${name}${optional}: ${arg.type}`)
+      }
+    }
+    if (entry.mutates) {
+      lines.push(`    function ${name}(options: { ${fields.join('; ')} } & CallOptions & { dryRun: true }): Promise<DryRun<${entry.returns.replace(/^Promise<(.*)>$/, '$1')}>>;`)
+    }
+    lines.push(`    function ${name}(options: { ${fields.join('; ')} } & CallOptions): ${entry.returns};`)
+  }
+  return lines.join('\n')
+}
+
+function generate () {
+  const categories = {}
+  for (const entry of registry) {
+    if (entry.kind !== 'module') {
+      (categories[entry.category] = categories[entry.category] || []).push(entry)
+    }
+  }
+  const sections = Object.keys(categories).sort().map((category) => [`    /// ${category}`, ...categories[category].map(declare)].join('\n\n'))
+  return [
+    '// Generated from lib/registry.js by scripts/registry.js; do not edit. Change the registry and run `npm run typings`.',
+    '',
+    'declare module "noblox.js" {',
+    '    import * as events from "events";',
+    '    import * as stream from "stream";',
+    '',
+    sections.join('\n\n'),
+    '}',
+    ''
+  ].join('\n')
+}
+
+// Every .js file under `dir`, relative to lib/ and without `.js`
+function getModules (dir) {
+  const modules = []
+  for (const file of fs.readdirSync(path.join(root, 'lib', dir), { withFileTypes: true })) {
+    const name = path.posix.join(dir, file.name)
+    if (file.isDirectory()) {
+      modules.push(...getModules(name))
+    } else if (file.name.endsWith('.js')) {
+      modules.push(name.slice(0, -3))
+    }
+  }
+  return modules
+}
+
+function check () {
+  const problems = []
+  const entries = new Map(registry.map((entry) => [entry.module, entry]))
+  for (const module of getModules('')) {
+    const source = fs.readFileSync(path.join(root, 'lib', module + '.js'), 'utf8')
+    if (/^exports\.func\s*=/m.test(source) && !entries.has(module)) {
+      problems.push(`lib/${module}.js exports func but is not registered`)
+    }
+  }
+  const typings = fs.readFileSync(path.join(root, 'typings/index.d.ts'), 'utf8')
+  for (const entry of registry) {
+    const file = path.join(root, 'lib', entry.module + '.js')
+    if (!fs.existsSync(file)) {
+      problems.push(`${entry.name} is registered, but lib/${entry.module}.js does not exist`)
+      continue
+    }
+    if (entry.kind === 'module') {
+      if (!entry.internal && !new RegExp(`^ {4}(function|const|class) ${entry.name}\\b`, 'm').test(typings)) {
+        problems.push(`${entry.name} is not declared in typings/index.d.ts`)
+      }
+      continue
+    }
+    const source = fs.readFileSync(file, 'utf8')
+    // The docs of the function itself, rather than of its helpers
+    const comments = source.match(/\/\*\*[\s\S]*?\*\//g) || []
+    const docs = comments.find((comment) => comment.includes('@alias')) || comments.find((comment) => comment.includes('@category')) || comments[0]
+    if (!docs) {
+      problems.push(`lib/${entry.module}.js has no docs`)
+      continue
+    }
+    const alias = docs.match(/@alias (\w+)/)
+    const category = docs.match(/@category (\w+)/)
+    const documented = docs.split('@')[0].match(/✅|🔐|🔓|☁️/)
+    if (alias && alias[1] !== entry.name) {
+      problems.push(`lib/${entry.module}.js is documented as ${alias[1]}, but registered as ${entry.name}`)
+    }
+    if (category && category[1] !== entry.category) {
+      problems.push(`lib/${entry.module}.js is documented under ${category[1]}, but registered under ${entry.category}`)
+    }
+    if (documented && documented[0] !== emoji[entry.auth]) {
+      problems.push(`lib/${entry.module}.js is documented with ${documented[0]}, but registered with auth "${entry.auth}"`)
+    }
+    if (new RegExp(`^ {4}function ${entry.name}\\b`, 'm').test(typings)) {
+      problems.push(`${entry.name} is declared by hand in typings/index.d.ts; it is generated from the registry`)
+    }
+  }
+  if (!fs.existsSync(output) || fs.readFileSync(output, 'utf8') !== generate()) {
+    problems.push('typings/functions.d.ts is out of date; run `npm run typings`')
+  }
+  return problems
+}
+
+exports.generate = generate
+exports.check = check
+
+if (require.main !== module) {
+  // Required by the tests
+} else if (process.argv.includes('--check')) {
+  const problems = check()
+  for (const problem of problems) {
+    console.error(problem)
+  }
+  process.exitCode = problems.length > 0 ? 1 : 0
+} else {
+  fs.writeFileSync(output, generate())
+}
@@ -0,0 +1,56 @@
+const { createClient, getSession, setCookie, options } = require('../lib')
+
+describe('Client Methods', () => {
+  it('createClient() returns a client with its own jar', () => {
+    const client = createClient({ cookie: 'client-cookie' })
+    expect(client.getSession()).toBe('client-cookie')
+    return expect(getSession()).not.toBe('client-cookie')
+  })
+
+  it('createClient() clients do not share cookies set with setCookie()', async () => {
+    const first = createClient()
+    const second = createClient()
+    await first.setCookie('first-cookie', false)
+    await second.setCookie('second-cookie', false)
+    await setCookie('default-cookie', false)
+
+    expect(first.getSession()).toBe('first-cookie')
+    expect(second.getSession()).toBe('second-cookie')
+    return expect(getSession()).toBe('default-cookie')
+  })
+
+  it('createClient() clients have their own cache and queue', () => {
+    const client = createClient({ cache: { Roles: { expire: 5 } } })
+    expect(client.options.cache).not.toBe(options.cache)
+    expect(client.options.cache.Roles.expire).toBe(5)
+    return expect(client.options.queue).not.toBe(options.queue)
+  })
+
+  it('createClient() iterators keep using the client they were created from', async () => {
+    let calls = 0
+    const client = createClient({
+      transport: async () => {
+        calls++
+        return { statusCode: 200, headers: {}, body: JSON.stringify({ data: [{ id: calls }], nextPageCursor: calls < 2 ? 'next' : null }) }
+      }
+    })
+
+    const followers = []
+    for await (const follower of client.iterate.getFollowers(1)) {
+      followers.push(follower.id)
+    }
+    return expect(followers).toEqual([1, 2])
+  })
+
+  it('createClient() middleware only applies to its own requests', async () => {
+    const seen = []
+    const send = async (req) => ({ statusCode: 200, headers: {}, body: req.url })
+    const client = createClient({ transport: send })
+    const other = createClient({ transport: send })
+    client.use({ onRequest: (request) => { seen.push(request.url) } })
+
+    await client.http('//users.roblox.com/v1/users/1')
+    await other.http('//users.roblox.com/v1/users/2')
+    return expect(seen).toEqual(['https://users.roblox.com/v1/users/1'])
+  })
+})
@@ -0,0 +1,647 @@
+// Includes
+const { reply, error, page, requireUser, publicUser, friendUser } = require('../../lib/testing/routes.js')
+
+// Define
+// Routes for the endpoints the suites call beyond those the mock server emulates, in the same
+// [method, service, path, handler] form. They work on the accounts, assets, games and badges set up in server.js.
+
+function getUser (state, id) {
+  const user = state.users[id]
+  if (!user) {
+    throw error(400, 'The target user is invalid or does not exist.', 1)
+  }
+  return user
+}
+
+function getAsset (state, id) {
+  const asset = state.assets[id]
+  if (!asset) {
+    throw error(400, 'Asset is invalid or does not exist.', 1)
+  }
+  return asset
+}
+
+function getUniverse (state, id) {
+  const universe = state.games[id]
+  if (!universe) {
+    throw error(404, 'The requested universe does not exist.', 3)
+  }
+  return universe
+}
+
+function getConversation (state, req, id) {
+  const conversation = state.conversations[id]
+  if (!conversation || !conversation.participants.includes(requireUser(req).id)) {
+    throw error(400, 'Conversation not found.', 1)
+  }
+  return conversation
+}
+
+// The avatar of `user`, a default one until it is changed
+function getAvatar (user) {
+  user.avatar = user.avatar || {
+    scales: { height: 1, width: 1, head: 1, depth: 1, proportion: 0, bodyType: 0 },
+    playerAvatarType: 'R15',
+    bodyColors: { headColorId: 24, torsoColorId: 23, rightArmColorId: 24, leftArmColorId: 24, rightLegColorId: 119, leftLegColorId: 119 },
+    assets: [],
+    defaultShirtApplied: false,
+    defaultPantsApplied: false,
+    emotes: []
+  }
+  return user.avatar
+}
+
+function wornAsset (state, id) {
+  const asset = state.assets[id]
+  return { id: Number(id), name: asset ? asset.Name : 'Asset' + id, assetType: { id: asset ? asset.AssetTypeId : 8, name: 'Hat' }, currentVersionId: 1 }
+}
+
+function badgeInfo (state, badge) {
+  const universe = state.games[badge.universeId]
+  return {
+    id: badge.id,
+    name: badge.name,
+    description: badge.description,
+    displayName: badge.name,
+    displayDescription: badge.description,
+    enabled: true,
+    iconImageId: badge.iconImageId,
+    displayIconImageId: badge.iconImageId,
+    created: badge.created,
+    updated: badge.created,
+    statistics: { pastDayAwardedCount: 0, awardedCount: badge.awardedCount, winRatePercentage: 0.5 },
+    awardingUniverse: { id: universe.id, name: universe.name, rootPlaceId: universe.rootPlaceId }
+  }
+}
+
+function lastMessages (state, req) {
+  return String(req.query.conversationIds || '').split(',').filter(Boolean).map((id) => {
+    const conversation = getConversation(state, req, id)
+    return { conversationId: conversation.id, chatMessages: conversation.messages.slice(0, Number(req.query.pageSize) || 1) }
+  })
+}
+
+exports.routes = [
+  // accountinformation
+  ['GET', 'accountinformation', '/v1/users/:userId/promotion-channels', (req, state) => {
+    getUser(state, req.params.userId)
+    return reply({ facebook: null, twitter: null, youtube: null, twitch: null, guilded: null })
+  }],
+
+  // accountsettings
+  ['POST', 'apis', '/user-blocking-api/v1/users/:userId/block-user', (req, state) => {
+    const user = requireUser(req)
+    const target = getUser(state, req.params.userId).id
+    if (user.blocked.includes(target)) {
+      return error(400, 'The user is already blocked.', 2)
+    }
+    user.blocked.push(target)
+    return reply({})
+  }],
+  ['POST', 'apis', '/user-blocking-api/v1/users/:userId/unblock-user', (req, state) => {
+    const user = requireUser(req)
+    const target = getUser(state, req.params.userId).id
+    if (!user.blocked.includes(target)) {
+      return error(400, 'The user is not blocked.', 3)
+    }
+    user.blocked = user.blocked.filter((id) => id !== target)
+    return reply({})
+  }],
+
+  // asset
+  ['GET', 'economy', '/v2/assets/:assetId/details', (req, state) => reply(getAsset(state, req.params.assetId))],
+  ['POST', 'economy', '/v1/purchases/products/:productId', (req, state) => {
+    const user = requireUser(req)
+    const asset = Object.values(state.assets).find((asset) => asset.ProductId === Number(req.params.productId))
+    if (!asset) {
+      return error(400, 'The product is invalid or does not exist.', 1)
+    }
+    if (user.robux < asset.PriceInRobux) {
+      return reply({ purchased: false, reason: 'InsufficientFunds', shortfallPrice: asset.PriceInRobux - user.robux })
+    }
+    user.robux -= asset.PriceInRobux
+    user.inventory.push({ assetId: asset.AssetId, userAssetId: Date.now(), name: asset.Name, assetType: 'Model', created: new Date().toISOString() })
+    return reply({ purchased: true, reason: 'Success', productId: asset.ProductId, price: asset.PriceInRobux, assetId: asset.AssetId })
+  }],
+  ['DELETE', 'inventory', '/v2/inventory/asset/:assetId', (req) => {
+    const user = requireUser(req)
+    const owned = user.inventory.some((item) => item.assetId === Number(req.params.assetId))
+    if (!owned) {
+      return error(400, 'The asset is not in your inventory.', 1)
+    }
+    user.inventory = user.inventory.filter((item) => item.assetId !== Number(req.params.assetId))
+    return reply({ isValid: true, data: null, error: null })
+  }],
+  ['GET', 'apis', '/game-passes/v1/game-passes/:gamePassId/product-info', (req, state) => {
+    const gamePass = state.gamePasses[req.params.gamePassId]
+    return gamePass ? reply(gamePass) : error(404, 'The game pass does not exist.', 1)
+  }],
+  ['POST', 'www', '/ide/publish/uploadnewanimation', (req, state) => {
+    requireUser(req)
+    return reply(Object.keys(state.assets).length + 10000000000)
+  }],
+  ['GET', 'www', '/build/upload', () => {
+    const html = '<form><input name="__RequestVerificationToken" type="hidden" value="mock-verification-token" /></form>'
+    return reply(html, 200, { 'content-type': 'text/html', 'set-cookie': '__RequestVerificationToken=mock-verification-token; path=/' })
+  }],
+  ['POST', 'www', '/build/upload', (req, state) => {
+    requireUser(req)
+    return reply('', 302, { location: `https://www.roblox.com/build/upload?uploadedId=${Object.keys(state.assets).length + 10000000000}` })
+  }],
+  ['POST', 'data', '/Data/Upload.ashx', (req, state) => {
+    requireUser(req)
+    return reply({ AssetId: Object.keys(state.assets).length + 10000000000, AssetVersionId: 1 })
+  }],
+
+  // avatar
+  ['GET', 'avatar', '/v1/avatar-rules', () => reply({
+    playerAvatarTypes: ['R6', 'R15'],
+    scales: { height: { min: 0.9, max: 1.05, increment: 0.01 }, width: { min: 0.7, max: 1, increment: 0.01 } },
+    wearableAssetTypes: [{ maxNumber: 3, id: 8, name: 'Hat' }],
+    bodyColorsPalette: [{ brickColorId: 194, hexColor: '#A3A2A5', name: 'Medium stone grey' }],
+    basicBodyColorsPalette: [{ brickColorId: 37, hexColor: '#4B974B', name: 'Bright green' }],
+    minimumDeltaEBodyColorDifference: 11.4,
+    proportionsAndBodyTypeEnabledForUser: true,
+    defaultClothingAssetLists: { defaultShirtAssetIds: [855776103], defaultPantAssetIds: [855782781] },
+    bundlesEnabledForUser: true,
+    emotesEnabledForUser: true
+  })],
+  ['GET', 'avatar', '/v1/users/:userId/currently-wearing', (req, state) => {
+    return reply({ assetIds: getAvatar(getUser(state, req.params.userId)).assets.map((asset) => asset.id) })
+  }],
+  ['GET', 'avatar', '/v1/users/:userId/avatar', (req, state) => reply(getAvatar(getUser(state, req.params.userId)))],
+  ['GET', 'avatar', '/v1/avatar', (req) => reply(getAvatar(requireUser(req)))],
+  ['GET', 'avatar', '/v1/recent-items/:listType/list', (req) => {
+    const assets = getAvatar(requireUser(req)).assets
+    return reply({ data: assets.map((asset) => ({ id: asset.id, name: asset.name, type: 'Asset', assetType: asset.assetType, isEditable: false })), total: assets.length })
+  }],
+  ['GET', 'avatar', '/v1/outfits/:outfitId/details', (req, state) => {
+    const outfit = state.outfits[req.params.outfitId]
+    return outfit ? reply(outfit) : error(400, 'The outfit is invalid or does not exist.', 1)
+  }],
+  ['GET', 'avatar', '/v1/users/:userId/outfits', (req, state) => {
+    const userId = getUser(state, req.params.userId).id
+    const data = Object.values(state.outfits).filter((outfit) => outfit.userId === userId).map((outfit) => ({ id: outfit.id, name: outfit.name, isEditable: outfit.isEditable }))
+    return reply({ filteredCount: 0, data, total: data.length })
+  }],
+  ['POST', 'avatar', '/v1/avatar/redraw-thumbnail', (req) => {
+    requireUser(req)
+    return reply({})
+  }],
+  ['POST', 'avatar', '/v1/avatar/assets/:assetId/remove', (req) => {
+    const avatar = getAvatar(requireUser(req))
+    avatar.assets = avatar.assets.filter((asset) => asset.id !== Number(req.params.assetId))
+    return reply({ success: true })
+  }],
+  ['POST', 'avatar', '/v1/avatar/assets/:assetId/wear', (req, state) => {
+    const avatar = getAvatar(requireUser(req))
+    avatar.assets = avatar.assets.filter((asset) => asset.id !== Number(req.params.assetId)).concat(wornAsset(state, req.params.assetId))
+    return reply({ success: true })
+  }],
+  ['POST', 'avatar', '/v1/avatar/set-wearing-assets', (req, state) => {
+    getAvatar(requireUser(req)).assets = (req.body.assetIds || []).map((id) => wornAsset(state, id))
+    return reply({ invalidAssets: [], invalidAssetIds: [], success: true })
+  }],
+  ['POST', 'avatar', '/v1/avatar/set-body-colors', (req) => {
+    const avatar = getAvatar(requireUser(req))
+    for (const key of Object.keys(avatar.bodyColors)) {
+      avatar.bodyColors[key] = req.body[key]
+    }
+    return reply({ success: true })
+  }],
+  ['POST', 'avatar', '/v1/avatar/set-scales', (req) => {
+    const avatar = getAvatar(requireUser(req))
+    for (const key of Object.keys(avatar.scales)) {
+      avatar.scales[key] = req.body[key]
+    }
+    return reply({ success: true })
+  }],
+  ['POST', 'avatar', '/v1/avatar/set-player-avatar-type', (req) => {
+    if (!['R6', 'R15'].includes(req.body.playerAvatarType)) {
+      return error(400, 'Invalid player avatar type.', 1)
+    }
+    getAvatar(requireUser(req)).playerAvatarType = req.body.playerAvatarType
+    return reply({ success: true })
+  }],
+
+  // badges
+  ['GET', 'badges', '/v1/users/:userId/badges/awarded-dates', (req, state) => {
+    const user = getUser(state, req.params.userId)
+    const data = String(req.query.badgeIds || '').split(',').filter((id) => user.items.Badge.includes(Number(id))).map((id) => ({ badgeId: Number(id), awardedDate: '2021-06-01T12:00:00.000Z' }))
+    return reply({ data })
+  }],
+  ['GET', 'badges', '/v1/badges/:badgeId', (req, state) => {
+    const badge = state.badges[req.params.badgeId]
+    return badge ? reply(badgeInfo(state, badge)) : error(404, 'Badge is invalid or does not exist.', 1)
+  }],
+  ['GET', 'badges', '/v1/universes/:universeId/badges', (req, state) => {
+    const universe = getUniverse(state, req.params.universeId)
+    return page(Object.values(state.badges).filter((badge) => badge.universeId === universe.id).map((badge) => badgeInfo(state, badge)), req.query)
+  }],
+  ['GET', 'badges', '/v1/users/:userId/badges', (req, state) => {
+    const user = getUser(state, req.params.userId)
+    const badges = user.items.Badge.map((id) => state.badges[id]).filter(Boolean).map((badge) => {
+      return Object.assign(badgeInfo(state, badge), { awarder: { id: state.games[badge.universeId].rootPlaceId, type: 'Place' } })
+    })
+    return page(badges, req.query)
+  }],
+
+  // chat
+  ['GET', 'chat', '/v2/chat-settings', (req) => {
+    requireUser(req)
+    return reply({ chatEnabled: true, isActiveChatUser: true, isConnectTabEnabled: true })
+  }],
+  ['GET', 'chat', '/v2/get-rollout-settings', (req) => {
+    requireUser(req)
+    return reply({ rolloutFeatures: [].concat(req.query.featureNames || []).map((featureName) => ({ featureName, isRolloutEnabled: true })) })
+  }],
+  ['GET', 'chat', '/v2/get-unread-conversation-count', (req, state) => {
+    const user = requireUser(req)
+    return reply({ count: Object.values(state.conversations).filter((conversation) => conversation.participants.includes(user.id) && conversation.messages.some((message) => !message.read)).length })
+  }],
+  ['GET', 'chat', '/v2/get-unread-messages', (req, state) => {
+    return reply(lastMessages(state, req).map((item) => Object.assign(item, { chatMessages: item.chatMessages.filter((message) => !message.read) })))
+  }],
+  ['GET', 'chat', '/v2/multi-get-latest-messages', (req, state) => reply(lastMessages(state, req))],
+  ['POST', 'chat', '/v2/mark-as-read', (req, state) => {
+    const conversation = getConversation(state, req, req.body.conversationId)
+    const end = conversation.messages.findIndex((message) => message.id === req.body.endMessageId)
+    conversation.messages.slice(end === -1 ? 0 : end).forEach((message) => {
+      message.read = true
+    })
+    return reply({ resultType: 'Success' })
+  }],
+  ['POST', 'chat', '/v2/mark-as-seen', (req, state) => {
+    for (const id of req.body.conversationsToMarkSeen || []) {
+      getConversation(state, req, id)
+    }
+    return reply({ resultType: 'Success' })
+  }],
+  ['POST', 'chat', '/v2/add-to-conversation', (req, state) => {
+    const conversation = getConversation(state, req, req.body.conversationId)
+    for (const id of req.body.participantUserIds || []) {
+      if (!conversation.participants.includes(getUser(state, id).id)) {
+        conversation.participants.push(Number(id))
+      }
+    }
+    return reply({ conversationId: conversation.id, rejectedParticipants: [], resultType: 'Success', statusMessage: 'Success' })
+  }],
+  ['POST', 'chat', '/v2/remove-from-conversation', (req, state) => {
+    const conversation = getConversation(state, req, req.body.conversationId)
+    conversation.participants = conversation.participants.filter((id) => id !== Number(req.body.participantUserId))
+    return reply({ conversationId: conversation.id, resultType: 'Success', statusMessage: 'Success' })
+  }],
+  ['POST', 'chat', '/v2/rename-group-conversation', (req, state) => {
+    const conversation = getConversation(state, req, req.body.conversationId)
+    conversation.title = req.body.newTitle
+    return reply({ conversationTitle: conversation.title, resultType: 'Success', title: conversation.title, statusMessage: 'Success' })
+  }],
+  ['POST', 'chat', '/v2/update-user-typing-status', (req, state) => {
+    getConversation(state, req, req.body.conversationId)
+    return reply({ statusMessage: 'Success', resultType: 'Success' })
+  }],
+  ['POST', 'chat', '/v2/start-group-conversation', (req, state) => {
+    const user = requireUser(req)
+    const participants = [user.id].concat((req.body.participantUserIds || []).map((id) => getUser(state, id).id))
+    const id = Object.keys(state.conversations).length + 1
+    const conversation = state.conversations[id] = { id, title: req.body.title, participants, messages: [], lastUpdated: new Date().toISOString() }
+    return reply({ conversation: { id: conversation.id, title: conversation.title, conversationType: 'MultiUserConversation' }, rejectedParticipants: [], resultType: 'Success', statusMessage: 'Success' })
+  }],
+
+  // develop
+  ['GET', 'develop', '/v1/user/:userId/canmanage/:assetId', (req, state) => {
+    const asset = state.assets[req.params.assetId]
+    return asset ? reply({ Success: true, CanManage: asset.Creator.Id === Number(req.params.userId) }) : reply({ Success: false, ErrorMessage: 'AssetNotFound' })
+  }],
+  ['PATCH', 'develop', '/v1/assets/:assetId', (req, state) => {
+    const user = requireUser(req)
+    const asset = getAsset(state, req.params.assetId)
+    if (asset.Creator.Id !== user.id) {
+      return error(403, 'You do not have permission to configure this asset.', 2)
+    }
+    asset.Name = req.body.name
+    asset.Description = req.body.description
+    return reply({})
+  }],
+  ['PATCH', 'develop', '/v1/universes/:universeId/configuration', (req, state) => {
+    requireUser(req)
+    const universe = getUniverse(state, req.params.universeId)
+    Object.assign(universe, req.body)
+    return reply({
+      allowPrivateServers: false,
+      privateServerPrice: null,
+      id: universe.id,
+      name: universe.name,
+      universeAvatarType: 'MorphToR15',
+      universeScaleType: 'AllScales',
+      universeAnimationType: 'PlayerChoice',
+      universeCollisionType: 'OuterBox',
+      universeBodyType: 'Standard',
+      universeJointPositioningType: 'ArtistIntent',
+      isArchived: false,
+      isFriendsOnly: false,
+      genre: 'All',
+      playableDevices: ['Computer', 'Phone', 'Tablet'],
+      isForSale: false,
+      price: 0
+    })
+  }],
+  ...['activate', 'deactivate'].map((action) => ['POST', 'develop', `/v1/universes/:universeId/${action}`, (req, state) => {
+    requireUser(req)
+    getUniverse(state, req.params.universeId).isActive = action === 'activate'
+    return reply({})
+  }]),
+
+  // economy
+  ['GET', 'economy', '/v1/groups/:groupId/revenue/summary/:timeFrame', (req, state) => {
+    const user = requireUser(req)
+    const group = state.groups[req.params.groupId]
+    if (!group) {
+      return error(400, 'Group is invalid or does not exist.', 1)
+    }
+    if (group.ownerId !== user.id) {
+      return error(403, 'Insufficient permissions', 5)
+    }
+    return reply({
+      recurringRobuxStipend: 0,
+      itemSaleRobux: 120,
+      purchasedRobux: 0,
+      tradeSystemRobux: 0,
+      pendingRobux: 35,
+      groupPayoutRobux: 0,
+      individualToGroupRobux: 0,
+      premiumPayouts: 0,
+      groupPremiumPayouts: 0,
+      adjustmentRobux: 0
+    })
+  }],
+  ['GET', 'economy', '/v1/assets/:assetId/resale-data', (req, state) => {
+    const asset = getAsset(state, req.params.assetId)
+    return asset.resale ? reply(asset.resale) : error(400, 'The asset is not a collectible.', 2)
+  }],
+  ['GET', 'economy', '/v1/assets/:assetId/resellers', (req, state) => {
+    const asset = getAsset(state, req.params.assetId)
+    return asset.resellers ? page(asset.resellers, req.query) : error(400, 'The asset is not a collectible.', 2)
+  }],
+
+  // friends
+  ['POST', 'friends', '/v1/users/:userId/request-friendship', (req, state) => {
+    const user = requireUser(req)
+    const target = getUser(state, req.params.userId)
+    if (target.id === user.id) {
+      return error(400, 'The user cannot be friends with itself.', 7)
+    }
+    if (!target.friendRequests.includes(user.id)) {
+      target.friendRequests.push(user.id)
+    }
+    return reply({ success: true, isCaptchaRequired: false })
+  }],
+  ['POST', 'friends', '/v1/users/:userId/accept-friend-request', (req, state) => {
+    const user = requireUser(req)
+    const sender = getUser(state, req.params.userId)
+    if (!user.friendRequests.includes(sender.id)) {
+      return error(400, 'The friend request does not exist.', 10)
+    }
+    user.friendRequests = user.friendRequests.filter((id) => id !== sender.id)
+    user.friends.push(sender.id)
+    sender.friends.push(user.id)
+    return reply({})
+  }],
+  ['POST', 'friends', '/v1/users/:userId/decline-friend-request', (req, state) => {
+    const user = requireUser(req)
+    const sender = getUser(state, req.params.userId)
+    user.friendRequests = user.friendRequests.filter((id) => id !== sender.id)
+    return reply({})
+  }],
+  ['POST', 'friends', '/v1/user/friend-requests/decline-all', (req) => {
+    requireUser(req).friendRequests = []
+    return reply({})
+  }],
+  ['GET', 'friends', '/v1/my/friends/requests', (req, state) => {
+    const user = requireUser(req)
+    const requests = user.friendRequests.map((id) => getUser(state, id)).map((sender) => Object.assign(friendUser(sender), {
+      friendRequest: { sentAt: new Date().toISOString(), senderId: sender.id, sourceUniverseId: null, originSourceType: 'UserProfile', contactName: null },
+      mutualFriendsList: []
+    }))
+    return page(requests, req.query)
+  }],
+  ['POST', 'friends', '/v1/users/:userId/unfollow', (req, state) => {
+    const user = requireUser(req)
+    const target = getUser(state, req.params.userId)
+    user.followings = user.followings.filter((id) => id !== target.id)
+    target.followers = target.followers.filter((id) => id !== user.id)
+    return reply({})
+  }],
+
+  // games
+  ['POST', 'apis', '/developer-products/v1/universes/:universeId/developerproducts', (req, state) => {
+    requireUser(req)
+    const universe = getUniverse(state, req.params.universeId)
+    const id = Object.keys(state.developerProducts).length + 1
+    const product = state.developerProducts[id] = {
+      id,
+      name: req.query.name,
+      Description: req.query.description,
+      shopId: universe.id,
+      iconImageAssetId: null,
+      universeId: universe.id,
+      priceInRobux: Number(req.query.priceInRobux),
+      description: req.query.description,
+      productId: 1000000 + id
+    }
+    return reply(product)
+  }],
+  ['POST', 'apis', '/game-passes/v1/game-passes/:gamePassId/details', (req, state) => {
+    requireUser(req)
+    return state.gamePasses[req.params.gamePassId] ? reply({}) : error(404, 'The game pass does not exist.', 1)
+  }],
+  ['GET', 'games', '/v1/games', (req, state) => {
+    const data = String(req.query.universeIds || '').split(',').map((id) => state.games[id]).filter(Boolean).map((universe) => ({
+      id: universe.id,
+      rootPlaceId: universe.rootPlaceId,
+      name: universe.name,
+      description: universe.description,
+      sourceName: universe.name,
+      sourceDescription: universe.description,
+      creator: { id: universe.creator.id, name: universe.creator.name, type: universe.creator.type, isRNVAccount: false, hasVerifiedBadge: false },
+      price: null,
+      allowedGearGenres: ['All'],
+      allowedGearCategories: [],
+      isGenreEnforced: false,
+      copyingAllowed: false,
+      playing: 2,
+      visits: universe.visits,
+      maxPlayers: 20,
+      created: universe.created,
+      updated: universe.updated,
+      studioAccessToApisAllowed: true,
+      createVipServersAllowed: false,
+      universeAvatarType: 'MorphToR15',
+      genre: 'All',
+      isAllGenre: true,
+      isFavoritedByUser: false,
+      favoritedCount: 12
+    }))
+    return reply({ data })
+  }],
+  ['GET', 'games', '/v1/games/multiget-place-details', (req, state) => {
+    const placeIds = [].concat(req.query.placeIds || []).map(Number)
+    return reply(Object.values(state.games).filter((universe) => placeIds.includes(universe.rootPlaceId)).map((universe) => ({
+      placeId: universe.rootPlaceId,
+      name: universe.name,
+      description: universe.description,
+      sourceName: universe.name,
+      sourceDescription: universe.description,
+      url: `https://www.roblox.com/games/${universe.rootPlaceId}`,
+      builder: universe.creator.name,
+      builderId: universe.creator.id,
+      hasVerifiedBadge: false,
+      isPlayable: true,
+      reasonProhibited: 'None',
+      universeId: universe.id,
+      universeRootPlaceId: universe.rootPlaceId,
+      price: 0,
+      imageToken: 'T_' + universe.rootPlaceId + '_mock'
+    })))
+  }],
+  ['GET', 'games', '/v1/games/:placeId/servers/:serverType', (req, state) => {
+    const universe = Object.values(state.games).find((universe) => universe.rootPlaceId === Number(req.params.placeId))
+    return universe ? page(universe.servers, req.query) : error(400, 'The place is invalid.', 1)
+  }],
+  ['GET', 'games', '/v1/games/:universeId/game-passes', (req, state) => {
+    const universe = getUniverse(state, req.params.universeId)
+    return page(Object.values(state.gamePasses).filter((gamePass) => gamePass.universeId === universe.id).map((gamePass) => ({
+      id: gamePass.TargetId,
+      name: gamePass.Name,
+      displayName: gamePass.Name,
+      productId: gamePass.ProductId,
+      price: gamePass.PriceInRobux,
+      sellerName: gamePass.Creator.Name,
+      sellerId: gamePass.Creator.Id,
+      isOwned: false
+    })), req.query)
+  }],
+  ['GET', 'games', '/v1/games/:universeId/social-links/list', (req, state) => reply({ data: getUniverse(state, req.params.universeId).socialLinks })],
+  ['GET', 'games', '/v2/groups/:groupId/games', (req, state) => {
+    const games = Object.values(state.games).filter((universe) => universe.creator.type === 'Group' && universe.creator.id === Number(req.params.groupId))
+    return page(games.map((universe) => ({
+      id: universe.id,
+      name: universe.name,
+      description: universe.description,
+      creator: { id: universe.creator.id, type: universe.creator.type },
+      rootPlace: { id: universe.rootPlaceId, type: 'Place' },
+      created: universe.created,
+      updated: universe.updated,
+      placeVisits: universe.visits
+    })), req.query)
+  }],
+
+  // groups
+  ['GET', 'groups', '/v1/groups/search', (req, state) => {
+    const keyword = String(req.query.keyword || '').toLowerCase()
+    return page(Object.values(state.groups).filter((group) => group.name.toLowerCase().includes(keyword)).map((group) => ({
+      id: group.id,
+      name: group.name,
+      description: group.description,
+      memberCount: Object.keys(group.members).length,
+      previousName: null,
+      publicEntryAllowed: true,
+      created: group.created,
+      updated: group.updated,
+      hasVerifiedBadge: false
+    })), req.query)
+  }],
+  ['GET', 'groups', '/v1/groups/:groupId/social-links', (req, state) => {
+    const group = state.groups[req.params.groupId]
+    return group ? reply({ data: group.socialLinks || [] }) : error(400, 'Group is invalid or does not exist.', 1)
+  }],
+  ['GET', 'groups', '/v1/groups/:groupId/roles/:roleId/permissions', (req, state) => {
+    requireUser(req)
+    const group = state.groups[req.params.groupId]
+    const role = group && group.roles.find((role) => role.id === Number(req.params.roleId))
+    if (!role) {
+      return error(400, 'The roleset is invalid or does not exist.', 2)
+    }
+    const admin = role.rank >= 254
+    return reply({
+      groupId: group.id,
+      role: { id: role.id, name: role.name, rank: role.rank, memberCount: Object.values(group.members).filter((id) => id === role.id).length },
+      permissions: {
+        groupPostsPermissions: { viewWall: true, postToWall: true, deleteFromWall: admin, viewStatus: true, postToStatus: admin },
+        groupMembershipPermissions: { changeRank: admin, inviteMembers: admin, removeMembers: admin },
+        groupManagementPermissions: { manageRelationships: admin, manageClan: admin, viewAuditLogs: admin },
+        groupEconomyPermissions: { spendGroupFunds: admin, advertiseGroup: admin, createItems: admin, manageItems: admin, addGroupPlaces: admin, manageGroupGames: admin, viewGroupPayouts: admin, viewAnalytics: admin }
+      }
+    })
+  }],
+
+  // inventory
+  ['GET', 'inventory', '/v1/users/:userId/items/:itemType/:itemTargetId', (req, state) => {
+    const user = getUser(state, req.params.userId)
+    const id = Number(req.params.itemTargetId)
+    const owned = req.params.itemType === 'Asset' ? user.inventory.some((item) => item.assetId === id) : (user.items[req.params.itemType] || []).includes(id)
+    return reply({ previousPageCursor: null, nextPageCursor: null, data: owned ? [{ type: req.params.itemType, id, name: String(id), instanceId: null }] : [] })
+  }],
+  ['GET', 'inventory', '/v1/users/:userId/assets/collectibles', (req, state) => page(getUser(state, req.params.userId).collectibles, req.query)],
+  ['GET', 'inventory', '/v2/users/:userId/inventory', (req, state) => {
+    const types = String(req.query.assetTypes || '').split(',')
+    return page(getUser(state, req.params.userId).inventory.filter((item) => types.includes(item.assetType)), req.query)
+  }],
+  ['GET', 'inventory', '/v2/users/:userId/inventory/:assetTypeId', (req, state) => {
+    const user = getUser(state, req.params.userId)
+    return page(user.inventory.filter((item) => item.assetTypeId === Number(req.params.assetTypeId)).map((item) => ({
+      assetId: item.assetId,
+      assetName: item.name,
+      userAssetId: item.userAssetId,
+      serialNumber: null,
+      owner: { userId: user.id, username: user.name, buildersClubMembershipType: 0 },
+      created: item.created,
+      updated: item.created
+    })), req.query)
+  }],
+
+  // itemconfiguration
+  ['GET', 'itemconfiguration', '/v1/creations/get-assets', (req, state) => {
+    requireUser(req)
+    const group = state.groups[req.query.groupId]
+    if (!group) {
+      return error(400, 'Group is invalid or does not exist.', 1)
+    }
+    return page(Object.values(state.assets).filter((asset) => asset.Creator.CreatorType === 'Group' && asset.Creator.Id === group.id).map((asset) => ({
+      assetId: asset.AssetId,
+      name: asset.Name,
+      status: 'Free',
+      created: asset.Created,
+      updated: asset.Updated
+    })), req.query)
+  }],
+
+  // premiumfeatures
+  ['GET', 'premiumfeatures', '/v1/users/:userId/validate-membership', (req, state) => reply(!!getUser(state, req.params.userId).premium)],
+
+  // presence
+  ['POST', 'presence', '/v1/presence/users', (req, state) => {
+    return reply({
+      userPresences: (req.body.userIds || []).map((id) => getUser(state, id)).map((user) => ({
+        userPresenceType: 0,
+        lastLocation: 'Website',
+        placeId: null,
+        rootPlaceId: null,
+        gameId: null,
+        universeId: null,
+        userId: user.id,
+        lastOnline: '2024-01-01T00:00:00.000Z'
+      }))
+    })
+  }],
+
+  // privatemessages
+  ['GET', 'privatemessages', '/v1/messages', (req, state) => {
+    const user = requireUser(req)
+    const collection = user.messages.map((message) => Object.assign({}, message, {
+      sender: publicUser(getUser(state, message.senderId)),
+      recipient: publicUser(user)
+    }))
+    return reply({ collection, totalCollectionSize: collection.length, totalPages: 1, pageNumber: Number(req.query.pageNumber) || 0 })
+  }]
+]
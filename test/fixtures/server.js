@@ -0,0 +1,220 @@
+// Includes
+const { testing } = require('../../lib')
+const { routes } = require('./routes.js')
+
+// Define
+// The accounts, groups, assets and games the suites use, as they stand on Roblox. COOKIE signs in as the test bot and
+// COOKIE_2 as its alt.
+const bot = 64679301
+const alt = 857710783
+const player = 55549140
+const created = '2019-03-16T18:25:43.511Z'
+
+exports.env = {
+  COOKIE: '_|WARNING:-DO-NOT-SHARE-THIS.--mock-bot',
+  COOKIE_2: '_|WARNING:-DO-NOT-SHARE-THIS.--mock-alt',
+  API_KEY: 'mock-api-key'
+}
+
+function account (user) {
+  return Object.assign({
+    created,
+    blocked: [],
+    friendRequests: [],
+    inventory: [],
+    items: { GamePass: [], Badge: [], Bundle: [] },
+    collectibles: [],
+    messages: []
+  }, user)
+}
+
+function transaction (id, transactionType, agent, details) {
+  return {
+    id,
+    idHash: 'mock' + id,
+    created,
+    isPending: false,
+    agent,
+    details,
+    currency: { amount: 5, type: 'Robux' },
+    purchaseToken: null,
+    transactionType
+  }
+}
+
+function asset (id, name, creator, fields) {
+  return Object.assign({
+    TargetId: id,
+    ProductType: 'User Product',
+    AssetId: id,
+    ProductId: id + 1000000,
+    Name: name,
+    Description: '',
+    AssetTypeId: 8,
+    Creator: { Id: creator.id, Name: creator.name, CreatorType: creator.type, CreatorTargetId: creator.id, HasVerifiedBadge: false },
+    IconImageAssetId: 0,
+    Created: created,
+    Updated: created,
+    PriceInRobux: 0,
+    Sales: 0,
+    IsNew: false,
+    IsForSale: true,
+    IsPublicDomain: true,
+    IsLimited: false,
+    IsLimitedUnique: false,
+    Remaining: null,
+    MinimumMembershipLevel: 0,
+    ContentRatingTypeId: 0
+  }, fields)
+}
+
+function gamePass (id, name, universeId) {
+  return Object.assign(asset(id, name, { id: bot, name: 'noblox_bot', type: 'User' }, { ProductType: 'Game Pass', AssetTypeId: 0, PriceInRobux: 10 }), { universeId })
+}
+
+function universe (id, rootPlaceId, name, creator, fields) {
+  return Object.assign({
+    id,
+    rootPlaceId,
+    name,
+    description: 'A place to test noblox.js.',
+    creator,
+    visits: 1024,
+    created,
+    updated: created,
+    servers: [],
+    socialLinks: []
+  }, fields)
+}
+
+const botCreator = { id: bot, name: 'noblox_bot', type: 'User' }
+const groupCreator = { id: 9997719, name: 'noblox.js Games', type: 'Group' }
+const socialLinks = [{ id: 1, type: 'Discord', url: 'https://discord.gg/R5GVSyTVGv', title: 'noblox.js' }]
+
+const seed = {
+  users: [
+    account({ id: 1, name: 'Roblox', hasVerifiedBadge: true, created: '2006-02-27T21:06:40.3Z' }),
+    account({
+      id: bot,
+      name: 'noblox_bot',
+      robux: 100,
+      friends: [player],
+      transactions: [transaction(1, 'Purchase', { id: 1, type: 'User', name: 'Roblox' }, { id: 1778181, name: 'Free Model', type: 'Asset' })],
+      items: { GamePass: [], Badge: [459405541], Bundle: [] },
+      messages: [{ id: 1, senderId: 1, subject: 'Welcome to Roblox', body: 'Welcome to Roblox!', created, updated: created, isRead: true, isSystemMessage: true, isReportAbuseDisplayed: false }]
+    }),
+    account({ id: alt, name: 'noblox_alt' }),
+    account({
+      id: player,
+      name: 'suufi',
+      description: 'noblox.js maintainer',
+      usernameHistory: ['suufi_old'],
+      premium: true,
+      friends: [bot],
+      followers: [2416399685],
+      followings: [2416399685],
+      inventory: [
+        { assetId: 1900419889, userAssetId: 1, name: 'Top Hat', assetType: 'Hat', assetTypeId: 8, created },
+        { assetId: 1989194006, userAssetId: 2, name: 'noblox.js T-Shirt', assetType: 'Shirt', assetTypeId: 11, created }
+      ],
+      items: { GamePass: [1537467], Badge: [176332932], Bundle: [79] },
+      collectibles: [{ userAssetId: 3, serialNumber: null, assetId: 20573078, name: 'Shaggy', recentAveragePrice: 1500, originalPrice: null, assetStock: null, buildersClubMembershipType: 0 }]
+    }),
+    account({ id: 2416399685, name: 'noblox_creator' }),
+    account({ id: 4397833, name: 'noblox_blocked' }),
+    account({ id: 3187412077, name: 'noblox_chat' }),
+    account({
+      id: 80231025,
+      name: 'noblox_trader',
+      collectibles: [{ userAssetId: 4, serialNumber: 12, assetId: 1532395, name: 'Sparkle Time Fedora', recentAveragePrice: 900, originalPrice: 100, assetStock: 1000, buildersClubMembershipType: 0 }]
+    })
+  ],
+  groups: [
+    {
+      id: 4591072,
+      name: 'noblox.js',
+      description: 'The group noblox.js is tested in.',
+      ownerId: bot,
+      created,
+      updated: created,
+      roles: [
+        { id: 30820742, name: 'Guest', rank: 0 },
+        { id: 30820744, name: 'Member', rank: 1 },
+        { id: 30820745, name: 'Tester', rank: 2 },
+        { id: 30820746, name: 'Trusted', rank: 3 },
+        { id: 30820747, name: 'Admin', rank: 254 },
+        { id: 30820743, name: 'Owner', rank: 255 }
+      ],
+      members: { [alt]: 30820744, [player]: 30820744 },
+      shout: { body: 'Welcome!', poster: { hasVerifiedBadge: false, userId: bot, username: 'noblox_bot', displayName: 'noblox_bot' }, created, updated: created },
+      wall: [{ id: 1, poster: { user: { hasVerifiedBadge: false, userId: player, username: 'suufi', displayName: 'suufi' }, role: { id: 30820744, name: 'Member', rank: 1 } }, body: 'Hello!', created, updated: created }],
+      auditLog: [{ actor: { user: { hasVerifiedBadge: false, userId: bot, username: 'noblox_bot', displayName: 'noblox_bot' }, role: { id: 30820743, name: 'Owner', rank: 255 } }, actionType: 'Post Shout', description: { Text: 'Welcome!' }, created }],
+      transactions: [transaction(2, 'Sale', { id: player, type: 'User', name: 'suufi' }, { id: 1989194006, name: 'noblox.js T-Shirt', type: 'Asset' })]
+    },
+    { id: 9997719, name: 'noblox.js Games', description: 'Games made to test noblox.js.', ownerId: bot, robux: 250, socialLinks, created, updated: created }
+  ],
+  assets: [
+    asset(1778181, 'Free Model', { id: 1, name: 'Roblox', type: 'User' }, { AssetTypeId: 10 }),
+    asset(1989194006, 'noblox.js T-Shirt', botCreator, { AssetTypeId: 2, PriceInRobux: 5 }),
+    asset(6792044666, 'noblox.js Plugin', { id: 2416399685, name: 'noblox_creator', type: 'User' }, { AssetTypeId: 38 }),
+    asset(1900419889, 'Top Hat', { id: 1, name: 'Roblox', type: 'User' }),
+    asset(20573078, 'Shaggy', { id: 1, name: 'Roblox', type: 'User' }, {
+      IsLimited: true,
+      IsForSale: false,
+      resale: { assetStock: null, sales: 45000, numberRemaining: null, recentAveragePrice: 1500, originalPrice: null, priceDataPoints: [{ value: 1500, date: created }], volumeDataPoints: [{ value: 3, date: created }] },
+      resellers: [{ userAssetId: 3, seller: { hasVerifiedBadge: false, id: player, type: 'User', name: 'suufi' }, price: 1600, serialNumber: null }]
+    }),
+    asset(1989194007, 'noblox.js Group Shirt', { id: 4591072, name: 'noblox.js', type: 'Group' }, { AssetTypeId: 11 })
+  ],
+  gamePasses: [gamePass(2919875, 'VIP', 2615802125), gamePass(13925030, 'Test Pass', 79354837), gamePass(1537467, 'Radio', 66654135)],
+  games: [
+    universe(79354837, 230372810, 'noblox.js Testing', botCreator),
+    universe(2615802125, 7041939546, 'noblox.js Showcase', botCreator, { socialLinks }),
+    universe(2152417643, 6143225785, 'noblox.js Lobby', botCreator),
+    universe(66654135, 142823291, 'Murder Mystery 2', { id: 1848960, name: 'Nikilis', type: 'User' }, {
+      servers: [{ id: 'b4f1e2c6-mock-server', maxPlayers: 12, playing: 2, playerTokens: ['mock-token-1', 'mock-token-2'], players: [], fps: 59.9, ping: 80 }]
+    }),
+    universe(3832121384, 10905034443, 'noblox.js Group Game', groupCreator)
+  ],
+  badges: [
+    { id: 459405541, name: 'Welcome', description: 'Joined the game.', iconImageId: 459405542, universeId: 66654135, awardedCount: 120, created },
+    { id: 176332932, name: 'Veteran', description: 'Played for a year.', iconImageId: 176332933, universeId: 66654135, awardedCount: 45, created }
+  ],
+  outfits: [{ id: 19461896, name: 'Classic', userId: 1, isEditable: false, assets: [], bodyColors: {}, scale: { height: 1, width: 1, head: 1, depth: 1, proportion: 0, bodyType: 0 }, playerAvatarType: 'R15', outfitType: 'Avatar' }],
+  conversations: [{
+    id: 8212952828,
+    title: 'noblox_bot, suufi',
+    participants: [bot, player],
+    messages: [{ id: 'e775e103-876f-4332-84ab-1ea14f326d39', senderType: 'User', sent: created, read: false, messageType: 'PlainText', senderTargetId: player, content: 'Hello!' }],
+    lastUpdated: created
+  }]
+}
+
+const byId = (list) => Object.fromEntries(list.map((item) => [item.id || item.AssetId, item]))
+
+/**
+ * Start a mock server holding the accounts the suites expect, answering the endpoints they call.
+ * @returns {Promise<MockServer>}
+ */
+exports.create = async function () {
+  const server = await testing.createMockServer({
+    seed: false,
+    users: seed.users,
+    groups: seed.groups,
+    sessions: { [exports.env.COOKIE]: bot, [exports.env.COOKIE_2]: alt }
+  })
+  // Copies, so a suite changing them leaves the seed as it was
+  Object.assign(server.state, JSON.parse(JSON.stringify({
+    assets: byId(seed.assets),
+    gamePasses: byId(seed.gamePasses),
+    games: byId(seed.games),
+    badges: byId(seed.badges),
+    outfits: byId(seed.outfits),
+    conversations: byId(seed.conversations),
+    developerProducts: {}
+  })))
+  for (const route of routes) {
+    server.route(...route)
+  }
+  return server
+}
@@ -10,10 +10,9 @@ beforeAll(() => {
 
 describe('Groups Methods', () => {
   it('changeRank() changes rank of a user', () => {
-    return changeRank(4591072, 857710783, 1).then((res) => {
-      setTimeout(async () => {
-        await changeRank(4591072, 857710783, -1)
-      }, 1000)
+    return changeRank(4591072, 857710783, 1).then(async (res) => {
+      // Put the rank back within the test, so no request is left running once the suite is done
+      await changeRank(4591072, 857710783, -1)
       return expect(res).toMatchObject({
         newRole: expect.any(Object),
         oldRole: expect.any(Object)
@@ -293,10 +292,8 @@ describe('Groups Methods', () => {
   })
 
   it('shout() should post a message to the group\'s shout', () => {
-    return shout(4591072, 'This is a noblox.js test!').then((res) => {
-      setTimeout(async () => {
-        await shout(4591072, '')
-      }, 1000)
+    return shout(4591072, 'This is a noblox.js test!').then(async (res) => {
+      await shout(4591072, '')
       return expect(res).toMatchObject({
         body: expect.any(String),
         poster: {
@@ -0,0 +1,25 @@
+// Runs the suites offline when NOBLOX_FIXTURES is "replay": against the responses recorded for the suite if there are
+// any, else against a mock server holding the accounts the suites use. "record" records the live responses.
+const fs = require('fs')
+const path = require('path')
+const { setOptions, testing } = require('../lib')
+const mode = process.env.NOBLOX_FIXTURES
+const suite = path.basename(expect.getState().testPath, '.test.js')
+const file = path.join(__dirname, 'fixtures', suite + '.json')
+
+if (mode === 'record' || (mode === 'replay' && fs.existsSync(file))) {
+  setOptions({ transport: testing.fixtures(file, mode) })
+  if (mode === 'replay') {
+    // The cookie is never recorded, any value signs in against the fixtures
+    process.env.COOKIE = process.env.COOKIE || '_|WARNING:-DO-NOT-SHARE-THIS.--replay'
+  }
+} else if (mode === 'replay') {
+  const mock = require('./fixtures/server.js')
+  let server
+  Object.assign(process.env, mock.env)
+  beforeAll(async () => {
+    server = await mock.create()
+    setOptions({ transport: server.transport })
+  })
+  afterAll(() => server.close())
+}
@@ -65,7 +65,7 @@ describe('Users Methods', () => {
         description: expect.any(String),
         created: expect.any(Date),
         isBanned: expect.any(Boolean),
-        externalAppDisplayName: expect.any(null),
+        externalAppDisplayName: null,
         hasVerifiedBadge: expect.any(Boolean),
         id: expect.any(Number),
         name: expect.any(String),
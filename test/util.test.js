@@ -0,0 +1,952 @@
+const { execFileSync } = require('child_process')
+const { createServer } = require('http')
+const { getEventListeners } = require('events')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const registry = require('../lib/registry.js')
+const stores = require('../lib/cache/stores')
+const { dedupe } = require('../lib/internal/dedupe.js')
+const retry = require('../lib/internal/retry.js')
+const { check } = require('../scripts/registry.js')
+const noblox = require('../lib')
+const { http, scheduler, setOptions, transport, logger, metrics, journal, getUserFunds, getPlayers, getUserInfo, setRank, iterate, paginate, use, testing, createClient, AbortError, PermissionError, RobloxAPIError, ValidationError } = require('../lib')
+
+// Loads noblox.js afresh with a stand-in for the SignalR hub, whose connections are kept so tests can push
+// notifications through them, lose them, and fail to start the next `failures.starts` of them. A client is created with
+// each of `cookies`, here as clients load noblox.js when they are created.
+function mockSignalR (...cookies) {
+  const connections = []
+  const failures = { starts: 0 }
+  class HubConnectionBuilder {
+    withUrl (url, options) {
+      this.cookie = options.headers.Cookie
+      return this
+    }
+
+    configureLogging () { return this }
+    build () {
+      const handlers = {}
+      const connection = {
+        cookie: this.cookie,
+        connectionId: 'connection' + connections.length,
+        on: (name, handler) => { handlers[name] = handler },
+        onclose: (handler) => { handlers.close = handler },
+        notify: (name, message) => handlers.notification(name, JSON.stringify(message)),
+        lose: (error) => handlers.close(error),
+        start: jest.fn(async () => {
+          if (failures.starts > 0) {
+            failures.starts--
+            throw new Error('Unavailable')
+          }
+        }),
+        stop: jest.fn(async () => handlers.close())
+      }
+      connections.push(connection)
+      return connection
+    }
+  }
+  let isolated, clients
+  jest.isolateModules(() => {
+    jest.doMock('@microsoft/signalr', () => ({ HubConnectionBuilder, HttpTransportType: { WebSockets: 1 }, LogLevel: { Critical: 5 } }))
+    isolated = require('../lib')
+    clients = cookies.map((cookie) => isolated.createClient({ cookie }))
+  })
+  return { connections, failures, isolated, clients }
+}
+
+describe('Utility Methods', () => {
+  afterEach(() => {
+    setOptions({ transport: 'request' })
+  })
+
+  it('http() sends requests with a custom transport', async () => {
+    const requests = []
+    setOptions({
+      transport: async (req) => {
+        requests.push(req)
+        return { statusCode: 200, headers: {}, body: { ok: true } }
+      }
+    })
+
+    const res = await http('//users.roblox.com/v1/users/1', { method: 'GET', json: true, resolveWithFullResponse: true })
+    expect(requests[0]).toMatchObject({ url: 'https://users.roblox.com/v1/users/1', method: 'GET', json: true })
+    return expect(res).toMatchObject({ statusCode: 200, body: { ok: true } })
+  })
+
+  it('http() retries rate limited requests', async () => {
+    let calls = 0
+    setOptions({
+      transport: async () => {
+        calls++
+        return calls === 1
+          ? { statusCode: 429, headers: { 'retry-after': '0' }, body: '' }
+          : { statusCode: 200, headers: {}, body: 'done' }
+      }
+    })
+
+    const body = await http('//groups.roblox.com/v1/groups/1', { method: 'POST' })
+    expect(calls).toBe(2)
+    return expect(body).toBe('done')
+  })
+
+  it('rate limited requests wait out a Retry-After longer than the backoff ceiling, up to maxRetryAfter', () => {
+    const limited = (seconds) => ({ statusCode: 429, headers: { 'retry-after': String(seconds) } })
+    expect(retry.getDelay('//groups.roblox.com/v1/groups/1', 'POST', limited(90), 0)).toBe(90000)
+    expect(retry.getDelay('//groups.roblox.com/v1/groups/1', 'POST', limited(600), 0)).toBe(-1)
+    try {
+      setOptions({ retry: { maxRetryAfter: 600000 } })
+      return expect(retry.getDelay('//groups.roblox.com/v1/groups/1', 'POST', limited(600), 0)).toBe(600000)
+    } finally {
+      setOptions({ retry: { maxRetryAfter: 120000 } })
+    }
+  })
+
+  it('http() does not repeat POST requests on server errors', async () => {
+    let calls = 0
+    setOptions({
+      transport: async () => {
+        calls++
+        return { statusCode: 503, headers: {}, body: '' }
+      }
+    })
+
+    const res = await http('//economy.roblox.com/v1/groups/1/payouts', { method: 'POST', resolveWithFullResponse: true })
+    expect(calls).toBe(1)
+    return expect(res.statusCode).toBe(503)
+  })
+
+  it('scheduler starts waiting jobs by priority', async () => {
+    const order = []
+    const budget = { requests: 1, window: 50 }
+    const job = (name) => async () => order.push(name)
+
+    await Promise.all([
+      scheduler.schedule({ key: 'test', budget }, job('first')),
+      scheduler.schedule({ key: 'test', budget, priority: 'low' }, job('low')),
+      scheduler.schedule({ key: 'test', budget, priority: 'high' }, job('high'))
+    ])
+    expect(order).toEqual(['first', 'high', 'low'])
+    return expect(scheduler.stats().find((bucket) => bucket.key === 'test')).toMatchObject({ depth: 0, started: 3 })
+  })
+
+  it('transport.fetch sends query strings, json and forms', async () => {
+    const server = createServer((req, res) => {
+      let body = ''
+      req.on('data', (chunk) => { body += chunk })
+      req.on('end', () => {
+        res.setHeader('content-type', 'application/json')
+        res.end(JSON.stringify({ method: req.method, url: req.url, type: req.headers['content-type'], body }))
+      })
+    })
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+    const url = `http://127.0.0.1:${server.address().port}/path`
+
+    try {
+      const get = await transport.fetch({ url, method: 'GET', qs: { limit: 10 }, json: true })
+      expect(get).toMatchObject({ statusCode: 200, body: { method: 'GET', url: '/path?limit=10' } })
+
+      const json = await transport.fetch({ url, method: 'POST', json: true, body: { a: 1 } })
+      expect(json.body).toMatchObject({ type: 'application/json', body: '{"a":1}' })
+
+      const form = await transport.fetch({ url, method: 'POST', form: { a: 'b c' } })
+      return expect(JSON.parse(form.body)).toMatchObject({ type: 'application/x-www-form-urlencoded', body: 'a=b+c' })
+    } finally {
+      server.close()
+    }
+  })
+
+  it('functions reject with typed Roblox API errors', async () => {
+    setOptions({
+      transport: async () => ({
+        statusCode: 403,
+        headers: { 'roblox-request-id': 'abc' },
+        body: JSON.stringify({ errors: [{ code: 4, message: 'Insufficient permissions' }] })
+      })
+    })
+
+    const err = await getUserFunds(1).catch((err) => err)
+    expect(err).toBeInstanceOf(PermissionError)
+    expect(err).toBeInstanceOf(RobloxAPIError)
+    return expect(err).toMatchObject({ statusCode: 403, code: 4, requestId: 'abc', endpoint: 'GET https://economy.roblox.com/v1/users/1/currency' })
+  })
+
+  it('getAuthenticatedUser() passes aborts and transport errors on as they are', async () => {
+    const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })
+    const controller = new AbortController()
+    setOptions({
+      retry: { enabled: false },
+      transport: async () => {
+        if (!controller.signal.aborted && !reset.thrown) {
+          reset.thrown = true
+          throw reset
+        }
+        // Aborted while the request is out
+        controller.abort()
+        return new Promise(() => {})
+      }
+    })
+    try {
+      await expect(noblox.getAuthenticatedUser({ jar: { session: 'signed in' } })).rejects.toBe(reset)
+      return await expect(noblox.getAuthenticatedUser({ jar: { session: 'signed in' }, signal: controller.signal })).rejects.toBeInstanceOf(AbortError)
+    } finally {
+      setOptions({ retry: { enabled: true } })
+    }
+  })
+
+  it('functions reject missing arguments with a ValidationError', () => {
+    return expect(getUserFunds()).rejects.toThrow(ValidationError)
+  })
+
+  it('functions check their arguments against their schema before sending requests', async () => {
+    await expect(setRank(1, 'abc', 300)).rejects.toThrow(expect.objectContaining({ name: 'ValidationError', argument: 'target' }))
+    await expect(setRank({ group: 1, target: 2, rank: -1 })).rejects.toThrow('Argument "rank" must be one of: integer, string, object, with numbers of at least 0, got -1')
+    await expect(setRank(0, 2, 1)).rejects.toThrow('Argument "group" must be an id of at least 1, got 0')
+    await expect(getPlayers({ group: 1, rolesetId: 2, sortOrder: 'Up' })).rejects.toThrow(expect.objectContaining({ argument: 'sortOrder' }))
+    return expect(() => iterate.getPlayers({ group: 1, rolesetId: 2, sortOrder: 'Up' })).toThrow(ValidationError)
+  })
+
+  it('dry runs resolve with the requests mutating calls would send, sending only what reads', async () => {
+    const sent = []
+    setOptions({
+      transport: async (req) => {
+        sent.push(req.method + ' ' + req.url)
+        return { statusCode: 403, headers: { 'x-csrf-token': 'token' }, body: '{}' }
+      }
+    })
+    const role = { id: 6, name: 'Admin', rank: 200 }
+
+    const plan = await setRank({ group: 1, target: 2, rank: role, jar: { session: 'dry run' }, dryRun: true })
+    expect(sent).toEqual(['POST https://auth.roblox.com/v2/logout'])
+    return expect(plan).toEqual({
+      dryRun: true,
+      requests: [{ method: 'PATCH', url: 'https://groups.roblox.com/v1/groups/1/users/2', body: { roleId: 6 } }],
+      result: role
+    })
+  })
+
+  it('dry runs hold back the writes of trades and game passes, resolving with them', async () => {
+    const sent = []
+    setOptions({
+      transport: async (req) => {
+        sent.push(req.method + ' ' + req.url)
+        // Reads are answered as for a signed in account, and token requests with a token
+        const reads = {
+          '/v1/users/authenticated': { id: 5, name: 'bot', displayName: 'bot' },
+          '/validate-membership': false,
+          '/currency': { robux: 0 },
+          '/avatar': { data: [{ targetId: 5, state: 'Completed', imageUrl: 'https://tr.rbxcdn.com/5' }] }
+        }
+        const path = Object.keys(reads).find((path) => new URL(req.url).pathname.endsWith(path))
+        if ((req.method || 'GET') === 'GET' && path) {
+          return { statusCode: 200, headers: {}, body: req.json ? reads[path] : JSON.stringify(reads[path]) }
+        }
+        return { statusCode: 403, headers: { 'x-csrf-token': 'token' }, body: '{}' }
+      }
+    })
+    const jar = { session: 'dry run' }
+    const offer = { userAssetIds: [1] }
+
+    const trade = await noblox.sendTrade({ targetUserId: 2, sendingOffer: offer, receivingOffer: { userAssetIds: [3] }, jar, dryRun: true })
+    expect(trade.requests).toEqual([{
+      method: 'POST',
+      url: 'https://trades.roblox.com/v1/trades/send',
+      body: { offers: [{ userId: 2, userAssetIds: [3], robux: 0 }, { userId: 5, userAssetIds: [1], robux: 0 }] }
+    }])
+    const gamePass = await noblox.configureGamePass({ gamePassId: 7, name: 'VIP', price: 10, jar, dryRun: true })
+    expect(gamePass.requests.map((request) => request.method + ' ' + request.url)).toEqual([
+      'POST https://apis.roblox.com/game-passes/v1/game-passes/7/details',
+      'POST https://apis.roblox.com/game-passes/v1/game-passes/7/details'
+    ])
+    expect(gamePass.result).toMatchObject({ gamePassId: 7, name: 'VIP', price: 10, isForSale: true })
+    return expect(sent.every((request) => !request.includes('trades.roblox.com') && !request.includes('game-passes'))).toBe(true)
+  })
+
+  it('the journal records mutating calls in a hash chain that verify() checks', async () => {
+    const file = path.join(os.tmpdir(), `noblox-journal-${process.pid}.jsonl`)
+    setOptions({
+      journal: { enabled: true, path: file, actor: 'rank-bot' },
+      transport: async (req) => ({ statusCode: req.url.includes('/users/3') ? 400 : 200, headers: { 'x-csrf-token': 'token' }, body: '{}' })
+    })
+    const role = { id: 6, name: 'Admin', rank: 200 }
+    try {
+      await setRank({ group: 1, target: 2, rank: role, jar: { session: 'journal' }, actor: 'Staff member' })
+      await expect(setRank({ group: 1, target: 3, rank: role, jar: { session: 'journal' } })).rejects.toThrow()
+      await getUserFunds({ userId: 2, jar: { session: 'journal' } }).catch(() => {})
+
+      const [entry] = await journal.query({ function: ['setRank', 'exile'], args: { target: '2' } })
+      expect(entry).toMatchObject({ actor: 'Staff member', function: 'setRank', args: { group: 1, target: 2, rank: role }, result: role, prev: null })
+      expect(entry.args.jar).toBeUndefined()
+      expect(await journal.query({ actor: 'rank-bot', failed: true })).toHaveLength(1)
+      expect(await journal.verify(file)).toEqual({ valid: true, entries: 2 })
+
+      const lines = fs.readFileSync(file, 'utf8').split('\n')
+      lines[0] = lines[0].replace('"target":2', '"target":4')
+      fs.writeFileSync(file, lines.join('\n'))
+      return expect(await journal.verify(file)).toMatchObject({ valid: false, line: 1 })
+    } finally {
+      setOptions({ journal: { enabled: false, path: 'noblox-journal.jsonl', actor: '' } })
+      fs.rmSync(file, { force: true })
+    }
+  })
+
+  it('the journal recovers from a cut off line and reports entries it could not write', async () => {
+    const file = path.join(os.tmpdir(), `noblox-journal-partial-${process.pid}.jsonl`)
+    const role = { id: 6, name: 'Admin', rank: 200 }
+    const failures = []
+    const onError = (err) => failures.push(err)
+    journal.on('error', onError)
+    setOptions({
+      journal: { enabled: true, path: file },
+      transport: async () => ({ statusCode: 200, headers: { 'x-csrf-token': 'token' }, body: '{}' })
+    })
+    try {
+      // Written under another path, so the journal is read afresh as after a restart
+      setOptions({ journal: { path: file + '.before' } })
+      await setRank({ group: 1, target: 2, rank: role, jar: { session: 'journal' } })
+      fs.writeFileSync(file, fs.readFileSync(file + '.before', 'utf8') + '{"time":"2024-01-01T00:')
+      setOptions({ journal: { path: file } })
+      await setRank({ group: 1, target: 3, rank: role, jar: { session: 'journal' } })
+      expect(await journal.verify(file)).toEqual({ valid: true, entries: 2 })
+
+      setOptions({ journal: { path: os.tmpdir(), strict: true } })
+      await expect(setRank({ group: 1, target: 4, rank: role, jar: { session: 'journal' } })).rejects.toThrow()
+      setOptions({ journal: { path: file } })
+      await setRank({ group: 1, target: 5, rank: role, jar: { session: 'journal' } })
+      expect(failures).toHaveLength(1)
+      return expect(await journal.verify(file)).toEqual({ valid: true, entries: 3 })
+    } finally {
+      journal.off('error', onError)
+      setOptions({ journal: { enabled: false, path: 'noblox-journal.jsonl', strict: false } })
+      fs.rmSync(file, { force: true })
+      fs.rmSync(file + '.before', { force: true })
+    }
+  })
+
+  it('events pick up from their checkpoint after a restart, backfilling at most maxBackfill items', async () => {
+    const saved = new Map()
+    const store = { get: (key) => saved.get(key), set: async (key, value) => saved.set(key, value), delete: (key) => saved.delete(key) }
+    let ids = [2, 1]
+    setOptions({
+      event: { checkpoints: { store, maxBackfill: 2 } },
+      transport: async () => ({ statusCode: 200, headers: {}, body: JSON.stringify({ data: ids.map((id) => ({ id, created: '2024-01-01T00:00:00Z' })) }) })
+    })
+    const listen = async function () {
+      const posts = []
+      const event = noblox.onWallPost({ group: 1 })
+      event.on('data', (post) => posts.push(post.id))
+      await new Promise((resolve) => event.on('connect', resolve))
+      event.emit('close')
+      return posts
+    }
+    try {
+      expect(await listen()).toEqual([])
+      expect(saved.get('checkpoint:onWallPost:1')).toBe(2)
+
+      ids = [5, 4, 3, 2, 1]
+      expect(await listen()).toEqual([4, 5])
+      return expect(saved.get('checkpoint:onWallPost:1')).toBe(5)
+    } finally {
+      setOptions({ event: { checkpoints: { store: null, maxBackfill: 100 } } })
+    }
+  })
+
+  it('onAuditLog emits every entry once, whatever its millisecond or order', async () => {
+    const entry = (target, created) => ({ actor: { user: { userId: 1 } }, actionType: 'Change Rank', description: { TargetId: target }, created })
+    const pages = [
+      [entry(1, '2024-01-01T00:00:00.100Z')],
+      [entry(3, '2024-01-01T00:00:05.200Z'), entry(2, '2024-01-01T00:00:05.300Z'), entry(1, '2024-01-01T00:00:00.100Z')],
+      [entry(2, '2024-01-01T00:00:05.900Z'), entry(3, '2024-01-01T00:00:05.400Z'), entry(1, '2024-01-01T00:00:00.700Z')],
+      [entry(4, '2024-01-01T00:00:09.000Z'), entry(2, '2024-01-01T00:00:05.300Z'), entry(3, '2024-01-01T00:00:05.200Z'), entry(1, '2024-01-01T00:00:00.100Z')]
+    ]
+    let polls = 0
+    setOptions({
+      event: { onAuditLog: 1 },
+      transport: async () => ({ statusCode: 200, headers: {}, body: JSON.stringify({ data: pages[Math.min(polls++, pages.length - 1)] }) })
+    })
+    const targets = []
+    const event = noblox.onAuditLog({ group: 1 })
+    await new Promise((resolve) => event.on('data', function (data) {
+      targets.push(data.description.TargetId)
+      if (data.description.TargetId === 4) {
+        resolve()
+      }
+    }))
+    event.emit('close')
+    setOptions({ event: { onAuditLog: 10000 } })
+    return expect(targets).toEqual([2, 3, 4])
+  })
+
+  it('entries are picked by their date when resuming from a checkpoint saved as one, whether it is a Date or a string', () => {
+    const since = new Date('2024-01-01T00:00:05.000Z')
+    const entry = (id, created) => ({ id, created })
+    const items = [entry(3, '2024-01-01T00:00:09.000Z'), entry(2, new Date('2024-01-01T00:00:06.000Z')), entry(1, '2024-01-01T00:00:01.000Z')]
+    return expect(dedupe(items, since, (item) => item.id).data.map((item) => item.id)).toEqual([2, 3])
+  })
+
+  it('notification events of an account share one connection, stopped once the last of them closes', async () => {
+    const { connections, isolated } = mockSignalR()
+    const jar = { session: 'notifications' }
+    const invites = []
+    const conversations = []
+    const partyInvites = isolated.onPartyInvite({ jar })
+    const messages = isolated.onNewMessage({ jar })
+    partyInvites.on('data', (invite) => invites.push(invite.PartyId))
+    messages.on('data', (conversation) => conversations.push(conversation))
+    await new Promise((resolve) => messages.on('connect', resolve))
+    expect(connections).toHaveLength(1)
+
+    const [connection] = connections
+    connection.notify('PartyNotifications', { Type: 'InvitedToParty', PartyId: 7 })
+    connection.notify('ChatNotifications', { Type: 'NewMessage', ConversationId: 8 })
+    expect([invites, conversations]).toEqual([[7], [8]])
+
+    partyInvites.emit('close')
+    expect(connection.stop).not.toHaveBeenCalled()
+    messages.emit('close')
+    return expect(connection.stop).toHaveBeenCalledTimes(1)
+  })
+
+  it('onNotification reconnects lost connections with backoff and the current cookie, reporting every state', async () => {
+    const { connections, failures, isolated } = mockSignalR()
+    isolated.setOptions({ event: { notifications: { reconnectDelay: 1, maxReconnectDelay: 4 } } })
+    const jar = { session: 'first' }
+    const states = []
+    const notifications = isolated.onNotification({ jar })
+    notifications.on('state', (state) => states.push(state))
+    notifications.on('error', () => {})
+    await new Promise((resolve) => notifications.on('connect', resolve))
+    expect(connections[0].serverTimeoutInMilliseconds).toBe(60000)
+
+    // More failed attempts than settings.event.maxRetries, with a cookie rotated in the meantime
+    jar.session = 'rotated'
+    failures.starts = 8
+    connections[0].lose(new Error('Server timeout elapsed without receiving a message from the server.'))
+    expect(notifications.state).toBe('reconnecting')
+    await new Promise((resolve) => notifications.on('reconnected', resolve))
+    expect(connections).toHaveLength(10)
+    expect(connections[9].cookie).toBe('.ROBLOSECURITY=rotated;')
+
+    notifications.emit('close')
+    expect(notifications.state).toBe('disconnected')
+    return expect(states).toEqual(['connected', 'reconnecting', 'connected', 'disconnected'])
+  })
+
+  it('onNotification reports a failed connection only to the events listening for errors, and keeps reconnecting', async () => {
+    const { connections, failures, isolated } = mockSignalR()
+    isolated.setOptions({ event: { notifications: { reconnectDelay: 1, maxReconnectDelay: 4 } } })
+    const jar = { session: 'unavailable' }
+    const errors = []
+    failures.starts = 1
+    const listening = isolated.onNotification({ jar })
+    const quiet = isolated.onNotification({ jar })
+    listening.on('error', (err) => errors.push(err.message))
+    await new Promise((resolve) => quiet.on('connect', resolve))
+    expect(errors).toEqual(['Failed to start connection: Unavailable'])
+    expect(connections).toHaveLength(2)
+
+    listening.emit('close')
+    quiet.emit('close')
+    return expect(connections[1].stop).toHaveBeenCalledTimes(1)
+  })
+
+  it('onNotification replaces the connection of an account whose cookie was rotated instead of opening another', async () => {
+    const { connections, isolated } = mockSignalR()
+    const jar = { session: 'before' }
+    const first = isolated.onNotification({ jar })
+    await new Promise((resolve) => first.on('connect', resolve))
+
+    jar.session = 'after'
+    const second = isolated.onNotification({ jar })
+    await new Promise((resolve) => first.on('reconnected', resolve))
+    expect(connections).toHaveLength(2)
+    expect(connections[0].stop).toHaveBeenCalledTimes(1)
+    expect(connections[1].cookie).toBe('.ROBLOSECURITY=after;')
+
+    first.emit('close')
+    second.emit('close')
+    return expect(connections[1].stop).toHaveBeenCalledTimes(1)
+  })
+
+  it('onNotification keeps the connections of clients signed in with different cookies apart', async () => {
+    const { connections, clients: [bot, alt] } = mockSignalR('bot', 'alt')
+    const first = bot.onNotification()
+    await new Promise((resolve) => first.on('connect', resolve))
+    const second = alt.onNotification()
+    await new Promise((resolve) => second.on('connect', resolve))
+    expect(connections.map((connection) => connection.cookie)).toEqual(['.ROBLOSECURITY=bot;', '.ROBLOSECURITY=alt;'])
+    expect(connections[0].stop).not.toHaveBeenCalled()
+
+    first.emit('close')
+    second.emit('close')
+    return expect(connections[1].stop).toHaveBeenCalledTimes(1)
+  })
+
+  it('adaptive polling speeds up after activity, backs off during silence and slows down when rate limited', async () => {
+    jest.useFakeTimers()
+    const started = Date.now()
+    const polls = []
+    const responses = [[1], [1], [1], [2, 1], 429, [2, 1]]
+    setOptions({
+      retry: { enabled: false },
+      event: { onWallPost: 1000, adaptive: { enabled: true, minDelay: 500, maxDelay: 4000 } },
+      transport: async () => {
+        polls.push(Date.now() - started)
+        const response = responses[Math.min(polls.length - 1, responses.length - 1)]
+        return response === 429
+          ? { statusCode: 429, headers: {}, body: '{}' }
+          : { statusCode: 200, headers: {}, body: JSON.stringify({ data: response.map((id) => ({ id, created: '2024-01-01T00:00:00Z' })) }) }
+      }
+    })
+    const event = noblox.onWallPost({ group: 1 })
+    event.on('error', () => {})
+    try {
+      await jest.advanceTimersByTimeAsync(9000)
+      // Quiet polls grow the delay from 1000 ms by half, new posts halve it, and the rate limited poll doubles it
+      return expect(polls).toEqual([0, 1000, 2500, 4750, 5875, 8125])
+    } finally {
+      event.emit('close')
+      jest.useRealTimers()
+      setOptions({ retry: { enabled: true }, event: { onWallPost: 10000, adaptive: { enabled: false, minDelay: 2000, maxDelay: 120000 } } })
+    }
+  })
+
+  it('events can be filtered, mapped, taken from, waited for and iterated with for await', async () => {
+    let polls = 0
+    setOptions({
+      event: { onWallPost: 1 },
+      transport: async () => {
+        polls++
+        const ids = Array.from({ length: polls }, (_, i) => polls - i)
+        return { statusCode: 200, headers: {}, body: JSON.stringify({ data: ids.map((id) => ({ id, created: '2024-01-01T00:00:00Z' })) }) }
+      }
+    })
+    try {
+      const event = noblox.onWallPost({ group: 1 })
+      const closed = new Promise((resolve) => event.on('close', resolve))
+      const ids = []
+      for await (const id of event.filter((post) => post.id % 2 === 0).map((post) => post.id).take(3)) {
+        ids.push(id)
+      }
+      expect(ids).toEqual([2, 4, 6])
+      await closed
+
+      // Taking nothing closes the event without waiting for data
+      const none = noblox.onWallPost({ group: 1 })
+      const noneClosed = new Promise((resolve) => none.on('close', resolve))
+      for await (const post of none.take(0)) {
+        ids.push(post.id)
+      }
+      expect(ids).toEqual([2, 4, 6])
+      await noneClosed
+
+      const other = noblox.onWallPost({ group: 1 })
+      expect((await other.waitFor((post) => post.id % 5 === 0)).id % 5).toBe(0)
+      await expect(other.waitFor(() => false, 10)).rejects.toThrow(AbortError)
+      const waiting = other.waitFor(() => false)
+      // Leaving the loop closes the event, which rejects what still waits on it
+      for await (const post of other) {
+        if (post.id > 0) {
+          break
+        }
+      }
+      return expect(waiting).rejects.toThrow(AbortError)
+    } finally {
+      setOptions({ event: { onWallPost: 10000 } })
+    }
+  })
+
+  it('events iterated with for await survive failed polls and throw the error they stop with', async () => {
+    let polls = 0
+    let failing = false
+    setOptions({
+      retry: { enabled: false },
+      event: { onWallPost: 1 },
+      transport: async () => {
+        polls++
+        if (failing || polls === 2) {
+          return { statusCode: 500, headers: {}, body: '{}' }
+        }
+        return { statusCode: 200, headers: {}, body: JSON.stringify({ data: [{ id: polls, created: '2024-01-01T00:00:00Z' }] }) }
+      }
+    })
+    const ids = []
+    try {
+      for await (const id of noblox.onWallPost({ group: 1 }).map((post) => post.id)) {
+        ids.push(id)
+        failing = true
+      }
+      throw new Error('The loop ended without an error')
+    } catch (err) {
+      // The second poll failed, the third one got a post
+      expect(ids).toEqual([3])
+      expect(err.cause).toBeInstanceOf(RobloxAPIError)
+      return expect(err.message).toBe('Max retries reached')
+    } finally {
+      setOptions({ retry: { enabled: true }, event: { onWallPost: 10000 } })
+    }
+  })
+
+  it('shutdown() closes open events of its client and rejects requests still queued once its timeout runs out', async () => {
+    setOptions({
+      event: { onWallPost: 1 },
+      transport: async () => ({ statusCode: 200, headers: {}, body: JSON.stringify({ data: [] }) })
+    })
+    const closed = []
+    const listen = (event, name) => {
+      event.on('close', () => closed.push(name))
+      return new Promise((resolve) => event.on('connect', resolve))
+    }
+    const client = createClient()
+    await Promise.all([listen(noblox.onWallPost({ group: 1 }), 'default'), listen(client.onWallPost({ group: 2 }), 'client')])
+    const budget = { requests: 1, window: 60000 }
+    const sent = scheduler.schedule({ key: 'shutdown', budget }, async () => 'sent')
+    const queued = scheduler.schedule({ key: 'shutdown', budget }, async () => 'sent')
+    try {
+      await client.shutdown(10)
+      expect(closed).toEqual(['client'])
+
+      await noblox.shutdown(10)
+      expect(closed).toEqual(['client', 'default'])
+      await expect(sent).resolves.toBe('sent')
+      return expect(queued).rejects.toThrow(AbortError)
+    } finally {
+      setOptions({ event: { onWallPost: 10000 } })
+    }
+  })
+
+  it('shutdown() closes the connections the fetch transport keeps alive, which fetch opens again when needed', () => {
+    // In a process of its own, as the connections are kept by the global of Node itself rather than that of the test
+    const script = `
+      const { createServer } = require('http')
+      const noblox = require(${JSON.stringify(path.join(__dirname, '..', 'lib'))})
+      const server = createServer((req, res) => res.end('{}'))
+      server.keepAliveTimeout = 60000
+      const open = () => new Promise((resolve) => server.getConnections((err, count) => resolve(err ? -1 : count)))
+      server.listen(0, '127.0.0.1', async () => {
+        const url = 'http://127.0.0.1:' + server.address().port + '/'
+        await noblox.transport.fetch({ url, method: 'GET' })
+        const before = await open()
+        await noblox.shutdown(10)
+        await new Promise((resolve) => setTimeout(resolve, 50))
+        const after = await open()
+        const again = (await noblox.transport.fetch({ url, method: 'GET' })).statusCode
+        await noblox.shutdown(10)
+        server.close()
+        console.log(JSON.stringify({ before, after, again }))
+      })
+    `
+    const output = execFileSync(process.execPath, ['-e', script], { encoding: 'utf8', timeout: 10000 })
+    return expect(JSON.parse(output)).toEqual({ before: 1, after: 0, again: 200 })
+  })
+
+  it('paginate() yields results page by page and resumes from a cursor', async () => {
+    const pages = {
+      '': { data: [{ userId: 1 }, { userId: 2 }], nextPageCursor: 'second' },
+      second: { data: [{ userId: 3 }], nextPageCursor: null }
+    }
+    const cursors = []
+    const limits = []
+    setOptions({
+      transport: async (req) => {
+        const cursor = new URL(req.url).searchParams.get('cursor')
+        cursors.push(cursor)
+        limits.push(new URL(req.url).searchParams.get('limit'))
+        return { statusCode: 200, headers: {}, body: JSON.stringify(pages[cursor]) }
+      }
+    })
+
+    const players = paginate(getPlayers, { group: 1, rolesetId: 2 })
+    const seen = []
+    for await (const player of players) {
+      seen.push([player.userId, players.cursor])
+    }
+    expect(seen).toEqual([[1, ''], [2, ''], [3, 'second']])
+    expect(players.done).toBe(true)
+
+    const resumed = []
+    for await (const player of iterate.getPlayers(1, 2, 'Asc', undefined, 'second')) {
+      resumed.push(player.userId)
+    }
+    expect(resumed).toEqual([3])
+    expect(limits).toEqual(['100', '100', '100'])
+    return expect(cursors).toEqual(['', 'second', 'second'])
+  })
+
+  it('logger sends redacted entries to the configured sink', async () => {
+    const entries = []
+    setOptions({
+      logging: { enabled: true, level: 'DEBUG', sink: (entry) => entries.push(entry), functions: { getUserFunds: false } },
+      transport: async () => ({ statusCode: 200, headers: {}, body: '{"robux":5}' })
+    })
+
+    try {
+      logger.info('Signed in', { headers: { Cookie: '.ROBLOSECURITY=secret; other=1', 'x-api-key': 'key' } })
+      await http('//users.roblox.com/v1/users/1', { method: 'GET' })
+      await getUserFunds(1)
+    } finally {
+      setOptions({ logging: { enabled: false, level: 'INFO', sink: 'console', functions: { getUserFunds: true } } })
+    }
+
+    expect(entries[0]).toMatchObject({ level: 'INFO', message: 'Signed in', headers: { Cookie: '[REDACTED]', 'x-api-key': '[REDACTED]' } })
+    expect(entries[1]).toMatchObject({ level: 'DEBUG', function: 'http', method: 'GET', statusCode: 200 })
+    expect(logger.redact('a .ROBLOSECURITY=_|WARNING:-DO-NOT-SHARE-THIS.--abc|_123; b')).toBe('a .ROBLOSECURITY=[REDACTED]; b')
+    return expect(entries.length).toBe(2)
+  })
+
+  it('logger calls logger sinks with the fields and message in the order of sinkStyle', () => {
+    const calls = []
+    const sink = { info: (...args) => calls.push(['info', ...args]), warn: (...args) => calls.push(['warn', ...args]) }
+    try {
+      setOptions({ logging: { enabled: true, sink } })
+      logger.info('pino', { groupId: 1 })
+      setOptions({ logging: { sinkStyle: 'winston' } })
+      logger.warn('winston', { groupId: 2 })
+    } finally {
+      setOptions({ logging: { enabled: false, sink: 'console', sinkStyle: 'pino' } })
+    }
+
+    expect(calls[0]).toEqual(['info', expect.objectContaining({ level: 'INFO', groupId: 1 }), 'pino'])
+    return expect(calls[1]).toEqual(['warn', 'winston', expect.objectContaining({ level: 'WARN', groupId: 2 })])
+  })
+
+  it('use() hooks can change requests and short-circuit them', async () => {
+    let sent = 0
+    setOptions({
+      transport: async (req) => {
+        sent++
+        return { statusCode: 200, headers: {}, body: req.headers['x-trace-id'] }
+      }
+    })
+    const remove = use({
+      onRequest: async (request) => {
+        if (request.url.endsWith('/cached')) {
+          return { body: 'from cache' }
+        }
+        request.headers['x-trace-id'] = 'trace'
+      },
+      onResponse: (response, request, context) => {
+        response.headers['x-function'] = context.name
+      }
+    })
+
+    try {
+      const traced = await http('//users.roblox.com/v1/users/1', { method: 'GET', resolveWithFullResponse: true })
+      expect(traced).toMatchObject({ body: 'trace', headers: { 'x-function': 'http' } })
+      expect(await http('//users.roblox.com/cached')).toBe('from cache')
+    } finally {
+      remove()
+    }
+
+    expect(sent).toBe(1)
+    return expect(await http('//users.roblox.com/v1/users/1')).toBeUndefined()
+  })
+
+  it('testing.createMockServer() emulates groups offline', async () => {
+    const server = await testing.createMockServer()
+    const bot = createClient({ cookie: 'mock-cookie', transport: server.transport })
+
+    try {
+      await bot.setRank(1, 3, 100)
+      expect(await bot.getRankInGroup(1, 3)).toBe(100)
+      expect(await bot.getGroupFunds(1)).toBe(500)
+      await expect(bot.getUserFunds(1)).rejects.toBeInstanceOf(PermissionError)
+    } finally {
+      await server.close()
+    }
+    return expect(server.state.groups[1].members[3]).toBe(3)
+  })
+
+  it('testing.record() fixtures can be replayed', async () => {
+    const server = await testing.createMockServer()
+    const file = path.join(os.tmpdir(), `noblox-fixture-${process.pid}.json`)
+
+    try {
+      setOptions({ transport: testing.record(file, server.transport) })
+      const recorded = await http('//users.roblox.com/v1/users/1', { json: true })
+      setOptions({ transport: testing.replay(file) })
+      expect(await http('//users.roblox.com/v1/users/1', { json: true })).toEqual(recorded)
+      await expect(http('//users.roblox.com/v1/users/2')).rejects.toThrow('No recorded response')
+    } finally {
+      fs.rmSync(file, { force: true })
+      await server.close()
+    }
+    return expect(server.requests.length).toBe(1)
+  })
+
+  it('testing.record() keeps bodies whole, redacting only credentials', async () => {
+    const file = path.join(os.tmpdir(), `noblox-fixture-${process.pid}-redacted.json`)
+    const body = { session: { id: 7 }, cookie: 'accepted', nested: { a: { b: { c: { d: { e: { f: 1 } } } } } }, apiKey: 'key' }
+    const send = async () => ({ statusCode: 200, headers: { 'x-api-key': 'key', 'content-type': 'application/json' }, body })
+
+    try {
+      setOptions({ transport: testing.record(file, send) })
+      await http('//apis.roblox.com/v1/thing', { method: 'POST', json: { password: 'hunter2', note: '.ROBLOSECURITY=_|WARNING:-DO-NOT-SHARE-THIS.--abc' } })
+      const [entry] = JSON.parse(fs.readFileSync(file, 'utf8'))
+      expect(entry.request.body).toEqual({ password: '[REDACTED]', note: '.ROBLOSECURITY=[REDACTED]' })
+      expect(entry.response.headers).toEqual({ 'x-api-key': '[REDACTED]', 'content-type': 'application/json' })
+      return expect(entry.response.body).toEqual(Object.assign({}, body, { apiKey: '[REDACTED]' }))
+    } finally {
+      fs.rmSync(file, { force: true })
+    }
+  })
+
+  it('cache stores configured in settings are shared between clients', async () => {
+    const data = new Map()
+    const redis = {
+      get: async (key) => data.has(key) ? data.get(key) : null,
+      set: async (key, value) => data.set(key, value),
+      setex: async (key, ttl, value) => data.set(key, value),
+      del: async (key) => data.delete(key)
+    }
+    let calls = 0
+    const send = async () => {
+      calls++
+      return { statusCode: 200, headers: {}, body: { data: [{ requestedUsername: 'Roblox', id: 1 }] } }
+    }
+    setOptions({ cache: { IDFromName: { store: { type: 'redis', client: redis } } } })
+
+    try {
+      expect(await createClient({ transport: send }).getIdFromUsername('Roblox')).toBe(1)
+      expect(await createClient({ transport: send }).getIdFromUsername('Roblox')).toBe(1)
+    } finally {
+      setOptions({ cache: { IDFromName: { store: 'memory' } } })
+    }
+
+    expect(calls).toBe(1)
+    return expect(data.has('noblox:IDFromName:roblox')).toBe(true)
+  })
+
+  it('file cache stores are shared by every cache using the file and drop expired entries', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'noblox-cache-'))
+    const file = path.join(dir, 'Product.json')
+    fs.writeFileSync(file, JSON.stringify({ old: { value: 1, expires: Date.now() - 1000 }, kept: { value: 2, expires: 0 } }))
+
+    try {
+      const store = stores.create({ type: 'file', path: dir }, 'Product')
+      expect(stores.create({ type: 'file', path: dir }, 'Product')).toBe(store)
+      expect(store.get('old')).toBeUndefined()
+      await store.set('stale', 3, 0.001)
+      await new Promise((resolve) => setTimeout(resolve, 5))
+      await store.set('fresh', 4, 60)
+      return expect(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')))).toEqual(['kept', 'fresh'])
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('concurrent lookups are batched and identical requests coalesced', async () => {
+    const server = await testing.createMockServer()
+    const client = createClient({ transport: server.transport })
+
+    try {
+      const names = await Promise.all([1, 2, 3, 2].map((id) => client.getUsernameFromId(id)))
+      expect(names).toEqual(['Roblox', 'MockBot', 'MockMember', 'MockBot'])
+      await expect(client.getUsernameFromId(404)).rejects.toThrow('User does not exist')
+      const bodies = await Promise.all([1, 2].map(() => client.http('//users.roblox.com/v1/users/1', { json: true })))
+      expect(bodies[0]).toEqual(bodies[1])
+      expect(bodies[0]).not.toBe(bodies[1])
+    } finally {
+      await server.close()
+    }
+    return expect(server.requests.map((req) => req.method + ' ' + req.url)).toEqual([
+      'POST https://users.roblox.com/v1/users',
+      'POST https://users.roblox.com/v1/users',
+      'GET https://users.roblox.com/v1/users/1'
+    ])
+  })
+
+  it('calls reject with an AbortError when their signal aborts or timeout runs out', async () => {
+    const signals = []
+    setOptions({
+      transport: async (req) => {
+        signals.push(req.signal)
+        return { statusCode: 429, headers: { 'retry-after': '5' }, body: '' }
+      }
+    })
+
+    const started = Date.now()
+    const err = await getUserInfo({ userId: 1, timeout: 50 }).catch((err) => err)
+    expect(err).toBeInstanceOf(AbortError)
+    expect(err.timeout).toBe(50)
+    expect(Date.now() - started).toBeLessThan(1000)
+    expect(signals[0].aborted).toBe(true)
+
+    const controller = new AbortController()
+    controller.abort()
+    return expect(http({ url: '//users.roblox.com/v1/users/1', signal: controller.signal })).rejects.toBeInstanceOf(AbortError)
+  })
+
+  it('calls sharing a signal remove their listeners from it once they settle', async () => {
+    setOptions({ transport: async () => ({ statusCode: 200, headers: {}, body: '{"id":1}' }) })
+    const controller = new AbortController()
+    await Promise.all(Array.from({ length: 50 }, () => getUserInfo({ userId: 1, signal: controller.signal, timeout: 1000 })))
+    return expect(getEventListeners(controller.signal, 'abort')).toHaveLength(0)
+  })
+
+  it('metrics count requests and render in the Prometheus format', async () => {
+    setOptions({
+      metrics: { enabled: true },
+      transport: async () => ({ statusCode: 200, headers: {}, body: '{}' })
+    })
+    metrics.reset()
+
+    try {
+      await http('//users.roblox.com/v1/users/1')
+      await http('//users.roblox.com/v1/users/1')
+    } finally {
+      setOptions({ metrics: { enabled: false } })
+    }
+
+    const text = metrics.text()
+    expect(text).toContain('# TYPE noblox_requests_total counter')
+    expect(text).toContain('noblox_requests_total{method="GET",host="users.roblox.com",function="http",status="200"} 2')
+    return expect(text).toContain('noblox_request_duration_seconds_count{host="users.roblox.com",function="http",status="200"} 2')
+  })
+
+  it('tracing starts a span per call with child spans for its requests', async () => {
+    const spans = []
+    const tracer = {
+      startSpan: (name, options, parent) => {
+        const span = { name, kind: options.kind, attributes: options.attributes, parent, ended: false }
+        span.setAttribute = (key, value) => { span.attributes[key] = value }
+        span.setStatus = (status) => { span.status = status }
+        span.recordException = () => {}
+        span.end = () => { span.ended = true }
+        spans.push(span)
+        return span
+      }
+    }
+    setOptions({
+      tracing: { tracer },
+      transport: async () => ({ statusCode: 200, headers: {}, body: '{"robux":5}' })
+    })
+
+    try {
+      await getUserFunds({ userId: 1 })
+    } finally {
+      setOptions({ tracing: { tracer: null } })
+    }
+
+    const [call, request] = spans
+    expect(call.name).toBe('getUserFunds')
+    expect(request.name).toBe('GET /v1/users/{id}/currency')
+    expect(request.parent).toBe(call)
+    expect(request.attributes['http.response.status_code']).toBe(200)
+    return expect(spans.every((span) => span.ended)).toBe(true)
+  })
+
+  it('every registered function is exported, and the registry matches lib and the typings', () => {
+    const functions = registry.filter((entry) => entry.kind !== 'module')
+    expect(functions.filter((entry) => typeof noblox[entry.name] !== 'function')).toEqual([])
+    return expect(check()).toEqual([])
+  })
+
+  it('every registered function named for a change on Roblox is flagged as mutating', () => {
+    const verbs = /^(accept|add|block|buy|change|configure|counter|decline|delete|demote|exile|group[A-Z]|handle|increment|leave|mark|message$|promote|publish|redraw|remove|rename|send|set|shout|start|unblock|unfollow|update|upload|wear)/
+    // Named like writes, but only change the options or session noblox.js keeps
+    const local = ['configure', 'setAPIKey', 'setCookie', 'setOptions']
+    const unflagged = registry.filter((entry) => entry.kind !== 'module' && verbs.test(entry.name) && !local.includes(entry.name) && !entry.mutates)
+    return expect(unflagged.map((entry) => entry.name)).toEqual([])
+  })
+})
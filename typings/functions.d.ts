@@ -0,0 +1,1343 @@
+// Generated from lib/registry.js by scripts/registry.js; do not edit. Change the registry and run `npm run typings`.
+
+declare module "noblox.js" {
+    import * as events from "events";
+    import * as stream from "stream";
+
+    /// AccountInformation
+
+    /**
+     * 🔐 Get the social link data (promotion channels) associated with a user.
+     */
+    function getUserSocialLinks(userId: number, jar?: CookieJar): Promise<PromotionChannelsResponse>;
+    function getUserSocialLinks(options: { userId: number; jar?: CookieJar } & CallOptions): Promise<PromotionChannelsResponse>;
+
+    /// AccountSettings
+
+    /**
+     * 🔐 Blocks the user with `userId`.
+     */
+    function block(userId: number, apiUrl?: string, jar?: CookieJar): Promise<void>;
+    function block(options: { userId: number; apiUrl?: string; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function block(options: { userId: number; apiUrl?: string; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Checks if a user is blocked by the logged in user.
+     */
+    function isBlocked(userId: number, apiUrl?: string, jar?: CookieJar): Promise<boolean>;
+    function isBlocked(options: { userId: number; apiUrl?: string; jar?: CookieJar } & CallOptions): Promise<boolean>;
+
+    /**
+     * 🔐 Unblocks the user with `userId`.
+     */
+    function unblock(userId: number, apiUrl?: string, jar?: CookieJar): Promise<void>;
+    function unblock(options: { userId: number; apiUrl?: string; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function unblock(options: { userId: number; apiUrl?: string; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Get the full list of users blocked by the logged in user.
+     * Fetches pages until the API returns a null cursor.
+     */
+    function getBlockedUsers(count?: number, apiUrl?: string, jar?: CookieJar): Promise<{ blockedUserIds: number[], blockedUsers: Array<{ blockedUserId: number, blockManagerType: string }> }>;
+    function getBlockedUsers(options: { count?: number; apiUrl?: string; jar?: CookieJar } & CallOptions): Promise<{ blockedUserIds: number[], blockedUsers: Array<{ blockedUserId: number, blockManagerType: string }> }>;
+
+    /// Asset
+
+    /**
+     * 🔐 Deletes an item from the logged in user's inventory
+     */
+    function deleteFromInventory(assetId: number, jar?: CookieJar): Promise<void>;
+    function deleteFromInventory(options: { assetId: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function deleteFromInventory(options: { assetId: number; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * ✅ Gets `info` of `gamepass` and caches according to settings.
+     */
+    function getGamePassProductInfo(gamepass: number): Promise<GamePassProductInfo>;
+    function getGamePassProductInfo(options: { gamepass: number } & CallOptions): Promise<GamePassProductInfo>;
+
+    /**
+     * ✅ Gets `info` of `asset` and caches according to settings.
+     */
+    function getProductInfo(asset: number): Promise<ProductInfo>;
+    function getProductInfo(options: { asset: number } & CallOptions): Promise<ProductInfo>;
+
+    /**
+     * 🔐 Uploads `data` to `asset` with `itemOptions`. If asset is empty a new asset will be created. The assetId is returned as a number. Note that `itemOptions` is required when creating a new asset. It is only optional when updating an old asset, which ignores `itemOptions` and only updates `data`.
+     */
+    function uploadAnimation(data: string | stream.Stream, itemOptions?: UploadModelItemOptions, assetId?: number, jar?: CookieJar): Promise<number>;
+    function uploadAnimation(options: { data: string | stream.Stream; itemOptions?: UploadModelItemOptions; assetId?: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<number>>;
+    function uploadAnimation(options: { data: string | stream.Stream; itemOptions?: UploadModelItemOptions; assetId?: number; jar?: CookieJar } & CallOptions): Promise<number>;
+
+    /**
+     * 🔐 Uploads an image stored in `file` as an `assetType` with `name`. If `groupId` is specified it will be uploaded to that group. This is for uploading shirts, pants, or decals which have the assetTypes `11`, `12`, and `13`, respectively. Returns the asset `id` of the new item.
+     */
+    function uploadItem(name: string, assetType: UploadItemAssetType, file: string | stream.Stream, groupId?: number, jar?: CookieJar): Promise<UploadItemResponse>;
+    function uploadItem(options: { name: string; assetType: UploadItemAssetType; file: string | stream.Stream; groupId?: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<UploadItemResponse>>;
+    function uploadItem(options: { name: string; assetType: UploadItemAssetType; file: string | stream.Stream; groupId?: number; jar?: CookieJar } & CallOptions): Promise<UploadItemResponse>;
+
+    /**
+     * 🔐 Uploads `data` to `asset` with `itemOptions`. If asset is empty a new asset will be created. Both the assetId as well as the assetVersionId are returned in a object. Note that `itemOptions` is required when creating a new asset. It is only optional when updating an old asset, which ignores `itemOptions` and only updates `data`.
+     */
+    function uploadModel(data: string | stream.Stream, itemOptions?: UploadModelItemOptions, assetId?: number, jar?: CookieJar): Promise<UploadModelResponse>;
+    function uploadModel(options: { data: string | stream.Stream; itemOptions?: UploadModelItemOptions; assetId?: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<UploadModelResponse>>;
+    function uploadModel(options: { data: string | stream.Stream; itemOptions?: UploadModelItemOptions; assetId?: number; jar?: CookieJar } & CallOptions): Promise<UploadModelResponse>;
+
+    /// Assets
+
+    /**
+     * 🔐 Buys asset `asset` with `price` restrictions. This can be a single value or an object with `high` and `low` that sets the respective price limits (both inclusive). This allows you to buy assets with a minimum or maximum amount of robux that can be used or a single required value and therefore guarantees you can't be scammed by a sudden price change. If a price restriction is not set, the asset will be bought for however much it costs (works with free assets). You are able to use product instead of asset, the options in `product` are collected automatically if not provided.
+     */
+    function buy(asset: number | ProductInfo | BuyProductInfo, price?: number | PriceRange, jar?: CookieJar): Promise<BuyAssetResponse>;
+    function buy(options: { asset?: number | ProductInfo | BuyProductInfo; product?: number | ProductInfo | BuyProductInfo; price?: number | PriceRange; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<BuyAssetResponse>>;
+    function buy(options: { asset?: number | ProductInfo | BuyProductInfo; product?: number | ProductInfo | BuyProductInfo; price?: number | PriceRange; jar?: CookieJar } & CallOptions): Promise<BuyAssetResponse>;
+
+    /**
+     * ✅ Get the recent sale history (price and volume per day for 180 days) of a limited asset.
+     */
+    function getResaleData(assetId: number, jar?: CookieJar): Promise<ResaleDataResponse>;
+    function getResaleData(options: { assetId: number; jar?: CookieJar } & CallOptions): Promise<ResaleDataResponse>;
+
+    /**
+     * 🔐 Gets available resale copies of a limited asset.
+     */
+    function getResellers(assetId: number, limit?: Limit, jar?: CookieJar): Promise<ResellerData[]>;
+    function getResellers(options: { assetId: number; limit?: Limit; jar?: CookieJar } & CallOptions): Promise<ResellerData[]>;
+
+    /**
+     * ✅ Gets the thumbnail of asset/users.
+     */
+    function getThumbnails(thumbnailRequests: ThumbnailRequest[]): Promise<ThumbnailData[]>;
+    function getThumbnails(options: { thumbnailRequests: ThumbnailRequest[] } & CallOptions): Promise<ThumbnailData[]>;
+
+    /// Avatar
+
+    /**
+     * ✅ Get the avatar rules.
+     */
+    function avatarRules(option?: "playerAvatarTypes" | "scales" | "wearableAssetTypes" | "bodyColorsPalette" | "basicBodyColorsPalette" | "minimumDeltaEBodyColorDifference" | "proportionsAndBodyTypeEnabledForUser" | "defaultClothingAssetLists" | "bundlesEnabledForUser" | "emotesEnabledForUser" | undefined, jar?: CookieJar): Promise<AvatarRules>;
+    function avatarRules(option: "playerAvatarTypes", jar?: CookieJar): Promise<string[]>;
+    function avatarRules(option: "scales", jar?: CookieJar): Promise<AvatarRulesScales>;
+    function avatarRules(option: "wearableAssetTypes", jar?: CookieJar): Promise<WearableAssetType[]>;
+    function avatarRules(option: "bodyColorsPalette", jar?: CookieJar): Promise<BodyColorModel[]>;
+    function avatarRules(option: "basicBodyColorsPalette", jar?: CookieJar): Promise<BodyColorModel[]>;
+    function avatarRules(option: "minimumDeltaEBodyColorDifference", jar?: CookieJar): Promise<number>;
+    function avatarRules(option: "proportionsAndBodyTypeEnabledForUser", jar?: CookieJar): Promise<boolean>;
+    function avatarRules(option: "defaultClothingAssetLists", jar?: CookieJar): Promise<DefaultClothingAssetLists>;
+    function avatarRules(option: "bundlesEnabledForUser", jar?: CookieJar): Promise<boolean>;
+    function avatarRules(option: "emotesEnabledForUser", jar?: CookieJar): Promise<boolean>;
+    function avatarRules(options: { option?: "playerAvatarTypes" | "scales" | "wearableAssetTypes" | "bodyColorsPalette" | "basicBodyColorsPalette" | "minimumDeltaEBodyColorDifference" | "proportionsAndBodyTypeEnabledForUser" | "defaultClothingAssetLists" | "bundlesEnabledForUser" | "emotesEnabledForUser" | undefined; jar?: CookieJar } & CallOptions): Promise<AvatarRules>;
+
+    /**
+     * ✅ Get the assets a given user is wearing.
+     */
+    function currentlyWearing(userId: number): Promise<AssetIdList>;
+    function currentlyWearing(options: { userId: number } & CallOptions): Promise<AssetIdList>;
+
+    /**
+     * ✅ Get a user's avatar.
+     */
+    function getAvatar(userId: number): Promise<AvatarInfo>;
+    function getAvatar(options: { userId: number } & CallOptions): Promise<AvatarInfo>;
+
+    /**
+     * 🔐 Get the current avatar of the logged in user.
+     */
+    function getCurrentAvatar(option?: "scales" | "playerAvatarType" | "bodyColors" | "assets" | "defaultShirtApplied" | "defaultPantsApplied" | undefined, jar?: CookieJar): Promise<AvatarInfo>;
+    function getCurrentAvatar(option: "scales", jar?: CookieJar): Promise<AvatarScale>;
+    function getCurrentAvatar(option: "playerAvatarType", jar?: CookieJar): Promise<PlayerAvatarType>;
+    function getCurrentAvatar(option: "bodyColors", jar?: CookieJar): Promise<AvatarBodyColors>;
+    function getCurrentAvatar(option: "assets", jar?: CookieJar): Promise<AvatarAsset[]>;
+    function getCurrentAvatar(option: "defaultShirtApplied", jar?: CookieJar): Promise<boolean>;
+    function getCurrentAvatar(option: "defaultPantsApplied", jar?: CookieJar): Promise<boolean>;
+    function getCurrentAvatar(options: { option?: "scales" | "playerAvatarType" | "bodyColors" | "assets" | "defaultShirtApplied" | "defaultPantsApplied" | undefined; jar?: CookieJar } & CallOptions): Promise<AvatarInfo>;
+
+    /**
+     * 🔐 Get assets recently worn by the logged in user.
+     */
+    function getRecentItems(listType?: RecentItemListType, jar?: CookieJar): Promise<AssetRecentItemsResult>;
+    function getRecentItems(options: { listType?: RecentItemListType; jar?: CookieJar } & CallOptions): Promise<AssetRecentItemsResult>;
+
+    /**
+     * ✅ Get the details of an outfit.
+     */
+    function outfitDetails(outfitId: number): Promise<AvatarOutfitDetails>;
+    function outfitDetails(options: { outfitId: number } & CallOptions): Promise<AvatarOutfitDetails>;
+
+    /**
+     * ✅ Get the outfits of a user.
+     */
+    function outfits(userId: number, page?: number, itemsPerPage?: number): Promise<GetOutfitsResult>;
+    function outfits(options: { userId: number; page?: number; itemsPerPage?: number } & CallOptions): Promise<GetOutfitsResult>;
+
+    /**
+     * 🔐 Redraws the avatar of the logged in user.
+     */
+    function redrawAvatar(jar?: CookieJar): Promise<void>;
+    function redrawAvatar(options: { jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function redrawAvatar(options: { jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Removes the asset with `assetId` from the logged in user's avatar.
+     */
+    function removeAssetId(assetId: number, jar?: CookieJar): Promise<void>;
+    function removeAssetId(options: { assetId: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function removeAssetId(options: { assetId: number; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Sets the body colors of the logged in user's avatar.
+     */
+    function setAvatarBodyColors(headColorId: number, torsoColorId: number, rightArmColorId: number, leftArmColorId: number, rightLegColorId: number, leftLegColorId: number, jar?: CookieJar): Promise<void>;
+    function setAvatarBodyColors(options: { headColorId: number; torsoColorId: number; rightArmColorId: number; leftArmColorId: number; rightLegColorId: number; leftLegColorId: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function setAvatarBodyColors(options: { headColorId: number; torsoColorId: number; rightArmColorId: number; leftArmColorId: number; rightLegColorId: number; leftLegColorId: number; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Sets the scales of the logged in user's avatar.
+     */
+    function setAvatarScales(height: number, width: number, head: number, depth?: number, proportion?: number, bodyType?: number, jar?: CookieJar): Promise<void>;
+    function setAvatarScales(options: { height: number; width: number; head: number; depth?: number; proportion?: number; bodyType?: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function setAvatarScales(options: { height: number; width: number; head: number; depth?: number; proportion?: number; bodyType?: number; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Sets the player avatar type of the logged in user's avatar. (R6/R15)
+     */
+    function setPlayerAvatarType(avatarType: PlayerAvatarType, jar?: CookieJar): Promise<void>;
+    function setPlayerAvatarType(options: { avatarType: PlayerAvatarType; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function setPlayerAvatarType(options: { avatarType: PlayerAvatarType; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Sets the assets the logged in user is wearing.
+     */
+    function setWearingAssets(assetIds: number[], jar?: CookieJar): Promise<void>;
+    function setWearingAssets(options: { assetIds: number[]; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function setWearingAssets(options: { assetIds: number[]; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Wears a specific asset on the logged in user's avatar.
+     */
+    function wearAssetId(assetId: number, jar?: CookieJar): Promise<void>;
+    function wearAssetId(options: { assetId: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function wearAssetId(options: { assetId: number; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /// Badges
+
+    /**
+     * ✅ Gets user award date for a badge.
+     */
+    function getAwardedTimestamps(userId: number, badgeId: number[]): Promise<UserBadgeStats>;
+    function getAwardedTimestamps(options: { userId: number; badgeId: number[] } & CallOptions): Promise<UserBadgeStats>;
+
+    /**
+     * ✅ Gets information about a badge.
+     */
+    function getBadgeInfo(badgeId: number): Promise<BadgeInfo>;
+    function getBadgeInfo(options: { badgeId: number } & CallOptions): Promise<BadgeInfo>;
+
+    /**
+     * 🔐 Updates badge information.
+     */
+    function updateBadgeInfo(badgeId: number, name?: string, description?: string, enabled?: boolean, jar?: CookieJar): Promise<void>;
+    function updateBadgeInfo(options: { badgeId: number; name?: string; description?: string; enabled?: boolean; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function updateBadgeInfo(options: { badgeId: number; name?: string; description?: string; enabled?: boolean; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /// Chat
+
+    /**
+     * 🔐 Adds a user to a group conversation.
+     */
+    function addUsersToConversation(conversationId: number, userIds: number[], jar?: CookieJar): Promise<ConversationAddResponse>;
+    function addUsersToConversation(options: { conversationId: number; userIds: number[]; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<ConversationAddResponse>>;
+    function addUsersToConversation(options: { conversationId: number; userIds: number[]; jar?: CookieJar } & CallOptions): Promise<ConversationAddResponse>;
+
+    /**
+     * 🔐 Get chat settings.
+     */
+    function chatSettings(jar?: CookieJar): Promise<ChatSettings>;
+    function chatSettings(options: { jar?: CookieJar } & CallOptions): Promise<ChatSettings>;
+
+    /**
+     * 🔐 Get the chat messages of a conversation.
+     */
+    function getChatMessages(conversationId: number, pageSize?: number, exclusiveStartMessageId?: string, jar?: CookieJar): Promise<ChatMessage[]>;
+    function getChatMessages(options: { conversationId: number; pageSize?: number; exclusiveStartMessageId?: string; jar?: CookieJar } & CallOptions): Promise<ChatMessage[]>;
+
+    /**
+     * 🔐 Get conversation details for the conversationIds specified in the parameters
+     */
+    function getConversations(conversationIds: number[], jar?: CookieJar): Promise<ChatConversation[]>;
+    function getConversations(options: { conversationIds: number[]; jar?: CookieJar } & CallOptions): Promise<ChatConversation[]>;
+
+    /**
+     * 🔐 Get the rollout settings for the logged in user.
+     */
+    function getRolloutSettings(featureNames?: ChatFeatureNames[], jar?: CookieJar): Promise<GetRolloutSettingsResult>;
+    function getRolloutSettings(options: { featureNames?: ChatFeatureNames[]; jar?: CookieJar } & CallOptions): Promise<GetRolloutSettingsResult>;
+
+    /**
+     * 🔐 Get the unread conversation count for the logged in user.
+     */
+    function getUnreadConversationCount(jar?: CookieJar): Promise<GetUnreadConversationCountResult>;
+    function getUnreadConversationCount(options: { jar?: CookieJar } & CallOptions): Promise<GetUnreadConversationCountResult>;
+
+    /**
+     * 🔐 Get the unread messages for the logged in user in the conversations specified in the parameters.
+     */
+    function getUnreadMessages(conversationIds: number[], pageSize?: number, jar?: CookieJar): Promise<ChatConversationWithMessages[]>;
+    function getUnreadMessages(options: { conversationIds: number[]; pageSize?: number; jar?: CookieJar } & CallOptions): Promise<ChatConversationWithMessages[]>;
+
+    /**
+     * 🔐 Get conversations for the logged in user.
+     */
+    function getUserConversations(pageNumber?: number, pageSize?: number, jar?: CookieJar): Promise<ChatConversation[]>;
+    function getUserConversations(options: { pageNumber?: number; pageSize?: number; jar?: CookieJar } & CallOptions): Promise<ChatConversation[]>;
+
+    /**
+     * 🔐 Mark a conversation as read.
+     */
+    function markChatAsRead(conversationId: number, endMessageId: string, jar?: CookieJar): Promise<void>;
+    function markChatAsRead(options: { conversationId: number; endMessageId: string; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function markChatAsRead(options: { conversationId: number; endMessageId: string; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Mark a conversation as seen.
+     */
+    function markChatAsSeen(conversationIds: number[], jar?: CookieJar): Promise<void>;
+    function markChatAsSeen(options: { conversationIds: number[]; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function markChatAsSeen(options: { conversationIds: number[]; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Get the latest messages for the conversations specified in the parameters.
+     */
+    function multiGetLatestMessages(conversationIds: number[], pageSize?: number, jar?: CookieJar): Promise<ChatConversationWithMessages[]>;
+    function multiGetLatestMessages(options: { conversationIds: number[]; pageSize?: number; jar?: CookieJar } & CallOptions): Promise<ChatConversationWithMessages[]>;
+
+    /**
+     * 🔐 An event for when a conversation is created.
+     */
+    function onNewConversation(jar?: CookieJar): OnNewConversationEventEmitter;
+    function onNewConversation(options: { jar?: CookieJar } & CallOptions): OnNewConversationEventEmitter;
+
+    /**
+     * 🔐 An event for when someone messages you via. chat. This event will only emit for messages sent via. chat windows on
+     * the website - those in the pop-up/overlay window. To handle messages sent via. the older email-like
+     * message function, see onMessage.
+     */
+    function onNewMessage(jar?: CookieJar): OnNewMessageEventEmitter;
+    function onNewMessage(options: { jar?: CookieJar } & CallOptions): OnNewMessageEventEmitter;
+
+    /**
+     * 🔐 An event for when you send a new message.
+     */
+    function onNewMessageBySelf(jar?: CookieJar): OnNewMessageBySelfEventEmitter;
+    function onNewMessageBySelf(options: { jar?: CookieJar } & CallOptions): OnNewMessageBySelfEventEmitter;
+
+    /**
+     * 🔐 An event for when someone comes online.
+     */
+    function onUserOnline(jar?: CookieJar): OnUserOnlineEventEmitter;
+    function onUserOnline(options: { jar?: CookieJar } & CallOptions): OnUserOnlineEventEmitter;
+
+    /**
+     * 🔐 An event for when someone starts typing in a chat.
+     */
+    function onUserTyping(jar?: CookieJar): OnUserTypingChatEvent;
+    function onUserTyping(options: { jar?: CookieJar } & CallOptions): OnUserTypingChatEvent;
+
+    /**
+     * 🔐 Removes a user from a group conversation.
+     */
+    function removeFromGroupConversation(conversationId: number, userId: number, jar?: CookieJar): Promise<ConversationRemoveResponse>;
+    function removeFromGroupConversation(options: { conversationId: number; userId: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<ConversationRemoveResponse>>;
+    function removeFromGroupConversation(options: { conversationId: number; userId: number; jar?: CookieJar } & CallOptions): Promise<ConversationRemoveResponse>;
+
+    /**
+     * 🔐 Renames a group conversation.
+     */
+    function renameGroupConversation(conversationId: number, title: string, jar?: CookieJar): Promise<ConversationRenameResponse>;
+    function renameGroupConversation(options: { conversationId: number; title: string; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<ConversationRenameResponse>>;
+    function renameGroupConversation(options: { conversationId: number; title: string; jar?: CookieJar } & CallOptions): Promise<ConversationRenameResponse>;
+
+    /**
+     * 🔐 Sends a chat message to a conversation.
+     */
+    function sendChatMessage(conversationId: number, message: string, jar?: CookieJar): Promise<SendChatResponse>;
+    function sendChatMessage(options: { conversationId: number; message: string; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<SendChatResponse>>;
+    function sendChatMessage(options: { conversationId: number; message: string; jar?: CookieJar } & CallOptions): Promise<SendChatResponse>;
+
+    /**
+     * 🔐 Sets the typing status of the logged in user in a conversation.
+     */
+    function setChatUserTyping(conversationId: number, isTyping: boolean, jar?: CookieJar): Promise<UpdateTypingResponse>;
+    function setChatUserTyping(options: { conversationId: number; isTyping: boolean; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<UpdateTypingResponse>>;
+    function setChatUserTyping(options: { conversationId: number; isTyping: boolean; jar?: CookieJar } & CallOptions): Promise<UpdateTypingResponse>;
+
+    /**
+     * 🔐 Starts a conversation with a user.
+     */
+    function start121Conversation(userId: number, jar?: CookieJar): Promise<void>;
+    function start121Conversation(options: { userId: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function start121Conversation(options: { userId: number; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Starts a cloud edit/team create conversation.
+     */
+    function startCloudEditConversation(placeId: number, jar?: CookieJar): Promise<void>;
+    function startCloudEditConversation(options: { placeId: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function startCloudEditConversation(options: { placeId: number; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Starts a group conversation.
+     */
+    function startGroupConversation(userIds: number[], title: string, jar?: CookieJar): Promise<StartGroupConversationResponse>;
+    function startGroupConversation(options: { userIds: number[]; title: string; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<StartGroupConversationResponse>>;
+    function startGroupConversation(options: { userIds: number[]; title: string; jar?: CookieJar } & CallOptions): Promise<StartGroupConversationResponse>;
+
+    /// Client
+
+    /**
+     * ✅ Creates an independent client with its own cookie jar, cache and queue, so several accounts can be used from one process.
+     * The functions exported directly from noblox.js keep using the default client.
+     */
+    function createClient(cookie?: string, apiKey?: string, cache?: CreateClientOptions["cache"], proxy?: Partial<ProxyConfiguration>, transport?: "request" | "fetch" | Transport): NobloxClient;
+    function createClient(options: { cookie?: string; apiKey?: string; cache?: CreateClientOptions["cache"]; proxy?: Partial<ProxyConfiguration>; transport?: "request" | "fetch" | Transport } & CallOptions): NobloxClient;
+
+    /**
+     * 🔐 An event for when you get a notification. Every event listening for notifications of the same account shares one connection, which is closed once the last of them is closed.
+     */
+    function onNotification(jar?: CookieJar): OnNotificationEventEmitter;
+    function onNotification(options: { jar?: CookieJar } & CallOptions): OnNotificationEventEmitter;
+
+    /**
+     * ✅ Sets the API key for the user to enable use of open cloud functions.
+     * This is not the same as a .ROBLOSECURITY cookie.
+     */
+    function setAPIKey(apiKey: string): Promise<void>;
+    function setAPIKey(options: { apiKey: string } & CallOptions): Promise<void>;
+
+    /**
+     * ✅ Allows the user to login with a provided cookie string, bypassing the username/password captcha issues.
+     * By default, the provided cookie will be validated by making a HTTP request. To disable this behaviour, pass false as the second optional parameter (shouldValidate).
+     */
+    function setCookie<B extends boolean = true>(cookie: string, validate?: B): B extends false ? boolean : Promise<AuthenticatedUserData>;
+    function setCookie<B extends boolean = true>(options: { cookie: string; validate?: B } & CallOptions): B extends false ? boolean : Promise<AuthenticatedUserData>;
+
+    /// Datastores
+
+    /**
+     * ☁️ Marks the entry as deleted by creating a tombstone version. Entries are deleted permanently after 30 days.
+     */
+    function deleteDatastoreEntry(universeId: number, datastoreName: string, entryKey: string, scope?: string, jar?: CookieJar): Promise<void>;
+    function deleteDatastoreEntry(options: { universeId: number; datastoreName: string; entryKey: string; scope?: string; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function deleteDatastoreEntry(options: { universeId: number; datastoreName: string; entryKey: string; scope?: string; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * ☁️ Returns the latest value and metadata associated with an entry, or a specific version if versionId is provided.
+     */
+    function getDatastoreEntry(universeId: number, datastoreName: string, entryKey: string, scope?: string, versionId?: string, jar?: CookieJar): Promise<DatastoreEntry>;
+    function getDatastoreEntry(options: { universeId: number; datastoreName: string; entryKey: string; scope?: string; versionId?: string; jar?: CookieJar } & CallOptions): Promise<DatastoreEntry>;
+
+    /**
+     * ☁️ Returns a list of entry versions of an entry. Needs the "List versions" API key permission.
+     */
+    function getDatastoreEntryVersions(universeId: number, datastoreName: string, entryKey: string, scope?: (string | boolean), startTime?: Date, endTime?: Date, sortOrder?: ("Ascending" | "Descending"), limit?: number, cursor?: string, jar?: CookieJar): Promise<EntryVersionsResult>;
+    function getDatastoreEntryVersions(options: { universeId: number; datastoreName: string; entryKey: string; scope?: (string | boolean); startTime?: Date; endTime?: Date; sortOrder?: ("Ascending" | "Descending"); limit?: number; cursor?: string; jar?: CookieJar } & CallOptions): Promise<EntryVersionsResult>;
+
+    /**
+     * ☁️ Returns a list of entry keys within a data store.
+     */
+    function getDatastoreKeys(universeId: number, datastoreName: string, scope?: string | boolean, prefix?: string, limit?: number, cursor?: string, jar?: CookieJar): Promise<DatastoreKeysResult>;
+    function getDatastoreKeys(options: { universeId: number; datastoreName: string; scope?: string | boolean; prefix?: string; limit?: number; cursor?: string; jar?: CookieJar } & CallOptions): Promise<DatastoreKeysResult>;
+
+    /**
+     * ☁️ Returns a list of data stores belonging to a universe.
+     */
+    function getDatastores(universeId: number, prefix?: string, limit?: number, cursor?: string, jar?: CookieJar): Promise<DatastoresResult>;
+    function getDatastores(options: { universeId: number; prefix?: string; limit?: number; cursor?: string; jar?: CookieJar } & CallOptions): Promise<DatastoresResult>;
+
+    /**
+     * ☁️ Increments the value for an entry by a given amount, or create a new entry with that amount.
+     */
+    function incrementDatastoreEntry(universeId: number, datastoreName: string, entryKey: string, incrementBy: number, scope?: string, robloxEntryUserIDs?: number[], robloxEntryAttributes?: object, jar?: CookieJar): Promise<DatastoreEntry>;
+    function incrementDatastoreEntry(options: { universeId: number; datastoreName: string; entryKey: string; incrementBy: number; scope?: string; robloxEntryUserIDs?: number[]; robloxEntryAttributes?: object; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<DatastoreEntry>>;
+    function incrementDatastoreEntry(options: { universeId: number; datastoreName: string; entryKey: string; incrementBy: number; scope?: string; robloxEntryUserIDs?: number[]; robloxEntryAttributes?: object; jar?: CookieJar } & CallOptions): Promise<DatastoreEntry>;
+
+    /**
+     * ☁️ Sets the value, metadata and user IDs associated with an entry.
+     */
+    function setDatastoreEntry(universeId: number, datastoreName: string, entryKey: string, body: any, scope?: string, matchVersion?: string, exclusiveCreate?: boolean, robloxEntryUserIDs?: number[], robloxEntryAttributes?: object, jar?: CookieJar): Promise<EntryVersion>;
+    function setDatastoreEntry(options: { universeId: number; datastoreName: string; entryKey: string; body: any; scope?: string; matchVersion?: string; exclusiveCreate?: boolean; robloxEntryUserIDs?: number[]; robloxEntryAttributes?: object; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<EntryVersion>>;
+    function setDatastoreEntry(options: { universeId: number; datastoreName: string; entryKey: string; body: any; scope?: string; matchVersion?: string; exclusiveCreate?: boolean; robloxEntryUserIDs?: number[]; robloxEntryAttributes?: object; jar?: CookieJar } & CallOptions): Promise<EntryVersion>;
+
+    /// Develop
+
+    /**
+     * ✅ Returns whether the user can manage a given asset.
+     */
+    function canManage(userId: number, assetId: number): Promise<boolean>;
+    function canManage(options: { userId: number; assetId: number } & CallOptions): Promise<boolean>;
+
+    /**
+     * 🔐 Configures an item (shirt, pants, decal, etc.) with the id `id` to have `name` and `description`. If `enableComments` is true comments will be allowed and if `sellForRobux` is set it will be put on sale for that amount of robux.
+     *
+     * NOTE: Use `configureGamePass()` for Game Passes.
+     */
+    function configureItem(id: number, name: string, description: string, enableComments?: boolean, sellForRobux?: boolean, genreSelection?: number, jar?: CookieJar): Promise<ConfigureItemResponse>;
+    function configureItem(options: { id: number; name: string; description: string; enableComments?: boolean; sellForRobux?: boolean; genreSelection?: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<ConfigureItemResponse>>;
+    function configureItem(options: { id: number; name: string; description: string; enableComments?: boolean; sellForRobux?: boolean; genreSelection?: number; jar?: CookieJar } & CallOptions): Promise<ConfigureItemResponse>;
+
+    /**
+     * 🔐 Modifies a universe's settings
+     */
+    function updateUniverse(universeId: number, settings: UniverseSettings, jar?: CookieJar): Promise<UpdateUniverseResponse>;
+    function updateUniverse(options: { universeId: number; settings: UniverseSettings; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<UpdateUniverseResponse>>;
+    function updateUniverse(options: { universeId: number; settings: UniverseSettings; jar?: CookieJar } & CallOptions): Promise<UpdateUniverseResponse>;
+
+    /**
+     * 🔐 Updates a universe's public access setting
+     */
+    function updateUniverseAccess(universeId: number, isPublic: boolean, jar?: CookieJar): Promise<void>;
+    function updateUniverseAccess(options: { universeId: number; isPublic: boolean; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function updateUniverseAccess(options: { universeId: number; isPublic: boolean; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /// Game
+
+    /**
+     * ✅ Get the badges in a specific game.
+     */
+    function getGameBadges(universeId: number, limit?: Limit, cursor?: string, sortOrder?: SortOrder): Promise<BadgeInfo>;
+    function getGameBadges(options: { universeId: number; limit?: Limit; cursor?: string; sortOrder?: SortOrder } & CallOptions): Promise<BadgeInfo>;
+
+    /**
+     * 🔐 Adds a developer product to the specified universe.
+     * Warning: The `productId` returned by this function does not match the `productId` used by other endpoints.
+     */
+    function addDeveloperProduct(universeId: number, name: string, priceInRobux: number, description?: string, jar?: CookieJar): Promise<DeveloperProductAddResult>;
+    function addDeveloperProduct(options: { universeId: number; name: string; priceInRobux: number; description?: string; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<DeveloperProductAddResult>>;
+    function addDeveloperProduct(options: { universeId: number; name: string; priceInRobux: number; description?: string; jar?: CookieJar } & CallOptions): Promise<DeveloperProductAddResult>;
+
+    /**
+     * 🔐 Configures a game pass with the id `gamePassId` to have a `name`, `description`, `price` in Robux, and `icon` image. If `name` is an empty string, only `price` is changed. Setting `price` to false, 0, or a negative value will place the game pass off-sale.
+     * Returns a `GamePassResponse` with the changed attributes.
+     *
+     * NOTE: Updating `name` will affect `description`: you must repeat `description` with each `name` update, or `description` will be cleared.
+     */
+    function configureGamePass(gamePassId: number, name: string, description?: string, price?: number | boolean, icon?: string | stream.Stream, jar?: CookieJar): Promise<GamePassResponse>;
+    function configureGamePass(options: { gamePassId: number; name: string; description?: string; price?: number | boolean; icon?: string | stream.Stream; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<GamePassResponse>>;
+    function configureGamePass(options: { gamePassId: number; name: string; description?: string; price?: number | boolean; icon?: string | stream.Stream; jar?: CookieJar } & CallOptions): Promise<GamePassResponse>;
+
+    /**
+     * 🔐 Returns the existing developer products in a specified game.
+     */
+    function getDeveloperProducts(placeId: number, page?: number, jar?: CookieJar): Promise<DeveloperProductsResult>;
+    function getDeveloperProducts(options: { placeId: number; page?: number; jar?: CookieJar } & CallOptions): Promise<DeveloperProductsResult>;
+
+    /**
+     * 🔓 Returns data about the existing game instances (servers) of the specified place. You must have permission to view the game's server list to use this. (Must be logged in)
+     */
+    function getGameInstances(placeId: number, serverType?: "Public" | "Friend" | "VIP", sortOrder?: SortOrder, limit?: number, jar?: CookieJar): Promise<GameInstance[]>;
+    function getGameInstances(options: { placeId: number; serverType?: "Public" | "Friend" | "VIP"; sortOrder?: SortOrder; limit?: number; jar?: CookieJar } & CallOptions): Promise<GameInstance[]>;
+
+    /**
+     * ✅ Gets a game's game passes.
+     */
+    function getGamePasses(universeId: number, limit?: Limit): Promise<GamePassData[]>;
+    function getGamePasses(options: { universeId: number; limit?: Limit } & CallOptions): Promise<GamePassData[]>;
+
+    /**
+     * 🔐 Get the Game Revenue data.
+     */
+    function getGameRevenue(placeId: number, type: "Revenue" | "RevenuePerVisit" | "AverageVisitLength" | "Visits", granularity: "Hourly" | "Daily" | "Monthly", jar?: CookieJar): Promise<GameRevenueResponse>;
+    function getGameRevenue(options: { placeId: number; type: "Revenue" | "RevenuePerVisit" | "AverageVisitLength" | "Visits"; granularity: "Hourly" | "Daily" | "Monthly"; jar?: CookieJar } & CallOptions): Promise<GameRevenueResponse>;
+
+    /**
+     * 🔐 Get the social link data associated with a game.
+     */
+    function getGameSocialLinks(universeId: number, jar?: CookieJar): Promise<SocialLinkResponse[]>;
+    function getGameSocialLinks(options: { universeId: number; jar?: CookieJar } & CallOptions): Promise<SocialLinkResponse[]>;
+
+    /**
+     * 🔓 Returns information about the place(s) in question, such as name, description, etc.
+     */
+    function getPlaceInfo(placeId: number | number[], jar?: CookieJar): Promise<PlaceInformation[]>;
+    function getPlaceInfo(options: { placeId: number | number[]; jar?: CookieJar } & CallOptions): Promise<PlaceInformation[]>;
+
+    /**
+     * 🔓 Returns information about the universe(s) in question, such as description, name etc; varies based on whether or not you're logged in.
+     */
+    function getUniverseInfo(universeId: number | Array<number>, jar?: CookieJar): Promise<UniverseInformation[]>;
+    function getUniverseInfo(options: { universeId: number | Array<number>; jar?: CookieJar } & CallOptions): Promise<UniverseInformation[]>;
+
+    /**
+     * 🔐 Update a developer product.
+     */
+    function updateDeveloperProduct(universeId: number, productId: number, priceInRobux: number, name?: string, description?: string, jar?: CookieJar): Promise<void>;
+    function updateDeveloperProduct(options: { universeId: number; productId: number; priceInRobux: number; name?: string; description?: string; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function updateDeveloperProduct(options: { universeId: number; productId: number; priceInRobux: number; name?: string; description?: string; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * ☁️ Publish a message to a subscribed topic.
+     */
+    function publishToTopic(universeId: number, topic: string, data: (Object | string), jar?: CookieJar): Promise<boolean>;
+    function publishToTopic(options: { universeId: number; topic: string; data: (Object | string); jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<boolean>>;
+    function publishToTopic(options: { universeId: number; topic: string; data: (Object | string); jar?: CookieJar } & CallOptions): Promise<boolean>;
+
+    /// Group
+
+    /**
+     * 🔓 Gets the amount of Robux in a group.
+     */
+    function getGroupFunds(group: number, jar?: CookieJar): Promise<number>;
+    function getGroupFunds(options: { group: number; jar?: CookieJar } & CallOptions): Promise<number>;
+
+    /**
+     * 🔐 Gets recent Robux revenue summary for a group; shows pending Robux. | Requires "Spend group funds" permissions.
+     */
+    function getGroupRevenueSummary(groupId: number, timeFrame?: "Day" | "Week" | "Month" | "Year", jar?: CookieJar): Promise<RevenueSummaryResponse>;
+    function getGroupRevenueSummary(options: { groupId: number; timeFrame?: "Day" | "Week" | "Month" | "Year"; jar?: CookieJar } & CallOptions): Promise<RevenueSummaryResponse>;
+
+    /**
+     * 🔐 Gets the transaction history of the specified group.
+     */
+    function getGroupTransactions(group: number, transactionType?: "Sale" | "Purchase" | "AffiliateSale" | "DevEx" | "GroupPayout" | "AdImpressionPayout", limit?: number, sortOrder?: SortOrder, jar?: CookieJar): Promise<TransactionItem[]>;
+    function getGroupTransactions(options: { group: number; transactionType?: "Sale" | "Purchase" | "AffiliateSale" | "DevEx" | "GroupPayout" | "AdImpressionPayout"; limit?: number; sortOrder?: SortOrder; jar?: CookieJar } & CallOptions): Promise<TransactionItem[]>;
+
+    /**
+     * 🔐 Fires when there is a transaction in the group with groupId `group`, of the given type. Only runs every 60 sec.
+     */
+    function onGroupTransaction(groupId: number, transactionType: "Sale" | "Purchase" | "AffiliateSale" | "DevEx" | "GroupPayout" | "AdImpressionPayout", jar?: CookieJar): OnTransactionEventEmitter;
+    function onGroupTransaction(options: { groupId: number; transactionType: "Sale" | "Purchase" | "AffiliateSale" | "DevEx" | "GroupPayout" | "AdImpressionPayout"; jar?: CookieJar } & CallOptions): OnTransactionEventEmitter;
+
+    /**
+     * ✅ Gets a list of games from the specified group.
+     */
+    function getGroupGames(groupId: number, accessFilter?: "All" | "Public" | "Private", sortOrder?: SortOrder, limit?: Limit): Promise<GroupGameInfo[]>;
+    function getGroupGames(options: { groupId: number; accessFilter?: "All" | "Public" | "Private"; sortOrder?: SortOrder; limit?: Limit } & CallOptions): Promise<GroupGameInfo[]>;
+
+    /**
+     * 🔐 Moves the user with userId `target` up or down the list of ranks in `group` by `change`. For example `changeRank(group, target, 1)` would promote the user 1 rank and `changeRank(group, target, -1)` would demote them down 1. Note that this simply follows the list, ignoring ambiguous ranks. The full `newRole` as well as the user's original `oldRole` is returned.
+     */
+    function changeRank(group: number, target: number, change: number, jar?: CookieJar): Promise<ChangeRankResult>;
+    function changeRank(options: { group: number; target: number; change: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<ChangeRankResult>>;
+    function changeRank(options: { group: number; target: number; change: number; jar?: CookieJar } & CallOptions): Promise<ChangeRankResult>;
+
+    /**
+     * 🔐 Deletes the wall post `postId` in `group`. The post can also be passed as `post`, either by its id or as the wall post itself (eg. from `getWall`).
+     */
+    function deleteWallPost(group: number, postId: number | WallPost, jar?: CookieJar): Promise<void>;
+    function deleteWallPost(options: { group: number; postId?: number | WallPost; post?: number | WallPost; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function deleteWallPost(options: { group: number; postId?: number | WallPost; post?: number | WallPost; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Deletes all wall posts sent by the provided user id.
+     */
+    function deleteWallPostsByUser(group: number, userId: number, jar?: CookieJar): Promise<void>;
+    function deleteWallPostsByUser(options: { group: number; userId: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function deleteWallPostsByUser(options: { group: number; userId: number; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Alias of `changeRank(group, target, -1)`.
+     */
+    function demote(group: number, target: number, jar?: CookieJar): Promise<ChangeRankResult>;
+    function demote(options: { group: number; target: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<ChangeRankResult>>;
+    function demote(options: { group: number; target: number; jar?: CookieJar } & CallOptions): Promise<ChangeRankResult>;
+
+    /**
+     * 🔐 Exiles user with `userId` target from `group`.
+     */
+    function exile(group: number, target: number, jar?: CookieJar): Promise<void>;
+    function exile(options: { group: number; target: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function exile(options: { group: number; target: number; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Gets the audit logs of the specified group.
+     */
+    function getAuditLog(group: number, actionType?: "" | "DeletePost" | "RemoveMember" | "AcceptJoinRequest" | "DeclineJoinRequest" | "PostStatus" | "ChangeRank" | "BuyAd" | "SendAllyRequest" | "CreateEnemy" | "AcceptAllyRequest" | "DeclineAllyRequest" | "DeleteAlly" | "DeleteEnemy" | "AddGroupPlace" | "RemoveGroupPlace" | "CreateItems" | "ConfigureItems" | "SpendGroupFunds" | "ChangeOwner" | "Delete" | "AdjustCurrencyAmounts" | "Abandon" | "Claim" | "Rename" | "ChangeDescription" | "InviteToClan" | "KickFromClan" | "CancelClanInvite" | "BuyClan" | "CreateGroupAsset" | "UpdateGroupAsset" | "ConfigureGroupAsset" | "RevertGroupAsset" | "CreateGroupDeveloperProduct" | "ConfigureGroupGame" | "Lock" | "Unlock" | "CreateGamePass" | "CreateBadge" | "ConfigureBadge" | "SavePlace" | "PublishPlace", userId?: number, sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Promise<AuditPage>;
+    function getAuditLog(options: { group: number; actionType?: "" | "DeletePost" | "RemoveMember" | "AcceptJoinRequest" | "DeclineJoinRequest" | "PostStatus" | "ChangeRank" | "BuyAd" | "SendAllyRequest" | "CreateEnemy" | "AcceptAllyRequest" | "DeclineAllyRequest" | "DeleteAlly" | "DeleteEnemy" | "AddGroupPlace" | "RemoveGroupPlace" | "CreateItems" | "ConfigureItems" | "SpendGroupFunds" | "ChangeOwner" | "Delete" | "AdjustCurrencyAmounts" | "Abandon" | "Claim" | "Rename" | "ChangeDescription" | "InviteToClan" | "KickFromClan" | "CancelClanInvite" | "BuyClan" | "CreateGroupAsset" | "UpdateGroupAsset" | "ConfigureGroupAsset" | "RevertGroupAsset" | "CreateGroupDeveloperProduct" | "ConfigureGroupGame" | "Lock" | "Unlock" | "CreateGamePass" | "CreateBadge" | "ConfigureBadge" | "SavePlace" | "PublishPlace"; userId?: number; sortOrder?: SortOrder; limit?: Limit; cursor?: string; jar?: CookieJar } & CallOptions): Promise<AuditPage>;
+
+    /**
+     * ✅ Gets a brief overview of the specified group.
+     */
+    function getGroup(groupId: number): Promise<Group>;
+    function getGroup(options: { groupId: number } & CallOptions): Promise<Group>;
+
+    /**
+     * 🔐 Get the social link data associated with a group.
+     */
+    function getGroupSocialLinks(groupId: number, jar?: CookieJar): Promise<SocialLinkResponse[]>;
+    function getGroupSocialLinks(options: { groupId: number; jar?: CookieJar } & CallOptions): Promise<SocialLinkResponse[]>;
+
+    /**
+     * 🔐 Gets a specific group join request, if it exists.
+     */
+    function getJoinRequest(group: number, userId: number, jar?: CookieJar): Promise<GroupJoinRequest>;
+    function getJoinRequest(options: { group: number; userId: number; jar?: CookieJar } & CallOptions): Promise<GroupJoinRequest>;
+
+    /**
+     * 🔐 Gets the first page of join requests from `group`.
+     */
+    function getJoinRequests(group: number, sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Promise<GroupJoinRequestsPage>;
+    function getJoinRequests(options: { group: number; sortOrder?: SortOrder; limit?: Limit; cursor?: string; jar?: CookieJar } & CallOptions): Promise<GroupJoinRequestsPage>;
+
+    /**
+     * ✅ Gets all (or up to limit when provided and greater than 0) players in `group` with the number/array of `roleset`.
+     */
+    function getPlayers(group: number, rolesetId: number[] | number, sortOrder?: SortOrder, limit?: number, cursor?: string, jar?: CookieJar): Promise<GroupUser[]>;
+    function getPlayers(options: { group: number; rolesetId: number[] | number; sortOrder?: SortOrder; limit?: number; cursor?: string; jar?: CookieJar } & CallOptions): Promise<GroupUser[]>;
+
+    /**
+     * ✅ Gets `rank` of user with `userId` in `group` and caches according to settings.
+     */
+    function getRankInGroup(group: number, userId: number): Promise<number>;
+    function getRankInGroup(options: { group: number; userId: number } & CallOptions): Promise<number>;
+
+    /**
+     * ✅ Gets the rank `name` of user with `userId` in `group` and caches according to settings.
+     */
+    function getRankNameInGroup(group: number, userId: number): Promise<string>;
+    function getRankNameInGroup(options: { group: number; userId: number } & CallOptions): Promise<string>;
+
+    /**
+     * ✅ Returns role information of rank `rank`, which can be a single rank or an array of ranks. The `roles` object can be passed in directly from the `getRoles` function or the `group` id can be given to retrieve it automatically. If an array of ranks is inputted a parallel array of roles is returned. Alternatively, the name `name` of the role can be searched for, this should be used if there are "ambiguous roles" that have the same rank. If ambiguous roles cannot be resolved an error will be thrown. The actual roleset `id` may be used as well.
+     */
+    function getRole(group: number | Role[], roleQuery: number | string): Promise<Role>;
+    function getRole(options: { group: number | Role[]; roleQuery: number | string } & CallOptions): Promise<Role>;
+
+    /**
+     * 🔐 Returns the permissions a role has been assigned.
+     */
+    function getRolePermissions(group: number, rolesetId: number, jar?: CookieJar): Promise<RolePermissions>;
+    function getRolePermissions(options: { group: number; rolesetId: number; jar?: CookieJar } & CallOptions): Promise<RolePermissions>;
+
+    /**
+     * ✅ Returns role information of a group with groupId `group` in the form `[{"ID":number,"Name":"string","Rank":number},{"ID":number,"Name":"string","Rank":number}]`.
+     */
+    function getRoles(group: number): Promise<Role[]>;
+    function getRoles(options: { group: number } & CallOptions): Promise<Role[]>;
+
+    /**
+     * 🔓 Gets the current shout in `group`. If there is no shout the promise is fulfilled but nothing is returned.
+     */
+    function getShout(group: number): Promise<GroupShout>;
+    function getShout(options: { group: number } & CallOptions): Promise<GroupShout>;
+
+    /**
+     * 🔓 Gets posts on the `group` wall. Parameter `page` may be a number or array where negative numbers indicate trailing pages, if it is not specified all pages of the wall will be retrieved.
+     * The body of the post is in `content` and the `id` and `name` of the poster are stored in the `author` object. The `id` is the unique ID of the wall post that is internally used by ROBLOX. This serves no real use other than reporting it (although it can be used indirectly to track down specific posts).
+     * The `page` the post was found on and its `index` on that page are both in the `parent` object.
+     * If `view` is true the viewstates of each page will be returned in the `views` object, with each page having its viewstates at the corresponding page number. For example page 5 of the wall will have its view stored in `wall.views[5]`.
+     * The `getStatus` function is returned as a property of the promise and returns the percent completion of the operation.
+     */
+    function getWall(group: number, sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Promise<WallPostPage>;
+    function getWall(options: { group: number; sortOrder?: SortOrder; limit?: Limit; cursor?: string; jar?: CookieJar } & CallOptions): Promise<WallPostPage>;
+
+    /**
+     * 🔐 Performs a payout in group with the groupId `group`. If `recurring` is true this will configure the recurring options for the group's payout replacing all old values, otherwise a one-time-payout is made. To clear the recurring payouts, pass in empty arrays to both member and amount. Argument `member` can either be a single userId or an array of userIds. If it is a single value `amount` must be as well, otherwise `amount` has to be a parallel array of equal length. If `usePercentage` is true `amount` percentage of the total group funds is paid to the members, otherwise it pays `amount` ROBUX. Note that recurring payouts are always percentages, and when `recurring` is true `usePercentage` is ignored.
+     */
+    function groupPayout(group: number, member: number | number[], amount: number | number[], recurring?: boolean, usePercentage?: boolean, jar?: CookieJar): Promise<void>;
+    function groupPayout(options: { group: number; member: number | number[]; amount: number | number[]; recurring?: boolean; usePercentage?: boolean; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function groupPayout(options: { group: number; member: number | number[]; amount: number | number[]; recurring?: boolean; usePercentage?: boolean; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Accepts user with `username` into `group`. Note that `username` is case-sensitive.
+     */
+    function handleJoinRequest(group: number, userId: number, accept: boolean, jar?: CookieJar): Promise<void>;
+    function handleJoinRequest(options: { group: number; userId: number; accept: boolean; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function handleJoinRequest(options: { group: number; userId: number; accept: boolean; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Leaves the group with id `group`. Unless `useCache` is enabled the function will not cache because errors will occur if joining or leaving the same group multiple times, you can enable it if you are only joining or leaving a group once or many differenct groups once.
+     */
+    function leaveGroup(group: number): Promise<void>;
+    function leaveGroup(options: { group: number } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function leaveGroup(options: { group: number } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 An event for when an audit log event is added.
+     */
+    function onAuditLog(group: number, jar?: CookieJar): OnAuditLogEventEmitter;
+    function onAuditLog(options: { group: number; jar?: CookieJar } & CallOptions): OnAuditLogEventEmitter;
+
+    /**
+     * 🔐 An event for when someone makes a request to join the group.
+     */
+    function onJoinRequest(group: number, jar?: CookieJar): OnJoinRequestEventEmitter;
+    function onJoinRequest(options: { group: number; jar?: CookieJar } & CallOptions): OnJoinRequestEventEmitter;
+
+    /**
+     * 🔐 This function emits all join requests and waits until all of them have been resolved by firing the `handle` event with the request and either true or false. You can also pass a third argument `callback` to handle to execute once the join request has been handled. Once all requests on a page have been resolved, the next page is collected. Make sure that all join requests are handled in some way. Because this function has to wait for input, it does handle timeouts but does them within the function as opposed to within shortPoll.
+     *
+     * To accept all new users that aren't on a blacklist and send them a message, for example:
+     * ```javascript
+     * const blacklist = [1, 261]
+     * const evt = noblox.onJoinRequestHandle(18)
+     * evt.on('data', function (request) {
+     *   noblox.getIdFromUsername(request.username).then(function (id) {
+     *     for (const i = 0; i < blacklist.length; i++) {
+     *       if (blacklist[i] === id) {
+     *         evt.emit('handle', request, false);
+     *         return;
+     *       }
+     *     }
+     *     evt.emit('handle', request, true, function () {
+     *       noblox.message(id, 'Welcome', 'Welcome to my group');
+     *     });
+     *   });
+     * });
+     * ```
+     */
+    function onJoinRequestHandle(group: number, jar?: CookieJar): OnJoinRequestHandleEventEmitter;
+    function onJoinRequestHandle(options: { group: number; jar?: CookieJar } & CallOptions): OnJoinRequestHandleEventEmitter;
+
+    /**
+     * 🔐 Fires when there is a shout in the group with groupId `group`. If the shout was cleared the shout body will be blank.
+     */
+    function onShout(group: number, jar?: CookieJar): OnShoutEventEmitter;
+    function onShout(options: { group: number; jar?: CookieJar } & CallOptions): OnShoutEventEmitter;
+
+    /**
+     * 🔐 Fires when there is a new wall post in the group with groupId `group`. If `view` is enabled the wall posts viewstate will be returned in `view`, otherwise it will not be present.
+     */
+    function onWallPost(group: number, view?: boolean, jar?: CookieJar): OnWallPostEventEmitter;
+    function onWallPost(options: { group: number; view?: boolean; jar?: CookieJar } & CallOptions): OnWallPostEventEmitter;
+
+    /**
+     * 🔐 Alias of `changeRank(group, target, 1)`.
+     */
+    function promote(group: number, target: number, jar?: CookieJar): Promise<ChangeRankResult>;
+    function promote(options: { group: number; target: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<ChangeRankResult>>;
+    function promote(options: { group: number; target: number; jar?: CookieJar } & CallOptions): Promise<ChangeRankResult>;
+
+    /**
+     * ✅ Returns the groups matching a given search term.
+     */
+    function searchGroups(keyword: string, prioritizeExactMatch?: boolean, limit?: number): Promise<GroupSearchItem[]>;
+    function searchGroups(options: { keyword: string; prioritizeExactMatch?: boolean; limit?: number } & CallOptions): Promise<GroupSearchItem[]>;
+
+    /**
+     * 🔐 Sets the group description for group with id `group` to `description`.
+     */
+    function setGroupDescription(group: number, description?: string, jar?: CookieJar): Promise<GroupDescriptionResult>;
+    function setGroupDescription(options: { group: number; description?: string; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<GroupDescriptionResult>>;
+    function setGroupDescription(options: { group: number; description?: string; jar?: CookieJar } & CallOptions): Promise<GroupDescriptionResult>;
+
+    /**
+     * 🔐 Sets the group name for group with id `group` to `name`.
+     */
+    function setGroupName(group: number, name: string, jar?: CookieJar): Promise<GroupNameResult>;
+    function setGroupName(options: { group: number; name: string; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<GroupNameResult>>;
+    function setGroupName(options: { group: number; name: string; jar?: CookieJar } & CallOptions): Promise<GroupNameResult>;
+
+    /**
+     * 🔐 Changes the rank of the player with the `target` userId in group with `groupId` to the provided rank. If rank <= 255, it is assumes to be rank. If rank is a string, it is assumed to be the name of a rank/role. If rank is > 255, it is assumed to be a rolesetId (which speeds up requests). If two or more ranks share a rank, this will not resolve properly (use the name of the rank instead). You may also pass a Role which can be gotten from `getRoles` or `getRole`.
+     */
+    function setRank(group: number, target: number, rank: number | string | Role, jar?: CookieJar): Promise<Role>;
+    function setRank(options: { group: number; target: number; rank: number | string | Role; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<Role>>;
+    function setRank(options: { group: number; target: number; rank: number | string | Role; jar?: CookieJar } & CallOptions): Promise<Role>;
+
+    /**
+     * 🔐 Shouts message `message` in the group with groupId `group`. Setting `message` to "" will clear the shout.
+     */
+    function shout(group: number, message?: string, jar?: CookieJar): Promise<GroupShout>;
+    function shout(options: { group: number; message?: string; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<GroupShout>>;
+    function shout(options: { group: number; message?: string; jar?: CookieJar } & CallOptions): Promise<GroupShout>;
+
+    /**
+     * 🔐 Gets a list of assets from the specified group.
+     */
+    function getGroupAssets(groupId: number, assetType: string, sortOrder?: SortOrder, limit?: Limit, jar?: CookieJar): Promise<GroupAssetInfo[]>;
+    function getGroupAssets(options: { groupId: number; assetType: string; sortOrder?: SortOrder; limit?: Limit; jar?: CookieJar } & CallOptions): Promise<GroupAssetInfo[]>;
+
+    /**
+     * ✅ Gets the logo of the specified group.
+     */
+    function getLogo(group: number, size?: GroupIconSize, circular?: boolean, format?: GroupIconFormat): Promise<string>;
+    function getLogo(options: { group: number; size?: GroupIconSize; circular?: boolean; format?: GroupIconFormat } & CallOptions): Promise<string>;
+
+    /// Party
+
+    /**
+     * 🔐 An event for when a party is deleted.
+     */
+    function onPartyDeleted(jar?: CookieJar): OnPartyNotificationEventEmitter;
+    function onPartyDeleted(options: { jar?: CookieJar } & CallOptions): OnPartyNotificationEventEmitter;
+
+    /**
+     * 🔐 An event for when you're invited to a party.
+     */
+    function onPartyInvite(jar?: CookieJar): OnPartyNotificationEventEmitter;
+    function onPartyInvite(options: { jar?: CookieJar } & CallOptions): OnPartyNotificationEventEmitter;
+
+    /**
+     * 🔐 An event for when a party joins a game.
+     */
+    function onPartyJoinedGame(jar?: CookieJar): OnPartyNotificationEventEmitter;
+    function onPartyJoinedGame(options: { jar?: CookieJar } & CallOptions): OnPartyNotificationEventEmitter;
+
+    /**
+     * 🔐 An event for when a party leaves a game.
+     */
+    function onPartyLeftGame(jar?: CookieJar): OnPartyNotificationEventEmitter;
+    function onPartyLeftGame(options: { jar?: CookieJar } & CallOptions): OnPartyNotificationEventEmitter;
+
+    /**
+     * 🔐 An event for when you join a party.
+     */
+    function onPartySelfJoined(jar?: CookieJar): OnPartyNotificationEventEmitter;
+    function onPartySelfJoined(options: { jar?: CookieJar } & CallOptions): OnPartyNotificationEventEmitter;
+
+    /**
+     * 🔐 An event for when you leave a party.
+     */
+    function onPartySelfLeft(jar?: CookieJar): OnPartyNotificationEventEmitter;
+    function onPartySelfLeft(options: { jar?: CookieJar } & CallOptions): OnPartyNotificationEventEmitter;
+
+    /**
+     * 🔐 An event for when someone joins a party.
+     */
+    function onPartyUserJoined(jar?: CookieJar): OnPartyNotificationEventEmitter;
+    function onPartyUserJoined(options: { jar?: CookieJar } & CallOptions): OnPartyNotificationEventEmitter;
+
+    /**
+     * 🔐 An event for when someone leaves a party.
+     */
+    function onPartyUserLeft(jar?: CookieJar): OnPartyNotificationEventEmitter;
+    function onPartyUserLeft(options: { jar?: CookieJar } & CallOptions): OnPartyNotificationEventEmitter;
+
+    /// Presence
+
+    /**
+     * 🔐 Gets the presence statuses of the specified users
+     */
+    function getPresences(userIds: number[]): Promise<Presences>;
+    function getPresences(options: { userIds: number[] } & CallOptions): Promise<Presences>;
+
+    /// Trade
+
+    /**
+     * 🔐 Accept an active trade.
+     */
+    function acceptTrade(tradeId: number, jar?: CookieJar): Promise<void>;
+    function acceptTrade(options: { tradeId: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function acceptTrade(options: { tradeId: number; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Check if the current user can trade with another user.
+     */
+    function canTradeWith(userId: number, jar?: CookieJar): Promise<CanTradeResponse>;
+    function canTradeWith(options: { userId: number; jar?: CookieJar } & CallOptions): Promise<CanTradeResponse>;
+
+    /**
+     * 🔐 Counter an active incoming trade..
+     */
+    function counterTrade(tradeId: number, targetUserId: number, sendingOffer: TradeOffer, receivingOffer: TradeOffer, jar?: CookieJar): Promise<SendTradeResponse>;
+    function counterTrade(options: { tradeId: number; targetUserId: number; sendingOffer: TradeOffer; receivingOffer: TradeOffer; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<SendTradeResponse>>;
+    function counterTrade(options: { tradeId: number; targetUserId: number; sendingOffer: TradeOffer; receivingOffer: TradeOffer; jar?: CookieJar } & CallOptions): Promise<SendTradeResponse>;
+
+    /**
+     * 🔐 Decline an active trade.
+     */
+    function declineTrade(tradeId: number, jar?: CookieJar): Promise<void>;
+    function declineTrade(options: { tradeId: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function declineTrade(options: { tradeId: number; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Get detailed info about a trade.
+     */
+    function getTradeInfo(tradeId: number, jar?: CookieJar): Promise<TradeInfo>;
+    function getTradeInfo(options: { tradeId: number; jar?: CookieJar } & CallOptions): Promise<TradeInfo>;
+
+    /**
+     * 🔐 Get all trades under a category.
+     */
+    function getTrades(tradeStatusType: string, sortOrder?: SortOrder, limit?: number, jar?: CookieJar): Promise<TradeAsset[]>;
+    function getTrades(options: { tradeStatusType: string; sortOrder?: SortOrder; limit?: number; jar?: CookieJar } & CallOptions): Promise<TradeAsset[]>;
+
+    /**
+     * 🔐 Send a trade to a user.
+     */
+    function sendTrade(targetUserId: number, sendingOffer: TradeOffer, receivingOffer: TradeOffer, jar?: CookieJar): Promise<SendTradeResponse>;
+    function sendTrade(options: { targetUserId: number; sendingOffer: TradeOffer; receivingOffer: TradeOffer; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<SendTradeResponse>>;
+    function sendTrade(options: { targetUserId: number; sendingOffer: TradeOffer; receivingOffer: TradeOffer; jar?: CookieJar } & CallOptions): Promise<SendTradeResponse>;
+
+    /// User
+
+    /**
+     * ✅ Gets the badges of a user.
+     */
+    function getPlayerBadges(userId: number, limit?: number, sortOrder?: SortOrder, jar?: CookieJar): Promise<Array<PlayerBadges>>;
+    function getPlayerBadges(options: { userId: number; limit?: number; sortOrder?: SortOrder; jar?: CookieJar } & CallOptions): Promise<Array<PlayerBadges>>;
+
+    /**
+     * 🔐 Returns the current user's robux balance
+     */
+    function getUserFunds(userId: number, jar?: CookieJar): Promise<number>;
+    function getUserFunds(options: { userId: number; jar?: CookieJar } & CallOptions): Promise<number>;
+
+    /**
+     * 🔐 Gets the transaction history of the logged in user or of the user specified by the jar.
+     */
+    function getUserTransactions(transactionType?: "Sale" | "Purchase" | "AffiliateSale" | "DevEx" | "GroupPayout" | "AdImpressionPayout", limit?: number, sortOrder?: SortOrder, jar?: CookieJar): Promise<TransactionItem[]>;
+    function getUserTransactions(options: { transactionType?: "Sale" | "Purchase" | "AffiliateSale" | "DevEx" | "GroupPayout" | "AdImpressionPayout"; limit?: number; sortOrder?: SortOrder; jar?: CookieJar } & CallOptions): Promise<TransactionItem[]>;
+
+    /**
+     * 🔐 Accepts friend requests from `userId`.
+     */
+    function acceptFriendRequest(userId: number, apiUrl?: string, jar?: CookieJar): Promise<void>;
+    function acceptFriendRequest(options: { userId: number; apiUrl?: string; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function acceptFriendRequest(options: { userId: number; apiUrl?: string; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Decline all incoming friend requests.
+     */
+    function declineAllFriendRequests(jar?: CookieJar): Promise<void>;
+    function declineAllFriendRequests(options: { jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function declineAllFriendRequests(options: { jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Declines friend requests from `userId`.
+     */
+    function declineFriendRequest(userId: number, jar?: CookieJar): Promise<void>;
+    function declineFriendRequest(options: { userId: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function declineFriendRequest(options: { userId: number; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * ✅ Gets the number of followers a user has.
+     */
+    function getFollowerCount(userId: number): Promise<number>;
+    function getFollowerCount(options: { userId: number } & CallOptions): Promise<number>;
+
+    /**
+     * ✅ Get the followers of a user (users who follow the specified person)
+     */
+    function getFollowers(userId: number, sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Promise<FollowersPage>;
+    function getFollowers(options: { userId: number; sortOrder?: SortOrder; limit?: Limit; cursor?: string; jar?: CookieJar } & CallOptions): Promise<FollowersPage>;
+
+    /**
+     * ✅ Gets the number of followings a user has (users who have been followed by the specified person).
+     */
+    function getFollowingCount(userId: number): Promise<number>;
+    function getFollowingCount(options: { userId: number } & CallOptions): Promise<number>;
+
+    /**
+     * ✅ Get the followings of a user (users who have been followed by the specified person)
+     */
+    function getFollowings(userId: number, sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Promise<FollowingsPage>;
+    function getFollowings(options: { userId: number; sortOrder?: SortOrder; limit?: Limit; cursor?: string; jar?: CookieJar } & CallOptions): Promise<FollowingsPage>;
+
+    /**
+     * ✅ Get the number of friends a user has.
+     */
+    function getFriendCount(userId: number): Promise<number>;
+    function getFriendCount(options: { userId: number } & CallOptions): Promise<number>;
+
+    /**
+     * 🔐 Gets the pending friend requests of the logged in user.
+     */
+    function getFriendRequests(sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Promise<FriendRequestsPage>;
+    function getFriendRequests(options: { sortOrder?: SortOrder; limit?: Limit; cursor?: string; jar?: CookieJar } & CallOptions): Promise<FriendRequestsPage>;
+
+    /**
+     * ✅ Gets the friends list of the specified user.
+     */
+    function getFriends(userId: number, apiUrl?: string, jar?: CookieJar): Promise<Friends>;
+    function getFriends(options: { userId: number; apiUrl?: string; jar?: CookieJar } & CallOptions): Promise<Friends>;
+
+    /**
+     * 🔐 Fires when new friend requests are received.
+     */
+    function onFriendRequest(jar?: CookieJar): OnFriendRequestEventEmitter;
+    function onFriendRequest(options: { jar?: CookieJar } & CallOptions): OnFriendRequestEventEmitter;
+
+    /**
+     * 🔐 Fires when a new friendship is created.
+     */
+    function onFriendshipCreated(jar?: CookieJar): OnFriendShipCreationEventEmitter;
+    function onFriendshipCreated(options: { jar?: CookieJar } & CallOptions): OnFriendShipCreationEventEmitter;
+
+    /**
+     * 🔐 Removes friendship with `userId`.
+     */
+    function removeFriend(userId: number, apiUrl?: string, jar?: CookieJar): Promise<void>;
+    function removeFriend(options: { userId: number; apiUrl?: string; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function removeFriend(options: { userId: number; apiUrl?: string; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Sends a friend request to `userId`.
+     */
+    function sendFriendRequest(userId: number, apiUrl?: string, jar?: CookieJar): Promise<void>;
+    function sendFriendRequest(options: { userId: number; apiUrl?: string; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function sendFriendRequest(options: { userId: number; apiUrl?: string; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Unfollows the user with `userId`.
+     */
+    function unfollow(userId: number, jar?: CookieJar): Promise<void>;
+    function unfollow(options: { userId: number; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function unfollow(options: { userId: number; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * ✅ Gets the groups a player is in.
+     */
+    function getGroups(userId: number): Promise<IGroupPartial[]>;
+    function getGroups(options: { userId: number } & CallOptions): Promise<IGroupPartial[]>;
+
+    /**
+     * 🔓 Get the collectibles of a user.
+     */
+    function getCollectibles(userId: number, assetType?: string, sortOrder?: SortOrder, limit?: number, jar?: CookieJar): Promise<CollectibleEntry[]>;
+    function getCollectibles(options: { userId: number; assetType?: string; sortOrder?: SortOrder; limit?: number; jar?: CookieJar } & CallOptions): Promise<CollectibleEntry[]>;
+
+    /**
+     * 🔓 Get the inventory of a user.
+     */
+    function getInventory(userId: number, assetTypes: Array<string>, sortOrder?: SortOrder, limit?: number, jar?: CookieJar): Promise<InventoryEntry[]>;
+    function getInventory(options: { userId: number; assetTypes: Array<string>; sortOrder?: SortOrder; limit?: number; jar?: CookieJar } & CallOptions): Promise<InventoryEntry[]>;
+
+    /**
+     * 🔓 Get the inventory of a user by the assetTypeId.
+     */
+    function getInventoryById(userId: number, assetTypeId: number, sortOrder?: SortOrder, limit?: number, jar?: CookieJar): Promise<InventoryEntry[]>;
+    function getInventoryById(options: { userId: number; assetTypeId: number; sortOrder?: SortOrder; limit?: number; jar?: CookieJar } & CallOptions): Promise<InventoryEntry[]>;
+
+    /**
+     * ✅ Returns whether a user owns an asset or not
+     */
+    function getOwnership(userId: number, itemTargetId: number, itemType?: "Asset" | "GamePass" | "Badge" | "Bundle"): Promise<boolean>;
+    function getOwnership(options: { userId: number; itemTargetId: number; itemType?: "Asset" | "GamePass" | "Badge" | "Bundle" } & CallOptions): Promise<boolean>;
+
+    /**
+     * ✅ Get the UserAssetIDs for assets a user owns.
+     */
+    function getUAIDs(userId: number, assetIds: number[], exclusionList?: number[], jar?: CookieJar): Promise<UAIDResponse>;
+    function getUAIDs(options: { userId: number; assetIds: number[]; exclusionList?: number[]; jar?: CookieJar } & CallOptions): Promise<UAIDResponse>;
+
+    /**
+     * 🔐 Gets whether or not a user has premium.
+     */
+    function getPremium(userId: number, jar?: CookieJar): Promise<boolean>;
+    function getPremium(options: { userId: number; jar?: CookieJar } & CallOptions): Promise<boolean>;
+
+    /**
+     * 🔐 Gets the messages of the logged in user or of the user specified by the jar. Returns by newest to oldest messages.
+     */
+    function getMessages(pageNumber?: number, pageSize?: number, messageTab?: "Archive" | "Inbox" | "Sent", jar?: CookieJar): Promise<PrivateMessagesPage>;
+    function getMessages(options: { pageNumber?: number; pageSize?: number; messageTab?: "Archive" | "Inbox" | "Sent"; jar?: CookieJar } & CallOptions): Promise<PrivateMessagesPage>;
+
+    /**
+     * 🔐 Sends a message with `body` and `subject` to the user with id `recipient`.
+     */
+    function message(recipient: number, subject: string, body: string, replyMessageId?: number, includePreviousMessage?: boolean, jar?: CookieJar): Promise<void>;
+    function message(options: { recipient: number; subject: string; body: string; replyMessageId?: number; includePreviousMessage?: boolean; jar?: CookieJar } & CallOptions & { dryRun: true }): Promise<DryRun<void>>;
+    function message(options: { recipient: number; subject: string; body: string; replyMessageId?: number; includePreviousMessage?: boolean; jar?: CookieJar } & CallOptions): Promise<void>;
+
+    /**
+     * 🔐 Fires whenever a new message is received. Because it relies on `onNotification`, the logged in user's notification stream for messages must be enabled; however, it is one of the true events and does not rely on short polling.
+     */
+    function onMessage(jar?: CookieJar): OnMessageEventEmitter;
+    function onMessage(options: { jar?: CookieJar } & CallOptions): OnMessageEventEmitter;
+
+    /**
+     * ✅ Gets the thumbnail of an array of users.
+     */
+    function getPlayerThumbnail(userIds: number | number[], size?: BodySizes | BustSizes | HeadshotSizes, format?: "png" | "jpeg", isCircular?: boolean, cropType?: "body" | "bust" | "headshot", retryCount?: number): Promise<PlayerThumbnailData[]>;
+    function getPlayerThumbnail(options: { userIds: number | number[]; size?: BodySizes | BustSizes | HeadshotSizes; format?: "png" | "jpeg"; isCircular?: boolean; cropType?: "body" | "bust" | "headshot"; retryCount?: number } & CallOptions): Promise<PlayerThumbnailData[]>;
+
+    /**
+     * ✅ Gets the `blurb` of the user with the ID `userId`.
+     */
+    function getBlurb(userId: number): Promise<string>;
+    function getBlurb(options: { userId: number } & CallOptions): Promise<string>;
+
+    /**
+     * ✅ Gets the `id` of user with `username` and caches according to settings.
+     * Username is not case-sensitive.
+     */
+    function getIdFromUsername<T extends string | string[]>(username: T): T extends string ? Promise<number> : Promise<number[]>;
+    function getIdFromUsername<T extends string | string[]>(options: { username: T } & CallOptions): T extends string ? Promise<number> : Promise<number[]>;
+
+    /**
+     * ✅ Gets a brief overview of a user.
+     */
+    function getPlayerInfo(userId: number): Promise<PlayerInfo>;
+    function getPlayerInfo(options: { userId: number } & CallOptions): Promise<PlayerInfo>;
+
+    /**
+     * ✅ Gets basic user information.
+     */
+    function getUserInfo(userId: number): Promise<UserInfo>;
+    function getUserInfo(options: { userId: number } & CallOptions): Promise<UserInfo>;
+
+    /**
+     * ✅ Gets `username` of user with `id` and caches according to settings.
+     */
+    function getUsernameFromId(id: number): Promise<string>;
+    function getUsernameFromId(options: { id: number } & CallOptions): Promise<string>;
+
+    /**
+     * ✅ Gets a list of usernames the specified user has used.
+     */
+    function getUsernameHistory(userId: number, limit?: Limit, sortOrder?: SortOrder, pageCursor?: string): Promise<UsernameHistoryEntry[]>;
+    function getUsernameHistory(options: { userId: number; limit?: Limit; sortOrder?: SortOrder; pageCursor?: string } & CallOptions): Promise<UsernameHistoryEntry[]>;
+
+    /**
+     * ✅ An event for when a user's blurb changes.
+     */
+    function onBlurbChange(userId: number): EventStream<any>;
+    function onBlurbChange(options: { userId: number } & CallOptions): EventStream<any>;
+
+    /**
+     * ✅ Gets user search results for a keyword.
+     */
+    function searchUsers(keyword: string, limit?: number, cursor?: string, jar?: CookieJar): Promise<UserSearchResult[]>;
+    function searchUsers(options: { keyword: string; limit?: number; cursor?: string; jar?: CookieJar } & CallOptions): Promise<UserSearchResult[]>;
+
+    /// Utility
+
+    /**
+     * 🔐 Removes the `.ROBLOSECURITY` cookie from `jar`. Note that this does not return a new jar, it simply changes the existing one.
+     */
+    function clearSession(jar: CookieJar): Promise<string>;
+    function clearSession(options: { jar: CookieJar } & CallOptions): Promise<string>;
+
+    /**
+     * 🔐 Gets the verification inputs from `url` and sends a post request with data from `events`, returning the original body before the post request according to `getBody` and obeying the cache based on `ignoreCache`. Use `http` for custom request options for the post request; if url is contained, it will not replace the main url but the url used for getting verification tokens. This function is used for primitive site functions that involve ASP viewstates.
+     */
+    function generalRequest(url: string, events: object, http?: object, ignoreCache?: boolean, getBody?: boolean, jar?: CookieJar): Promise<Object>;
+    function generalRequest(options: { url: string; events: object; http?: object; ignoreCache?: boolean; getBody?: boolean; jar?: CookieJar } & CallOptions): Promise<Object>;
+
+    /**
+     * ✅ Gets the action row for audit log text. Current supported types are: change rank, delete post, and change group status (shouts).
+     */
+    function getAction(row: string): AuditItem;
+    function getAction(options: { row: string } & CallOptions): AuditItem;
+
+    /**
+     * 🔐 Get the current authenticated user.
+     */
+    function getAuthenticatedUser(jar?: CookieJar): Promise<AuthenticatedUserData>;
+    function getAuthenticatedUser(options: { jar?: CookieJar } & CallOptions): Promise<AuthenticatedUserData>;
+
+    /**
+     * 🔐 Gets the current user logged into `jar` and returns an `option` if specified or all options if not.
+     */
+    function getCurrentUser(option?: "UserID" | "UserName" | "RobuxBalance" | "ThumbnailUrl" | "IsAnyBuildersClubMember" | "IsPremium" | undefined, jar?: CookieJar): Promise<LoggedInUserData>;
+    function getCurrentUser(option: "UserID", jar?: CookieJar): Promise<number>;
+    function getCurrentUser(option: "UserName", jar?: CookieJar): Promise<string>;
+    function getCurrentUser(option: "RobuxBalance", jar?: CookieJar): Promise<number>;
+    function getCurrentUser(option: "ThumbnailUrl", jar?: CookieJar): Promise<string>;
+    function getCurrentUser(option: "IsAnyBuildersClubMember", jar?: CookieJar): Promise<boolean>;
+    function getCurrentUser(option: "IsPremium", jar?: CookieJar): Promise<boolean>;
+    function getCurrentUser(options: { option?: "UserID" | "UserName" | "RobuxBalance" | "ThumbnailUrl" | "IsAnyBuildersClubMember" | "IsPremium" | undefined; jar?: CookieJar } & CallOptions): Promise<LoggedInUserData>;
+
+    /**
+     * 🔐 Gets a general X-CSRF-TOKEN for APIs that don't return it after failure. This uses the https://auth.roblox.com/v2/logout API to get tokens.
+     */
+    function getGeneralToken(jar?: CookieJar): Promise<string>;
+    function getGeneralToken(options: { jar?: CookieJar } & CallOptions): Promise<string>;
+
+    /**
+     * 🔐 Generates a unique hash for the given jar file `jar` or default if none is specified. Typically used to cache items that depend on session.
+     */
+    function getHash(jar?: CookieJar): string;
+    function getHash(options: { jar?: CookieJar } & CallOptions): string;
+
+    /**
+     * ✅ Returns verification inputs on the page with the names in `find` - or all inputs if not provided. Typically used for ROBLOX requests working with ASP.NET.
+     */
+    function getInputs(html: string, find?: Array<any>): Inputs;
+    function getInputs(options: { html: string; find?: Array<any> } & CallOptions): Inputs;
+
+    /**
+     * ✅ Returns the results from indexing the requested pages.
+     */
+    function getPageResults(url: string, query: string, limit: Limit, jar?: CookieJar, sortOrder?: string): Array<any>;
+    function getPageResults(options: { url: string; query: string; limit: Limit; jar?: CookieJar; sortOrder?: string } & CallOptions): Array<any>;
+
+    /**
+     * 🔐 Gets the user ID of the current logged in user and caches it permanently. This is needed for some functions.
+     */
+    function getSenderUserId(jar?: CookieJar): Promise<number>;
+    function getSenderUserId(options: { jar?: CookieJar } & CallOptions): Promise<number>;
+
+    /**
+     * 🔐 Gets the `.ROBLOSECURITY` session cookie from `jar`, which is the default jar file if not specified.
+     */
+    function getSession(jar?: CookieJar): Promise<string>;
+    function getSession(options: { jar?: CookieJar } & CallOptions): Promise<string>;
+
+    /**
+     * 🔐 Gets verification inputs off of `url` using `jar` and caches them. If `getBody` is true, the body and inputs will both be returned in an object. The `header` is the value of the `__RequestVerificationToken` cookie if it exists. If `ignoreCache` is enabled, the resulting tokens will not be cached.
+     */
+    function getVerification(url: string, ignoreCache?: boolean, getBody?: boolean, jar?: CookieJar): Promise<GetVerificationResponse>;
+    function getVerification(options: { url: string; ignoreCache?: boolean; getBody?: boolean; jar?: CookieJar } & CallOptions): Promise<GetVerificationResponse>;
+
+    /**
+     * ✅ Gets verification inputs from `html`. Short for `getInputs(html,['__VIEWSTATE','__VIEWSTATEGENERATOR','__EVENTVALIDATION, '__RequestVerificationToken']')`. Typically used for ROBLOX requests working with ASP.NET. If you have already loaded html with a parser you can pass the `selector` directly.
+     */
+    function getVerificationInputs(html: string | SelectorFunction): Inputs;
+    function getVerificationInputs(options: { html?: string | SelectorFunction; selector?: string | SelectorFunction } & CallOptions): Inputs;
+
+    /**
+     * ✅ Sends an http request to `url` with `options`. If `ignoreLoginError` is true the function will not error when the user is redirected to the ROBLOX login page, otherwise it will as detection for failed logins and preventing further errors. The custom option `verification` adds the token to the cookies as `__RequestVerificationToken`. *Note that if jar is a key in the options object but is still null, the default jar will be used*
+     */
+    function http(url: string, options?: HttpOptions, ignoreLoginError?: boolean): Promise<string>;
+    function http(options: { url: string; options?: HttpOptions; ignoreLoginError?: boolean } & CallOptions): Promise<string>;
+
+    /**
+     * ✅ Creates a jar file based on `sessionOnly`. Normally you will not need this argument as the function will use the default from settings.json. If for some other reason you need a jar file you can collect it this way, but without changing the settings it will not work.
+     */
+    function jar(sessionOnly?: boolean): CookieJar;
+
+    /**
+     * 🔐 Generate RBXEventTrackerV2 cookie for authentication.
+     */
+    function makeEventTracker(): Promise<string | null>;
+
+    /**
+     * ✅ Iterates over the results of the paginated function `func`, or the function named `func`, requesting one page at a time.
+     */
+    function paginate<T = any>(func: keyof typeof iterate | ((...args: any[]) => any), args?: { [argument: string]: any }): Paginator<T>;
+    function paginate<T = any>(options: { func: keyof typeof iterate | ((...args: any[]) => any); args?: { [argument: string]: any } } & CallOptions): Paginator<T>;
+
+    /**
+     * ✅ Updates library options. This allows you to modify settings such as time-out, or number of event retries without
+     * altering the settings.json file. Objects passed to this function should match the format of the settings.json file.
+     * Unknown keys, or malformed options will be rejected with an error.
+     * resilient in that it will reject unknown values, or values which are nested incorrectly - meaning they are ineffective.
+     * @param newOptions - The new options to set, structured as per settings.json
+     * @see https://github.com/noblox/noblox.js/blob/master/settings.json
+     */
+    function setOptions(newOptions: Partial<NobloxOptions>): void;
+
+    /**
+     * ✅ Stops everything noblox.js started so the process can exit: closes every open event, gives queued requests up to `timeout` ms
+     * (default `settings.shutdownTimeout`) before rejecting them, writes out the journal and closes kept-alive sockets.
+     * On a client, only the events and requests of that client are stopped.
+     */
+    function shutdown(timeout?: number): Promise<void>;
+    function shutdown(options: { timeout?: number } & CallOptions): Promise<void>;
+
+    /**
+     * ✅ Configure noblox.js with advanced options including proxy settings.
+     * This is an enhanced version of setOptions that provides additional validation
+     * and configuration capabilities, particularly for proxy settings.
+     * @param options - Configuration options including proxy settings
+     * @returns Configuration result with validation info
+     */
+    function configure(options?: ConfigurationOptions): ConfigurationResult;
+    function configure(options: { options?: ConfigurationOptions } & CallOptions): ConfigurationResult;
+
+    /**
+     * ✅ This is the base for events that do not rely on true streams. The `getLatest` function receives some value that represents the latest version of something (eg. a date or unique ID) and determines if there is new information, every time it is fired it waits `delay` ms before being fired again. Every time it must return an object with the field `latest`, representing the latest value (which will not change if new information was not received), and an array `data` which has the new values (if there are multiple they each have their own index, if there is only one then it is by itself in the array). If `latest` is equal to -2, the returned data will be processed even if it is the initial run (which usually only establishes the latest value). If the return object has a true `repeat` value, the function latest will be run again immediately after. If `delay` is a string it will take the number from that string key in the `event` object of the settings.json file.
+     * When the function is first called it will initialize `getLatest` with the value -1 and then emit the `connect` event. Whenever data is received, it will emit the `data` event for each value. If the `close` event is emitted the function will no longer run. If an error occurs the `error` event will be emitted, the function will log a retry and after the number of max retries as specified by settings, it will emit the `close` event.
+     * The `getLatest` function will be marked as failed if it does not resolve within `timeout` ms (which can be disabled if timeout is negative). If getLatest fails for any reason (including timeout) it will be retried `maxRetries` times before stopping.
+     */
+    function shortPoll(getLatest: (latest: number, event: events.EventEmitter) => Promise<GetLatestResponse>, delay: string | number, timeout?: number): EventStream<any>;
+    function shortPoll(options: { getLatest: (latest: number, event: events.EventEmitter) => Promise<GetLatestResponse>; delay: string | number; timeout?: number } & CallOptions): EventStream<any>;
+
+    /**
+     * ✅ Adds middleware hooks to every request: globally through `noblox.use`, or to a single client through `client.use`. Returns a function removing them again.
+     */
+    function use(middleware: Middleware): () => void;
+    function use(options: { middleware: Middleware } & CallOptions): () => void;
+}
@@ -1,5 +1,6 @@
 // Type definitions for noblox.js@4.8.0-0
 // Authored by Gamenew09 w/ changes by suufi
+/// <reference path="functions.d.ts" />
 
 declare module "noblox.js" {
     // Interfaces/Types
@@ -13,6 +14,97 @@ declare module "noblox.js" {
         session?: string;
     }
 
+    interface SchedulerBudget {
+        /** The number of requests that may be started every `window`. */
+        requests: number;
+        /** The length of the budget window in milliseconds. */
+        window: number;
+        /** Whether the budget applies to each account separately. (Default: true) */
+        perAccount?: boolean;
+    }
+
+    interface SchedulerStats {
+        key: string;
+        host: string | null;
+        account: string | null;
+        /** The number of requests that can be started right away. */
+        tokens: number;
+        /** The number of requests waiting in each priority lane. */
+        queued: { high: number; normal: number; low: number };
+        /** The total number of requests waiting. */
+        depth: number;
+        running: number;
+        started: number;
+        /** The average time in milliseconds started requests waited. */
+        averageWait: number;
+        /** The longest time in milliseconds a started request waited. */
+        maxWait: number;
+    }
+
+    type SchedulerPriority = "high" | "normal" | "low";
+
+    /** A cache store: the methods may return promises. `ttl` is in seconds, 0 meaning the entry never expires. */
+    interface CacheStore {
+        get(key: string): any;
+        set(key: string, value: any, ttl: number): any;
+        delete(key: string): any;
+    }
+
+    /**
+     * The store of a cache type: "memory" (an LRU bounded by `maxEntries`, default 10000, and `maxBytes`), "file" (kept in
+     * `<path>/<type>.json`), "redis" (shared through an ioredis or node-redis `client`, keys prefixed with `prefix`) or a
+     * store of your own.
+     */
+    type CacheStoreOption = "memory"
+        | { type: "memory"; maxEntries?: number; maxBytes?: number }
+        | { type: "file"; path: string }
+        | { type: "redis"; client: any; prefix?: string }
+        | CacheStore;
+
+    type LogLevel = "DEBUG" | "INFO" | "WARN" | "ERROR";
+
+    interface LogEntry {
+        time: string;
+        level: LogLevel;
+        message: string;
+        /** The noblox.js function the entry was logged from, if any. */
+        function?: string;
+        [field: string]: any;
+    }
+
+    /** Receives log entries pino style: the fields first, then the message. */
+    interface LogSinkObject {
+        debug?(fields: object, message: string): void;
+        info(fields: object, message: string): void;
+        warn?(fields: object, message: string): void;
+        error?(fields: object, message: string): void;
+    }
+
+    /** A logger taking the message first, such as winston, used with `logging.sinkStyle` "winston". */
+    interface WinstonLogSinkObject {
+        debug?(message: string, meta: object): void;
+        info(message: string, meta: object): void;
+        warn?(message: string, meta: object): void;
+        error?(message: string, meta: object): void;
+    }
+
+    interface RetryOptions {
+        /** Automatically retry requests that were rate limited (429) or failed on Roblox's end (5xx). (Default: true) */
+        enabled: boolean;
+        /** Maximum number of times a single request is retried. (Default: 3) */
+        maxRetries: number;
+        /** The backoff in milliseconds before the first retry, doubling with every further retry and jittered. Retry-After and x-ratelimit-reset headers take precedence. (Default: 1000) */
+        baseDelay: number;
+        /** The longest in milliseconds to back off before a retry. (Default: 30000) */
+        maxDelay: number;
+        /** The longest in milliseconds a Retry-After or x-ratelimit-reset header may ask to wait, which is then waited out in full. Responses asking to wait longer are not retried. (Default: 120000) */
+        maxRetryAfter: number;
+        /** The response status codes that are retried. (Default: [429, 500, 502, 503, 504]) */
+        statusCodes: number[];
+        /** The request methods retried on server errors; rate limited requests are retried for any method. (Default: every method but POST) */
+        methods: string[];
+    }
+
     /**
      * NobloxOptions for setOptions, based from settings.json
      */
@@ -26,11 +118,85 @@ declare module "noblox.js" {
         /** This is usually used for functions that have to receive a lot of pages at once. Only this amount will be queued up as to preserve memory, make this as high as possible for fastest responses (although it will be somewhat limited by maxSockets). (Default: 50) */
         max_threads: number;
 
+        /** The HTTP transport requests are sent with: "request" (postman-request), "fetch" (Node's native fetch) or a custom transport function. (Default: "request") */
+        transport: "request" | "fetch" | Transport;
+
         /** Timeout for http requests. This is necessary for functions that make a very large number of requests, where it is possible some simply won't connect. (Default: 10000) */
         timeout: number;
 
+        /** Hold back every request that would change something, so mutating calls resolve with a `DryRun` of the requests they would have sent instead. (Default: false) */
+        dryRun: boolean;
+
+        /** How long `shutdown()` waits for queued and running requests before rejecting those still queued. (Default: 10000) */
+        shutdownTimeout: number;
+
         proxyDomain: string | null,
 
+        scheduler: {
+            /** Hold requests back so they stay within the budgets of `domains`. Waiting requests are started by priority. (Default: false) */
+            enabled: boolean;
+            /** Request budgets per Roblox subdomain, keyed by hostname. */
+            domains: { [hostname: string]: SchedulerBudget };
+        },
+
+        batching: {
+            /** Identical GET requests sent for the same account while one is in flight share its response. (Default: true) */
+            coalesce: boolean;
+            /** Collect single user lookups (getUsernameFromId, getIdFromUsername) into bulk requests. (Default: true) */
+            enabled: boolean;
+            /** How long (in milliseconds) lookups are collected before they are sent; at 0, lookups of the same tick are batched. (Default: 0) */
+            delay: number;
+            /** The most users looked up in one bulk request. (Default: 100) */
+            maxSize: number;
+        },
+
+        tracing: {
+            /** Starts a span for every function called and request sent; null turns tracing off. (Default: null) */
+            tracer: Tracer | null;
+        },
+
+        metrics: {
+            /** Record metrics in `noblox.metrics`. (Default: false) */
+            enabled: boolean;
+            /** Put in front of the name of every metric when they are rendered. (Default: "noblox_") */
+            prefix: string;
+            /** The upper bounds, in seconds, of the buckets of the request latency histogram. */
+            buckets: number[];
+        },
+
+        journal: {
+            /** Record every call that changes something on Roblox in the journal. (Default: false) */
+            enabled: boolean;
+            /** The file the journal is appended to, one JSON entry per line. (Default: "noblox-journal.jsonl") */
+            path: string;
+            /** Who calls are made on behalf of, unless a call is passed an `actor` of its own. (Default: "") */
+            actor: string;
+            /** Also called with every entry once it is written. (Default: null) */
+            sink: ((entry: JournalEntry) => void) | null;
+            /** Reject calls whose entry could not be written with the error of the write. (Default: false) */
+            strict: boolean;
+        },
+
+        retry: RetryOptions & {
+            /** Overrides of the retry settings for individual Roblox subdomains, keyed by hostname. */
+            domains: { [hostname: string]: Partial<RetryOptions> };
+        },
+
+        logging: {
+            /** Write requests, retries and event failures to the log. (Default: false) */
+            enabled: boolean;
+            /** The lowest level that is logged. (Default: "INFO") */
+            level: LogLevel;
+            /** Overrides per function name: false silences a function, a level changes its threshold. */
+            functions: { [name: string]: boolean | LogLevel };
+            /** Keys whose values are replaced with [REDACTED], compared case-insensitively. Cookies in strings are always redacted. */
+            redact: string[];
+            /** Where entries go: "console", a function called with every entry, or a pino or winston logger. (Default: "console") */
+            sink: "console" | ((entry: LogEntry) => void) | LogSinkObject | WinstonLogSinkObject;
+            /** How a logger sink is called: "pino" with the fields and then the message, "winston" with the message and then the fields. (Default: "pino") */
+            sinkStyle: "pino" | "winston";
+        },
+
         /** Configuration for external proxy service */
         proxy: {
             /** Enable routing requests through external proxy service */
@@ -52,6 +218,28 @@ declare module "noblox.js" {
             maxRetries: number;
             /** Maximum time (in milliseconds) a request can take. If your server has extremely high latency you may have to raise this. (Default: 10000) */
             timeout: number;
+            checkpoints: {
+                /** Where shortPoll events save the latest item they have seen, to emit what was added while they were stopped after a restart; null disables checkpoints. (Default: null) */
+                store: CacheStoreOption | null;
+                /** The most items an event emits when it picks up from its checkpoint. (Default: 100) */
+                maxBackfill: number;
+            };
+            adaptive: {
+                /** Poll events faster after activity and slower during silence, starting from their poll time, and slow them down when rate limited. (Default: false) */
+                enabled: boolean;
+                /** The shortest time in milliseconds between polls in adaptive mode. (Default: 2000) */
+                minDelay: number;
+                /** The longest time in milliseconds between polls in adaptive mode. (Default: 120000) */
+                maxDelay: number;
+            };
+            notifications: {
+                /** The delay in milliseconds before a lost notification connection is first reconnected, doubling with every failed attempt. (Default: 1000) */
+                reconnectDelay: number;
+                /** The longest delay in milliseconds between attempts to reconnect. (Default: 60000) */
+                maxReconnectDelay: number;
+                /** A connection Roblox sent nothing on for this long, in milliseconds, is reconnected. (Default: 60000) */
+                heartbeatTimeout: number;
+            };
             /** The poll time in milliseconds by default. A lower number will detect changes much quicker but will stress the network, a higher one does the opposite. (Default: 10000) */
             defaultDelay: number;
             /** The poll time in milliseconds to check for new audit log entries. A lower number will detect changes much quicker but will stress the network, a higher one does the opposite. (Default: 10000) */
@@ -100,6 +288,8 @@ declare module "noblox.js" {
                 expire: number | boolean;
                 /** Default: false */
                 refresh: number | boolean;
+                /** Where entries are kept. (Default: "memory") */
+                store: CacheStoreOption;
             },
 
             /** Verification tokens seem to last extremely long times. */
@@ -108,6 +298,8 @@ declare module "noblox.js" {
                 expire: number | boolean;
                 /** Default: 3600 */
                 refresh: number | boolean;
+                /** Where entries are kept. (Default: "memory") */
+                store: CacheStoreOption;
             },
 
             /** This should be fine unless your group changes its ranks often. */
@@ -116,6 +308,8 @@ declare module "noblox.js" {
                 expire: number | boolean;
                 /** Default: true */
                 refresh: number | boolean;
+                /** Where entries are kept. (Default: "memory") */
+                store: CacheStoreOption;
             },
 
             /** Disable this completely if you don't plan on ever changing your exile bot's rank. */
@@ -124,6 +318,8 @@ declare module "noblox.js" {
                 expire: number | boolean;
                 /** Default: false */
                 refresh: number | boolean;
+                /** Where entries are kept. (Default: "memory") */
+                store: CacheStoreOption;
             },
 
             /** Disabled by default for security (price checks). If you are only working with ROBLOX assets, however, you can set this to something high (since ROBLOX product info rarely changes). */
@@ -132,6 +328,8 @@ declare module "noblox.js" {
                 expire: number | boolean;
                 /** Default: false */
                 refresh: number | boolean;
+                /** Where entries are kept. (Default: "memory") */
+                store: CacheStoreOption;
             },
 
             /** Caches a user's username based on their ID. It is not on by default because it is an uncontrollable change but the option is there to cache it if you would like. */
@@ -140,6 +338,8 @@ declare module "noblox.js" {
                 expire: number | boolean;
                 /** Default: false */
                 refresh: number | boolean;
+                /** Where entries are kept. (Default: "memory") */
+                store: CacheStoreOption;
             },
 
             /** Permanent cache for a user's ID based on their name. There is no reason this would ever change (changing names would re-match it and old names cannot be reused by other accounts). Only disable if you want this to match current names only. */
@@ -148,6 +348,8 @@ declare module "noblox.js" {
                 expire: number | boolean;
                 /** Default: false */
                 refresh: number | boolean;
+                /** Where entries are kept. (Default: "memory") */
+                store: CacheStoreOption;
             },
 
             /** Permanent cache for the sender's user ID. This should literally never change. */
@@ -156,6 +358,8 @@ declare module "noblox.js" {
                 expire: number | boolean;
                 /** Default: false */
                 refresh: number | boolean;
+                /** Where entries are kept. (Default: "memory") */
+                store: CacheStoreOption;
             },
 
             /** Caches rank by user ID. Changes cannot be anticipated so this is not enabled by default. */
@@ -164,6 +368,8 @@ declare module "noblox.js" {
                 expire: number | boolean;
                 /** Default: false */
                 refresh: number | boolean;
+                /** Where entries are kept. (Default: "memory") */
+                store: CacheStoreOption;
             }
         }
     }
@@ -603,6 +809,19 @@ declare module "noblox.js" {
     }
 
     /// Game
+    interface GameRevenueData {
+        Total: object;
+    }
+
+    interface GameRevenueResponse {
+        placeId: number;
+        dataType: number;
+        dataGranularity: number;
+        startTime: Date;
+        endTime: Date;
+        data: GameRevenueData;
+    }
+
     interface GameInstance {
         id: string;
         maxPlayers: number;
@@ -1449,1258 +1668,629 @@ declare module "noblox.js" {
     }
 
     // Functions
+    // Declared in functions.d.ts, which is generated from lib/registry.js by scripts/registry.js. Only the types
+    // and the modules exported as is are declared here.
 
-    /// AccountInformation
-
-    /**
-     * 🔐 Get the social link data (promotion channels) associated with a user.
-     */
-    function getUserSocialLinks(userId: number, jar?: CookieJar): Promise<PromotionChannelsResponse>;
-
-    /// AccountSettings
+    /// Client
+    interface CreateClientOptions {
+        /** The .ROBLOSECURITY cookie the client signs in with. It is not validated. */
+        cookie?: string;
+        /** The Open Cloud API key the client uses. */
+        apiKey?: string;
+        /** Overrides for the cache types in settings.json, keyed by type. */
+        cache?: { [type: string]: { expire?: number | boolean; refresh?: number | boolean; store?: CacheStoreOption } };
+        /** Proxy settings applied to every request of the client. */
+        proxy?: Partial<ProxyConfiguration>;
+        /** The transport the client's requests are sent with, overriding the `transport` setting. */
+        transport?: "request" | "fetch" | Transport;
+    }
 
-    /**
-     * 🔐 Blocks the user with `userId`.
-     */
-    function block(userId: number, apiUrl?: string, jar?: CookieJar): Promise<void>;
+    interface ClientOptions {
+        jar: CookieJar;
+        cache: object;
+        queue: object;
+        proxy?: Partial<ProxyConfiguration>;
+    }
 
     /**
-     * 🔐 Checks if a user is blocked by the logged in user.
+     * A client bound to its own cookie jar, cache and queue. Exposes every function exported by noblox.js.
      */
-    function isBlocked(userId: number, apiUrl?: string, jar?: CookieJar): Promise<boolean>;
+    type NobloxClient = Omit<typeof import("noblox.js"), "options"> & {
+        options: ClientOptions;
+    }
 
-    /**
-     * 🔐 Unblocks the user with `userId`.
-     */
-    function unblock(userId: number, apiUrl?: string, jar?: CookieJar): Promise<void>;
+    /// Utility
 
     /**
-     * 🔐 Get the full list of users blocked by the logged in user.
-     * Fetches pages until the API returns a null cursor.
+     * ✅ Iterates over the results of a paginated function one page at a time.
      */
-    function getBlockedUsers(count?: number, apiUrl?: string, jar?: CookieJar): Promise<{ blockedUserIds: number[], blockedUsers: Array<{ blockedUserId: number, blockManagerType: string }> }>;
+    class Paginator<T> implements AsyncIterable<T> {
+        /** The cursor of the page the current item came from; pass it as `cursor` to resume from the start of that page. */
+        cursor: string;
+        /** The cursor of the next page, or null once the last page was reached. */
+        nextCursor: string | null;
+        /** Whether the last page was reached. */
+        done: boolean;
+        /** Iterates over whole pages rather than items. */
+        pages(): AsyncIterableIterator<T[]>;
+        [Symbol.asyncIterator](): AsyncIterator<T>;
+    }
 
-    /// Asset
+    type TransactionType = "Sale" | "Purchase" | "AffiliateSale" | "DevEx" | "GroupPayout" | "AdImpressionPayout";
 
     /**
-     * 🔐 Deletes an item from the logged in user's inventory
+     * ✅ Iterators over the results of paginated functions, requesting one page at a time. `limit` is the number of results per page.
      */
-    function deleteFromInventory(assetId: number, jar?: CookieJar): Promise<void>;
+    const iterate: {
+        getAuditLog(group: number, actionType?: string, userId?: number, sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Paginator<AuditItem>;
+        getCollectibles(userId: number, assetType?: string, sortOrder?: SortOrder, limit?: Limit, jar?: CookieJar, cursor?: string): Paginator<CollectibleEntry>;
+        getFollowers(userId: number, sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Paginator<FollowEntry>;
+        getFollowings(userId: number, sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Paginator<FollowEntry>;
+        getGroupTransactions(group: number, transactionType?: TransactionType, limit?: Limit, sortOrder?: SortOrder, jar?: CookieJar, cursor?: string): Paginator<TransactionItem>;
+        getInventory(userId: number, assetTypes: Array<string>, sortOrder?: SortOrder, limit?: Limit, jar?: CookieJar, cursor?: string): Paginator<InventoryEntry>;
+        getJoinRequests(group: number, sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Paginator<GroupJoinRequest>;
+        getPlayers(group: number, rolesetId: number[] | number, sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Paginator<GroupUser>;
+        getUserTransactions(transactionType?: TransactionType, limit?: Limit, sortOrder?: SortOrder, jar?: CookieJar, cursor?: string): Paginator<TransactionItem>;
+        getWall(group: number, sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Paginator<WallPost>;
+    };
 
     /**
-     * ✅ Gets `info` of `gamepass` and caches according to settings.
+     * ✅ The noblox.js log, configured through the `logging` setting. Fields are redacted before they reach the sink.
      */
-    function getGamePassProductInfo(gamepass: number): Promise<GamePassProductInfo>;
+    const logger: {
+        log(level: LogLevel, message: string, fields?: object): void;
+        debug(message: string, fields?: object): void;
+        info(message: string, fields?: object): void;
+        warn(message: string, fields?: object): void;
+        error(message: string, fields?: object): void;
+        /** Copies `value` with the keys of `logging.redact` (or `options.keys`) and any cookies in strings replaced, cutting objects nested deeper than `options.maxDepth` (Default: 6) short. */
+        redact<T>(value: T, options?: { keys?: string[]; maxDepth?: number }): T;
+    };
 
-    /**
-     * ✅ Gets `info` of `asset` and caches according to settings.
-     */
-    function getProductInfo(asset: number): Promise<ProductInfo>;
+    /** The part of an OpenTelemetry span noblox.js uses. */
+    interface TracerSpan {
+        setAttribute(key: string, value: string | number | boolean): any;
+        setStatus(status: { code: 0 | 1 | 2; message?: string }): any;
+        recordException(exception: Error): any;
+        end(): void;
+    }
 
     /**
-     * 🔐 Uploads `data` to `asset` with `itemOptions`. If asset is empty a new asset will be created. The assetId is returned as a number. Note that `itemOptions` is required when creating a new asset. It is only optional when updating an old asset, which ignores `itemOptions` and only updates `data`.
+     * Starts the spans of function calls (kind 0, internal), cache lookups (internal) and requests (kind 2, client). `parent` is the span of the call they were started from, if any.
      */
-    function uploadAnimation(data: string | stream.Stream, itemOptions?: UploadModelItemOptions, asset?: number, jar?: CookieJar): Promise<number>;
+    interface Tracer {
+        startSpan(name: string, options: { kind: 0 | 2; attributes: { [key: string]: string | number | boolean } }, parent?: TracerSpan): TracerSpan;
+    }
 
-    /**
-     * 🔐 Uploads an image stored in `file` as an `assetType` with `name`. If `groupId` is specified it will be uploaded to that group. This is for uploading shirts, pants, or decals which have the assetTypes `11`, `12`, and `13`, respectively. Returns the asset `id` of the new item.
-     */
-    function uploadItem(name: string, assetType: UploadItemAssetType, file: string | stream.Stream, groupId?: number, jar?: CookieJar): Promise<UploadItemResponse>;
+    type MetricLabels = { [name: string]: string | number };
 
-    /**
-     * 🔐 Uploads `data` to `asset` with `itemOptions`. If asset is empty a new asset will be created. Both the assetId as well as the assetVersionId are returned in a object. Note that `itemOptions` is required when creating a new asset. It is only optional when updating an old asset, which ignores `itemOptions` and only updates `data`.
-     */
-    function uploadModel(data: string | stream.Stream, itemOptions?: UploadModelItemOptions, asset?: number, jar?: CookieJar): Promise<UploadModelResponse>;
+    interface MetricCounter {
+        name: string;
+        help: string;
+        type: "counter";
+        inc(labels?: MetricLabels, value?: number): void;
+        get(labels?: MetricLabels): number;
+    }
 
-    /// Avatar
+    interface MetricHistogram {
+        name: string;
+        help: string;
+        type: "histogram";
+        buckets?: number[];
+        observe(labels: MetricLabels, value: number): void;
+        get(labels?: MetricLabels): { count: number; sum: number };
+    }
+
+    /**
+     * ✅ Counters and histograms of requests, retries, X-CSRF-TOKEN refreshes, cache hits and event polls, recorded while the `metrics` setting is enabled.
+     */
+    const metrics: {
+        /** Gets the counter `name`, registering it if it does not exist yet. */
+        counter(name: string, help: string): MetricCounter;
+        /** Gets the histogram `name`, registering it if it does not exist yet. */
+        histogram(name: string, help: string, buckets?: number[]): MetricHistogram;
+        /** Every metric in the Prometheus text exposition format. */
+        text(): string;
+        /** The Content-Type to serve `text()` with. */
+        contentType: string;
+        /** Sets every metric back to zero. */
+        reset(): void;
+    };
+
+    /** A call recorded in the journal. */
+    interface JournalEntry {
+        /** When the call was made, as an ISO 8601 string. */
+        time: string;
+        /** Who the call was made on behalf of, if set. */
+        actor: string | null;
+        /** A hash of the session the call was made with, if any. */
+        account: string | null;
+        function: string;
+        /** Its arguments, with cookies and API keys redacted. */
+        args: { [name: string]: any };
+        /** How long it took, in ms. */
+        duration: number;
+        /** What it resolved with, if it succeeded. */
+        result?: any;
+        /** The error it failed with. */
+        error?: { name: string; message: string; code?: string; statusCode?: number; endpoint?: string };
+        /** The hash of the entry before it, null for the first one. */
+        prev: string | null;
+        /** The SHA-256 of the entry without this field. */
+        hash: string;
+    }
+
+    interface JournalFilter {
+        function?: string | string[];
+        actor?: string | string[];
+        account?: string | string[];
+        /** Arguments the entries were called with, compared as strings so ids match either way. */
+        args?: { [name: string]: any };
+        since?: Date | string;
+        until?: Date | string;
+        /** Only entries of calls that failed (true) or succeeded (false). */
+        failed?: boolean;
+    }
+
+    /**
+     * ✅ An append-only, hash chained record of every call that changes something on Roblox, written while the `journal` setting is enabled.
+     */
+    const journal: {
+        /** The entries matching `filter`, oldest first. */
+        query(filter?: JournalFilter | ((entry: JournalEntry) => boolean), path?: string): Promise<JournalEntry[]>;
+        /** Checks the hash chain, returning the line it breaks at if an entry was edited, removed or reordered. */
+        verify(path?: string): Promise<{ valid: boolean; entries: number; line?: number; reason?: string }>;
+        /** Resolves once every entry recorded so far is written. */
+        flush(): Promise<void>;
+        /** Listens for entries that could not be written, with the error of the write. */
+        on(event: "error", listener: (err: Error, entry: JournalEntry) => void): void;
+        off(event: "error", listener: (...args: any[]) => void): void;
+    };
+
+    /**
+     * ✅ The request scheduler, which keeps requests within the budgets of the `scheduler` setting.
+     */
+    const scheduler: {
+        /** Runs `func` once the token bucket `info.key` has budget for it, starting waiting jobs by priority. */
+        schedule<T>(info: { key: string; budget: SchedulerBudget; priority?: SchedulerPriority; refund?: (err: Error) => boolean; signal?: AbortSignal }, func: () => Promise<T>): Promise<T>;
+        /** Returns the state of every scheduler bucket. */
+        stats(): SchedulerStats[];
+        /** Listens for requests being started, with the time they waited. */
+        on(event: "start", listener: (job: { key: string; host: string | null; account: string | null; priority: SchedulerPriority; wait: number; queued: number }) => void): void;
+        off(event: "start", listener: (...args: any[]) => void): void;
+    };
+
+    interface TransportRequest {
+        url: string;
+        method?: string;
+        headers?: { [name: string]: string };
+        body?: any;
+        qs?: { [name: string]: any };
+        json?: boolean;
+        form?: { [name: string]: any } | string;
+        formData?: { [name: string]: any };
+        followRedirect?: boolean | ((response: TransportResponse) => boolean);
+        timeout?: number;
+        /** Aborted when the call the request is made for is aborted or times out. */
+        signal?: AbortSignal;
+        [option: string]: any;
+    }
+
+    interface TransportResponse {
+        statusCode: number;
+        statusMessage?: string;
+        headers: { [name: string]: string | string[] };
+        body: any;
+    }
+
+    type Transport = (request: TransportRequest) => Promise<TransportResponse>;
+
+    interface MiddlewareContext {
+        /** The noblox.js function sending the request. */
+        name?: string;
+        /** An identifier of the account the request is sent for. */
+        account: string;
+        /** The method and url of the request, eg. "GET https://users.roblox.com/v1/users/1". */
+        endpoint: string;
+        /** Sends a request with the transport of the client, without running middleware hooks. */
+        send: Transport;
+    }
+
+    type MiddlewareResult = Partial<TransportResponse> | void | null | undefined;
+
+    interface Middleware {
+        /** Runs before the request is sent. Change the request in place, or resolve with a response to skip sending it. */
+        onRequest?(request: TransportRequest, context: MiddlewareContext): MiddlewareResult | Promise<MiddlewareResult>;
+        /** Runs on every response. Change it in place, or resolve with another response to replace it. */
+        onResponse?(response: TransportResponse, request: TransportRequest, context: MiddlewareContext): MiddlewareResult | Promise<MiddlewareResult>;
+        /** Runs when sending fails. Resolve with a response to recover, or throw to replace the error. */
+        onError?(error: Error, request: TransportRequest, context: MiddlewareContext): MiddlewareResult | Promise<MiddlewareResult>;
+    }
+
+    /**
+     * ✅ The built-in transports requests can be sent with, selected through the `transport` setting.
+     */
+    const transport: {
+        /** Returns the transport the current client sends requests with. */
+        get(): Transport;
+        /** Sends requests with postman-request. This is the default transport. */
+        request: Transport;
+        /** Sends requests with Node's native fetch. */
+        fetch: Transport;
+    };
+
+    interface MockRequest {
+        method: string;
+        /** The Roblox subdomain the request was sent to, eg. "groups". */
+        service: string;
+        path: string;
+        query: { [name: string]: string };
+        headers: { [name: string]: string | string[] | undefined };
+        body: any;
+        params: { [name: string]: string };
+        /** The user signed in by the request's cookie, if any. */
+        user: { [field: string]: any } | null;
+    }
+
+    interface MockReply {
+        status: number;
+        headers?: { [name: string]: string };
+        body: any;
+    }
+
+    interface MockServerConfig {
+        /** The port to listen on. (Default: any free port) */
+        port?: number;
+        /** Set to false to start without the default users and group. */
+        seed?: boolean;
+        users?: Array<{ id: number; [field: string]: any }>;
+        groups?: Array<{ id: number; [field: string]: any }>;
+        /** .ROBLOSECURITY cookies mapped to the id of the user they sign in as. */
+        sessions?: { [cookie: string]: number };
+    }
+
+    class MockServer {
+        /** The address the server listens on. */
+        url: string;
+        /** The users, groups, sessions, datastores and conversations the server answers from; change them directly. */
+        state: { [name: string]: any };
+        /** Every request the server received. */
+        requests: Array<{ method: string; url: string; body: any }>;
+        /** Sends requests meant for Roblox to this server. */
+        transport: Transport;
+        addUser(user: { id: number; [field: string]: any }): { [field: string]: any };
+        addGroup(group: { id: number; [field: string]: any }): { [field: string]: any };
+        addSession(cookie: string, userId: number): void;
+        /** Answers `method` requests to `path` of `service`, taking precedence over the built-in routes. */
+        route(method: string, service: string, path: string, handler: (req: MockRequest, state: { [name: string]: any }) => MockReply | Promise<MockReply>): this;
+        close(): Promise<void>;
+    }
+
+    /**
+     * ✅ Offline stand-ins for Roblox: a local mock server, and transports recording responses to fixture files and replaying them.
+     */
+    const testing: {
+        createMockServer(config?: MockServerConfig): Promise<MockServer>;
+        record(file: string, send?: "request" | "fetch" | Transport): Transport;
+        replay(file: string): Transport;
+        /** Records when `mode` (by default the NOBLOX_FIXTURES environment variable) is "record", replays otherwise. */
+        fixtures(file: string, mode?: "record" | "replay", send?: "request" | "fetch" | Transport): Transport;
+        MockServer: typeof MockServer;
+    };
+
+    interface RobloxAPIErrorDetails {
+        statusCode?: number;
+        body?: any;
+        headers?: { [name: string]: string | string[] };
+        endpoint?: string;
+        argument?: string;
+    }
 
     /**
-     * ✅ Get the avatar rules.
+     * ✅ The error every noblox.js function rejects with when Roblox refuses a request, or when it is given arguments Roblox would refuse. Subclasses narrow down the cause.
      */
-    function avatarRules(option?: "playerAvatarTypes" | "scales" | "wearableAssetTypes" | "bodyColorsPalette" | "basicBodyColorsPalette" | "minimumDeltaEBodyColorDifference" | "proportionsAndBodyTypeEnabledForUser" | "defaultClothingAssetLists" | "bundlesEnabledForUser" | "emotesEnabledForUser" | undefined, jar?: CookieJar): Promise<AvatarRules>;
-
-    function avatarRules(option: "playerAvatarTypes", jar?: CookieJar): Promise<string[]>;
-    function avatarRules(option: "scales", jar?: CookieJar): Promise<AvatarRulesScales>;
-    function avatarRules(option: "wearableAssetTypes", jar?: CookieJar): Promise<WearableAssetType[]>;
-    function avatarRules(option: "bodyColorsPalette", jar?: CookieJar): Promise<BodyColorModel[]>;
-    function avatarRules(option: "basicBodyColorsPalette", jar?: CookieJar): Promise<BodyColorModel[]>;
-    function avatarRules(option: "minimumDeltaEBodyColorDifference", jar?: CookieJar): Promise<number>;
-    function avatarRules(option: "proportionsAndBodyTypeEnabledForUser", jar?: CookieJar): Promise<boolean>;
-    function avatarRules(option: "defaultClothingAssetLists", jar?: CookieJar): Promise<DefaultClothingAssetLists>;
-    function avatarRules(option: "bundlesEnabledForUser", jar?: CookieJar): Promise<boolean>;
-    function avatarRules(option: "emotesEnabledForUser", jar?: CookieJar): Promise<boolean>;
+    class RobloxAPIError extends Error {
+        constructor(message: string, details?: RobloxAPIErrorDetails);
+        /** The status code of the response, if the error is about one. */
+        statusCode?: number;
+        /** @deprecated Use `statusCode`. */
+        readonly httpStatusCode?: number;
+        responseBody: string;
+        /** The method and url of the request, e.g. `PATCH https://groups.roblox.com/v1/groups/1/users/2`. */
+        endpoint?: string;
+        /** The id Roblox assigned to the request, for support tickets. */
+        requestId?: string;
+        /** The error object Roblox responded with. */
+        readonly error: { code: number | string; message: string; [key: string]: any };
+        /** The Roblox error code, which is more specific than the status code. */
+        readonly code?: number | string;
+        /** Creates the error class matching the status code of `res`. */
+        static fromResponse(res: TransportResponse & { endpoint?: string }, message?: string): RobloxAPIError;
+    }
+
+    /** Roblox rate limited the request (429). */
+    class RateLimitError extends RobloxAPIError {
+        /** The seconds Roblox asked to wait before trying again, if it said. */
+        retryAfter?: number;
+    }
+
+    /** The account is not logged in or its cookie is invalid (401). */
+    class AuthenticationError extends RobloxAPIError {}
+
+    /** The account may not perform the action (403). */
+    class PermissionError extends RobloxAPIError {}
+
+    /** The user, group, asset or other target does not exist (404). */
+    class NotFoundError extends RobloxAPIError {}
+
+    /** Roblox rejected the request as invalid (400, 422), or an argument was invalid before it was sent. */
+    class ValidationError extends RobloxAPIError {
+        /** The name of the invalid argument, for errors raised before a request is sent. */
+        argument?: string;
+    }
+
+    /** The `signal` passed to the call aborted, or its `timeout` ran out. */
+    class AbortError extends Error {
+        constructor(message: string, details?: { reason?: any; timeout?: number });
+        name: "AbortError";
+        /** The reason the signal was aborted with. */
+        reason?: any;
+        /** The timeout in ms that ran out, if the call timed out. */
+        timeout?: number;
+    }
+
+    /** What every function called with an arguments object takes besides its own arguments. */
+    interface CallOptions {
+        /** Aborts the call, and the requests it is sending or waiting to send, with an AbortError. */
+        signal?: AbortSignal;
+        /** Aborts the call with an AbortError after this many ms. */
+        timeout?: number;
+        /** The priority its requests are scheduled with, overriding the function's own. */
+        priority?: SchedulerPriority;
+        /** Hold back the requests that would change something, overriding `settings.dryRun`. */
+        dryRun?: boolean;
+        /** Who the call is made on behalf of, recorded in the journal instead of `settings.journal.actor`. */
+        actor?: string;
+    }
+
+    /** A request held back by a dry run. */
+    interface DryRunRequest {
+        method: string;
+        /** The full URL, with the query string. */
+        url: string;
+        /** The body, parsed if it is JSON. */
+        body?: any;
+    }
 
-    /**
-     * ✅ Get the assets a given user is wearing.
-     */
-    function currentlyWearing(userId: number): Promise<AssetIdList>;
+    /** What a function that changes something resolves with in a dry run. */
+    interface DryRun<T> {
+        dryRun: true;
+        /** The requests it would have sent, in order. */
+        requests: DryRunRequest[];
+        /** What it would have resolved with, had every request succeeded. */
+        result: T;
+    }
 
     /**
-     * ✅ Get a user's avatar.
+     * 🔐 Refreshes the internally stored cookie, or the cookie provided, stores the new cookie and returns it.
      */
-    function getAvatar(userId: number): Promise<AvatarInfo>;
+    function refreshCookie(cookie?: string): Promise<string>;
 
     /**
-     * 🔐 Get the current avatar of the logged in user.
+     * 🔐 Signs out of every other session and signs back in with `cookie`, or the cookie it last stored in `./cookie` if that is less than a day old, and returns the logged in user.
      */
-    function getCurrentAvatar(option?: "scales" | "playerAvatarType" | "bodyColors" | "assets" | "defaultShirtApplied" | "defaultPantsApplied" | undefined, jar?: CookieJar): Promise<AvatarInfo>;
-
-    function getCurrentAvatar(option: "scales", jar?: CookieJar): Promise<AvatarScale>;
-    function getCurrentAvatar(option: "playerAvatarType", jar?: CookieJar): Promise<PlayerAvatarType>;
-    function getCurrentAvatar(option: "bodyColors", jar?: CookieJar): Promise<AvatarBodyColors>;
-    function getCurrentAvatar(option: "assets", jar?: CookieJar): Promise<AvatarAsset[]>;
-    function getCurrentAvatar(option: "defaultShirtApplied", jar?: CookieJar): Promise<boolean>;
-    function getCurrentAvatar(option: "defaultPantsApplied", jar?: CookieJar): Promise<boolean>;
+    function relog(cookie?: string): Promise<LoggedInUserData>;
 
-    /**
-     * 🔐 Get assets recently worn by the logged in user.
-     */
-    function getRecentItems(listType?: RecentItemListType, jar?: CookieJar): Promise<AssetRecentItemsResult>;
+    interface ProxyConfiguration {
+        enabled: boolean;
+        key: string;
+        country?: string;
+        url?: string;
+        domains?: string[];
+        fallback?: boolean;
+    }
 
-    /**
-     * ✅ Get the details of an outfit.
-     */
-    function outfitDetails(outfitId: number): Promise<AvatarOutfitDetails>;
+    interface ConfigurationOptions {
+        proxy?: ProxyConfiguration;
+        [key: string]: any;
+    }
 
-    /**
-     * ✅ Get the outfits of a user.
-     */
-    function outfits(userId: number, page?: number, itemsPerPage?: number): Promise<GetOutfitsResult>;
+    interface ConfigurationResult {
+        success: boolean;
+        warnings: string[];
+        errors: string[];
+    }
 
-    /**
-     * 🔐 Redraws the avatar of the logged in user.
-     */
-    function redrawAvatar(jar?: CookieJar): Promise<void>;
+    interface ProxyTestResult {
+        success: boolean;
+        message: string;
+        responseTime?: number;
+        statusCode?: number;
+        error?: string;
+    }
 
-    /**
-     * 🔐 Removes the asset with `assetId` from the logged in user's avatar.
-     */
-    function removeAssetId(assetId: number, jar?: CookieJar): Promise<void>;
+    interface CurrentConfiguration {
+        proxy: {
+            enabled: boolean;
+            key: string;
+            url: string;
+            country: string;
+            domains: string[];
+            fallback: boolean;
+        };
+    }
 
     /**
-     * 🔐 Sets the body colors of the logged in user's avatar.
+     * ✅ Get current configuration including proxy settings
+     * @returns Current configuration
      */
-    function setAvatarBodyColors(args: AvatarBodyColors & { jar?: CookieJar }): Promise<void>;
+    function getConfiguration(): CurrentConfiguration
 
     /**
-     * 🔐 Sets the scales of the logged in user's avatar.
+     * ✅ Test proxy configuration by making a test request
+     * @returns Test result
      */
-    function setAvatarScales(args: AvatarScale & { jar?: CookieJar }): Promise<void>;
+    function testProxyConfiguration(): Promise<ProxyTestResult>
 
-    /**
-     * 🔐 Sets the player avatar type of the logged in user's avatar. (R6/R15)
-     */
-    function setPlayerAvatarType(avatarType: PlayerAvatarType, jar?: CookieJar): Promise<void>;
+    // Events
 
     /**
-     * 🔐 Sets the assets the logged in user is wearing.
-     */
-    function setWearingAssets(assetIds: number[], jar?: CookieJar): Promise<void>;
+     * What events return. Operators return a new event over its data, which closes the event it came from once closed;
+     * iterating it with `for await` yields its data until it closes, and closes it when the loop is left early.
+     * Failed polls that are retried do not end the loop, and are only emitted as `error` to the listeners of it; the
+     * loop throws the error the event closes with once they run out ("Max retries reached", with the last failure as
+     * its `cause`).
+     */
+    interface EventStream<T, A extends any[] = [T]> extends events.EventEmitter, AsyncIterable<T> {
+        on(event: 'data', listener: (...args: A) => void): this;
+        /** Emits only the data `predicate` returns true for. */
+        filter(predicate: (...args: A) => boolean): EventStream<T, A>;
+        /** Emits what `transform` returns for every piece of data. */
+        map<U>(transform: (...args: A) => U): EventStream<U>;
+        /** Emits data once none followed it for `ms` milliseconds. */
+        debounce(ms: number): EventStream<T, A>;
+        /** Emits the first `count` pieces of data, then closes; right away if `count` is 0 or less. */
+        take(count: number): EventStream<T, A>;
+        /** Resolves with the first data `predicate` returns true for; rejects with an AbortError if the event closes or `timeout` ms pass first. */
+        waitFor(predicate?: (...args: A) => boolean, timeout?: number): Promise<T>;
+        /** Stops the event. */
+        close(): void;
+    }
 
-    /**
-     * 🔐 Wears a specific asset on the logged in user's avatar.
-     */
-    function wearAssetId(assetId: number, jar?: CookieJar): Promise<void>;
+    /// Asset
 
-    /// Badges
+    /// Avatar
 
-    /**
-     * ✅ Gets user award date for a badge.
-     */
-    function getAwardedTimestamps(userId: number, badgeId: number[]): Promise<UserBadgeStats>
+    /// Chat
 
-    /**
-     * ✅ Gets information about a badge.
-     */
-    function getBadgeInfo(badgeId: number): Promise<BadgeInfo>
+    interface OnNewConversationEventEmitter extends EventStream<number> {
+        on(event: 'connect', listener: () => void): this;
+        on(event: 'close', listener: (err: any) => void): this;
+        on(event: 'error', listener: (err: Error) => void): this;
+        on(event: 'data', listener: (conversationId: number) => void): this;
+    }
 
-    /**
-     * ✅ Get the badges in a specific game.
-     */
-    function getGameBadges(universeId: number, limit?: Limit, cursor?: string, sortOrder?: SortOrder): Promise<BadgeInfo>
+    interface OnNewMessageEventEmitter extends EventStream<number> {
+        on(event: 'connect', listener: () => void): this;
+        on(event: 'close', listener: (err: any) => void): this;
+        on(event: 'error', listener: (err: Error) => void): this;
+        on(event: 'data', listener: (conversationId: number) => void): this;
+    }
 
-    /**
-     * ✅ Gets the badges of a user.
-     */
-    function getPlayerBadges(userId: number, limit?: number, sortOrder?: SortOrder): Promise<Array<PlayerBadges>>
+    interface OnNewMessageBySelfEventEmitter extends EventStream<number> {
+        on(event: 'connect', listener: () => void): this;
+        on(event: 'close', listener: (err: any) => void): this;
+        on(event: 'error', listener: (err: Error) => void): this;
+        on(event: 'data', listener: (conversationId: number) => void): this;
+    }
 
-    /**
-     * 🔐 Updates badge information.
-     */
-    function updateBadgeInfo(badgeId: number, name?: string, description?: string, enabled?: boolean, jar?: CookieJar): Promise<void>
+    interface OnUserOnlineEventEmitter extends EventStream<number> {
+        on(event: 'connect', listener: () => void): this;
+        on(event: 'close', listener: (err: any) => void): this;
+        on(event: 'error', listener: (err: Error) => void): this;
+        on(event: 'data', listener: (userId: number) => void): this;
+    }
 
-    /// Chat
+    interface OnUserTypingEventEmitter extends EventStream<OnUserTypingChatEvent> {
+        on(event: 'connect', listener: () => void): this;
+        on(event: 'close', listener: (err: any) => void): this;
+        on(event: 'error', listener: (err: Error) => void): this;
+        on(event: 'data', listener: (typingEvent: OnUserTypingChatEvent) => void): this;
+    }
 
-    /**
-     * 🔐 Adds a user to a group conversation.
-     */
-    function addUsersToConversation(conversationId: number, userIds: number[], jar?: CookieJar): Promise<ConversationAddResponse>;
+    /// Game
 
-    /**
-     * 🔐 Get chat settings.
-     */
-    function chatSettings(jar?: CookieJar): Promise<ChatSettings>;
+    /// Group
 
-    /**
-     * 🔐 Get the chat messages of a conversation.
-     */
-    function getChatMessages(conversationId: number, pageSize?: number, exclusiveStartMessageId?: string, jar?: CookieJar): Promise<ChatMessage[]>;
+    interface OnJoinRequestHandleEventEmitter extends EventStream<GroupJoinRequest> {
+        on(event: 'connect', listener: () => void): this;
+        on(event: 'close', listener: (err: any) => void): this;
+        on(event: 'error', listener: (err: Error) => void): this;
+        on(event: 'data', listener: (joinRequest: GroupJoinRequest) => void): this;
 
-    /**
-     * 🔐 Get conversation details for the conversationIds specified in the parameters
-     */
-    function getConversations(conversationIds: number[], jar?: CookieJar): Promise<ChatConversation[]>;
+        emit(event: 'handle', joinRequest: GroupJoinRequest, accept: boolean, callback?: () => void): boolean;
+    }
 
-    /**
-     * 🔐 Get the rollout settings for the logged in user.
-     */
-    function getRolloutSettings(featureNames?: ChatFeatureNames[], jar?: CookieJar): Promise<GetRolloutSettingsResult>;
+    interface OnJoinRequestEventEmitter extends EventStream<GroupJoinRequest> {
+        on(event: 'connect', listener: () => void): this;
+        on(event: 'close', listener: (err: any) => void): this;
+        on(event: 'error', listener: (err: Error) => void): this;
+        on(event: 'data', listener: (joinRequest: GroupJoinRequest) => void): this;
+    }
 
-    /**
-     * 🔐 Get the unread conversation count for the logged in user.
-     */
-    function getUnreadConversationCount(jar?: CookieJar): Promise<GetUnreadConversationCountResult>;
+    interface OnShoutEventEmitter extends EventStream<GroupShout> {
+        on(event: 'connect', listener: () => void): this;
+        on(event: 'close', listener: (err: any) => void): this;
+        on(event: 'error', listener: (err: Error) => void): this;
+        on(event: 'data', listener: (shout: GroupShout) => void): this;
+    }
 
-    /**
-     * 🔐 Get the unread messages for the logged in user in the conversations specified in the parameters.
-     */
-    function getUnreadMessages(conversationIds: number[], pageSize?: number, jar?: CookieJar): Promise<ChatConversationWithMessages[]>;
+    interface OnAuditLogEventEmitter extends EventStream<AuditItem> {
+        on(event: 'connect', listener: () => void): this;
+        on(event: 'close', listener: (err: any) => void): this;
+        on(event: 'error', listener: (err: Error) => void): this;
+        on(event: 'data', listener: (auditLog: AuditItem) => void): this;
+    }
 
-    /**
-     * 🔐 Get conversations for the logged in user.
-     */
-    function getUserConversations(apiUrl?: string, pageNumber?: number, pageSize?: number, jar?: CookieJar): Promise<ChatConversation[]>;
+    interface OnTransactionEventEmitter extends EventStream<TransactionItem> {
+        on(event: 'connect', listener: () => void): this;
+        on(event: 'close', listener: (err: any) => void): this;
+        on(event: 'error', listener: (err: Error) => void): this;
+        on(event: 'data', listener: (transaction: TransactionItem) => void): this;
+    }
 
-    /**
-     * 🔐 Mark a conversation as read.
-     */
-    function markChatAsRead(conversationId: number, endMessageId: string): Promise<void>;
+    /// Party
 
-    /**
-     * 🔐 Mark a conversation as seen.
-     */
-    function markChatAsSeen(conversationIds: number[], jar?: CookieJar): Promise<void>;
+    interface OnPartyNotificationEventEmitter extends EventStream<PartyData> {
+        on(event: 'connect', listener: () => void): this;
+        on(event: 'close', listener: (err: any) => void): this;
+        on(event: 'error', listener: (err: Error) => void): this;
+        on(event: 'data', listener: (partyInfo: PartyData) => void): this;
+    }
 
-    /**
-     * 🔐 Get the latest messages for the conversations specified in the parameters.
-     */
-    function multiGetLatestMessages(conversationIds: number[], pageSize?: number, jar?: CookieJar): Promise<ChatConversationWithMessages[]>;
+    /// User
 
-    /**
-     * 🔐 Removes a user from a group conversation.
-     */
-    function removeFromGroupConversation(conversationId: number, userId: number, jar?: CookieJar): Promise<ConversationRemoveResponse>;
+    interface OnFriendRequestEventEmitter extends EventStream<FriendRequest> {
+        on(event: 'connect', listener: () => void): this;
+        on(event: 'close', listener: (err: any) => void): this;
+        on(event: 'closed', listener: () => void): this;
+        on(event: 'error', listener: (err: Error) => void): this;
+        on(event: 'data', listener: (message: FriendRequest) => void): this;
+    }
 
-    /**
-     * 🔐 Renames a group conversation.
-     */
-    function renameGroupConversation(conversationId: number, title: string, jar?: CookieJar): Promise<ConversationRenameResponse>;
-
-    /**
-     * 🔐 Sends a chat message to a conversation.
-     */
-    function sendChatMessage(conversationId: number, message: string, apiUrl?: string, jar?: CookieJar): Promise<SendChatResponse>;
-
-    /**
-     * 🔐 Sets the typing status of the logged in user in a conversation.
-     */
-    function setChatUserTyping(conversationId: number, isTyping: boolean, jar?: CookieJar): Promise<UpdateTypingResponse>;
-
-    /**
-     * 🔐 Starts a conversation with a user.
-     */
-    function start121Conversation(userId: number, jar?: CookieJar): Promise<void>;
-
-    /**
-     * 🔐 Starts a cloud edit/team create conversation.
-     */
-    function startCloudEditConversation(placeId: number, jar?: CookieJar): Promise<void>;
-
-    /**
-     * 🔐 Starts a group conversation.
-     */
-    function startGroupConversation(userIds: number[], title: string, jar?: CookieJar): Promise<StartGroupConversationResponse>;
-
-    /// Client
-    /**
-     * 🔐 Sets the API key for the user to enable use of open cloud functions.
-     * This is not the same as a .ROBLOSECURITY cookie.
-     */
-    function setAPIKey(apiKey: string): Promise<void>
-
-    /**
-     * 🔐 Allows the user to login with a provided cookie string, bypassing the username/password captcha issues.
-     * By default, the provided cookie will be validated by making a HTTP request. To disable this behaviour, pass false as the second optional parameter (shouldValidate).
-     */
-    function setCookie<B extends boolean = true>(cookie: string, shouldValidate?: B): B extends false ? boolean : Promise<AuthenticatedUserData>
-
-    /// DataStores
-
-    /**
-     * ☁️ Marks the entry as deleted by creating a tombstone version. Entries are deleted permanently after 30 days.
-     */
-    function deleteDatastoreEntry(universeId: number, datastoreName: string, entryKey: string, scope?: string, jar?: CookieJar): Promise<void>
-
-    /**
-     * ☁️ Returns the latest value and metadata associated with an entry, or a specific version if versionId is provided.
-     */
-    function getDatastoreEntry(universeId: number, datastoreName: string, entryKey: string, scope?: string, versionId?: string, jar?: CookieJar): Promise<DatastoreEntry>
-
-    /**
-     * ☁️ Returns a list of entry versions of an entry.
-     */
-    function getDatastoreEntryVersion(universeId: number, datastoreName: string, entryKey: string, scope?: string | boolean, startTime?: Date, endTime?: Date, sortOrder?: "Ascending" | "Descending", limit?: number, cursor?: string, jar?: CookieJar): Promise<EntryVersionsResult>
-
-    /**
-     * ☁️ Returns a list of entry keys within a data store.
-     */
-    function getDatastoreKeys(universeId: number, datastoreName: string, scope?: string | boolean, prefix?: string, limit?: number, cursor?: string, jar?: CookieJar): Promise<DatastoreKeysResult>
-
-    /**
-     * ☁️ Returns a list of data stores belonging to a universe.
-     */
-    function getDatastores(universeId: number, prefix?: string, limit?: number, string?: string, jar?: CookieJar): Promise<DatastoresResult>
-
-    /**
-     * ☁️ Increments the value for an entry by a given amount, or create a new entry with that amount.
-     */
-    function incrementDatastoreEntry(universeId: number, datastoreName: string, entryKey: string, incrementBy: number, scope?: string, robloxEntryUserIDs?: number[], robloxEntryAttributes?: object, jar?: CookieJar): Promise<DatastoreEntry>
-
-    /**
-     * ☁️ Sets the value, metadata and user IDs associated with an entry.
-     */
-    function setDatastoreEntry(universeId: number, datastoreName: string, entryKey: string, body: any, scope?: string, matchVersion?: string, exclusiveCreate?: boolean, robloxEntryUserIDs?: number[], robloxEntryAttributes?: object, jar?: CookieJar): Promise<EntryVersion>
-
-    /// Develop
-
-    /**
-     * ✅ Returns whether the user can manage a given asset.
-     */
-    function canManage(userId: number, assetId: number): Promise<boolean>;
-
-    /**
-     * 🔐 Configures an item (shirt, pants, decal, etc.) with the id `id` to have `name` and `description`. If `enableComments` is true comments will be allowed and if `sellForRobux` is set it will be put on sale for that amount of robux.
-     *
-     * NOTE: Use `configureGamePass()` for Game Passes.
-     */
-    function configureItem(id: number, name: string, description: string, enableComments?: boolean, sellForRobux?: boolean, genreSelection?: number, jar?: CookieJar): Promise<ConfigureItemResponse>;
-
-    /**
-     * 🔐 Modifies a universe's settings
-     */
-    function updateUniverse(universeId: number, settings: UniverseSettings, jar?: CookieJar): Promise<UpdateUniverseResponse>;
-
-    /**
-     * 🔐 Updates a universe's public access setting
-     */
-    function updateUniverseAccess(universeId: number, isPublic?: boolean, jar?: CookieJar): Promise<void>;
-
-    /// Economy
-
-    /**
-     * 🔐 Buys asset `asset` with `price` restrictions. This can be a single value or an object with `high` and `low` that sets the respective price limits (both inclusive). This allows you to buy assets with a minimum or maximum amount of robux that can be used or a single required value and therefore guarantees you can't be scammed by a sudden price change. If a price restriction is not set, the asset will be bought for however much it costs (works with free assets). You are able to use product instead of asset, the options in `product` are collected automatically if not provided.
-     */
-    function buy(asset: number | ProductInfo | BuyProductInfo, price?: number | PriceRange, jar?: CookieJar): Promise<BuyAssetResponse>;
-
-    /**
-     * 🔓 Gets the amount of Robux in a group.
-     */
-    function getGroupFunds(group: number): Promise<number>;
-
-    /**
-     * 🔐 Gets recent Robux revenue summary for a group; shows pending Robux. | Requires "Spend group funds" permissions.
-     */
-    function getGroupRevenueSummary(group: number, timeFrame?: "Day" | "Week" | "Month" | "Year"): Promise<RevenueSummaryResponse>;
-
-    /**
-     * 🔐 Gets the transaction history of the specified group.
-     */
-    function getGroupTransactions(group: number, transactionType?: "Sale" | "Purchase" | "AffiliateSale" | "DevEx" | "GroupPayout" | "AdImpressionPayout", limit?: number, sortOrder?: SortOrder, jar?: CookieJar): Promise<TransactionItem[]>;
-
-    /**
-     * ✅ Get the recent sale history (price and volume per day for 180 days) of a limited asset.
-     */
-    function getResaleData(assetId: number): Promise<ResaleDataResponse>;
-
-    /**
-     * 🔐 Gets available resale copies of a limited asset.
-     */
-    function getResellers(assetId: number, limit?: Limit, jar?: CookieJar): Promise<ResellerData[]>;
-
-    /**
-     * 🔐 Gets the transaction history of the logged in user or of the user specified by the jar.
-     */
-    function getUserTransactions(transactionType?: "Sale" | "Purchase" | "AffiliateSale" | "DevEx" | "GroupPayout" | "AdImpressionPayout", limit?: number, sortOrder?: SortOrder, jar?: CookieJar): Promise<TransactionItem[]>;
-
-    /**
-     * 🔐 Returns the current user's robux balance
-     */
-    function getUserFunds(userId?: number, jar?: CookieJar): Promise<number>;
-
-    /// Friends
-
-    /**
-     * 🔐 Accepts friend requests from `userId`.
-     */
-    function acceptFriendRequest(userId: number, apiUrl?: string, jar?: CookieJar): Promise<void>;
-
-    /**
-     * 🔐 Declines all friend requests.
-     */
-    function declineAllFriendRequest(jar?: CookieJar): Promise<void>;
-
-    /**
-     * 🔐 Declines friend requests from `userId`.
-     */
-    function declineFriendRequest(userId: number, jar?: CookieJar): Promise<void>;
-
-    /**
-     * ✅ Gets the number of followers a user has.
-     */
-    function getFollowerCount(userId: number): Promise<number>;
-
-    /**
-     * ✅ Get the followers of a user (users who follow the specified person)
-     */
-    function getFollowers(userId: number, sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Promise<FollowersPage>;
-
-    /**
-     * ✅ Gets the number of followings a user has (users who have been followed by the specified person).
-     */
-    function getFollowingCount(userId: number): Promise<number>;
-
-    /**
-     * ✅ Get the followings of a user (users who have been followed by the specified person)
-     */
-    function getFollowings(userId: number, sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Promise<FollowingsPage>;
-
-    /**
-     * ✅ Get the number of friends a user has.
-     */
-    function getFriendCount(userId: number): Promise<number>;
-
-    /**
-     * 🔐 Gets the pending friend requests of the logged in user.
-     */
-    function getFriendRequests(sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Promise<FriendRequestsPage>;
-
-    /**
-     * ✅ Gets the friends list of the specified user.
-     */
-    function getFriends(userId: number, apiUrl?: string, jar?: CookieJar): Promise<Friends>;
-
-    /**
-     * 🔐 Removes friendship with `userId`.
-     */
-    function removeFriend(userId: number, apiUrl?: string, jar?: CookieJar): Promise<void>;
-
-    /**
-     * 🔐 Sends a friend request to `userId`.
-     */
-    function sendFriendRequest(userId: number, apiUrl?: string, jar?: CookieJar): Promise<void>;
-
-    /**
-     * 🔐 Unfollows the user with `userId`.
-     */
-    function unfollow(userId: number, jar?: CookieJar): Promise<void>;
-
-    /// Games
-
-    /**
-     * 🔐 Adds a developer product to the specified universe.
-     * Warning: The `productId` returned by this function does not match the `productId` used by other endpoints.
-     */
-    function addDeveloperProduct(universeId: number, name: string, priceInRobux: number, description?: string, jar?: CookieJar): Promise<DeveloperProductAddResult>;
-
-    /**
-     * 🔐 Configures a game pass with the id `gamePassId` to have a `name`, `description`, `price` in Robux, and `icon` image. If `name` is an empty string, only `price` is changed. Setting `price` to false, 0, or a negative value will place the game pass off-sale.
-     * Returns a `GamePassResponse` with the changed attributes.
-     *
-     * NOTE: Updating `name` will affect `description`: you must repeat `description` with each `name` update, or `description` will be cleared.
-     */
-    function configureGamePass(gamePassId: number, name: string, description?: string, price?: number | boolean, icon?: string | stream.Stream, jar?: CookieJar): Promise<GamePassResponse>;
-
-    /**
-     * 🔐 Returns the existing developer products in a specified game.
-     */
-    function getDeveloperProducts(placeId: number, page: number, jar?: CookieJar): Promise<DeveloperProductsResult>;
-
-    /**
-     * 🔐 Returns data about the existing game instances (servers) of the specified place. You must have permission to view the game's server list to use this. (Must be logged in)
-     */
-    function getGameInstances(placeId: number, serverType?: "Public" | "Friend" | "VIP", sortOrder?: SortOrder, limit?: number): Promise<GameInstance[]>;
-
-    /**
-     * ✅ Gets a game's game passes.
-     */
-    function getGamePasses(universeId: number, limit?: Limit): Promise<GamePassData[]>
-
-    /**
-     * 🔐 Get the social link data associated with a game.
-     */
-    function getGameSocialLinks(universeId: number, jar?: CookieJar): Promise<SocialLinkResponse[]>;
-
-    /**
-     * ✅ Gets a list of games from the specified group.
-     */
-    function getGroupGames(groupId: number, accessFilter?: "All" | "Public" | "Private", sortOrder?: SortOrder, limit?: Limit, cursor?: string): Promise<GroupGameInfo[]>;
-
-    /**
-     * 🔓 Returns information about the universe(s) in question, such as description, name etc; varies based on whether or not you're logged in.
-     */
-    function getUniverseInfo(universeIds: number[] | number, jar?: CookieJar): Promise<UniverseInformation[]>;
-
-    /**
-    * ☁️ Publish a message to a subscribed topic.
-    */
-    function publishToTopic(universeId: number, topic: string, data: (Object | string), jar?: CookieJar): Promise<boolean>;
-
-    /**
-     * 🔐 Returns information about the place(s) in question, such as name, description, etc.
-     */
-    function getPlaceInfo(placeIds: number[] | number, jar?: CookieJar): Promise<PlaceInformation[]>;
-
-    /**
-     * 🔐 Update a developer product.
-     */
-    function updateDeveloperProduct(universeId: number, productId: number, priceInRobux: number, name?: string, description?: string, jar?: CookieJar): Promise<void>;
-
-    /// Groups
-    /**
-     * 🔐 Moves the user with userId `target` up or down the list of ranks in `group` by `change`. For example `changeRank(group, target, 1)` would promote the user 1 rank and `changeRank(group, target, -1)` would demote them down 1. Note that this simply follows the list, ignoring ambiguous ranks. The full `newRole` as well as the user's original `oldRole` is returned.
-     */
-    function changeRank(group: number, target: number, change: number, jar?: CookieJar): Promise<ChangeRankResult>;
-
-    /**
-     * 🔐 Deletes the wall post with `id` in `group`. If `page` is known it can be inserted to speed up finding the post, otherwise it will search for the post. Alternatively `post` can be passed in, which only has to contain `view` and `parent.index` to work properly. Using `post` will be much faster because it will not have to search for the post first.
-     */
-    function deleteWallPost(group: number, post: number | WallPost, page?: number, jar?: CookieJar): Promise<void>;
-
-    /**
-     * 🔐 Deletes all wall posts sent by the provided user id.
-     */
-    function deleteWallPostsByUser(group: number, userId: number, jar?: CookieJar): Promise<void>;
-
-    /**
-     * 🔐 Alias of `changeRank(group, target, -1)`.
-     */
-    function demote(group: number, target: number, jar?: CookieJar): Promise<ChangeRankResult>;
-
-    /**
-     * 🔐 Exiles user with `userId` target from `group`.
-     */
-    function exile(group: number, target: number, jar?: CookieJar): Promise<void>;
-
-    /**
-     * 🔐 Gets the audit logs of the specified group.
-     */
-    function getAuditLog(group: number, actionType?: "" | "DeletePost" | "RemoveMember" | "AcceptJoinRequest" | "DeclineJoinRequest" | "PostStatus" | "ChangeRank" | "BuyAd" | "SendAllyRequest" | "CreateEnemy" | "AcceptAllyRequest" | "DeclineAllyRequest" | "DeleteAlly" | "DeleteEnemy" | "AddGroupPlace" | "RemoveGroupPlace" | "CreateItems" | "ConfigureItems" | "SpendGroupFunds" | "ChangeOwner" | "Delete" | "AdjustCurrencyAmounts" | "Abandon" | "Claim" | "Rename" | "ChangeDescription" | "InviteToClan" | "KickFromClan" | "CancelClanInvite" | "BuyClan" | "CreateGroupAsset" | "UpdateGroupAsset" | "ConfigureGroupAsset" | "RevertGroupAsset" | "CreateGroupDeveloperProduct" | "ConfigureGroupGame" | "Lock" | "Unlock" | "CreateGamePass" | "CreateBadge" | "ConfigureBadge" | "SavePlace" | "PublishPlace", userId?: number, sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Promise<AuditPage>;
-
-    /**
-     * ✅ Gets a brief overview of the specified group.
-     */
-    function getGroup(groupId: number): Promise<Group>;
-
-    /**
-     * ✅ Gets the groups a player is in.
-     */
-    function getGroups(userId: number): Promise<IGroupPartial[]>
-
-    /**
-     * 🔐 Get the social link data associated with a group.
-     */
-    function getGroupSocialLinks(groupId: number, jar?: CookieJar): Promise<SocialLinkResponse[]>;
-
-    /**
-     * 🔐 Gets a specific group join request, if it exists.
-     */
-    function getJoinRequest(group: number, userId: number, jar?: CookieJar): Promise<GroupJoinRequest>;
-
-    /**
-     * 🔐 Gets the first page of join requests from `group`.
-     */
-    function getJoinRequests(group: number, sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Promise<GroupJoinRequestsPage>;
-
-    /**
-     * ✅ Gets all (or up to limit when provided and greater than 0) players in `group` with the number/array of `roleset`.
-     */
-    function getPlayers(group: number, rolesetId: number[] | number, sortOrder?: SortOrder, limit?: number, jar?: CookieJar): Promise<GroupUser[]>;
-
-    /**
-         * ✅ Gets `rank` of user with `userId` in `group` and caches according to settings.
-         */
-    function getRankInGroup(group: number, userId: number): Promise<number>;
-
-    /**
-     * ✅ Gets the rank `name` of user with `userId` in `group` and caches according to settings.
-     */
-    function getRankNameInGroup(group: number, userId: number): Promise<string>;
-
-    /**
-     * ✅ Returns role information of rank `rank`, which can be a single rank or an array of ranks. The `roles` object can be passed in directly from the `getRoles` function or the `group` id can be given to retrieve it automatically. If an array of ranks is inputted a parallel array of roles is returned. Alternatively, the name `name` of the role can be searched for, this should be used if there are "ambiguous roles" that have the same rank. If ambiguous roles cannot be resolved an error will be thrown. The actual roleset `id` may be used as well.
-     */
-    function getRole(group: number | Role[], roleQuery: number | string): Promise<Role>;
-
-    /**
-     * 🔐 Returns the permissions a role has been assigned.
-     */
-    function getRolePermissions(group: number, rolesetId: number, jar?: CookieJar): Promise<RolePermissions>;
-
-    /**
-     * ✅ Returns role information of a group with groupId `group` in the form `[{"ID":number,"Name":"string","Rank":number},{"ID":number,"Name":"string","Rank":number}]`.
-     */
-    function getRoles(group: number): Promise<Role[]>;
-
-    /**
-     * 🔓 Gets the current shout in `group`. If there is no shout the promise is fulfilled but nothing is returned.
-     */
-    function getShout(group: number, jar?: CookieJar): Promise<GroupShout>;
-
-    /**
-     * 🔓 Gets posts on the `group` wall. Parameter `page` may be a number or array where negative numbers indicate trailing pages, if it is not specified all pages of the wall will be retrieved.
-     * The body of the post is in `content` and the `id` and `name` of the poster are stored in the `author` object. The `id` is the unique ID of the wall post that is internally used by ROBLOX. This serves no real use other than reporting it (although it can be used indirectly to track down specific posts).
-     * The `page` the post was found on and its `index` on that page are both in the `parent` object.
-     * If `view` is true the viewstates of each page will be returned in the `views` object, with each page having its viewstates at the corresponding page number. For example page 5 of the wall will have its view stored in `wall.views[5]`.
-     * The `getStatus` function is returned as a property of the promise and returns the percent completion of the operation.
-     */
-    function getWall(group: number, sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Promise<WallPostPage>;
-
-    /**
-     * 🔐 Performs a payout in group with the groupId `group`. If `recurring` is true this will configure the recurring options for the group's payout replacing all old values, otherwise a one-time-payout is made. To clear the recurring payouts, pass in empty arrays to both member and amount. Argument `member` can either be a single userId or an array of userIds. If it is a single value `amount` must be as well, otherwise `amount` has to be a parallel array of equal length. If `usePercentage` is true `amount` percentage of the total group funds is paid to the members, otherwise it pays `amount` ROBUX. Note that recurring payouts are always percentages, and when `recurring` is true `usePercentage` is ignored.
-     */
-    function groupPayout(group: number, member: number | number[], amount: number | number[], recurring?: boolean, usePercentage?: boolean, jar?: CookieJar): Promise<void>;
-
-    /**
-     * 🔐 Accepts user with `username` into `group`. Note that `username` is case-sensitive.
-     */
-    function handleJoinRequest(group: number, userId: number, accept: boolean, jar?: CookieJar): Promise<void>;
-
-    /**
-     * 🔐 Leaves the group with id `group`. Unless `useCache` is enabled the function will not cache because errors will occur if joining or leaving the same group multiple times, you can enable it if you are only joining or leaving a group once or many differenct groups once.
-     */
-    function leaveGroup(group: number, jar?: CookieJar): Promise<void>;
-
-    /**
-     * 🔐 Alias of `changeRank(group, target, 1)`.
-     */
-    function promote(group: number, target: number, jar?: CookieJar): Promise<ChangeRankResult>;
-
-    /**
-     * ✅ Returns the groups matching a given search term.
-     */
-    function searchGroups(keyword: string, prioritizeExactMatch?: boolean, limit?: number): Promise<GroupSearchItem[]>;
-
-    /**
-     * 🔐 Sets the group description for group with id `group` to `description`.
-     */
-    function setGroupDescription(group: number, description: string, jar?: CookieJar): Promise<GroupDescriptionResult>;
-
-    /**
-     * 🔐 Sets the group name for group with id `group` to `name`.
-     */
-    function setGroupName(group: number, name: string, jar?: CookieJar): Promise<GroupNameResult>;
-
-    /**
-     * 🔐 Changes the rank of the player with the `target` userId in group with `groupId` to the provided rank. If rank <= 255, it is assumes to be rank. If rank is a string, it is assumed to be the name of a rank/role. If rank is > 255, it is assumed to be a rolesetId (which speeds up requests). If two or more ranks share a rank, this will not resolve properly (use the name of the rank instead). You may also pass a Role which can be gotten from `getRoles` or `getRole`.
-     */
-    function setRank(group: number, target: number, rank: number | string | Role, jar?: CookieJar): Promise<Role>;
-
-    /**
-     * 🔐 Shouts message `message` in the group with groupId `group`. Setting `message` to "" will clear the shout.
-     */
-    function shout(group: number, message: string, jar?: CookieJar): Promise<GroupShout>;
-
-    /// Inventory
-
-    /**
-     * 🔐 Get the collectibles of a user.
-     */
-    function getCollectibles(userId: number, assetType?: string, sortOrder?: SortOrder, limit?: number, jar?: CookieJar): Promise<CollectibleEntry[]>;
-
-    /**
-     * 🔓 Get the inventory of a user.
-     */
-    function getInventory(userId: number, assetTypes: Array<string>, sortOrder?: SortOrder, limit?: number, jar?: CookieJar): Promise<InventoryEntry[]>;
-
-    /**
-     * 🔓 Get the inventory of a user by the assetTypeId.
-     */
-    function getInventoryById(userId: number, assetTypeId: number, sortOrder?: SortOrder, limit?: number, jar?: CookieJar): Promise<InventoryEntry[]>;
-
-    /**
-     * ✅ Returns whether a user owns an asset or not
-     */
-    function getOwnership(userId: number, itemTargetId: number, itemType?: "Asset" | "GamePass" | "Badge" | "Bundle"): Promise<boolean>;
-
-    /**
-     * 🔓 Get the UserAssetIDs for assets a user owns.
-     */
-    function getUAIDs(userId: number, assetIds: number[], exclusionList?: number[], jar?: CookieJar): Promise<UAIDResponse>;
-
-    /// ItemConfiguration
-    /**
-     * ✅ Gets a list of assets from the specified group.
-     */
-    function getGroupAssets(groupId: number, assetType: string, sortOrder?: SortOrder, limit?: Limit, cursor?: string, jar?: CookieJar): Promise<GroupAssetInfo[]>;
-
-    /// PremiumFeatures
-    /**
-     * 🔐 Gets whether or not a user has premium.
-     */
-    function getPremium(userId: number, jar?: CookieJar): Promise<boolean>;
-
-    /// Presence
-    /**
-     * 🔐 Gets the presence statuses of the specified users
-     */
-    function getPresences(userIds: number[]): Promise<Presences>;
-
-    /// PrivateMessages
-
-    /**
-     * 🔐 Gets the messages of the logged in user or of the user specified by the jar. Returns by newest to oldest messages.
-     */
-    function getMessages(pageNumber?: number, pageSize?: number, messageTab?: "Archive" | "Inbox" | "Sent", jar?: CookieJar): Promise<PrivateMessagesPage>;
-
-    /**
-     * 🔐 Sends a message with `body` and `subject` to the user with id `recipient`.
-     */
-    function message(recipient: number, subject: string, body: string, replyMessageId?: number, includePreviousMessage?: boolean, jar?: CookieJar): Promise<void>;
-
-    /// Thumbnails
-
-    /**
-     * ✅ Gets the logo of the specified group.
-     */
-    function getLogo(groupId: number, size?: GroupIconSize, circular?: boolean, format?: GroupIconFormat): Promise<string>;
-
-    /**
-     * ✅ Gets the thumbnail of an array of users.
-     */
-    function getPlayerThumbnail(userIds: number | number[], size: BodySizes | BustSizes | HeadshotSizes, format?: "png" | "jpeg", isCircular?: boolean, cropType?: "body" | "bust" | "headshot"): Promise<PlayerThumbnailData[]>;
-
-    /**
-     * ✅ Gets the thumbnail of asset/users.
-     */
-    function getThumbnails(thumbnailRequests: ThumbnailRequest[]): Promise<ThumbnailData[]>;
-
-    /// Trades
-
-    /**
-     * 🔐 Accept an active trade.
-     */
-    function acceptTrade(tradeId: number, jar?: CookieJar): Promise<void>;
-
-    /**
-     * 🔐 Check if the current user can trade with another user.
-     */
-    function canTradeWith(userId: number, jar?: CookieJar): Promise<CanTradeResponse>;
-
-    /**
-     * 🔐 Counter an active incoming trade..
-     */
-    function counterTrade(tradeId: number, targetUserId: number, sendingOffer: TradeOffer, receivingOffer: TradeOffer, jar?: CookieJar): Promise<SendTradeResponse>;
-
-    /**
-     * 🔐 Decline an active trade.
-     */
-    function declineTrade(tradeId: number, jar?: CookieJar): Promise<void>;
-
-    /**
-     * 🔐 Get detailed info about a trade.
-     */
-    function getTradeInfo(tradeId: number, jar?: CookieJar): Promise<TradeInfo>;
-
-    /**
-     * 🔐 Get all trades under a category.
-     */
-    function getTrades(tradeStatusType: string, sortOrder?: SortOrder, limit?: number, jar?: CookieJar): Promise<TradeAsset[]>;
-
-    /**
-     * 🔐 Send a trade to a user.
-     */
-    function sendTrade(targetUserId: number, sendingOffer: TradeOffer, receivingOffer: TradeOffer, jar?: CookieJar): Promise<SendTradeResponse>;
-
-    /// Users
-
-    /**
-     * ✅ Gets the `blurb` of the user with the ID `userId`.
-     */
-    function getBlurb(userId: number): Promise<string>;
-
-    /**
-     * ✅ Gets the `id` of user with `username` and caches according to settings.
-     * Username is not case-sensitive.
-     */
-    function getIdFromUsername<T extends string | string[]>(username: T): T extends string ? Promise<number> : Promise<number[]>;
-
-    /**
-     * ✅ Gets a brief overview of a user.
-     */
-    function getPlayerInfo(userId: number): Promise<PlayerInfo>;
-
-    /**
-     * ✅ Gets basic user information.
-     */
-    function getUserInfo(userId: number): Promise<UserInfo>;
-
-    /**
-     * ✅ Gets `username` of user with `id` and caches according to settings.
-     */
-    function getUsernameFromId(id: number): Promise<string>;
-
-    /**
-     * ✅ Gets a list of usernames the specified user has used.
-     */
-    function getUsernameHistory(userId: number, limit?: Limit, sortOrder?: SortOrder, cursor?: string): Promise<UsernameHistoryEntry[]>;
-
-    /**
-     * ✅ Gets user search results for a keyword.
-     */
-    function searchUsers(keyword: string, limit: number, cursor: string, jar?: CookieJar): Promise<UserSearchResult[]>;
-
-    /// Utility
-
-    /**
-     * 🔐 Removes the `.ROBLOSECURITY` cookie from `jar`. Note that this does not return a new jar, it simply changes the existing one.
-     */
-    function clearSession(jar: CookieJar): Promise<string>;
-
-    /**
-     * 🔐 Gets the verification inputs from `url` and sends a post request with data from `events`, returning the original body before the post request according to `getBody` and obeying the cache based on `ignoreCache`. Use `http` for custom request options for the post request; if url is contained, it will not replace the main url but the url used for getting verification tokens. This function is used for primitive site functions that involve ASP viewstates.
-     */
-    function generalRequest(url: string, events: object, http?: object, ignoreCache?: boolean, getBody?: boolean, jar?: CookieJar): Promise<Object>;
-
-    /**
-     * ✅ Gets the action row for audit log text. Current supported types are: change rank, delete post, and change group status (shouts).
-     */
-    function getAction(row: string): AuditItem;
-
-    /**
-     * 🔐 Get the current authenticated user.
-     */
-    function getAuthenticatedUser(jar?: CookieJar): Promise<AuthenticatedUserData>
-    
-    /**
-     * 🔐 Gets the current user logged into `jar` and returns an `option` if specified or all options if not.
-     */
-    function getCurrentUser(option?: "UserID" | "UserName" | "RobuxBalance" | "ThumbnailUrl" | "IsAnyBuildersClubMember" | "IsPremium" | undefined, jar?: CookieJar): Promise<LoggedInUserData>;
-
-    /**
-     * 🔐 Gets the current user logged into `jar` and returns an `option` if specified or all options if not.
-     */
-    function getCurrentUser(option: "UserID", jar?: CookieJar): Promise<number>;
-
-    /**
-     * 🔐 Gets the current user logged into `jar` and returns an `option` if specified or all options if not.
-     */
-    function getCurrentUser(option: "UserName", jar?: CookieJar): Promise<string>;
-
-    /**
-     * 🔐 Gets the current user logged into `jar` and returns an `option` if specified or all options if not.
-     */
-    function getCurrentUser(option: "RobuxBalance", jar?: CookieJar): Promise<number>;
-
-    /**
-     * 🔐 Gets the current user logged into `jar` and returns an `option` if specified or all options if not.
-     */
-    function getCurrentUser(option: "ThumbnailUrl", jar?: CookieJar): Promise<string>;
-
-    /**
-     * 🔐 Gets the current user logged into `jar` and returns an `option` if specified or all options if not.
-     */
-    function getCurrentUser(option: "IsAnyBuildersClubMember", jar?: CookieJar): Promise<boolean>;
-
-    /**
-     * 🔐 Gets the current user logged into `jar` and returns an `option` if specified or all options if not.
-     */
-    function getCurrentUser(option: "IsPremium", jar?: CookieJar): Promise<boolean>;
-
-    /**
-     * ✅ Gets the date for `time` which originates from a two-letter `timezone`. This is used to get the time for that timezone despite daylight savings. For example if you did `getDate(time, 'CT')` it would return the time in CST if daylight savings is inactive or CDT if it is active.
-     */
-    function getDate(time: string, timezone: string): Date;
-
-    /**
-     * 🔐 Gets a general X-CSRF-TOKEN for APIs that don't return it after failure. This uses the https://auth.roblox.com/v2/logout API to get tokens.
-     */
-    function getGeneralToken(jar?: CookieJar): Promise<string>;
-
-    /**
-     * 🔐 Generates a unique hash for the given jar file `jar` or default if none is specified. Typically used to cache items that depend on session.
-     */
-    function getHash(jar?: CookieJar): string;
-
-    /**
-     * ✅ Returns verification inputs on the page with the names in `find` - or all inputs if not provided. Typically used for ROBLOX requests working with ASP.NET.
-     */
-    function getInputs(html: string, find?: Array<any>): Inputs;
-
-    /**
-     * ✅ Returns the results from indexing the requested pages.
-     */
-    function getPageResults(url: string, query: string, sortOrder?: string): Array<any>;
-
-    /**
-     * 🔐 Gets the user ID of the current logged in user and caches it permanently. This is needed for some functions.
-     */
-    function getSenderUserId(jar?: CookieJar): Promise<number>;
-
-    /**
-     * 🔐 Gets the `.ROBLOSECURITY` session cookie from `jar`, which is the default jar file if not specified.
-     */
-    function getSession(jar?: CookieJar): Promise<string>;
-
-    /**
-     * 🔐 Gets verification inputs off of `url` using `jar` and caches them. If `getBody` is true, the body and inputs will both be returned in an object. The `header` is the value of the `__RequestVerificationToken` cookie if it exists. If `ignoreCache` is enabled, the resulting tokens will not be cached.
-     */
-    function getVerification(url: string, ignoreCache?: boolean, getBody?: boolean, jar?: CookieJar): Promise<GetVerificationResponse>;
-
-    /**
-     * ✅ Gets verification inputs from `html`. Short for `getInputs(html,['__VIEWSTATE','__VIEWSTATEGENERATOR','__EVENTVALIDATION, '__RequestVerificationToken']')`. Typically used for ROBLOX requests working with ASP.NET. If you have already loaded html with a parser you can pass the `selector` directly.
-     */
-    function getVerificationInputs(html: string | SelectorFunction): Inputs;
-
-    /**
-     * ✅ Sends an http request to `url` with `options`. If `ignoreLoginError` is true the function will not error when the user is redirected to the ROBLOX login page, otherwise it will as detection for failed logins and preventing further errors. The custom option `verification` adds the token to the cookies as `__RequestVerificationToken`. *Note that if jar is a key in the options object but is still null, the default jar will be used*
-     */
-    function http(url: string, options?: HttpOptions, ignoreLoginError?: boolean): Promise<string>;
-
-    /**
-     * ✅ Creates a jar file based on `sessionOnly`. Normally you will not need this argument as the function will use the default from settings.json. If for some other reason you need a jar file you can collect it this way, but without changing the settings it will not work.
-     */
-    function jar(sessionOnly?: boolean): CookieJar;
-
-    /**
-     * 🔐 Refreshes the internally stored cookie, or the cookie provided, stores the new cookie and returns it.
-     */
-    function refreshCookie(cookie?: string): Promise<string>;
-
-    /**
-     * ✅ This is the base for events that do not rely on true streams. The `getLatest` function receives some value that represents the latest version of something (eg. a date or unique ID) and determines if there is new information, every time it is fired it waits `delay` ms before being fired again. Every time it must return an object with the field `latest`, representing the latest value (which will not change if new information was not received), and an array `data` which has the new values (if there are multiple they each have their own index, if there is only one then it is by itself in the array). If `latest` is equal to -2, the returned data will be processed even if it is the initial run (which usually only establishes the latest value). If the return object has a true `repeat` value, the function latest will be run again immediately after. If `delay` is a string it will take the number from that string key in the `event` object of the settings.json file.
-     * When the function is first called it will initialize `getLatest` with the value -1 and then emit the `connect` event. Whenever data is received, it will emit the `data` event for each value. If the `close` event is emitted the function will no longer run. If an error occurs the `error` event will be emitted, the function will log a retry and after the number of max retries as specified by settings, it will emit the `close` event.
-     * The `getLatest` function will be marked as failed if it does not resolve within `timeout` ms (which can be disabled if timeout is negative). If getLatest fails for any reason (including timeout) it will be retried `maxRetries` times before stopping.
-     */
-    function shortPoll(getLatest: (latest: number, event: events.EventEmitter) => Promise<GetLatestResponse>, delay: string | number, timeout?: number): events.EventEmitter;
-
-    /**
-     * Will run `getPage` (which should return a promise) for every number starting from `start` and ending at `end - 1`. At any one time only `maxThreads` number will be running. This for functions that require a large number of requests but actually makes it practical to use them because it doesn't prepare all the requests at once, taking up all available memory.
-     * Errors will not stop the thread from running, instead the request will be tried 3 times after with 5 seconds between each retry. If it still does not succeed it will be skipped and a warning will be printed but will still not end threaded.
-     * Returns a promise with the additional function properties `getStatus`, `getCompleted`, `getExpected` which represent the percent completion, the current number of completed threads, and the total number of threads for completion.
-     */
-    function threaded(getPage: (pageNum: number) => Promise<void> | void, start: number, end: number): ThreadedPromise;
-
-
-    /**
-     * ✅ Updates library options. This allows you to modify settings such as time-out, or number of event retries without
-     * altering the settings.json file. Objects passed to this function should match the format of the settings.json file.
-     * Unknown keys, or malformed options will be rejected with an error.
-     * resilient in that it will reject unknown values, or values which are nested incorrectly - meaning they are ineffective.
-     * @param newOptions - The new options to set, structured as per settings.json
-     * @see https://github.com/noblox/noblox.js/blob/master/settings.json
-     */
-    function setOptions(newOptions: Partial<NobloxOptions>): void
-
-    interface ProxyConfiguration {
-        enabled: boolean;
-        key: string;
-        country?: string;
-        url?: string;
-        domains?: string[];
-        fallback?: boolean;
-    }
-
-    interface ConfigurationOptions {
-        proxy?: ProxyConfiguration;
-        [key: string]: any;
-    }
-
-    interface ConfigurationResult {
-        success: boolean;
-        warnings: string[];
-        errors: string[];
-    }
-
-    interface ProxyTestResult {
-        success: boolean;
-        message: string;
-        responseTime?: number;
-        statusCode?: number;
-        error?: string;
-    }
-
-    interface CurrentConfiguration {
-        proxy: {
-            enabled: boolean;
-            key: string;
-            url: string;
-            country: string;
-            domains: string[];
-            fallback: boolean;
-        };
-    }
-
-    /**
-     * ✅ Configure noblox.js with advanced options including proxy settings.
-     * This is an enhanced version of setOptions that provides additional validation
-     * and configuration capabilities, particularly for proxy settings.
-     * @param options - Configuration options including proxy settings
-     * @returns Configuration result with validation info
-     */
-    function configure(options: ConfigurationOptions): ConfigurationResult
-
-    /**
-     * ✅ Get current configuration including proxy settings
-     * @returns Current configuration
-     */
-    function getConfiguration(): CurrentConfiguration
-
-    /**
-     * ✅ Test proxy configuration by making a test request
-     * @returns Test result
-     */
-    function testProxyConfiguration(): Promise<ProxyTestResult>
-
-
-
-    // Events
-
-    /// Asset
-
-    /// Avatar
-
-    /// Chat
-
-    interface OnNewConversationEventEmitter extends events.EventEmitter {
-        on(event: 'connect', listener: () => void): this;
-        on(event: 'close', listener: (err: any) => void): this;
-        on(event: 'error', listener: (err: Error) => void): this;
-        on(event: 'data', listener: (conversationId: number) => void): this;
-    }
-
-    interface OnNewMessageEventEmitter extends events.EventEmitter {
-        on(event: 'connect', listener: () => void): this;
-        on(event: 'close', listener: (err: any) => void): this;
-        on(event: 'error', listener: (err: Error) => void): this;
-        on(event: 'data', listener: (conversationId: number) => void): this;
-    }
-
-    interface OnNewMessageBySelfEventEmitter extends events.EventEmitter {
-        on(event: 'connect', listener: () => void): this;
-        on(event: 'close', listener: (err: any) => void): this;
-        on(event: 'error', listener: (err: Error) => void): this;
-        on(event: 'data', listener: (conversationId: number) => void): this;
-    }
-
-    interface OnUserOnlineEventEmitter extends events.EventEmitter {
-        on(event: 'connect', listener: () => void): this;
-        on(event: 'close', listener: (err: any) => void): this;
-        on(event: 'error', listener: (err: Error) => void): this;
-        on(event: 'data', listener: (userId: number) => void): this;
-    }
-
-    interface OnUserTypingEventEmitter extends events.EventEmitter {
-        on(event: 'connect', listener: () => void): this;
-        on(event: 'close', listener: (err: any) => void): this;
-        on(event: 'error', listener: (err: Error) => void): this;
-        on(event: 'data', listener: (typingEvent: OnUserTypingChatEvent) => void): this;
-    }
-
-    /// Game
-
-    /// Group
-
-    interface OnJoinRequestHandleEventEmitter extends events.EventEmitter {
-        on(event: 'connect', listener: () => void): this;
-        on(event: 'close', listener: (err: any) => void): this;
-        on(event: 'error', listener: (err: Error) => void): this;
-        on(event: 'data', listener: (joinRequest: GroupJoinRequest) => void): this;
-
-        emit(event: 'handle', joinRequest: GroupJoinRequest, accept: boolean, callback?: () => void): boolean;
-    }
-
-    interface OnJoinRequestEventEmitter extends events.EventEmitter {
-        on(event: 'connect', listener: () => void): this;
-        on(event: 'close', listener: (err: any) => void): this;
-        on(event: 'error', listener: (err: Error) => void): this;
-        on(event: 'data', listener: (joinRequest: GroupJoinRequest) => void): this;
-    }
-
-    interface OnShoutEventEmitter extends events.EventEmitter {
-        on(event: 'connect', listener: () => void): this;
-        on(event: 'close', listener: (err: any) => void): this;
-        on(event: 'error', listener: (err: Error) => void): this;
-        on(event: 'data', listener: (shout: GroupShout) => void): this;
-    }
-
-    interface OnAuditLogEventEmitter extends events.EventEmitter {
-        on(event: 'connect', listener: () => void): this;
-        on(event: 'close', listener: (err: any) => void): this;
-        on(event: 'error', listener: (err: Error) => void): this;
-        on(event: 'data', listener: (auditLog: AuditItem) => void): this;
-    }
-
-    interface OnTransactionEventEmitter extends events.EventEmitter {
-        on(event: 'connect', listener: () => void): this;
-        on(event: 'close', listener: (err: any) => void): this;
-        on(event: 'error', listener: (err: Error) => void): this;
-        on(event: 'data', listener: (transaction: TransactionItem) => void): this;
-    }
-
-    /// Party
-
-    interface OnPartyNotificationEventEmitter extends events.EventEmitter {
-        on(event: 'connect', listener: () => void): this;
-        on(event: 'close', listener: (err: any) => void): this;
-        on(event: 'error', listener: (err: Error) => void): this;
-        on(event: 'data', listener: (partyInfo: PartyData) => void): this;
-    }
-
-    /// User
-
-    interface OnFriendRequestEventEmitter extends events.EventEmitter {
-        on(event: 'connect', listener: () => void): this;
-        on(event: 'close', listener: (err: any) => void): this;
-        on(event: 'closed', listener: () => void): this;
-        on(event: 'error', listener: (err: Error) => void): this;
-        on(event: 'data', listener: (message: FriendRequest) => void): this;
-        close(): void;
-    }
-
-    interface OnFriendShipCreationEventEmitter extends events.EventEmitter {
+    interface OnFriendShipCreationEventEmitter extends EventStream<NewFriendship> {
         on(event: 'connect', listener: () => void): this;
         on(event: 'close', listener: (err: any) => void): this;
         on(event: 'error', listener: (err: Error) => void): this;
         on(event: 'data', listener: (message: NewFriendship) => void): this;
-        close(): void;
     }
 
-    interface OnMessageEventEmitter extends events.EventEmitter {
+    interface OnMessageEventEmitter extends EventStream<PrivateMessage> {
         on(event: 'connect', listener: () => void): this;
         on(event: 'close', listener: (err: any) => void): this;
         on(event: 'error', listener: (err: Error) => void): this;
         on(event: 'data', listener: (message: PrivateMessage) => void): this;
     }
 
-    interface OnNotificationEventEmitter extends events.EventEmitter {
+    type NotificationConnectionState = "connecting" | "connected" | "reconnecting" | "disconnected";
+
+    interface OnNotificationEventEmitter extends EventStream<[string, NotificationMessage], [string, NotificationMessage]> {
+        /** The state of the connection. */
+        readonly state: NotificationConnectionState;
         on(event: 'connect', listener: () => void): this;
         on(event: 'close', listener: (err: any) => void): this;
+        on(event: 'closed', listener: () => void): this;
         on(event: 'error', listener: (err: Error) => void): this;
         on(event: 'data', listener: (name: string, message: NotificationMessage) => void): this;
+        on(event: 'state', listener: (state: NotificationConnectionState, previous: NotificationConnectionState, err?: Error) => void): this;
+        on(event: 'reconnecting', listener: (err: Error) => void): this;
+        on(event: 'reconnected', listener: (connectionId: string) => void): this;
     }
 
-    interface OnWallPostEventEmitter extends events.EventEmitter {
+    interface OnWallPostEventEmitter extends EventStream<WallPost> {
         on(event: 'connect', listener: () => void): this;
         on(event: 'close', listener: (err: any) => void): this;
         on(event: 'error', listener: (err: Error) => void): this;
         on(event: 'data', listener: (message: WallPost) => void): this;
     }
-
-    // Event Emitter Accessors
-
-    /// Asset
-
-    /// Avatar
-
-    /// Chat
-
-    function onNewConversation(jar?: CookieJar): OnNewConversationEventEmitter;
-
-    function onNewMessage(jar?: CookieJar): OnNewMessageEventEmitter;
-
-    function onNewMessageBySelf(jar?: CookieJar): OnNewMessageBySelfEventEmitter;
-
-    function onUserOnline(jar?: CookieJar): OnUserOnlineEventEmitter;
-
-    function onUserTyping(jar?: CookieJar): OnUserTypingChatEvent;
-
-    /// Game
-
-    /// Group
-
-    /**
-     * 🔐 This function emits all join requests and waits until all of them have been resolved by firing the `handle` event with the request and either true or false. You can also pass a third argument `callback` to handle to execute once the join request has been handled. Once all requests on a page have been resolved, the next page is collected. Make sure that all join requests are handled in some way. Because this function has to wait for input, it does handle timeouts but does them within the function as opposed to within shortPoll.
-     *
-     * To accept all new users that aren't on a blacklist and send them a message, for example:
-     * ```javascript
-     * const blacklist = [1, 261]
-     * const evt = noblox.onJoinRequestHandle(18)
-     * evt.on('data', function (request) {
-     *   noblox.getIdFromUsername(request.username).then(function (id) {
-     *     for (const i = 0; i < blacklist.length; i++) {
-     *       if (blacklist[i] === id) {
-     *         evt.emit('handle', request, false);
-     *         return;
-     *       }
-     *     }
-     *     evt.emit('handle', request, true, function () {
-     *       noblox.message(id, 'Welcome', 'Welcome to my group');
-     *     });
-     *   });
-     * });
-     * ```
-     */
-    function onJoinRequestHandle(group: number, jar?: CookieJar): OnJoinRequestHandleEventEmitter;
-
-    function onJoinRequest(group: number, jar?: CookieJar): OnJoinRequestEventEmitter;
-
-    /**
-     * 🔓 Fires when there is a shout in the group with groupId `group`. If the shout was cleared the shout body will be blank.
-     */
-    function onShout(group: number, jar?: CookieJar): OnShoutEventEmitter;
-
-    function onAuditLog(group: number, jar?: CookieJar): OnAuditLogEventEmitter;
-
-    /**
-     * 🔓 Fires when there is a new wall post in the group with groupId `group`. If `view` is enabled the wall posts viewstate will be returned in `view`, otherwise it will not be present.
-     */
-    function onWallPost(group: number, view?: boolean, jar?: CookieJar): OnWallPostEventEmitter;
-
-    /**
-     * 🔓 Fires when there is a transaction in the group with groupId `group`, of the given type. Only runs every 60 sec.
-     */
-    function onGroupTransaction(group: number, transactionType?: "Sale" | "Purchase" | "AffiliateSale" | "DevEx" | "GroupPayout" | "AdImpressionPayout", jar?: CookieJar): OnTransactionEventEmitter;
-
-    /// Party
-
-    // Seems like Party specific events are no longer supported.
-    // Still adding them as a function you can use.
-
-    function onPartyDeleted(jar?: CookieJar): OnPartyNotificationEventEmitter;
-
-    function onPartyInvite(jar?: CookieJar): OnPartyNotificationEventEmitter;
-
-    function onPartyJoinedGame(jar?: CookieJar): OnPartyNotificationEventEmitter;
-
-    function onPartyLeftGame(jar?: CookieJar): OnPartyNotificationEventEmitter;
-
-    function onPartySelfJoined(jar?: CookieJar): OnPartyNotificationEventEmitter;
-
-    function onPartySelfLeft(jar?: CookieJar): OnPartyNotificationEventEmitter;
-
-    function onPartyUserJoined(jar?: CookieJar): OnPartyNotificationEventEmitter;
-
-    function onPartyUserLeft(jar?: CookieJar): OnPartyNotificationEventEmitter;
-
-    /// User
-
-    /**
-     * 🔐 Fires when new friend requests are received.
-     */
-    function onFriendRequest(jar?: CookieJar): OnFriendRequestEventEmitter;
-
-    /**
-     * 🔐 Fires when a new friendship is created.
-     */
-    function onFriendshipCreated(jar?: CookieJar): OnFriendShipCreationEventEmitter;
-
-    /**
-     * 🔐 Fires whenever a new message is received. Because it relies on `onNotification`, the logged in user's notification stream for messages must be enabled; however, it is one of the true events and does not rely on short polling.
-     */
-    function onMessage(jar?: CookieJar): OnMessageEventEmitter;
-
-
-
-    /// Data Stores
-
 }
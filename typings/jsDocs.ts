@@ -1845,6 +1845,23 @@ type SendTradeResponse = {
     id: number
 }
 
+/// Client
+
+/**
+ * @typedef
+*/
+type NobloxClient = {
+    /** The jar, cache and queue the client's functions run against. */
+    options: {
+        jar: CookieJar;
+        cache: object;
+        queue: object;
+        proxy?: object;
+    };
+    /** Every function exported by noblox.js, bound to the client. */
+    [name: string]: any;
+}
+
 /// Utility
 
 /**
@@ -1881,6 +1898,59 @@ type HttpOptions = {
     jar?: CookieJar;
 }
 
+/**
+ * @typedef
+*/
+type TransportRequest = {
+    url: string;
+    method?: string;
+    headers?: object;
+    body?: any;
+    qs?: object;
+    json?: boolean;
+    form?: object | string;
+    formData?: object;
+    followRedirect?: boolean | Function;
+    timeout?: number;
+    signal?: AbortSignal;
+}
+
+/**
+ * @typedef
+*/
+type TransportResponse = {
+    statusCode: number;
+    statusMessage?: string;
+    headers: object;
+    body: any;
+}
+
+/**
+ * @typedef
+*/
+type SchedulerStats = {
+    key: string;
+    host: string | null;
+    account: string | null;
+    tokens: number;
+    queued: { high: number; normal: number; low: number };
+    depth: number;
+    running: number;
+    started: number;
+    averageWait: number;
+    maxWait: number;
+}
+
+/**
+ * @typedef
+*/
+type Paginator = {
+    cursor: string;
+    nextCursor: string | null;
+    done: boolean;
+    pages: () => AsyncIterableIterator<Array<any>>;
+}
+
 /**
  * @typedef
 */